@@ -3,7 +3,7 @@ const fs = require('fs');
 const path = require('path');
 
 /* input and output paths */
-const inputFile = ['0/*', '1/*', 'cli/*', 'util.js'];
+const inputFile = ['0/*', '1/*', 'cli/*', 'factomd/*', 'signer/*', 'state/*', 'testing/*', 'util.js', 'errors.js'];
 const outputDir = 'docs';
 
 /* get template data */
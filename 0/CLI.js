@@ -1,4 +1,5 @@
 const constant = require('../constant');
+const util = require('../util');
 const Transaction = require('./Transaction');
 const Issuance = require('./Issuance');
 
@@ -61,6 +62,19 @@ class CLI extends BaseTokenCLI {
         return transactions.map(tx => new Transaction(tx));
     }
 
+    /**
+     * Get the balance of a public Factoid address for the token in display units, formatted using the token's precision & symbol.
+     * The issuance is fetched once and cached by the CLI
+     * @method
+     * @async
+     * @param {string} address - The public Factoid address to get the balance of
+     * @returns {Promise<string>} - The formatted balance, e.x. "12.345 MYT"
+     */
+    async getFormattedBalance(address) {
+        const [issuance, balance] = await Promise.all([getCachedIssuance(this), this.getBalance(address)]);
+        return util.formatAmount(balance, issuance.getPrecision(), issuance.getSymbol());
+    }
+
     /**
      * Get the type constant string of this CLI object. In this case, "FAT-0"
      * @method
@@ -71,6 +85,23 @@ class CLI extends BaseTokenCLI {
     }
 }
 
+/**
+ * Get the issuance of a CLI's token, fetching it from fatd only the first time
+ * @method
+ * @private
+ * @param {CLI} cli - The FAT-0 token CLI
+ * @returns {Promise<Issuance>}
+ */
+function getCachedIssuance(cli) {
+    if (cli._issuance === undefined) {
+        cli._issuance = cli.getIssuance().catch(e => {
+            cli._issuance = undefined; //retry on the next call
+            throw e;
+        });
+    }
+    return cli._issuance;
+}
+
 module.exports = {
     CLI
 };
@@ -1,6 +1,10 @@
 const fctCryptoValidation = require('factom-identity-lib/src/validation');
 const fctIdentityUtil = require('factom-identity-lib/src/validation');
 const BigNumber = require('bignumber.js');
+const nacl = require('tweetnacl/nacl-fast').sign;
+const fctUtil = require('factom/src/util');
+const util = require('../util');
+const {ValidationError, SignatureError} = require('../errors');
 const JSONBig = require('json-bigint')({strict: true});
 
 /**
@@ -13,23 +17,98 @@ class IssuanceBuilder {
 
     /**
      * @constructor
-     * @param {string} tokenId - arbitrary string to use as a token identifier
+     * @param {(string|Issuance)} tokenId - arbitrary string to use as a token identifier, or a previously assembled unsigned Issuance to add an external signature to
      * @param {string} identityChainId - 64 character Factom Chain ID of the identity to issue the token under
-     * @param {string} sk1 - SK1 Private key belonging to the identity at identityChainId
+     * @param {(string|Signer)} [sk1] - SK1 Private key belonging to the identity at identityChainId, or a Signer holding the key (build using buildAsync). Omit to sign externally using id1
      */
     constructor(tokenId, identityChainId, sk1) {
-        if (!fctIdentityUtil.isValidIdentityChainId(identityChainId)) throw new Error("You must include a valid issuer identity Root Chain Id to issue a FAT token");
+        if ( tokenId instanceof (require('./Issuance')) ) {
+            //support for external signatures
+            const issuance = tokenId;
+            if ( issuance._id1 === undefined ) throw new ValidationError("Only issuances built using an ID1 key can be externally signed", 'id1');
+
+            this._issuance = issuance;
+            this._id1 = issuance._id1;
+            this._tokenId = issuance._tokenId;
+            this._rootChainId = issuance._rootChainId;
+            this._type = issuance._type;
+            this._symbol = issuance._symbol;
+            this._supply = issuance._supply;
+            this._precision = issuance._precision;
+            this._metadata = issuance._metadata;
+            this._timestamp = issuance._timestamp;
+            return;
+        }
+
+        if (!fctIdentityUtil.isValidIdentityChainId(identityChainId)) throw new ValidationError("You must include a valid issuer identity Root Chain Id to issue a FAT token", 'issuerChainId');
         this._rootChainId = identityChainId;
 
-        if (tokenId === undefined || typeof tokenId !== 'string') throw new Error('Token is a required string');
+        if (tokenId === undefined || typeof tokenId !== 'string') throw new ValidationError('Token is a required string', 'tokenId');
         this._tokenId = tokenId;
 
-        if (!fctCryptoValidation.isValidSk1(sk1)) throw new Error("Supplied key is not a valid sk1 private key");
+        if (sk1 !== undefined && !fctCryptoValidation.isValidSk1(sk1) && !util.isSigner(sk1)) throw new ValidationError("Supplied key is not a valid sk1 private key", 'sk1');
         this._sk1 = sk1;
 
         this._type = 'FAT-0'
     }
 
+    /**
+     * Set up the identity public key of the issuing identity in prep for an externally signed issuance. Use in place of the sk1 constructor argument
+     * @method
+     * @param {string} id1 - The ID1 public key string of the issuing identity, external signature will be required in second pass
+     * @returns {IssuanceBuilder}
+     */
+    id1(id1) {
+        if ( this._issuance !== undefined ) {
+            throw new ValidationError("Attempting to add new ID1 key while expecting the issuance signature only. Use id1Signature.", 'id1')
+        }
+        if ( this._sk1 !== undefined ) {
+            throw new ValidationError("Issuance is already signed using an sk1 key or Signer", 'id1');
+        }
+
+        this._id1 = util.extractIdentityPublicKey(id1);
+        return this;
+    }
+
+    /**
+     * Add the signature of the issuing identity to a previously assembled unsigned issuance. Sign the sha512 hash of issuance.getMarshalDataSig()
+     * @method
+     * @param {string} id1 - The ID1 public key string (or hex public key) of the issuing identity, matching the key the issuance was built with
+     * @param {Buffer} signature - The ed25519 signature
+     * @returns {IssuanceBuilder}
+     * @example
+     * const unsignedIssuance = new IssuanceBuilder("mytoken", "888888d027c59579fc47a6fc6c4a5c0409c7c39bc38a86cb5fc0069978493762")
+     * .id1("id12HQxrj9A4ESYVWqKDx7UC1gJfXpUJDVWt6wHem4fjyNyUKVUx2")
+     * .symbol('TTK')
+     * .build();
+     *
+     * //on the cold storage machine
+     * const signature = nacl.detached(fctUtil.sha512(unsignedIssuance.getMarshalDataSig()), keyPair.secretKey);
+     *
+     * const issuance = new IssuanceBuilder(unsignedIssuance)
+     * .id1Signature("id12HQxrj9A4ESYVWqKDx7UC1gJfXpUJDVWt6wHem4fjyNyUKVUx2", signature)
+     * .build();
+     */
+    id1Signature(id1, signature) {
+        if ( this._issuance === undefined ) {
+            throw new SignatureError("Attempting to pass a signature for an issuance that was not built using an ID1 key. Construct the builder from the unsigned issuance.")
+        }
+
+        const publicKey = id1.slice(0, 3) === 'id1' ? util.extractIdentityPublicKey(id1) : Buffer.from(id1, 'hex');
+        if (!this._id1.equals(publicKey)) {
+            throw new SignatureError("ID1 Key is not equal to the issuance ID1 Key requiring a signature");
+        }
+
+        signature = Buffer.from(signature);
+        if (signature.length !== 64 || !nacl.detached.verify(fctUtil.sha512(this._issuance.getMarshalDataSig()), signature, this._id1)) {
+            throw new SignatureError("Invalid issuance signature for ID1 Key");
+        }
+
+        this._publicKey = this._id1;
+        this._signature = signature;
+        return this;
+    }
+
     /**
      * Set a symbol for the token
      * @method
@@ -37,9 +116,10 @@ class IssuanceBuilder {
      * @returns {IssuanceBuilder}
      */
     symbol(symbol) {
-        if (!symbol) throw new Error("Token symbol must be defined");
-        if (!new RegExp('[A-Z ]+').test(symbol)) throw new Error("Token symbol must only contain capital letters A-Z");
-        if (symbol.length == 0 || symbol.length > 4) throw new Error("Token symbol must be 1 - 4 characters");
+        if ( this._issuance !== undefined ) throw new ValidationError("Attempting to modify a previously assembled issuance, expecting a signature only", 'symbol');
+        if (!symbol) throw new ValidationError("Token symbol must be defined", 'symbol');
+        if (!new RegExp('[A-Z ]+').test(symbol)) throw new ValidationError("Token symbol must only contain capital letters A-Z", 'symbol');
+        if (symbol.length == 0 || symbol.length > 4) throw new ValidationError("Token symbol must be 1 - 4 characters", 'symbol');
         this._symbol = symbol;
         return this;
     }
@@ -51,8 +131,9 @@ class IssuanceBuilder {
      * @returns {IssuanceBuilder}
      */
     supply(supply) {
+        if ( this._issuance !== undefined ) throw new ValidationError("Attempting to modify a previously assembled issuance, expecting a signature only", 'supply');
         supply = new BigNumber(supply);
-        if (supply.isEqualTo(0) || supply.isLessThan(-1)) throw new Error("Supply must be equal to -1(infinite) or greater than 0");
+        if (supply.isEqualTo(0) || supply.isLessThan(-1)) throw new ValidationError("Supply must be equal to -1(infinite) or greater than 0", 'supply');
         this._supply = supply;
         return this;
     }
@@ -64,7 +145,8 @@ class IssuanceBuilder {
      * @returns {IssuanceBuilder}
      */
     precision(precision) {
-        if (isNaN(precision) || !Number.isInteger(precision) || precision < 0 || precision > 18) throw new Error("Precision must be an integer between 0 and 18");
+        if ( this._issuance !== undefined ) throw new ValidationError("Attempting to modify a previously assembled issuance, expecting a signature only", 'precision');
+        if (isNaN(precision) || !Number.isInteger(precision) || precision < 0 || precision > 18) throw new ValidationError("Precision must be an integer between 0 and 18", 'precision');
         this._precision = precision;
         return this;
     }
@@ -76,10 +158,11 @@ class IssuanceBuilder {
      * @returns {IssuanceBuilder}
      */
     metadata(metadata) {
+        if ( this._issuance !== undefined ) throw new ValidationError("Attempting to modify a previously assembled issuance, expecting a signature only", 'metadata');
         try {
             JSONBig.stringify(metadata)
         } catch (e) {
-            throw new Error("Transaction metadata bust be a valid JSON object or primitive");
+            throw new ValidationError("Transaction metadata bust be a valid JSON object or primitive", 'metadata');
         }
         this._metadata = metadata;
         return this;
@@ -91,12 +174,49 @@ class IssuanceBuilder {
      * @returns {Issuance}
      */
     build() {
-        //validate required fields
+        if (util.isSigner(this._sk1) && this._signature === undefined) throw new ValidationError("Issuances signed by a Signer must be built using buildAsync()");
 
-        if (this._supply === undefined) this._supply = new BigNumber(-1); //unlimited supply by default
+        return buildIssuance(this);
+    }
 
-        return new (require('./Issuance'))(this);
+    /**
+     * Build the issuance, collecting the signature from the Signer given in place of the sk1 key
+     * @method
+     * @async
+     * @returns {Promise<Issuance>} - The signed issuance
+     * @example
+     * const issuance = await new IssuanceBuilder("mytoken", "888888d027c59579fc47a6fc6c4a5c0409c7c39bc38a86cb5fc0069978493762", new MemorySigner("sk11pz4AG9XgB1eNVkbppYAWsgyg7sftDXqBASsagKJqvVRKYodCU"))
+     * .symbol('TTK')
+     * .buildAsync();
+     */
+    async buildAsync() {
+        if (!util.isSigner(this._sk1)) return this.build();
+
+        const publicKey = await util.getSignerPublicKey(this._sk1);
+
+        const unsigned = buildIssuance(this);
+        const data = unsigned.getMarshalDataSig();
+        const signature = await util.signWithSigner(this._sk1, data);
+        if (!nacl.detached.verify(fctUtil.sha512(data), signature, publicKey)) throw new SignatureError("Signer returned an invalid signature");
+
+        //sign a copy, so the builder itself can be changed & built again
+        return buildIssuance(Object.assign(Object.create(IssuanceBuilder.prototype), this, {_timestamp: unsigned.getTimestamp(), _publicKey: publicKey, _signature: signature}));
     }
 }
 
+/**
+ * Validate the required fields of a builder and construct the issuance
+ * @method
+ * @private
+ * @param builder {IssuanceBuilder} - The builder to construct the issuance from
+ * @returns {Issuance}
+ */
+function buildIssuance(builder) {
+    //validate required fields
+    if (builder._sk1 === undefined && builder._id1 === undefined) throw new ValidationError("You must include a valid sk1 key or Signer, or an ID1 key to externally sign the issuance", 'sk1');
+    if (builder._supply === undefined) builder._supply = new BigNumber(-1); //unlimited supply by default
+
+    return new (require('./Issuance'))(builder);
+}
+
 module.exports = IssuanceBuilder;
\ No newline at end of file
@@ -4,6 +4,9 @@ const {Entry} = require('factom');
 const fctUtil = require('factom/src/util');
 const fctIdentityCrypto = require('factom-identity-lib/src/crypto');
 const TransactionBuilder = require('./TransactionBuilder');
+const util = require('../util');
+const {ValidationError, SignatureError} = require('../errors');
+const fctAddressUtil = require('factom/src/addresses');
 const JSONBig = require('json-bigint')({strict: true});
 const BigNumber = require('bignumber.js');
 
@@ -44,7 +47,7 @@ class Transaction {
 
     /**
      * @constructor
-     * @param {(TransactionBuilder|object)} builder - Either a TransactionBuilder object or a FAT-0 transaction object content
+     * @param {(TransactionBuilder|Entry|object)} builder - Either a TransactionBuilder object, a signed factom-js Entry, a partial transaction object (see toPartial) or a FAT-0 transaction object content
      */
     constructor(builder) {
         if (builder instanceof TransactionBuilder) {
@@ -70,9 +73,18 @@ class Transaction {
                 }
 
                 if (this._rcds.length !== builder._signatures.length) {
-                    throw new Error("Missmatch between public keys and the number of signatures provided");
+                    throw new SignatureError("Missmatch between public keys and the number of signatures provided");
                 }
 
+                if (!Object.keys(this._inputs).find(address => address === constant.COINBASE_ADDRESS_PUBLIC)) {
+                    Object.keys(this._inputs).forEach((address, i) => {
+                        if (fctAddressUtil.rcdHashToPublicFctAddress(fctUtil.sha256d(this._rcds[i])) !== address) {
+                            throw new SignatureError("Public key for input " + i + " does not match input address " + address, i);
+                        }
+                    });
+                }
+
+                if (builder._content !== undefined) this._content = builder._content; //keep the exact signed content of a restored partial transaction
                 this._timestamp = builder._timestamp;
                 this._signatures = builder._signatures;
                 this._extIds = [this._timestamp.toString()];
@@ -97,7 +109,7 @@ class Transaction {
                     this._id1 = builder._id1;
                     this._signatures = [undefined];
                 } else {
-                    throw new Error("You must include a valid SK1 Key to sign a coinbase transaction, or an ID1 Key to externally sign coinbase transaction.");
+                    throw new ValidationError("You must include a valid SK1 Key to sign a coinbase transaction, or an ID1 Key to externally sign coinbase transaction.", 'sk1');
                 }
 
             } else { //otherwise normal transaction
@@ -129,14 +141,68 @@ class Transaction {
                     this._keys = builder._keys;
                 }
             }
+        } else if (util.isEntry(builder)) { //from a signed Factom entry
+            const signed = util.parseSignedEntry(builder);
+            const content = JSONBig.parse(signed.content);
+            if (typeof content !== 'object' || content === null) throw new ValidationError("Transaction entry content must be a JSON object", 'content');
+
+            if (!content.inputs) throw new ValidationError("Valid FAT-0 transactions must include inputs", 'content.inputs');
+            Object.keys(content.inputs).forEach((address) => {
+                content.inputs[address] = new BigNumber(content.inputs[address])
+            });
+            this._inputs = content.inputs;
+
+            if (!content.outputs) throw new ValidationError("Valid FAT-0 transactions must include outputs", 'content.outputs');
+            Object.keys(content.outputs).forEach((address) => {
+                content.outputs[address] = new BigNumber(content.outputs[address])
+            });
+            this._outputs = content.outputs;
+
+            this._metadata = content.metadata;
+            this._content = signed.content;
+            this._timestamp = signed.timestamp;
+            this._rcds = signed.rcds;
+            this._signatures = signed.signatures;
+            this._extIds = builder.extIds.slice();
+
+            this._tokenChainId = builder.chainIdHex;
+            this._entryhash = builder.hashHex();
+        } else if (util.isPartial(builder)) { //from a serialized unsigned or partially signed transaction
+            if (builder.version !== constant.PARTIAL_TRANSACTION_VERSION) throw new ValidationError("Unsupported partial transaction version: " + builder.version, 'version');
+            if (builder.type !== constant.FAT0) throw new ValidationError("Partial transaction is not a FAT-0 transaction", 'type');
+            if (typeof builder.chainid !== 'string' || !/^[0-9a-f]{64}$/.test(builder.chainid)) throw new ValidationError("Partial transaction must include a valid token chain ID", 'chainid');
+            if (!Number.isInteger(builder.timestamp)) throw new ValidationError("Partial transaction must include an integer unix timestamp", 'timestamp');
+            if (typeof builder.content !== 'string') throw new ValidationError("Partial transaction must include the transaction content string", 'content');
+
+            const content = JSONBig.parse(builder.content);
+            if (typeof content !== 'object' || content === null) throw new ValidationError("Transaction content must be a JSON object", 'content');
+
+            if (!content.inputs) throw new ValidationError("Valid FAT-0 transactions must include inputs", 'content.inputs');
+            Object.keys(content.inputs).forEach((address) => {
+                content.inputs[address] = new BigNumber(content.inputs[address])
+            });
+            this._inputs = content.inputs;
+
+            if (!content.outputs) throw new ValidationError("Valid FAT-0 transactions must include outputs", 'content.outputs');
+            Object.keys(content.outputs).forEach((address) => {
+                content.outputs[address] = new BigNumber(content.outputs[address])
+            });
+            this._outputs = content.outputs;
+
+            this._metadata = content.metadata;
+            this._content = builder.content;
+            this._timestamp = builder.timestamp;
+            this._tokenChainId = builder.chainid;
+
+            util.restorePartialSigning(this, builder.signers);
         } else { //from object
-            if (!builder.data.inputs) throw new Error("Valid FAT-0 transactions must include inputs");
+            if (!builder.data.inputs) throw new ValidationError("Valid FAT-0 transactions must include inputs", 'data.inputs');
             Object.keys(builder.data.inputs).forEach((address) => {
                 builder.data.inputs[address] = new BigNumber(builder.data.inputs[address])
             });
             this._inputs = builder.data.inputs;
 
-            if (!builder.data.outputs) throw new Error("Valid FAT-0 transactions must include outputs");
+            if (!builder.data.outputs) throw new ValidationError("Valid FAT-0 transactions must include outputs", 'data.outputs');
             Object.keys(builder.data.outputs).forEach((address) => {
                 builder.data.outputs[address] = new BigNumber(builder.data.outputs[address])
             });
@@ -152,6 +218,82 @@ class Transaction {
         Object.freeze(this);
     }
 
+    /**
+     * Parse a signed FAT-0 transaction from a raw Factom entry, for example one read straight from factomd
+     * @method
+     * @static
+     * @param {Entry} entry - The factom-js Entry object of the transaction
+     * @returns {Transaction} - The fully populated transaction, including RCDs & signatures
+     * @example
+     * const entry = await factomCli.getEntry('68f3ca3a8c9f7a0cb32dc9717347cb179b63096e051a60ce8be9c292d29795af');
+     *
+     * const tx = Transaction.fromEntry(entry);
+     * tx.validateSignatures(); // => true
+     */
+    static fromEntry(entry) {
+        if (!util.isEntry(entry)) throw new ValidationError('Argument must be a factom-js Entry object', 'entry');
+        return new Transaction(entry);
+    }
+
+    /**
+     * Restore an unsigned or partially signed FAT-0 transaction serialized using toPartial, for example on an air-gapped signing machine
+     * @method
+     * @static
+     * @param {(object|string)} partial - The partial transaction object or its JSON string
+     * @returns {Transaction} - The transaction. Add the missing signatures using TransactionBuilder
+     * @example
+     * const tx = Transaction.fromPartial(json);
+     *
+     * const signature = nacl.detached(fctUtil.sha512(tx.getMarshalDataSig(0)), keyPair.secretKey);
+     *
+     * const signedTx = new TransactionBuilder(tx)
+     * .pkSignature(keyPair.publicKey, signature)
+     * .build();
+     */
+    static fromPartial(partial) {
+        if (typeof partial === 'string') partial = JSON.parse(partial);
+        if (!util.isPartial(partial)) throw new ValidationError('Argument must be a partial transaction object or JSON string', 'partial');
+        return new Transaction(partial);
+    }
+
+    /**
+     * Combine the partial transactions returned by independent signers into one. All partials must be for the same transaction (chain ID, timestamp & content)
+     * and may not hold conflicting public keys or signatures for an input. Check getUnsignedInputs on the result for the inputs still missing a signature
+     * @method
+     * @static
+     * @param {Array<(Transaction|object|string)>} partials - The partial transactions, as Transactions, toPartial objects or their JSON strings
+     * @returns {Transaction} - The combined transaction. Fully signed once every input has a signature
+     * @example
+     * const tx = Transaction.combinePartials([custodianJson1, custodianJson2]);
+     *
+     * tx.getUnsignedInputs(); // => [] when every custodian has signed
+     *
+     * tx.getEntry(); // ready to submit
+     */
+    static combinePartials(partials) {
+        if (!Array.isArray(partials) || partials.length === 0) throw new ValidationError('Expected a non-empty array of partial transactions', 'partials');
+
+        const transactions = partials.map(partial => partial instanceof Transaction ? partial : Transaction.fromPartial(partial));
+        const combined = transactions[0].toPartial();
+        transactions.slice(1).forEach(tx => {
+            const partial = tx.toPartial();
+            if (partial.chainid !== combined.chainid || partial.timestamp !== combined.timestamp || partial.content !== combined.content) {
+                throw new ValidationError('Partial transactions must all be for the same transaction', 'partials');
+            }
+
+            partial.signers.forEach((signer, i) => {
+                ['publickey', 'id1', 'signature'].forEach(field => {
+                    if (signer[field] === undefined || signer[field] === null) return;
+                    const current = combined.signers[i][field];
+                    if (current !== null && current !== signer[field]) throw new SignatureError('Conflicting ' + field + ' for input ' + i + ' (' + signer.address + ')', i);
+                    combined.signers[i][field] = signer[field];
+                });
+            });
+        });
+
+        return Transaction.fromPartial(combined);
+    }
+
     /**
      * Get the inputs object for the transaction (Map of Address => Token IDs)
      * @method
@@ -179,6 +321,17 @@ class Transaction {
         return this._metadata;
     }
 
+    /**
+     * Get the inputs of the transaction that do not have a signature yet. Each needs to be signed over getMarshalDataSig(index)
+     * @method
+     * @returns {object[]} - The unsigned inputs [{index, address}] in input order. Empty if the transaction is fully signed
+     */
+    getUnsignedInputs() {
+        return Object.keys(this._inputs)
+            .map((address, index) => ({index, address}))
+            .filter(input => this._signatures === undefined || this._signatures[input.index] === undefined);
+    }
+
     /**
      * Check whether this transaction is a coinbase (token minting) transaction
      * @method
@@ -210,7 +363,7 @@ class Transaction {
      await cli.add(entry, "Es32PjobTxPTd73dohEFRegMFRLv3X5WZ4FXEwNN8kE2pMDfeMym"); //commit the transaction entry to the token chain
      */
     getEntry() {
-        if (!this._tokenChainId) throw new Error('Can only get a valid Factom entry for a transaction built using TransactionBuilder');
+        if (!this._tokenChainId) throw new ValidationError('Can only get a valid Factom entry for a transaction built using TransactionBuilder');
 
         return Entry.builder()
             .chainId(this._tokenChainId)
@@ -219,6 +372,50 @@ class Transaction {
             .build();
     }
 
+    /**
+     * Estimate the Entry Credit cost of submitting the transaction entry to Factom. Unsigned & partially signed transactions are priced as if every input was signed
+     * @method
+     * @returns {number} - The EC cost of the transaction entry
+     * @example
+     * const tx = new TransactionBuilder(tokenChainId)
+     * .input("Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ", 150)
+     * .output("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", 150)
+     * .build();
+     *
+     * tx.estimateEntryCredits(); // => 1
+     */
+    estimateEntryCredits() {
+        if (this._content === undefined || this._timestamp === undefined) throw new ValidationError('Can only estimate the cost of a transaction built using TransactionBuilder or parsed from an entry');
+        return util.getEntryCreditCost(util.getSignedPayloadSize(this));
+    }
+
+    /**
+     * Serialize the unsigned or partially signed transaction to a versioned JSON compatible object, so it can be moved to another machine to be signed.
+     * Includes the token chain ID, timestamp, exact content and one signer per input holding its public key (if known) and signature (if signed). Secret keys are never included
+     * @method
+     * @returns {object} - The partial transaction {version, type, chainid, timestamp, content, signers}
+     * @example
+     * const unsignedTx = new TransactionBuilder(tokenChainId)
+     * .input("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", 150)
+     * .output("FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN", 150)
+     * .build();
+     *
+     * const json = JSON.stringify(unsignedTx.toPartial());
+     * // => {"version":1,"type":"FAT-0","chainid":"013de8...","timestamp":1550696040,"content":"{...}","signers":[{"address":"FA3aEC...","publickey":null,"signature":null}]}
+     */
+    toPartial() {
+        if (!this._tokenChainId || this._content === undefined) throw new ValidationError('Can only serialize a transaction built using TransactionBuilder or parsed from an entry');
+
+        return {
+            version: constant.PARTIAL_TRANSACTION_VERSION,
+            type: constant.FAT0,
+            chainid: this._tokenChainId,
+            timestamp: this._timestamp,
+            content: this._content,
+            signers: util.getPartialSigners(this)
+        };
+    }
+
     /**
      * Get the token chain ID for this transaction
      * @method
@@ -231,7 +428,7 @@ class Transaction {
     /**
      * Get the Factom entryhash of the transaction.
      * @method
-     * @returns {string} - The entryhash of the transaction. Only defined if the Transaction was constructed from an object
+     * @returns {string} - The entryhash of the transaction. Only defined if the Transaction was constructed from an object or entry
      */
     getEntryhash() {
         return this._entryhash;
@@ -266,20 +463,62 @@ class Transaction {
     }
 
     /**
-     * Validate all the signatures in the transaction against the input addresses
+     * Validate all the signatures in the transaction against the input addresses. Every RCD must hash to the address of the input at the same index
+     * and every signature must be valid for its RCD. The error thrown lists each failing input
      * @method
      * @returns {boolean} returns true if signatures are valid, throws error otherwise.
      */
     validateSignatures() {
-        if ( this._signatures.length !== this._rcds.length ) {
-            throw new Error("Invalid number of signatures to inputs")
+        const errors = util.validateSigning(this, {now: this._timestamp}).filter(error => util.SIGNATURE_ERROR_CODES.includes(error.code));
+        if (errors.length > 0) throw new SignatureError(errors.map(error => error.message).join('; '), errors[0].input);
+        return true;
+    }
+
+    /**
+     * Validate the transaction against every stateless FATIP-0 rule. Unlike validateSignatures, all violations are collected and returned instead of throwing on the first one.
+     * Error codes: MISSING_INPUTS_OUTPUTS, INVALID_COINBASE, CHAIN_ID_MISMATCH, TIMESTAMP_OUT_OF_RANGE, MISSING_SIGNATURES, RCD_COUNT_MISMATCH, RCD_ADDRESS_MISMATCH, INVALID_SIGNATURE, COINBASE_KEY_MISMATCH, COINBASE_KEY_UNKNOWN, INVALID_ADDRESS, INVALID_AMOUNT, AMOUNT_SUM_MISMATCH, SUPPLY_EXCEEDED
+     * @method
+     * @param {object} [options] - The validation options
+     * @param {Issuance} [options.issuance] - The FAT-0 issuance of the token. Used to check the token chain, maximum supply and coinbase signing key
+     * @param {number} [options.now] - The unix timestamp in seconds the transaction timestamp must be within 12 hours of. Defaults to the current time
+     * @param {string[]} [options.identityKeys] - The issuing identity's current ID1 public keys. Defaults to the key that signed the issuance, if known. Coinbase transactions are invalid if neither is known
+     * @returns {object} - The validation result {valid: boolean, errors: object[]}. Each error has a code, a message and for input specific errors the input index
+     * @example
+     * const result = tx.validate({issuance, now: Math.round(Date.now() / 1000)});
+     *
+     * if (!result.valid) console.error(result.errors); // => [{code: 'RCD_ADDRESS_MISMATCH', message: '...', input: 0}]
+     */
+    validate(options) {
+        options = options || {};
+        const errors = util.validateSigning(this, options);
+
+        const addresses = Object.keys(this._inputs).concat(Object.keys(this._outputs));
+        addresses.filter(address => !fctAddressUtil.isValidPublicFctAddress(address)).forEach(address => {
+            errors.push({code: 'INVALID_ADDRESS', message: 'Invalid public Factoid address ' + address});
+        });
+        Object.keys(this._inputs).filter(address => this._outputs[address] !== undefined).forEach(address => {
+            errors.push({code: 'INVALID_ADDRESS', message: 'Address ' + address + ' appears in both inputs and outputs'});
+        });
+
+        const amounts = Object.values(this._inputs).concat(Object.values(this._outputs));
+        if (!amounts.every(amount => BigNumber.isBigNumber(amount) && amount.isInteger() && amount.isPositive() && !amount.isZero())) {
+            errors.push({code: 'INVALID_AMOUNT', message: 'All input and output amounts must be positive integers'});
+        }
+
+        const inputSum = Object.values(this._inputs).reduce((sum, amount) => sum.plus(amount), new BigNumber(0));
+        const outputSum = Object.values(this._outputs).reduce((sum, amount) => sum.plus(amount), new BigNumber(0));
+        if (!inputSum.isEqualTo(outputSum)) {
+            errors.push({code: 'AMOUNT_SUM_MISMATCH', message: 'Input and output amount sums must match (' + inputSum + ' != ' + outputSum + ')'});
         }
-        for( let i = 0; i < this._rcds.length; ++i ) {
-            if( !nacl.detached.verify(fctUtil.sha512(this.getMarshalDataSig(i)), this._signatures[i], Buffer.from(this._rcds[i], 1).slice(1)) ) {
-                throw new Error("Invalid Transaction Signature for input " + i.toString())
+
+        if (this.isCoinbase() && options.issuance !== undefined) {
+            const supply = options.issuance.getSupply();
+            if (!supply.isEqualTo(-1) && inputSum.isGreaterThan(supply)) {
+                errors.push({code: 'SUPPLY_EXCEEDED', message: 'Coinbase amount ' + inputSum + ' exceeds the maximum supply of ' + supply});
             }
         }
-        return true;
+
+        return {valid: errors.length === 0, errors};
     }
 }
 
@@ -4,6 +4,7 @@ const fctAddressUtil = require('factom/src/addresses');
 const fctIdentityUtil = require('factom-identity-lib/src/validation');
 const BigNumber = require('bignumber.js');
 const util = require('../util');
+const {ValidationError, SignatureError} = require('../errors');
 /**
  * Build & Model A FAT-0 Transaction
  * @alias TransactionBuilder0
@@ -80,6 +81,7 @@ class TransactionBuilder {
             this._inputs = t._inputs;
             this._outputs = t._outputs;
             this._timestamp = t._timestamp;
+            this._content = t._content;
             if ( t._metadata !== undefined ) {
                 this._metadata = t._metadata;
             }
@@ -88,38 +90,45 @@ class TransactionBuilder {
             let tokenChainId = t;
 
             if (!tokenChainId || tokenChainId.length !== 64) {
-                throw new Error('Token chain ID must be a valid Factom chain ID');
+                throw new ValidationError('Token chain ID must be a valid Factom chain ID', 'tokenChainId');
             }
             this._tokenChainId = tokenChainId;
 
             this._keys = [];
             this._inputs = {};
+            this._signerInputs = []; //{signer, amount, position} inputs whose address is only known once buildAsync resolves the signer's public key
             this._outputs = {};
         } else {
-            throw new Error('Constructor expects either a previously assembled unsigned Transaction or a string containing the token chain id.');
+            throw new ValidationError('Constructor expects either a previously assembled unsigned Transaction or a string containing the token chain id.', 'tokenChainId');
         }
     }
 
     /**
      * Set up a Factoid address input for the transaction
      * @method
-     * @param {string} fs - The private Factoid address to use as the input of the transaction OR raw public key if supplying external signatures
-     * @param {(number|string|BigNumber)} amount - The integer amount of token units to send. Native JS Numbers (e.x. 123), strings (e.x. "123"), and BigNumbers(e.x. new BigNumber("9999999999999999") are allowed as long as they represent integers
+     * @param {(string|Signer)} fs - The private Factoid address to use as the input of the transaction OR raw public key if supplying external signatures OR a Signer holding the input address key (build using buildAsync)
+     * @param {(number|string|BigNumber)} amount - The integer amount of token units to send. Native JS Numbers (e.x. 123), strings (e.x. "123"), and BigNumbers(e.x. new BigNumber("9999999999999999") are allowed as long as they represent integers. A display amount (e.x. "1.5") if precision was set
      * @returns {TransactionBuilder}
      */
     input(fs, amount) {
 
         if ( this._signatures !== undefined ) {
-            throw new Error("Attempting to add new input to a previously assembled transaction, expecting signatures only")
+            throw new ValidationError("Attempting to add new input to a previously assembled transaction, expecting signatures only", 'inputs')
         }
         //if this is setup as coinbase, prevent additional inputs
-        if (Object.keys(this._inputs).find(address => address === constant.COINBASE_ADDRESS_PUBLIC)) throw new Error('Cannot add an additional input to a coinbase transaction');
+        if (Object.keys(this._inputs).find(address => address === constant.COINBASE_ADDRESS_PUBLIC)) throw new ValidationError('Cannot add an additional input to a coinbase transaction', 'inputs');
+
+        if (util.isSigner(fs)) { //the input address is only known once the signer's public key is resolved in buildAsync
+            amount = toAmount(this, amount);
+
+            this._signerInputs.push({signer: fs, amount, position: Object.keys(this._inputs).length + this._signerInputs.length});
+            return this;
+        }
 
         //if it isn't a private address and instead a public address then, the fs should be a public key      
         if (fctAddressUtil.isValidPrivateAddress(fs)) { //first check to see if valid private address
 
-            amount = new BigNumber(amount);
-            if (!amount.isInteger() || amount.isLessThan(0)) throw new Error("Input amount must be a positive nonzero integer");
+            amount = toAmount(this, amount);
 
             this._keys.push(nacl.keyPair.fromSeed(fctAddressUtil.addressToKey(fs)));
             this._inputs[fctAddressUtil.getPublicAddress(fs)] = amount;
@@ -129,11 +138,10 @@ class TransactionBuilder {
             // at this point the fs is should be the fa if we get this far
             let fa = fs;
             if ( !fctAddressUtil.isValidPublicFctAddress(fa) ) { //check to see if user passed in a public fct address
-                throw new Error("Input address must be either a valid private Factoid address or a Factoid public address");
+                throw new ValidationError("Input address must be either a valid private Factoid address or a Factoid public address", 'inputs');
             }
 
-            amount = new BigNumber(amount);
-            if (!amount.isInteger() || amount.isLessThan(0)) throw new Error("Input amount must be a positive nonzero integer");
+            amount = toAmount(this, amount);
 
             this._keys.push({pubaddr: fa, publicKey:undefined});
             this._inputs[fa] = amount;
@@ -144,12 +152,14 @@ class TransactionBuilder {
     /**
      * Set up a coinbase input for the transaction, which mints tokens
      * @method
-     * @param {(number|string|BigNumber)} amount - The integer amount of token units to send. Native JS Numbers (e.x. 123), strings (e.x. '123'), and BigNumbers(e.x. new BigNumber("9999999999999999") are allowed as long as they represent integers
+     * @param {(number|string|BigNumber)} amount - The integer amount of token units to send. Native JS Numbers (e.x. 123), strings (e.x. '123'), and BigNumbers(e.x. new BigNumber("9999999999999999") are allowed as long as they represent integers. A display amount (e.x. '1.5') if precision was set
+     * @param {Signer} [signer] - Optional Signer holding the issuing identity's key, in place of sk1 (build using buildAsync)
      * @returns {TransactionBuilder}
      */
-    coinbaseInput(amount) {
-        if (this._inputs.length > 0) throw new Error('Coinbase transactions may only have a single input');
+    coinbaseInput(amount, signer) {
+        if (this._inputs.length > 0) throw new ValidationError('Coinbase transactions may only have a single input', 'inputs');
         this.input(constant.COINBASE_ADDRESS_PRIVATE, amount);
+        if (signer !== undefined) this.sk1(signer);
         return this;
     }
 
@@ -157,28 +167,25 @@ class TransactionBuilder {
      * Set up a Factoid address output for the transaction
      * @method
      * @param {string} fa - The public Factoid address destination of the output
-     * @param {(number|string|BigNumber)} amount - The integer amount of token units to receive at the destination address. Native JS Numbers (e.x. 123), strings (e.x. "123"), and BigNumbers(e.x. new BigNumber("9999999999999999") are allowed as long as they represent integers
+     * @param {(number|string|BigNumber)} amount - The integer amount of token units to receive at the destination address. Native JS Numbers (e.x. 123), strings (e.x. "123"), and BigNumbers(e.x. new BigNumber("9999999999999999") are allowed as long as they represent integers. A display amount (e.x. "1.5") if precision was set
      * @returns {TransactionBuilder}
      */
     output(fa, amount) {
 
         if ( this._signatures !== undefined ) {
-            throw new Error("Attempting to add new output to previously assembled transaction, expecting signatures only")
+            throw new ValidationError("Attempting to add new output to previously assembled transaction, expecting signatures only", 'outputs')
         }
 
-        if (!fctAddressUtil.isValidPublicFctAddress(fa)) throw new Error("Output address must be a valid public Factoid address");
-
-        amount = new BigNumber(amount);
-        if (!amount.isInteger() || amount.isLessThan(0)) throw new Error("Input amount must be a positive nonzero integer");
+        if (!fctAddressUtil.isValidPublicFctAddress(fa)) throw new ValidationError("Output address must be a valid public Factoid address", 'outputs');
 
-        this._outputs[fa] = amount;
+        this._outputs[fa] = toAmount(this, amount);
         return this;
     }
 
     /**
      * Set up a burn output for the transaction, which will destroy tokens
      * @method
-     * @param {(number|string|BigNumber)} amount - The integer amount of token units to receive at the destination address. Native JS Numbers (e.x. 123), strings (e.x. "123"), and BigNumbers(e.x. new BigNumber("9999999999999999") are allowed as long as they represent integers
+     * @param {(number|string|BigNumber)} amount - The integer amount of token units to receive at the destination address. Native JS Numbers (e.x. 123), strings (e.x. "123"), and BigNumbers(e.x. new BigNumber("9999999999999999") are allowed as long as they represent integers. A display amount (e.x. "1.5") if precision was set
      * @returns {TransactionBuilder}
      */
     burnOutput(amount) {
@@ -189,11 +196,11 @@ class TransactionBuilder {
     /**
      * Set the SK1 private key of the token's issuing identity. Required for coinbase transactions
      * @method
-     * @param {string} sk1 - The SK1 private key string of the issuing identity
+     * @param {(string|Signer)} sk1 - The SK1 private key string of the issuing identity, or a Signer holding its key (build using buildAsync)
      * @returns {TransactionBuilder}
      */
     sk1(sk1) {
-        if (!fctIdentityUtil.isValidSk1(sk1)) throw new Error("You must include a valid SK1 Key to sign a coinbase transaction");
+        if (!fctIdentityUtil.isValidSk1(sk1) && !util.isSigner(sk1)) throw new ValidationError("You must include a valid SK1 Key to sign a coinbase transaction", 'sk1');
         this._sk1 = sk1;
         return this;
     }
@@ -206,7 +213,7 @@ class TransactionBuilder {
      */
     id1(id1) {
         if ( this._signatures !== undefined ) {
-            throw new Error("Attempting to add new ID1 key while expecting coinbase signature only.  Use id1Signature.")
+            throw new ValidationError("Attempting to add new ID1 key while expecting coinbase signature only.  Use id1Signature.", 'id1')
         }
 
         this._id1 = util.extractIdentityPublicKey(id1);
@@ -222,10 +229,10 @@ class TransactionBuilder {
      */
     id1Signature(id1, signature) {
         if ( this._id1 === undefined ) {
-            throw new Error("Attempting to pass a signature for invalid coinbase transaction.")
+            throw new SignatureError("Attempting to pass a signature for invalid coinbase transaction.", 0)
         }
         if (!this._id1.equals(Buffer.from(id1, 'hex'))) {
-            throw new Error("ID1 Key is not equal coinbase ID1 Key requiring a signature");
+            throw new SignatureError("ID1 Key is not equal coinbase ID1 Key requiring a signature", 0);
         }
 
         this._signatures = [signature];
@@ -240,17 +247,46 @@ class TransactionBuilder {
      */
     metadata(metadata) {
         if ( this._signatures !== undefined ) {
-            throw new Error("Attempting to add new metadata to previously assembled transaction, expecting signatures only")
+            throw new ValidationError("Attempting to add new metadata to previously assembled transaction, expecting signatures only", 'metadata')
         }
         try {
             JSON.stringify(metadata)
         } catch (e) {
-            throw new Error("Transaction metadata bust be a valid JSON object or primitive");
+            throw new ValidationError("Transaction metadata bust be a valid JSON object or primitive", 'metadata');
         }
         this._metadata = metadata;
         return this;
     }
 
+    /**
+     * Set the decimal precision of the token so input & output amounts are given in display units (e.x. 1.5) instead of integer base units.
+     * Must be set before adding inputs or outputs. Amounts with more decimal places than the precision are rejected, as are amounts followed by a symbol other than the token's
+     * @method
+     * @param {number} [precision] - The decimal precision of the token, from Issuance.getPrecision(). Undefined is treated as 0
+     * @param {string} [symbol] - The token symbol, from Issuance.getSymbol(). Display amounts may be followed by it (e.x. "12.345 MYT")
+     * @returns {TransactionBuilder}
+     * @example
+     * const tx = new TransactionBuilder(issuance.getChainId()) // issuance.getPrecision() === 3
+     * .precision(issuance.getPrecision(), issuance.getSymbol())
+     * .input("Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ", "12.345")
+     * .output("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", "12.345")
+     * .build();
+     *
+     * tx.getInputs(); // => {FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM: BigNumber(12345)}
+     */
+    precision(precision, symbol) {
+        if ( this._signatures !== undefined ) {
+            throw new ValidationError("Attempting to set the precision of a previously assembled transaction, expecting signatures only", 'precision')
+        }
+        if (Object.keys(this._inputs).length > 0 || this._signerInputs.length > 0 || Object.keys(this._outputs).length > 0) throw new ValidationError('Precision must be set before adding inputs or outputs', 'precision');
+        if (precision !== undefined && (!Number.isInteger(precision) || precision < 0 || precision > 18)) throw new ValidationError("Precision must be an integer between 0 and 18", 'precision');
+        if (symbol !== undefined && typeof symbol !== 'string') throw new ValidationError("Symbol must be a string", 'symbol');
+
+        this._precision = precision || 0;
+        this._symbol = symbol;
+        return this;
+    }
+
     /**
      * Add a public key and signature to the transaction. This is used only in the case of externally signed transactions (useful for hardware wallets).
      * Public Key's /signatures need to be added in the same order as their corresponding inputs.
@@ -260,7 +296,7 @@ class TransactionBuilder {
      */
     pkSignature(publicKey, signature) {
         if ( this._id1 !== undefined ) {
-            throw new Error("Attempting to add a signature for a regular transaction to a coinbase transaction.")
+            throw new SignatureError("Attempting to add a signature for a regular transaction to a coinbase transaction.")
         }
         let pk = Buffer.from(publicKey, 'hex');
 
@@ -268,41 +304,174 @@ class TransactionBuilder {
 
         let index = Object.keys(this._inputs).findIndex( a => { return a === fa } );
 
-        if ( index !== undefined ) {
-            this._keys[index].publicKey = pk;
-            this._signatures[index] = signature
-        } else {
-            throw new Error("Public Key (" + pk.toString('hex') + ") for provided signature not found in input list." )
+        if ( index === -1 ) {
+            throw new SignatureError("Public Key (" + pk.toString('hex') + ") for provided signature not found in input list." )
         }
+
+        this._keys[index].publicKey = pk;
+        this._signatures[index] = signature;
         return this;
     }
 
+    /**
+     * Build the transaction while external signatures may still be missing, for multi-party signing. Every signer can add the signature for their own input
+     * and pass the result on with toPartial(), to be merged using Transaction.combinePartials
+     * @method
+     * @returns {Transaction} - The unsigned, partially or fully signed transaction
+     * @example
+     * const custodianTx = new TransactionBuilder(Transaction.fromPartial(json))
+     * .pkSignature(keyPair.publicKey, signature)
+     * .buildPartial();
+     *
+     * const custodianJson = JSON.stringify(custodianTx.toPartial());
+     */
+    buildPartial() {
+        if ( this._signatures === undefined ) return this.build();
+
+        const coinbase = Object.keys(this._inputs).find(address => address === constant.COINBASE_ADDRESS_PUBLIC) !== undefined;
+        return (require('./Transaction')).fromPartial({
+            version: constant.PARTIAL_TRANSACTION_VERSION,
+            type: constant.FAT0,
+            chainid: this._tokenChainId,
+            timestamp: this._timestamp,
+            content: this._content,
+            signers: Object.keys(this._inputs).map((address, i) => {
+                const signer = {address};
+                if ( coinbase ) {
+                    signer.id1 = util.createPublicIdentityAddr('id1', this._id1);
+                } else {
+                    const key = this._keys !== undefined ? this._keys[i] : undefined;
+                    signer.publickey = key !== undefined && key.publicKey !== undefined ? Buffer.from(key.publicKey).toString('hex') : null;
+                }
+                signer.signature = this._signatures[i] !== undefined ? Buffer.from(this._signatures[i]).toString('hex') : null;
+                return signer;
+            })
+        });
+    }
+
     /**
      * Build the transaction
      * @method
      * @returns {Transaction}
      */
     build() {
-        if (Object.keys(this._inputs).length === 0 || Object.keys(this._outputs).length === 0) throw new Error("Must have at least one input and one output");
+        if (hasSigners(this)) throw new ValidationError("Transactions using a Signer must be built using buildAsync()");
+        if (Object.keys(this._inputs).length === 0 || Object.keys(this._outputs).length === 0) throw new ValidationError("Must have at least one input and one output", 'inputs');
 
         const inputSum = Object.values(this._inputs).reduce((amount, sum) => amount.plus(sum), new BigNumber(0));
         const outputSum = Object.values(this._outputs).reduce((amount, sum) => amount.plus(sum), new BigNumber(0));
-        if (!inputSum.isEqualTo(outputSum)) throw new Error("Input and output amount sums must match (" + inputSum + " != " + outputSum + ")");
+        if (!inputSum.isEqualTo(outputSum)) throw new ValidationError("Input and output amount sums must match (" + inputSum + " != " + outputSum + ")", 'outputs');
 
         if (Object.keys(this._inputs).find(address => address === constant.COINBASE_ADDRESS_PUBLIC)) {
-            if (!this._sk1 && !this._id1) throw new Error('You must include a valid issuer sk1 key to perform a coinbase transaction')
+            if (!this._sk1 && !this._id1) throw new ValidationError('You must include a valid issuer sk1 key to perform a coinbase transaction', 'sk1')
         }
 
         if ( this._signatures !== undefined ) {
             for (let i = 0; i < this._signatures.length; ++i) {
                 if ( this._signatures[i] === undefined ) {
-                    throw new Error('Missing signatures: All inputs must have an associated signature')
+                    throw new SignatureError('Missing signatures: All inputs must have an associated signature', i)
                 }
             }
         }
 
         return new (require('./Transaction'))(this);
     }
+
+    /**
+     * Build the transaction, collecting the signatures of any Signers given in place of private keys. Inputs keep the order they were added in
+     * @method
+     * @async
+     * @returns {Promise<Transaction>} - The signed transaction
+     * @example
+     * const tx = await new TransactionBuilder(tokenChainId)
+     * .input(new MemorySigner("Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ"), 150)
+     * .output("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", 150)
+     * .buildAsync();
+     */
+    async buildAsync() {
+        if (!hasSigners(this)) return this.build();
+
+        //sign a resolved copy, so the builder itself can be built again
+        const resolved = await resolveSigners(this);
+        const unsigned = resolved.build();
+        const builder = new TransactionBuilder(unsigned);
+
+        if (resolved._coinbaseSigner !== undefined) {
+            builder.id1Signature(resolved._id1.toString('hex'), await util.signWithSigner(resolved._coinbaseSigner, unsigned.getMarshalDataSig(0)));
+        } else {
+            for (const [i, key] of resolved._keys.entries()) {
+                if (key.signer !== undefined) builder.pkSignature(key.publicKey, await util.signWithSigner(key.signer, unsigned.getMarshalDataSig(i)));
+            }
+        }
+
+        const tx = builder.build();
+        tx.validateSignatures();
+        return tx;
+    }
+}
+
+
+/**
+ * Copy a builder, resolving the input addresses & public keys of its Signers. Inputs keep the order they were added in
+ * @method
+ * @private
+ * @param builder {TransactionBuilder} - The builder to resolve
+ * @returns {Promise<TransactionBuilder>} - The resolved copy. Holds the coinbase Signer in _coinbaseSigner, if any
+ */
+async function resolveSigners(builder) {
+    const resolved = Object.assign(Object.create(TransactionBuilder.prototype), builder, {_inputs: {}, _keys: [], _signerInputs: []});
+
+    const addresses = Object.keys(builder._inputs);
+    const count = addresses.length + builder._signerInputs.length;
+    for (let position = 0, next = 0; position < count; position++) {
+        const signerInput = builder._signerInputs.find(input => input.position === position);
+        if (signerInput === undefined) {
+            resolved._inputs[addresses[next]] = builder._inputs[addresses[next]];
+            resolved._keys.push(builder._keys[next]);
+            next++;
+            continue;
+        }
+
+        const publicKey = await util.getSignerPublicKey(signerInput.signer);
+        const address = fctAddressUtil.keyToPublicFctAddress(publicKey);
+        if (resolved._inputs[address] !== undefined || builder._inputs[address] !== undefined) throw new ValidationError("Signer address " + address + " already occurs in inputs", 'inputs');
+        resolved._inputs[address] = signerInput.amount;
+        resolved._keys.push({signer: signerInput.signer, pubaddr: address, publicKey});
+    }
+
+    if (util.isSigner(builder._sk1)) {
+        resolved._coinbaseSigner = builder._sk1;
+        resolved._sk1 = undefined;
+        resolved._id1 = await util.getSignerPublicKey(builder._sk1);
+    }
+    return resolved;
+}
+
+/**
+ * Check whether any input or the coinbase signing key of a builder is a Signer that has not been resolved yet
+ * @method
+ * @private
+ * @param builder {TransactionBuilder} - The builder to check
+ * @returns {boolean}
+ */
+function hasSigners(builder) {
+    return util.isSigner(builder._sk1) || (builder._signerInputs !== undefined && builder._signerInputs.length > 0);
+}
+
+/**
+ * Parse an input or output amount of a builder into integer base units, converting display amounts if the builder has a precision
+ * @method
+ * @private
+ * @param builder {TransactionBuilder} - The builder the amount is for
+ * @param amount {(number|string|BigNumber)} - The amount
+ * @returns {BigNumber}
+ */
+function toAmount(builder, amount) {
+    if (builder._precision !== undefined) return util.toBaseUnits(amount, builder._precision, builder._symbol);
+
+    amount = new BigNumber(amount);
+    if (!amount.isInteger() || amount.isLessThan(0)) throw new ValidationError("Amount must be a non-negative integer", 'amount');
+    return amount;
 }
 
 
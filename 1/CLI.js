@@ -1,9 +1,12 @@
 const constant = require('../constant');
+const util = require('../util');
 const fctAddressUtil = require('factom/src/addresses');
 const Joi = require('joi-browser').extend(require('joi-factom'));
 const Transaction = require('./Transaction');
 const Issuance = require('./Issuance');
 const BaseTokenCLI = require('../cli/CLI').BaseTokenCLI;
+const {paginate, splitIterationParams} = require('../cli/paginate');
+const {ValidationError, InvalidResponseError} = require('../errors');
 
 const getNFBalanceSchema = Joi.object().keys({
     address: Joi.factom().factoidAddress('public').required(),
@@ -95,8 +98,8 @@ class CLI extends BaseTokenCLI {
      */
     getNFBalance(params) {
         const validation = Joi.validate(params, getNFBalanceSchema);
-        if (validation.error) throw new Error('Params validation error - ' + validation.error.details[0].message);
-        if (!fctAddressUtil.isValidPublicFctAddress(params.address)) throw new Error("You must include a valid public Factoid address");
+        if (validation.error) throw new ValidationError('Params validation error - ' + validation.error.details[0].message, validation.error.details[0].path.join('.'));
+        if (!fctAddressUtil.isValidPublicFctAddress(params.address)) throw new ValidationError("You must include a valid public Factoid address", 'address');
         return this._cli.call('get-nf-balance', generateTokenCLIParams(this, params));
     }
 
@@ -111,10 +114,64 @@ class CLI extends BaseTokenCLI {
      */
     getNFTokens(params) {
         const validation = Joi.validate(params, getNFTokensSchema);
-        if (validation.error) throw new Error('Params validation error - ' + validation.error.details[0].message);
+        if (validation.error) throw new ValidationError('Params validation error - ' + validation.error.details[0].message, validation.error.details[0].path.join('.'));
         return this._cli.call('get-nf-tokens', generateTokenCLIParams(this, params));
     }
 
+    /**
+     * Iterate over the non-fungible token IDs belonging to a public Factoid address, fetching pages lazily as the iterator is consumed
+     * @method
+     * @param {object} params - Iteration parameters
+     * @param {string} params.address - The public Factoid address to iterate the tokens of
+     * @param {string} [params.order=asc] - The sort order of token IDs. Must be either "asc" or "desc"
+     * @param {number} [params.pageSize=25] - The number of token IDs fetched per request
+     * @param {number} [params.max] - The maximum number of token IDs to yield
+     * @param {number} [params.page=0] - The page to start iterating at
+     * @returns {AsyncIterator} - Yields integer token IDs
+     * @example
+     * for await (const id of tokenCLI.iterateNFBalance({address: 'FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM'})) {
+     *     console.log(id); // => 0
+     * }
+     */
+    iterateNFBalance(params) {
+        const {query, options} = splitIterationParams(params);
+        const validation = Joi.validate(query, getNFBalanceSchema);
+        if (validation.error) throw new ValidationError('Params validation error - ' + validation.error.details[0].message, validation.error.details[0].path.join('.'));
+
+        return paginate(async (page, limit) => {
+            const balance = await this.getNFBalance(Object.assign({}, query, {page, limit}));
+            //never expand more token IDs than were asked for
+            const size = util.countNFIds(balance);
+            if (size > limit) throw new InvalidResponseError('fatd returned ' + size + ' token IDs for a page of ' + limit, {method: 'get-nf-balance'});
+            return {items: util.expandNFIds(balance), size};
+        }, options);
+    }
+
+    /**
+     * Iterate over all the currently issued non-fungible tokens on this FAT-1 token, fetching pages lazily as the iterator is consumed
+     * @method
+     * @param {object} [params] - Iteration parameters
+     * @param {string} [params.order=asc] - The sort order of tokens. Must be either "asc" or "desc"
+     * @param {number} [params.pageSize=25] - The number of tokens fetched per request
+     * @param {number} [params.max] - The maximum number of tokens to yield
+     * @param {number} [params.page=0] - The page to start iterating at
+     * @returns {AsyncIterator} - Yields the token objects returned by fatd
+     * @example
+     * for await (const token of tokenCLI.iterateNFTokens({pageSize: 100})) {
+     *     console.log(token.id, token.owner);
+     * }
+     */
+    iterateNFTokens(params) {
+        const {query, options} = splitIterationParams(params);
+        const validation = Joi.validate(query, getNFTokensSchema);
+        if (validation.error) throw new ValidationError('Params validation error - ' + validation.error.details[0].message, validation.error.details[0].path.join('.'));
+
+        return paginate(async (page, limit) => {
+            const items = await this.getNFTokens(Object.assign({}, query, {page, limit}));
+            return {items, size: items.length};
+        }, options);
+    }
+
     /**
      * Get the type constant string of this CLI object. For example, "FAT-1"
      * @method
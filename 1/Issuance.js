@@ -1,6 +1,7 @@
 const nacl = require('tweetnacl/nacl-fast').sign;
 const {Entry, Chain} = require('factom');
 const util = require('../util');
+const {ValidationError, SignatureError} = require('../errors');
 const constant = require('../constant');
 const fctIdentityCrypto = require('factom-identity-lib/src/crypto');
 const fctUtil = require('factom/src/util');
@@ -19,9 +20,11 @@ class Issuance {
 
     /**
      * @constructor
-     * @param {(IssuanceBuilder | Object)} builder - The IssuanceBuilder or object to construct the issuance from
+     * @param {(IssuanceBuilder|Entry|Object)} builder - The IssuanceBuilder, signed factom-js issuance Entry or object to construct the issuance from
+     * @param {string} [tokenId] - The token ID of the issuance, when constructing from an Entry
+     * @param {string} [issuerChainId] - The Factom chain ID of the issuer's identity, when constructing from an Entry
      */
-    constructor(builder) {
+    constructor(builder, tokenId, issuerChainId) {
 
         if (builder instanceof IssuanceBuilder) {
             this._type = builder._type;
@@ -42,19 +45,57 @@ class Issuance {
             //handle issuance signing
             this._tokenChainId = util.getTokenChainId(builder._tokenId, builder._rootChainId);
 
-            const index = Buffer.from('0');
-            const timestamp = Buffer.from(Math.round(new Date().getTime() / 1000).toString());
-            const chainId = Buffer.from(this._tokenChainId, 'hex');
-            const content = Buffer.from(this._content);
+            this._timestamp = builder._timestamp !== undefined ? builder._timestamp : Math.round(new Date().getTime() / 1000);
 
-            const key = nacl.keyPair.fromSeed(fctIdentityCrypto.extractSecretFromIdentityKey(builder._sk1));
+            const timestamp = Buffer.from(this._timestamp.toString());
 
-            const rcd = Buffer.concat([constant.RCD_TYPE_1, Buffer.from(key.publicKey)]);
+            if (builder._signature !== undefined) { //signed by a Signer in IssuanceBuilder.buildAsync or externally using id1Signature
+                this._extIds = [timestamp, Buffer.concat([constant.RCD_TYPE_1, builder._publicKey]), builder._signature];
+            } else if (builder._id1 !== undefined) { //awaiting an external signature on a second pass
+                this._id1 = builder._id1;
+                this._extIds = [timestamp];
+            } else if (util.isSigner(builder._sk1)) { //awaiting the signature of a Signer
+                this._extIds = [timestamp];
+            } else {
+                const index = Buffer.from('0');
+                const chainId = Buffer.from(this._tokenChainId, 'hex');
+                const content = Buffer.from(this._content);
 
-            const signature = nacl.detached(fctUtil.sha512(Buffer.concat([index, timestamp, chainId, content])), key.secretKey);
+                const key = nacl.keyPair.fromSeed(fctIdentityCrypto.extractSecretFromIdentityKey(builder._sk1));
 
-            this._extIds = [timestamp, rcd, signature];
+                const rcd = Buffer.concat([constant.RCD_TYPE_1, Buffer.from(key.publicKey)]);
 
+                const signature = nacl.detached(fctUtil.sha512(Buffer.concat([index, timestamp, chainId, content])), key.secretKey);
+
+                this._extIds = [timestamp, rcd, signature];
+            }
+
+        } else if (util.isEntry(builder)) { //from a signed Factom entry
+            const signed = util.parseSignedEntry(builder);
+            if (signed.rcds.length !== 1) throw new SignatureError("Issuance entry must be signed by exactly one identity key");
+
+            const content = JSONBig.parse(signed.content);
+            if (typeof content !== 'object' || content === null) throw new ValidationError("Issuance entry content must be a JSON object", 'content');
+            if (content.type !== constant.FAT1) throw new ValidationError("Issuance entry is not a FAT-1 issuance: " + content.type, 'type');
+
+            this._type = content.type;
+            this._symbol = content.symbol;
+            this._supply = new BigNumber(content.supply);
+            this._metadata = content.metadata;
+
+            if (tokenId !== undefined || issuerChainId !== undefined) {
+                if (typeof tokenId !== 'string' || typeof issuerChainId !== 'string' || util.getTokenChainId(tokenId, issuerChainId) !== builder.chainIdHex) {
+                    throw new ValidationError("Issuance entry does not belong to the token chain of token ID " + tokenId + " and issuer " + issuerChainId, 'chainid');
+                }
+                this._tokenId = tokenId;
+                this._rootChainId = issuerChainId;
+            }
+
+            this._tokenChainId = builder.chainIdHex;
+            this._content = signed.content;
+            this._timestamp = signed.timestamp;
+            this._extIds = builder.extIds.slice();
+            this._entryhash = builder.hashHex();
         } else if (typeof builder === 'object') {
             this._type = builder.issuance.type;
             this._symbol = builder.issuance.symbol;
@@ -71,6 +112,46 @@ class Issuance {
         Object.freeze(this);
     }
 
+    /**
+     * Parse a signed FAT-1 issuance from its raw Factom entry, including the timestamp, RCD & signature ExtIDs
+     * @method
+     * @static
+     * @param {Entry} entry - The factom-js Entry object of the issuance
+     * @param {string} [tokenId] - The token ID of the issuance. The issuance's getTokenId, getIssuerChainId & getChain require it
+     * @param {string} [issuerChainId] - The Factom chain ID of the issuer's identity
+     * @returns {Issuance} - The issuance
+     * @example
+     * const entry = await factomCli.getEntry('fc0f57ea3a4dc5b8ffc1a9c051f4b6ae0cd7137f9110b98e3c3eb08f132a5e18');
+     *
+     * const issuance = Issuance.fromEntry(entry, 'test', '888888ab72e748840d82c39213c969a11ca6cb026f1d3da39fd82b95b3c1fced');
+     * issuance.validateSignature(['id12HQxrj9A4ESYVWqKDx7UC1gJfXpUJDVWt6wHem4fjyNyUKVUx2']); // => true
+     */
+    static fromEntry(entry, tokenId, issuerChainId) {
+        if (!util.isEntry(entry)) throw new ValidationError('Argument must be a factom-js Entry object', 'entry');
+        return new Issuance(entry, tokenId, issuerChainId);
+    }
+
+    /**
+     * Validate the issuance signature, and that it was made by one of the issuing identity's keys. Only available for issuances built locally or parsed using fromEntry,
+     * issuances from fatd responses carry no signature data
+     * @method
+     * @param {string[]} [identityKeys] - The ID1 public keys of the issuing identity. If omitted only the validity of the signature for its RCD is checked
+     * @returns {boolean} - returns true if the signature is valid, throws error otherwise
+     */
+    validateSignature(identityKeys) {
+        if (this._extIds === undefined || this._extIds.length < 3) throw new SignatureError('Issuance has no signature to validate. Parse issuances using fromEntry to validate them');
+
+        const rcd = Buffer.from(this._extIds[1]);
+        const signature = Buffer.from(this._extIds[2]);
+        if (rcd.length !== 33 || rcd[0] !== constant.RCD_TYPE_1[0]) throw new SignatureError('Invalid issuance RCD');
+        if (signature.length !== 64 || !nacl.detached.verify(fctUtil.sha512(this.getMarshalDataSig()), signature, rcd.slice(1))) throw new SignatureError('Invalid issuance signature');
+
+        if (identityKeys !== undefined && !identityKeys.some(key => util.extractIdentityPublicKey(key).equals(rcd.slice(1)))) {
+            throw new SignatureError('Issuance was not signed by a key of the issuing identity');
+        }
+        return true;
+    }
+
     /**
      * Get the Factom Chain ID for this token issuance
      * @method
@@ -152,6 +233,16 @@ class Issuance {
         return this._metadata;
     }
 
+    /**
+     * Get the assembled ("marshalled") data that needs to be signed for the issuance. Used to externally sign an issuance built using an ID1 key
+     * @method
+     * @returns {Buffer} - Get the marshalled data that needs to be hashed then signed
+     */
+    getMarshalDataSig() {
+        if (this._content === undefined) throw new ValidationError('Can only get the data to sign of an issuance built using IssuanceBuilder or parsed from an entry');
+        return Buffer.concat([Buffer.from('0'), Buffer.from(this._timestamp.toString()), Buffer.from(this._tokenChainId, 'hex'), Buffer.from(this._content)]);
+    }
+
     /**
      * Get the Chain object representing the the token chain, including the first entry (chain establishment entry)
      * Can be submitted directly to Factom using factom-js. After the chain is established the signed issuance entry
@@ -171,7 +262,7 @@ class Issuance {
 
     /**
      * Get the Entry object representing the initialization entry (token establishment entry)
-     * Can be submitted directly to Factom
+     * Can be submitted directly to Factom, or together with the token chain using IssuanceDeployer. Throws a SignatureError if the issuance is not signed yet
      * @method
      * @see https://github.com/PaulBernier/factomjs/blob/master/src/entry.js
      * @returns {Entry} - The complete entry establishing the token's issuance
@@ -195,12 +286,37 @@ class Issuance {
      await cli.add(entry, "Es32PjobTxPTd73dohEFRegMFRLv3X5WZ4FXEwNN8kE2pMDfeMym"); //commit the signed issuance entry to the token chain
      */
     getEntry() {
+        if (this._extIds === undefined || this._extIds.length < 3) throw new SignatureError('Issuance is not signed. Add the signature of the issuing identity using IssuanceBuilder.id1Signature or buildAsync before submitting it');
+
         return Entry.builder()
             .chainId(this._tokenChainId)
             .extIds(this._extIds, 'utf8')
             .content(this._content, 'utf8')
             .build();
     }
+
+    /**
+     * Estimate the Entry Credit cost of deploying the issuance to Factom: creating the token chain with its first entry (see getChain) and submitting the signed issuance entry.
+     * Issuances awaiting a signature are priced as signed
+     * @method
+     * @param {object} [options] - The estimate options
+     * @param {boolean} [options.includeChain=true] - Include the cost of creating the token chain. Set to false when the chain already exists
+     * @returns {number} - The EC cost
+     * @example
+     * issuance.estimateEntryCredits(); // => 12
+     *
+     * issuance.estimateEntryCredits({includeChain: false}); // => 1
+     */
+    estimateEntryCredits(options) {
+        options = options || {};
+        if (this._content === undefined) throw new ValidationError('Can only estimate the cost of an issuance built using IssuanceBuilder or parsed from an entry');
+
+        const entryCost = util.getEntryCreditCost(2 + Buffer.byteLength(this._timestamp.toString()) + constant.SIGNED_INPUT_EXTIDS_SIZE + Buffer.byteLength(this._content));
+        if (options.includeChain === false) return entryCost;
+
+        if (this._tokenId === undefined) throw new ValidationError('Estimating the token chain cost requires the token ID & issuer chain ID. Pass them when parsing the issuance entry, or use {includeChain: false}', 'tokenId');
+        return constant.CHAIN_CREATION_COST + util.getEntryCreditCost(this.getChain().firstEntry.payloadSize()) + entryCost;
+    }
 }
 
-module.exports = Issuance;
\ No newline at end of file
+module.exports = Issuance;
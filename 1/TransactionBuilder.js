@@ -1,4 +1,5 @@
 const util = require('../util');
+const {ValidationError, SignatureError} = require('../errors');
 const constant = require('../constant');
 const nacl = require('tweetnacl/nacl-fast').sign;
 const fctAddressUtil = require('factom/src/addresses');
@@ -91,6 +92,7 @@ class TransactionBuilder {
             this._inputs = t._inputs;
             this._outputs = t._outputs;
             this._timestamp = t._timestamp;
+            this._content = t._content;
             if ( t._metadata !== undefined ) {
                 this._metadata = t._metadata;
             }
@@ -99,41 +101,47 @@ class TransactionBuilder {
             }
         } else if (typeof t === 'string' || t instanceof String) {
             let tokenChainId = t;
-            if (!tokenChainId || tokenChainId.length !== 64) throw new Error('Token chain ID must be a valid Factom chain ID');
+            if (!tokenChainId || tokenChainId.length !== 64) throw new ValidationError('Token chain ID must be a valid Factom chain ID', 'tokenChainId');
             this._tokenChainId = tokenChainId;
 
             this._keys = [];
             this._inputs = {};
+            this._signerInputs = []; //{signer, ids, position} inputs whose address is only known once buildAsync resolves the signer's public key
             this._outputs = {};
         }
         else{
-            throw new Error('Constructor expects either a previously assembled unsigned Transaction or a string containing the token chain id.');
+            throw new ValidationError('Constructor expects either a previously assembled unsigned Transaction or a string containing the token chain id.', 'tokenChainId');
         }
     }
 
     /**
      * Set up a Factoid address input for the transaction
      * @method
-     * @param {string} fs - The private Factoid address to use as the input of the transaction OR raw public key if supplying external signatures
+     * @param {(string|Signer)} fs - The private Factoid address to use as the input of the transaction OR raw public key if supplying external signatures OR a Signer holding the input address key (build using buildAsync)
      * @param {object[]} ids - The token ID ranges to send in the transaction
      * @returns {TransactionBuilder}
      */
     input(fs, ids) {
 
         if ( this._signatures !== undefined ) {
-            throw new Error("Attempting to add new input, expecting signatures only")
+            throw new ValidationError("Attempting to add new input, expecting signatures only", 'inputs')
         }
 
         //if this is setup as coinbase, prevent additional inputs
-        if (Object.keys(this._inputs).find(address => address === constant.COINBASE_ADDRESS_PUBLIC)) throw new Error('Cannot add an additional input to a coinbase transaction');
+        if (Object.keys(this._inputs).find(address => address === constant.COINBASE_ADDRESS_PUBLIC)) throw new ValidationError('Cannot add an additional input to a coinbase transaction', 'inputs');
 
-        if (!util.validateNFIds(ids)) throw new Error("Invalid ID range: " + JSON.stringify(ids));
+        if (!util.validateNFIds(ids)) throw new ValidationError("Invalid ID range: " + JSON.stringify(ids), 'inputs');
+
+        if (util.isSigner(fs)) { //the input address is only known once the signer's public key is resolved in buildAsync
+            this._signerInputs.push({signer: fs, ids, position: Object.keys(this._inputs).length + this._signerInputs.length});
+            return this;
+        }
 
         //if it isn't a private address and instead a public address then, the fs should be a public key      
         if (fctAddressUtil.isValidPrivateAddress(fs)) { //first check to see if valid private address
 
             //check that outputs does not contain this address
-            if (this._outputs[fctAddressUtil.getPublicAddress(fs)]) throw new Error("Input address already occurs in outputs");
+            if (this._outputs[fctAddressUtil.getPublicAddress(fs)]) throw new ValidationError("Input address already occurs in outputs", 'inputs');
 
             this._keys.push(nacl.keyPair.fromSeed(fctAddressUtil.addressToKey(fs)));
             this._inputs[fctAddressUtil.getPublicAddress(fs)] = ids;
@@ -143,11 +151,11 @@ class TransactionBuilder {
             // at this point the fs is should be the fa if we get this far
             let fa = fs;
             if ( !fctAddressUtil.isValidPublicFctAddress(fa) ) { //check to see if user passed in a public fct address
-                throw new Error("Input address must be either a valid private Factoid address or a Factoid public address");
+                throw new ValidationError("Input address must be either a valid private Factoid address or a Factoid public address", 'inputs');
             }
 
             //check that outputs does not contain this address
-            if (this._outputs[fa]) throw new Error("Input address already occurs in outputs");
+            if (this._outputs[fa]) throw new ValidationError("Input address already occurs in outputs", 'inputs');
 
             this._keys.push({pubaddr: fa, publicKey:undefined});
             this._inputs[fa] = ids;
@@ -159,12 +167,14 @@ class TransactionBuilder {
      * Set up a coinbase input for the transaction, which mints tokens
      * @method
      * @param {object[]} ids - The token ID ranges to mint in the transaction
+     * @param {Signer} [signer] - Optional Signer holding the issuing identity's key, in place of sk1 (build using buildAsync)
      * @returns {TransactionBuilder}
      */
-    coinbaseInput(ids) {
-        if (this._inputs.length > 0) throw new Error('Coinbase transactions may only have a single input');
+    coinbaseInput(ids, signer) {
+        if (this._inputs.length > 0) throw new ValidationError('Coinbase transactions may only have a single input', 'inputs');
 
         this.input(constant.COINBASE_ADDRESS_PRIVATE, ids);
+        if (signer !== undefined) this.sk1(signer);
         return this;
     }
 
@@ -177,13 +187,13 @@ class TransactionBuilder {
      */
     output(fa, ids) {
         if ( this._signatures !== undefined ) {
-            throw new Error("Attempting to add new output, expecting signatures only")
+            throw new ValidationError("Attempting to add new output, expecting signatures only", 'outputs')
         }
-        if (!fctAddressUtil.isValidPublicFctAddress(fa)) throw new Error("Output address must be a valid public Factoid address");
-        if (!util.validateNFIds(ids)) throw new Error("Invalid ID range: " + JSON.stringify(ids));
+        if (!fctAddressUtil.isValidPublicFctAddress(fa)) throw new ValidationError("Output address must be a valid public Factoid address", 'outputs');
+        if (!util.validateNFIds(ids)) throw new ValidationError("Invalid ID range: " + JSON.stringify(ids), 'outputs');
 
         //check that inputs does not contain this address
-        if (this._inputs[fa]) throw new Error("Output address already occurs in inputs");
+        if (this._inputs[fa]) throw new ValidationError("Output address already occurs in inputs", 'outputs');
 
         this._outputs[fa] = ids;
         return this;
@@ -196,7 +206,7 @@ class TransactionBuilder {
      * @returns {TransactionBuilder}
      */
     burnOutput(ids) {
-        if (Object.keys(this._outputs).find(address => address === constant.COINBASE_ADDRESS_PUBLIC)) throw new Error('Cannot add a duplicate burn output to a burn transaction');
+        if (Object.keys(this._outputs).find(address => address === constant.COINBASE_ADDRESS_PUBLIC)) throw new ValidationError('Cannot add a duplicate burn output to a burn transaction', 'outputs');
         this.output(constant.COINBASE_ADDRESS_PUBLIC, ids);
         return this;
     }
@@ -204,11 +214,11 @@ class TransactionBuilder {
     /**
      * Set the SK1 private key of the token's issuing identity. Required for coinbase transactions
      * @method
-     * @param {string} sk1 - The SK1 private key string of the issuing identity
+     * @param {(string|Signer)} sk1 - The SK1 private key string of the issuing identity, or a Signer holding its key (build using buildAsync)
      * @returns {TransactionBuilder}
      */
     sk1(sk1) {
-        if (!fctIdentityUtil.isValidSk1(sk1)) throw new Error("You must include a valid SK1 Key to sign a coinbase transaction");
+        if (!fctIdentityUtil.isValidSk1(sk1) && !util.isSigner(sk1)) throw new ValidationError("You must include a valid SK1 Key to sign a coinbase transaction", 'sk1');
         this._sk1 = sk1;
         return this;
     }
@@ -221,7 +231,7 @@ class TransactionBuilder {
      */
     id1(id1) {
         if ( this._signatures !== undefined ) {
-            throw new Error("Attempting to add new ID1 key while expecting coinbase signature only.  Use id1Signature.")
+            throw new ValidationError("Attempting to add new ID1 key while expecting coinbase signature only.  Use id1Signature.", 'id1')
         }
 
         this._id1 = util.extractIdentityPublicKey(id1);
@@ -237,10 +247,10 @@ class TransactionBuilder {
      */
     id1Signature(id1pubkey, signature) {
         if ( this._id1 === undefined ) {
-            throw new Error("Attempting to pass a signature for invalid coinbase transaction.")
+            throw new SignatureError("Attempting to pass a signature for invalid coinbase transaction.", 0)
         }
         if ( !this._id1.equals(Buffer.from(id1pubkey,'hex')) ) {
-            throw new Error("ID1 Key is not equal coinbase ID1 Key requiring a signature");
+            throw new SignatureError("ID1 Key is not equal coinbase ID1 Key requiring a signature", 0);
         }
 
         this._signatures = [signature];
@@ -255,12 +265,12 @@ class TransactionBuilder {
      */
     metadata(metadata) {
         if ( this._signatures !== undefined ) {
-            throw new Error("Attempting to add new metadata, expecting signatures only")
+            throw new ValidationError("Attempting to add new metadata, expecting signatures only", 'metadata')
         }
         try {
             JSON.stringify(metadata)
         } catch (e) {
-            throw new Error("Transaction metadata bust be a valid JSON object or primitive");
+            throw new ValidationError("Transaction metadata bust be a valid JSON object or primitive", 'metadata');
         }
         this._metadata = metadata;
         return this;
@@ -274,16 +284,16 @@ class TransactionBuilder {
      */
     tokenMetadata(tokenMetadata) {
         if ( this._signatures !== undefined ) {
-            throw new Error("Attempting to add new token metadata, expecting signatures only")
+            throw new ValidationError("Attempting to add new token metadata, expecting signatures only", 'tokenmetadata')
         }
-        if (!Array.isArray(tokenMetadata)) throw new Error('Token metadata must be an array');
-        if (!tokenMetadata.every(meta => typeof meta === 'object' && Object.keys(meta).length === 2 && meta.ids !== undefined && meta.metadata !== undefined)) throw new Error('Every metadata range representation must have only keys ids(Array) and metadata(JSON stringifiable value)');
+        if (!Array.isArray(tokenMetadata)) throw new ValidationError('Token metadata must be an array', 'tokenmetadata');
+        if (!tokenMetadata.every(meta => typeof meta === 'object' && Object.keys(meta).length === 2 && meta.ids !== undefined && meta.metadata !== undefined)) throw new ValidationError('Every metadata range representation must have only keys ids(Array) and metadata(JSON stringifiable value)', 'tokenmetadata');
 
         const allIds = tokenMetadata.reduce((all, rangeMeta) => {
             return all.concat(rangeMeta.ids);
         }, []);
 
-        if (!util.validateNFIds(allIds)) throw new Error('Invalid token metadata, must not contain any duplicates or overlapping ranges');
+        if (!util.validateNFIds(allIds)) throw new ValidationError('Invalid token metadata, must not contain any duplicates or overlapping ranges', 'tokenmetadata');
 
         this._tokenMetadata = tokenMetadata;
         return this;
@@ -297,58 +307,173 @@ class TransactionBuilder {
      * @returns {TransactionBuilder} - TransactionBuilder instance.
      */
     pkSignature(publicKey, signature) {
-
+        if ( this._id1 !== undefined ) {
+            throw new SignatureError("Attempting to add a signature for a regular transaction to a coinbase transaction.")
+        }
         let pk = Buffer.from(publicKey,'hex');
 
         let fa = fctAddressUtil.keyToPublicFctAddress(pk);
 
         let index = Object.keys(this._inputs).findIndex( a => { return a === fa } );
 
-        if ( index !== undefined ) {
-            this._keys[index].publicKey = pk;
-            this._signatures[index] = signature
-        } else {
-            throw new Error("Public Key (" + pk.toString('hex') + ") for provided signature not found in input list." )
+        if ( index === -1 ) {
+            throw new SignatureError("Public Key (" + pk.toString('hex') + ") for provided signature not found in input list." )
         }
+
+        this._keys[index].publicKey = pk;
+        this._signatures[index] = signature;
         return this;
     }
 
+    /**
+     * Build the transaction while external signatures may still be missing, for multi-party signing. Every signer can add the signature for their own input
+     * and pass the result on with toPartial(), to be merged using Transaction.combinePartials
+     * @method
+     * @returns {Transaction} - The unsigned, partially or fully signed transaction
+     * @example
+     * const custodianTx = new TransactionBuilder(Transaction.fromPartial(json))
+     * .pkSignature(keyPair.publicKey, signature)
+     * .buildPartial();
+     *
+     * const custodianJson = JSON.stringify(custodianTx.toPartial());
+     */
+    buildPartial() {
+        if ( this._signatures === undefined ) return this.build();
+
+        const coinbase = Object.keys(this._inputs).find(address => address === constant.COINBASE_ADDRESS_PUBLIC) !== undefined;
+        return (require('./Transaction')).fromPartial({
+            version: constant.PARTIAL_TRANSACTION_VERSION,
+            type: constant.FAT1,
+            chainid: this._tokenChainId,
+            timestamp: this._timestamp,
+            content: this._content,
+            signers: Object.keys(this._inputs).map((address, i) => {
+                const signer = {address};
+                if ( coinbase ) {
+                    signer.id1 = util.createPublicIdentityAddr('id1', this._id1);
+                } else {
+                    const key = this._keys !== undefined ? this._keys[i] : undefined;
+                    signer.publickey = key !== undefined && key.publicKey !== undefined ? Buffer.from(key.publicKey).toString('hex') : null;
+                }
+                signer.signature = this._signatures[i] !== undefined ? Buffer.from(this._signatures[i]).toString('hex') : null;
+                return signer;
+            })
+        });
+    }
+
     /**
      * Build the transaction
      * @method
      * @returns {Transaction}
      */
     build() {
-        if (Object.keys(this._inputs).length === 0 || Object.keys(this._outputs).length === 0) throw new Error("Must have at least one input and one output");
+        if (hasSigners(this)) throw new ValidationError("Transactions using a Signer must be built using buildAsync()");
+        if (Object.keys(this._inputs).length === 0 || Object.keys(this._outputs).length === 0) throw new ValidationError("Must have at least one input and one output", 'inputs');
 
         if (Object.keys(this._inputs).find(address => address === constant.COINBASE_ADDRESS_PUBLIC)) {
-            if (!this._sk1 && !this._id1) throw new Error('You must include a valid issuer sk1 key to perform a coinbase transaction')
+            if (!this._sk1 && !this._id1) throw new ValidationError('You must include a valid issuer sk1 key to perform a coinbase transaction', 'sk1')
         }
 
         //evaluate the token ids in inputs/outputs. Should be the same set
-        let allInputIds = [];
-        Object.values(this._inputs).forEach(ids => allInputIds = allInputIds.concat(util.expandNFIds(ids)));
-        allInputIds.sort();
-
-        let allOutputIds = [];
-        Object.values(this._outputs).forEach(ids => allOutputIds = allOutputIds.concat(util.expandNFIds(ids)));
-        allOutputIds.sort();
+        const allInputIds = util.normalizeNFIds(Object.values(this._inputs).reduce((ids, range) => ids.concat(range), []));
+        const allOutputIds = util.normalizeNFIds(Object.values(this._outputs).reduce((ids, range) => ids.concat(range), []));
 
-        if (JSON.stringify(allInputIds) !== JSON.stringify(allOutputIds)) throw new Error('Input and output token IDS do not match');
+        if (JSON.stringify(allInputIds) !== JSON.stringify(allOutputIds)) throw new ValidationError('Input and output token IDS do not match', 'outputs');
 
         //restrict tokenmetadata to coinbase transactions
-        if (this._tokenMetadata !== undefined && !Object.keys(this._inputs).find(address => address === constant.COINBASE_ADDRESS_PUBLIC)) throw new Error('You may only specify tokenmetadata for coinbase transactions');
+        if (this._tokenMetadata !== undefined && !Object.keys(this._inputs).find(address => address === constant.COINBASE_ADDRESS_PUBLIC)) throw new ValidationError('You may only specify tokenmetadata for coinbase transactions', 'tokenmetadata');
 
         if ( this._signatures !== undefined ) {
             for (let i = 0; i < this._signatures.length; ++i) {
                 if ( this._signatures[i] === undefined ) {
-                    throw new Error('Missing signatures: All inputs must have an associated signature')
+                    throw new SignatureError('Missing signatures: All inputs must have an associated signature', i)
                 }
             }
         }
 
         return new (require('./Transaction'))(this);
     }
+
+    /**
+     * Build the transaction, collecting the signatures of any Signers given in place of private keys. Inputs keep the order they were added in
+     * @method
+     * @async
+     * @returns {Promise<Transaction>} - The signed transaction
+     * @example
+     * const tx = await new TransactionBuilder(tokenChainId)
+     * .input(new MemorySigner("Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ"), [10])
+     * .output("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", [10])
+     * .buildAsync();
+     */
+    async buildAsync() {
+        if (!hasSigners(this)) return this.build();
+
+        //sign a resolved copy, so the builder itself can be built again
+        const resolved = await resolveSigners(this);
+        const unsigned = resolved.build();
+        const builder = new TransactionBuilder(unsigned);
+
+        if (resolved._coinbaseSigner !== undefined) {
+            builder.id1Signature(resolved._id1.toString('hex'), await util.signWithSigner(resolved._coinbaseSigner, unsigned.getMarshalDataSig(0)));
+        } else {
+            for (const [i, key] of resolved._keys.entries()) {
+                if (key.signer !== undefined) builder.pkSignature(key.publicKey, await util.signWithSigner(key.signer, unsigned.getMarshalDataSig(i)));
+            }
+        }
+
+        const tx = builder.build();
+        tx.validateSignatures();
+        return tx;
+    }
 }
 
+/**
+ * Copy a builder, resolving the input addresses & public keys of its Signers. Inputs keep the order they were added in
+ * @method
+ * @private
+ * @param builder {TransactionBuilder} - The builder to resolve
+ * @returns {Promise<TransactionBuilder>} - The resolved copy. Holds the coinbase Signer in _coinbaseSigner, if any
+ */
+async function resolveSigners(builder) {
+    const resolved = Object.assign(Object.create(TransactionBuilder.prototype), builder, {_inputs: {}, _keys: [], _signerInputs: []});
+
+    const addresses = Object.keys(builder._inputs);
+    const count = addresses.length + builder._signerInputs.length;
+    for (let position = 0, next = 0; position < count; position++) {
+        const signerInput = builder._signerInputs.find(input => input.position === position);
+        if (signerInput === undefined) {
+            resolved._inputs[addresses[next]] = builder._inputs[addresses[next]];
+            resolved._keys.push(builder._keys[next]);
+            next++;
+            continue;
+        }
+
+        const publicKey = await util.getSignerPublicKey(signerInput.signer);
+        const address = fctAddressUtil.keyToPublicFctAddress(publicKey);
+        if (resolved._inputs[address] !== undefined || builder._inputs[address] !== undefined) throw new ValidationError("Signer address " + address + " already occurs in inputs", 'inputs');
+        if (builder._outputs[address] !== undefined) throw new ValidationError("Input address already occurs in outputs", 'inputs');
+        resolved._inputs[address] = signerInput.ids;
+        resolved._keys.push({signer: signerInput.signer, pubaddr: address, publicKey});
+    }
+
+    if (util.isSigner(builder._sk1)) {
+        resolved._coinbaseSigner = builder._sk1;
+        resolved._sk1 = undefined;
+        resolved._id1 = await util.getSignerPublicKey(builder._sk1);
+    }
+    return resolved;
+}
+
+/**
+ * Check whether any input or the coinbase signing key of a builder is a Signer that has not been resolved yet
+ * @method
+ * @private
+ * @param builder {TransactionBuilder} - The builder to check
+ * @returns {boolean}
+ */
+function hasSigners(builder) {
+    return util.isSigner(builder._sk1) || (builder._signerInputs !== undefined && builder._signerInputs.length > 0);
+}
+
+
 module.exports = TransactionBuilder;
@@ -0,0 +1,675 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const nacl = require('tweetnacl/nacl-fast').sign;
+const fctUtil = require('factom/src/util');
+const fctAddressUtil = require('factom/src/addresses');
+const BigNumber = require('bignumber.js');
+const JSONBig = require('json-bigint')({strict: true});
+
+const constant = require('../constant');
+const {CLIBuilder} = require('../cli/CLI');
+const IssuanceDeployer = require('../factomd/IssuanceDeployer');
+
+const types = {
+    [constant.FAT0]: {
+        TransactionBuilder: require('../0/TransactionBuilder'),
+        Transaction: require('../0/Transaction'),
+        IssuanceBuilder: require('../0/IssuanceBuilder')
+    },
+    [constant.FAT1]: {
+        TransactionBuilder: require('../1/TransactionBuilder'),
+        Transaction: require('../1/Transaction'),
+        IssuanceBuilder: require('../1/IssuanceBuilder')
+    }
+};
+
+//options every command accepts. Values are the option kind: string, boolean or multiple (a repeatable string)
+const globalOptions = {
+    'config': 'string',
+    'host': 'string',
+    'port': 'string',
+    'endpoint': 'multiple',
+    'pending': 'boolean',
+    'output': 'string',
+    'key-file': 'string',
+    'sk1-file': 'string',
+    'ec-key-file': 'string',
+    'help': 'boolean'
+};
+
+const commands = {
+    balance: {
+        usage: 'balance <address> [--chain <chainId>]',
+        description: 'Get the balance of an address for one token, or for every token tracked by fatd',
+        options: {chain: 'string'},
+        run: balance
+    },
+    history: {
+        usage: 'history <chainId> [--address <address>]... [--limit <n>] [--page <n>] [--order asc|desc]',
+        description: 'List the transactions of a token',
+        options: {address: 'multiple', limit: 'string', page: 'string', order: 'string'},
+        run: history
+    },
+    stats: {
+        usage: 'stats <chainId>',
+        description: 'Get the statistics of a token',
+        options: {},
+        run: stats
+    },
+    issue: {
+        usage: 'issue --token-id <id> --issuer-chain <chainId> --symbol <symbol> [--type FAT-0|FAT-1] [--supply <n>] [--precision <n>] [--metadata <json>] [--dry-run]',
+        description: 'Sign a token issuance with the issuer SK1 key and deploy it to Factom (requires factomd in the config file & an EC address)',
+        options: {'token-id': 'string', 'issuer-chain': 'string', symbol: 'string', type: 'string', supply: 'string', precision: 'string', metadata: 'string', 'dry-run': 'boolean'},
+        run: issue
+    },
+    send: {
+        usage: 'send <chainId> --to <address> (--amount <amount>|--ids <json>) [--metadata <json>] [--from <address> --unsigned]',
+        description: 'Send tokens from the Factoid key. With --unsigned, print an unsigned partial transaction from --from to sign offline instead',
+        options: {to: 'string', amount: 'string', ids: 'string', metadata: 'string', from: 'string', unsigned: 'boolean'},
+        run: send
+    },
+    mint: {
+        usage: 'mint <chainId> --to <address> (--amount <amount>|--ids <json>) [--metadata <json>] [--token-metadata <json>]',
+        description: 'Issue new tokens in a coinbase transaction signed with the issuer SK1 key',
+        options: {to: 'string', amount: 'string', ids: 'string', metadata: 'string', 'token-metadata': 'string'},
+        run: mint
+    },
+    burn: {
+        usage: 'burn <chainId> (--amount <amount>|--ids <json>) [--metadata <json>]',
+        description: 'Destroy tokens held by the Factoid key',
+        options: {amount: 'string', ids: 'string', metadata: 'string'},
+        run: burn
+    },
+    sign: {
+        usage: 'sign <file|->',
+        description: 'Sign a partial transaction offline with the Factoid key. Prints the transaction ready to broadcast once every input is signed',
+        options: {},
+        run: sign
+    },
+    broadcast: {
+        usage: 'broadcast <file|->',
+        description: 'Send a transaction signed offline to fatd',
+        options: {},
+        run: broadcast
+    },
+    compat: {
+        usage: 'compat',
+        description: 'Check the compatibility of fatd with this library. Exits with 1 on fatal issues',
+        options: {},
+        run: compat
+    }
+};
+
+/**
+ * Run the fat command line tool
+ * @method
+ * @private
+ * @param {string[]} argv - The command line arguments, without the node & script paths
+ * @param {object} [io] - The environment to run in
+ * @param {object} [io.env=process.env] - The environment variables
+ * @param {function} [io.stdout] - Writes a string to standard output
+ * @param {function} [io.stderr] - Writes a string to standard error
+ * @param {function} [io.stdin] - Reads standard input completely into a string
+ * @returns {Promise<number>} - The exit code
+ */
+async function run(argv, io) {
+    io = Object.assign({
+        env: process.env,
+        stdout: text => process.stdout.write(text),
+        stderr: text => process.stderr.write(text),
+        stdin: () => fs.readFileSync(0, 'utf8')
+    }, io);
+
+    const command = commands[argv[0]];
+    if (argv.length === 0 || argv[0] === 'help' || argv[0] === '--help' || (command !== undefined && argv.includes('--help'))) {
+        io.stdout(usage(command));
+        return 0;
+    }
+
+    try {
+        if (command === undefined) throw usageError('Unknown command: ' + argv[0]);
+        if (argv.some(arg => /^(Fs|Es|sk[1-4])[1-9A-HJ-NP-Za-km-z]{40,}$/.test(arg))) {
+            throw new Error('Private keys are never read from arguments. Use the FAT_PRIVATE_KEY, FAT_SK1 & FAT_EC_ADDRESS environment variables or the --key-file, --sk1-file & --ec-key-file options');
+        }
+
+        const args = parseArgs(argv.slice(1), Object.assign({}, globalOptions, command.options));
+        if (args.options.output !== undefined && !['table', 'json'].includes(args.options.output)) throw usageError('--output must be either table or json');
+
+        const context = {io, args, config: loadConfig(io, args.options)};
+        const result = await command.run(context);
+
+        io.stdout(format(result.data, args.options.output || 'table'));
+        return result.code || 0;
+    } catch (e) {
+        io.stderr('Error: ' + e.message + '\n');
+        if (e.usage) io.stderr('Usage: fat ' + (command !== undefined ? command.usage : '<command> [options]') + '\n');
+        return e.usage ? 2 : 1;
+    }
+}
+
+/**
+ * Get the balance of an address for one token, or for all tracked tokens
+ * @method
+ * @private
+ * @param {object} context - The command context
+ * @returns {Promise<object>} - The command result
+ */
+async function balance(context) {
+    const address = positional(context, 0, 'address');
+    const cli = buildCLI(context);
+
+    if (context.args.options.chain === undefined) {
+        const balances = await cli.getBalances(address);
+        return {data: Object.keys(balances).map(chainid => ({chainid, balance: balances[chainid]}))};
+    }
+
+    const tokenCLI = await cli.getTokenCLI(context.args.options.chain);
+    const row = {chainid: context.args.options.chain, address, balance: await tokenCLI.getBalance(address)};
+    if (tokenCLI.getType() === constant.FAT0) row.display = await tokenCLI.getFormattedBalance(address);
+    else row.ids = await tokenCLI.getNFBalance({address});
+    return {data: row};
+}
+
+/**
+ * List the transactions of a token
+ * @method
+ * @private
+ * @param {object} context - The command context
+ * @returns {Promise<object>} - The command result
+ */
+async function history(context) {
+    const options = context.args.options;
+    const tokenCLI = await buildCLI(context).getTokenCLI(positional(context, 0, 'chainId'));
+
+    const params = {};
+    if (options.address !== undefined) params.addresses = options.address;
+    if (options.limit !== undefined) params.limit = integer(options.limit, 'limit');
+    if (options.page !== undefined) params.page = integer(options.page, 'page');
+    if (options.order !== undefined) params.order = options.order;
+
+    const transactions = await tokenCLI.getTransactions(params);
+    return {
+        data: transactions.map(tx => ({
+            entryhash: tx.getEntryhash(),
+            timestamp: tx.getTimestamp(),
+            pending: tx.getPending(),
+            inputs: tx.getInputs(),
+            outputs: tx.getOutputs()
+        }))
+    };
+}
+
+/**
+ * Get the statistics of a token
+ * @method
+ * @private
+ * @param {object} context - The command context
+ * @returns {Promise<object>} - The command result
+ */
+async function stats(context) {
+    const tokenCLI = buildCLI(context).getTokenCLISync(positional(context, 0, 'chainId'), constant.FAT0);
+    return {data: await tokenCLI.getStats()};
+}
+
+/**
+ * Sign a token issuance and deploy it to Factom
+ * @method
+ * @private
+ * @param {object} context - The command context
+ * @returns {Promise<object>} - The command result
+ */
+async function issue(context) {
+    const options = context.args.options;
+    const type = options.type || constant.FAT0;
+    if (types[type] === undefined) throw usageError('--type must be either FAT-0 or FAT-1');
+
+    const builder = new types[type].IssuanceBuilder(required(options, 'token-id'), required(options, 'issuer-chain'), readKey(context, 'sk1'))
+        .symbol(required(options, 'symbol'));
+    if (options.supply !== undefined) builder.supply(new BigNumber(options.supply));
+    if (options.precision !== undefined) {
+        if (type !== constant.FAT0) throw usageError('--precision is only available for FAT-0 tokens');
+        builder.precision(integer(options.precision, 'precision'));
+    }
+    if (options.metadata !== undefined) builder.metadata(parseJSON(options.metadata, 'metadata'));
+    const issuance = builder.build();
+
+    if (options['dry-run']) {
+        const entry = issuance.getEntry();
+        return {data: {chainid: issuance.getChainId(), entryhash: entry.hashHex(), extids: entry.extIdsHex, content: entry.content.toString('hex')}};
+    }
+
+    if (context.config.factomd === undefined) throw new Error('Deploying an issuance requires a factomd connection in the config file');
+    const deployer = new IssuanceDeployer(issuance, {
+        factom: {factomd: context.config.factomd, walletd: context.config.walletd},
+        ecAddress: readKey(context, 'ec'),
+        cli: buildCLI(context)
+    });
+    return {data: await deployer.deploy()};
+}
+
+/**
+ * Send tokens from the Factoid key, or print an unsigned partial transaction
+ * @method
+ * @private
+ * @param {object} context - The command context
+ * @returns {Promise<object>} - The command result
+ */
+async function send(context) {
+    const options = context.args.options;
+    const tokenCLI = await buildCLI(context).getTokenCLI(positional(context, 0, 'chainId'));
+    const builder = await createTransactionBuilder(tokenCLI);
+
+    let input;
+    if (options.unsigned) {
+        input = required(options, 'from');
+        if (!fctAddressUtil.isValidPublicFctAddress(input)) throw usageError('--from must be a public Factoid address');
+    } else {
+        if (options.from !== undefined) throw usageError('--from can only be used with --unsigned. The input address is derived from the Factoid key');
+        input = readKey(context, 'fs');
+    }
+
+    const amount = readAmount(tokenCLI, options);
+    builder.input(input, amount).output(required(options, 'to'), amount);
+    if (options.metadata !== undefined) builder.metadata(parseJSON(options.metadata, 'metadata'));
+    const tx = builder.build();
+
+    if (options.unsigned) return {data: tx.toPartial()};
+    return {data: await tokenCLI.sendTransaction(tx)};
+}
+
+/**
+ * Issue new tokens in a coinbase transaction
+ * @method
+ * @private
+ * @param {object} context - The command context
+ * @returns {Promise<object>} - The command result
+ */
+async function mint(context) {
+    const options = context.args.options;
+    const tokenCLI = await buildCLI(context).getTokenCLI(positional(context, 0, 'chainId'));
+    const builder = await createTransactionBuilder(tokenCLI);
+
+    const amount = readAmount(tokenCLI, options);
+    builder.coinbaseInput(amount)
+        .output(required(options, 'to'), amount)
+        .sk1(readKey(context, 'sk1'));
+    if (options.metadata !== undefined) builder.metadata(parseJSON(options.metadata, 'metadata'));
+    if (options['token-metadata'] !== undefined) {
+        if (tokenCLI.getType() !== constant.FAT1) throw usageError('--token-metadata is only available for FAT-1 tokens');
+        builder.tokenMetadata(parseJSON(options['token-metadata'], 'token-metadata'));
+    }
+
+    return {data: await tokenCLI.sendTransaction(builder.build())};
+}
+
+/**
+ * Destroy tokens held by the Factoid key
+ * @method
+ * @private
+ * @param {object} context - The command context
+ * @returns {Promise<object>} - The command result
+ */
+async function burn(context) {
+    const options = context.args.options;
+    const tokenCLI = await buildCLI(context).getTokenCLI(positional(context, 0, 'chainId'));
+    const builder = await createTransactionBuilder(tokenCLI);
+
+    const amount = readAmount(tokenCLI, options);
+    builder.input(readKey(context, 'fs'), amount).burnOutput(amount);
+    if (options.metadata !== undefined) builder.metadata(parseJSON(options.metadata, 'metadata'));
+
+    return {data: await tokenCLI.sendTransaction(builder.build())};
+}
+
+/**
+ * Sign the inputs of a partial transaction belonging to the Factoid key, without connecting to fatd
+ * @method
+ * @private
+ * @param {object} context - The command context
+ * @returns {Promise<object>} - The command result. The partial transaction, or the send-transaction params once fully signed
+ */
+async function sign(context) {
+    const partial = parseJSON(readInput(context, positional(context, 0, 'file')), 'partial transaction');
+    if (types[partial.type] === undefined) throw new Error('Input is not a partial FAT-0 or FAT-1 transaction');
+    const {Transaction, TransactionBuilder} = types[partial.type];
+
+    const tx = Transaction.fromPartial(partial);
+    const keyPair = nacl.keyPair.fromSeed(fctAddressUtil.addressToKey(readKey(context, 'fs')));
+    const address = fctAddressUtil.keyToPublicFctAddress(keyPair.publicKey);
+
+    const index = partial.signers.findIndex(signer => signer.address === address);
+    if (index === -1) throw new Error('The Factoid key ' + address + ' is not an input of the transaction');
+
+    const builder = new TransactionBuilder(tx)
+        .pkSignature(keyPair.publicKey, nacl.detached(fctUtil.sha512(tx.getMarshalDataSig(index)), keyPair.secretKey));
+    const signed = builder.buildPartial();
+    if (signed.getUnsignedInputs().length > 0) return {data: signed.toPartial()};
+
+    const entry = builder.build().getEntry();
+    return {data: {chainid: entry.chainIdHex, extids: entry.extIdsHex, content: entry.content.toString('hex')}};
+}
+
+/**
+ * Send a transaction signed offline to fatd
+ * @method
+ * @private
+ * @param {object} context - The command context
+ * @returns {Promise<object>} - The command result
+ */
+async function broadcast(context) {
+    const params = parseJSON(readInput(context, positional(context, 0, 'file')), 'signed transaction');
+    if (params.signers !== undefined) throw new Error('The transaction is not fully signed yet');
+    if (typeof params.chainid !== 'string' || !Array.isArray(params.extids) || typeof params.content !== 'string') {
+        throw new Error('Input must be a signed transaction as printed by the sign command');
+    }
+
+    return {data: await buildCLI(context).call('send-transaction', {chainid: params.chainid, extids: params.extids, content: params.content})};
+}
+
+/**
+ * Check the compatibility of fatd with this library
+ * @method
+ * @private
+ * @param {object} context - The command context
+ * @returns {Promise<object>} - The command result
+ */
+async function compat(context) {
+    const issues = await buildCLI(context).getCompatibility();
+    return {data: issues, code: issues.some(issue => issue.severity === 'FATAL') ? 1 : 0};
+}
+
+/**
+ * Create the transaction builder for the type of a token. FAT-0 amounts are read in display units using the token's precision
+ * @method
+ * @private
+ * @param {BaseTokenCLI} tokenCLI - The typed token CLI
+ * @returns {Promise<(TransactionBuilder0|TransactionBuilder1)>}
+ */
+async function createTransactionBuilder(tokenCLI) {
+    const builder = new types[tokenCLI.getType()].TransactionBuilder(tokenCLI.getChainId());
+    if (tokenCLI.getType() === constant.FAT0) {
+        const issuance = await tokenCLI.getIssuance();
+        builder.precision(issuance.getPrecision(), issuance.getSymbol());
+    }
+    return builder;
+}
+
+/**
+ * Read the --amount (FAT-0) or --ids (FAT-1) option of a transaction
+ * @method
+ * @private
+ * @param {BaseTokenCLI} tokenCLI - The typed token CLI
+ * @param {object} options - The parsed options
+ * @returns {(string|object[])}
+ */
+function readAmount(tokenCLI, options) {
+    if (tokenCLI.getType() === constant.FAT0) {
+        if (options.ids !== undefined) throw usageError('FAT-0 transactions take an --amount');
+        return required(options, 'amount');
+    }
+    if (options.amount !== undefined) throw usageError('FAT-1 transactions take token --ids, e.x. --ids \'[0,{"min":1,"max":3}]\'');
+    return parseJSON(required(options, 'ids'), 'ids');
+}
+
+/**
+ * Build a fat-js CLI from the config file and the connection options
+ * @method
+ * @private
+ * @param {object} context - The command context
+ * @returns {CLI}
+ */
+function buildCLI(context) {
+    const options = context.args.options;
+    const config = context.config;
+    const builder = new CLIBuilder();
+
+    const endpoints = options.endpoint || (options.host === undefined && options.port === undefined ? config.endpoints : undefined);
+    if (endpoints !== undefined) {
+        builder.endpoints(endpoints);
+    } else {
+        if (options.host !== undefined || config.host !== undefined) builder.host(options.host || config.host);
+        if (options.port !== undefined || config.port !== undefined) builder.port(integer(String(options.port || config.port), 'port'));
+        if (config.protocol !== undefined) builder.protocol(config.protocol);
+    }
+    if (config.timeout !== undefined) builder.timeout(config.timeout);
+    if (config.username !== undefined) builder.username(config.username);
+    if (config.password !== undefined) builder.password(config.password);
+    if (options.pending || config.pending) builder.pending(true);
+
+    return builder.build();
+}
+
+/**
+ * Load the JSON config file named by --config or the FAT_CONFIG environment variable
+ * @method
+ * @private
+ * @param {object} io - The environment
+ * @param {object} options - The parsed options
+ * @returns {object} - The config. Empty if there is no config file
+ */
+function loadConfig(io, options) {
+    const path = options.config || io.env.FAT_CONFIG;
+    if (path === undefined) return {};
+    return parseJSON(fs.readFileSync(path, 'utf8'), 'config file ' + path);
+}
+
+/**
+ * Read a private key from its key file option or environment variable
+ * @method
+ * @private
+ * @param {object} context - The command context
+ * @param {string} kind - Either "fs" (Factoid key), "sk1" (issuer identity key) or "ec" (Entry Credit address)
+ * @returns {string}
+ */
+function readKey(context, kind) {
+    const sources = {
+        fs: {option: 'key-file', env: 'FAT_PRIVATE_KEY', name: 'A private Factoid key', valid: fctAddressUtil.isValidPrivateFctAddress},
+        sk1: {option: 'sk1-file', env: 'FAT_SK1', name: 'The issuer SK1 key', valid: key => /^sk1[1-9A-HJ-NP-Za-km-z]{50}$/.test(key)},
+        ec: {option: 'ec-key-file', env: 'FAT_EC_ADDRESS', name: 'An Entry Credit address', valid: fctAddressUtil.isValidEcAddress}
+    };
+    const source = sources[kind];
+
+    const file = context.args.options[source.option];
+    let key;
+    if (file !== undefined) key = fs.readFileSync(file, 'utf8').trim();
+    else if (context.io.env[source.env] !== undefined) key = context.io.env[source.env].trim();
+    else throw new Error(source.name + ' is required. Set ' + source.env + ' or pass --' + source.option + ' <file>');
+
+    if (!source.valid(key)) throw new Error(source.name + ' is invalid');
+    return key;
+}
+
+/**
+ * Read a file argument, or standard input for "-"
+ * @method
+ * @private
+ * @param {object} context - The command context
+ * @param {string} path - The file path
+ * @returns {string}
+ */
+function readInput(context, path) {
+    return path === '-' ? context.io.stdin() : fs.readFileSync(path, 'utf8');
+}
+
+/**
+ * Parse command line arguments into positional arguments and options
+ * @method
+ * @private
+ * @param {string[]} argv - The arguments
+ * @param {object} spec - Map of option name => kind (string, boolean or multiple)
+ * @returns {object} - {positional, options}
+ */
+function parseArgs(argv, spec) {
+    const positional = [];
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-' || !arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+
+        const equals = arg.indexOf('=');
+        const name = equals === -1 ? arg.slice(2) : arg.slice(2, equals);
+        const kind = spec[name];
+        if (kind === undefined) throw usageError('Unknown option --' + name);
+
+        if (kind === 'boolean') {
+            if (equals !== -1) throw usageError('Option --' + name + ' does not take a value');
+            options[name] = true;
+            continue;
+        }
+
+        let value;
+        if (equals !== -1) value = arg.slice(equals + 1);
+        else if (i + 1 < argv.length) value = argv[++i];
+        else throw usageError('Option --' + name + ' requires a value');
+
+        if (kind === 'multiple') options[name] = (options[name] || []).concat(value);
+        else options[name] = value;
+    }
+
+    return {positional, options};
+}
+
+/**
+ * Get a required positional argument
+ * @method
+ * @private
+ * @param {object} context - The command context
+ * @param {number} index - The index of the argument
+ * @param {string} name - The argument name, for errors
+ * @returns {string}
+ */
+function positional(context, index, name) {
+    const value = context.args.positional[index];
+    if (value === undefined) throw usageError('Missing <' + name + '>');
+    return value;
+}
+
+/**
+ * Get a required option
+ * @method
+ * @private
+ * @param {object} options - The parsed options
+ * @param {string} name - The option name
+ * @returns {string}
+ */
+function required(options, name) {
+    if (options[name] === undefined) throw usageError('Missing --' + name);
+    return options[name];
+}
+
+/**
+ * Parse an integer option value
+ * @method
+ * @private
+ * @param {string} value - The option value
+ * @param {string} name - The option name, for errors
+ * @returns {number}
+ */
+function integer(value, name) {
+    if (!/^[0-9]+$/.test(value)) throw usageError('--' + name + ' must be a non negative integer');
+    return Number.parseInt(value);
+}
+
+/**
+ * Parse a JSON string, keeping large numbers exact
+ * @method
+ * @private
+ * @param {string} json - The JSON string
+ * @param {string} name - What is being parsed, for errors
+ * @returns {*}
+ */
+function parseJSON(json, name) {
+    try {
+        return JSONBig.parse(json);
+    } catch (e) {
+        throw new Error('Invalid JSON in ' + name + ': ' + e.message);
+    }
+}
+
+/**
+ * Create an error that prints the command usage
+ * @method
+ * @private
+ * @param {string} message - The error message
+ * @returns {Error}
+ */
+function usageError(message) {
+    const error = new Error(message);
+    error.usage = true;
+    return error;
+}
+
+/**
+ * Get the help text of a command, or of the whole tool
+ * @method
+ * @private
+ * @param {object} [command] - The command
+ * @returns {string}
+ */
+function usage(command) {
+    if (command !== undefined) return 'Usage: fat ' + command.usage + '\n\n' + command.description + '\n';
+
+    return [
+        'Usage: fat <command> [options]',
+        '',
+        'Commands:',
+        Object.keys(commands).map(name => '  ' + name.padEnd(10) + commands[name].description).join('\n'),
+        '',
+        'Connection options:',
+        '  --config <file>       JSON config file {host, port, protocol, endpoints, timeout, username, password, pending, factomd, walletd}. Defaults to $FAT_CONFIG',
+        '  --host <host>         fatd host. Defaults to localhost',
+        '  --port <port>         fatd port. Defaults to 8078',
+        '  --endpoint <url>      fatd endpoint URL, repeatable for failover',
+        '  --pending             Include pending transactions',
+        '  --output table|json   Output format. Defaults to table',
+        '',
+        'Keys are never read from arguments:',
+        '  Factoid key           $FAT_PRIVATE_KEY or --key-file <file>',
+        '  Issuer SK1 key        $FAT_SK1 or --sk1-file <file>',
+        '  Entry Credit address  $FAT_EC_ADDRESS or --ec-key-file <file>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Format a command result as JSON or as a plain text table
+ * @method
+ * @private
+ * @param {*} data - The result
+ * @param {string} output - Either "table" or "json"
+ * @returns {string}
+ */
+function format(data, output) {
+    if (output === 'json') return JSONBig.stringify(data, undefined, 2) + '\n';
+
+    const rows = Array.isArray(data) ? data : Object.keys(data).map(key => ({key, value: data[key]}));
+    if (rows.length === 0) return 'No results\n';
+
+    const columns = rows.reduce((columns, row) => columns.concat(Object.keys(row).filter(key => !columns.includes(key))), []);
+    const cells = [columns].concat(rows.map(row => columns.map(column => formatCell(row[column]))));
+    const widths = columns.map((column, index) => Math.max(...cells.map(line => line[index].length)));
+
+    return cells.map(line => line.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimRight()).join('\n') + '\n';
+}
+
+/**
+ * Format a single table cell
+ * @method
+ * @private
+ * @param {*} value - The cell value
+ * @returns {string}
+ */
+function formatCell(value) {
+    if (value === undefined || value === null) return '';
+    if (BigNumber.isBigNumber(value)) return value.toFixed();
+    if (typeof value === 'object') return JSONBig.stringify(value);
+    return String(value);
+}
+
+module.exports.run = run;
+
+if (require.main === module) run(process.argv.slice(2)).then(code => process.exitCode = code);
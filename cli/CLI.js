@@ -6,6 +6,10 @@ const BigNumber = require('bignumber.js');
 const Joi = require('joi-browser').extend(require('joi-factom'));
 const fctAddressUtil = require('factom/src/addresses');
 const compatibility = require('./compatibility');
+const {paginate, splitIterationParams} = require('./paginate');
+const util = require('../util');
+const MemoryCache = require('./MemoryCache');
+const {FatdRpcError, NetworkError, ValidationError, CompatibilityError, UnsupportedMethodError, InvalidResponseError, fromAxiosError} = require('../errors');
 
 const nonPendingMethods = [
     'get-daemon-properties',
@@ -13,6 +17,25 @@ const nonPendingMethods = [
     'get-sync-status'
 ];
 
+//methods that are unsafe to repeat once the request may have reached fatd
+const nonRetryableMethods = [
+    'send-transaction'
+];
+
+//network errors raised before a request could reach fatd, safe to retry for any method
+const connectionErrorCodes = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+const failoverStrategies = ['priority', 'round-robin'];
+
+const responseValidationModes = ['strict', 'lenient', 'off'];
+
+//methods whose results can change or have side effects, never cached even with a TTL
+const uncacheableMethods = [
+    'send-transaction',
+    'get-daemon-properties',
+    'get-sync-status'
+];
+
 /**
  * Build a CLI object, defining the connection parameters to fatd and other network dependencies
  * @class
@@ -26,6 +49,12 @@ class CLIBuilder {
     constructor() {
         //set defaults
         this._protocol = 'http';
+        this._failover = 'priority';
+        this._cooldown = 30000;
+        this._retry = {retries: 2, factor: 2, minTimeout: 250, maxTimeout: 4000};
+        this._maxSyncLag = 1;
+        this._responseValidation = 'lenient';
+        this._middleware = [];
     }
 
     /**
@@ -35,7 +64,7 @@ class CLIBuilder {
      * @returns {CLIBuilder}
      */
     host(host) {
-        if (typeof host !== 'string' || host.length === 0) throw new Error('Host must be a string with length >=1 and contain no special characters');
+        if (typeof host !== 'string' || host.length === 0) throw new ValidationError('Host must be a string with length >=1 and contain no special characters', 'host');
         this._host = host;
         return this;
     }
@@ -47,7 +76,7 @@ class CLIBuilder {
      * @returns {CLIBuilder}
      */
     port(port) {
-        if (isNaN(port) || !Number.isInteger(port) || port < 0) throw new Error("Port must be an integer >= 0");
+        if (isNaN(port) || !Number.isInteger(port) || port < 0) throw new ValidationError("Port must be an integer >= 0", 'port');
         this._port = port;
         return this;
     }
@@ -70,7 +99,7 @@ class CLIBuilder {
      * @returns {CLIBuilder}
      */
     secure(secure) {
-        if (typeof secure !== 'boolean') throw new Error('Argument must be a boolean');
+        if (typeof secure !== 'boolean') throw new ValidationError('Argument must be a boolean', 'secure');
         this._secure = secure;
         return this;
     }
@@ -82,7 +111,7 @@ class CLIBuilder {
      * @returns {CLIBuilder}
      */
     protocol(protocol) {
-        if (protocol !== 'http' && protocol !== 'https') throw new Error('Invalid protocol string');
+        if (protocol !== 'http' && protocol !== 'https') throw new ValidationError('Invalid protocol string', 'protocol');
         this._protocol = protocol;
         return this;
     }
@@ -94,8 +123,8 @@ class CLIBuilder {
      * @returns {CLIBuilder}
      */
     username(username) {
-        if (typeof username !== 'string') throw new Error('Username must be a string');
-        if (username.length === 0) throw new Error('Username must be at least one character long');
+        if (typeof username !== 'string') throw new ValidationError('Username must be a string', 'username');
+        if (username.length === 0) throw new ValidationError('Username must be at least one character long', 'username');
         this._username = username;
         return this;
     }
@@ -107,8 +136,8 @@ class CLIBuilder {
      * @returns {CLIBuilder}
      */
     password(password) {
-        if (typeof password !== 'string') throw new Error('Password must be a string');
-        if (password.length === 0) throw new Error('Password must be at least one character long');
+        if (typeof password !== 'string') throw new ValidationError('Password must be a string', 'password');
+        if (password.length === 0) throw new ValidationError('Password must be at least one character long', 'password');
         this._password = password;
         return this;
     }
@@ -120,18 +149,183 @@ class CLIBuilder {
      * @returns {CLIBuilder}
      */
     pending(pending) {
-        if (typeof pending !== 'boolean') throw new Error('Argument pending must be a boolean');
+        if (typeof pending !== 'boolean') throw new ValidationError('Argument pending must be a boolean', 'pending');
         this._pending = pending;
         return this;
     }
 
+    /**
+     * Set a list of fatd endpoints to fail over between instead of a single host & port
+     * @method
+     * @param {Array<(string|object)>} endpoints - Endpoint URLs (e.x. "https://fatnode.mysite.com:8078") or objects {host, port, protocol}. Port defaults to 8078 & protocol to "http"
+     * @returns {CLIBuilder}
+     * @example
+     * const cli = new CLIBuilder()
+     * .endpoints(['http://fatd-1.mysite.com:8078', {host: 'fatd-2.mysite.com', port: 8078}])
+     * .failover('round-robin')
+     * .build();
+     */
+    endpoints(endpoints) {
+        if (!Array.isArray(endpoints) || endpoints.length === 0) throw new ValidationError('Endpoints must be a non empty array', 'endpoints');
+        this._endpoints = endpoints.map(parseEndpoint);
+        return this;
+    }
+
+    /**
+     * Set how requests are distributed across endpoints. Endpoints that fail with a network error or 5xx response are skipped until the cooldown expires
+     * @method
+     * @param {string} strategy - "priority" to always use the first healthy endpoint in order, or "round-robin" to rotate through healthy endpoints. Default "priority"
+     * @param {number} [cooldown=30000] - Milliseconds a failed endpoint is considered unhealthy
+     * @returns {CLIBuilder}
+     */
+    failover(strategy, cooldown) {
+        if (!failoverStrategies.includes(strategy)) throw new ValidationError('Failover strategy must be one of ' + failoverStrategies.join(', '), 'failover');
+        if (cooldown !== undefined && (!Number.isInteger(cooldown) || cooldown < 0)) throw new ValidationError('Cooldown must be an integer >= 0', 'cooldown');
+        this._failover = strategy;
+        if (cooldown !== undefined) this._cooldown = cooldown;
+        return this;
+    }
+
+    /**
+     * Set the retry strategy for network errors & 5xx responses. Retries back off exponentially and fail over to the next healthy endpoint.
+     * send-transaction is only retried if the connection to fatd could not be established, so a transaction is never submitted twice
+     * @method
+     * @param {object} options - The retry options
+     * @param {number} [options.retries=2] - The maximum number of retries per call. 0 disables retries
+     * @param {number} [options.factor=2] - The exponential backoff factor
+     * @param {number} [options.minTimeout=250] - Milliseconds to wait before the first retry
+     * @param {number} [options.maxTimeout=4000] - Maximum milliseconds to wait between retries
+     * @returns {CLIBuilder}
+     */
+    retry(options) {
+        if (typeof options !== 'object' || options === null) throw new ValidationError('Retry options must be an object', 'retry');
+        const retry = Object.assign({}, this._retry, options);
+        if (!Number.isInteger(retry.retries) || retry.retries < 0) throw new ValidationError('Retries must be an integer >= 0', 'retry.retries');
+        if (typeof retry.factor !== 'number' || retry.factor < 1) throw new ValidationError('Retry factor must be a number >= 1', 'retry.factor');
+        if (!Number.isInteger(retry.minTimeout) || !Number.isInteger(retry.maxTimeout) || retry.minTimeout < 0 || retry.maxTimeout < retry.minTimeout) throw new ValidationError('Retry timeouts must be integers with 0 <= minTimeout <= maxTimeout', 'retry.minTimeout');
+        this._retry = retry;
+        return this;
+    }
+
+    /**
+     * Set how many Factom blocks an endpoint's fatd may lag behind factomd, according to get-sync-status, before it is marked unhealthy during health checks. Default 1
+     * @method
+     * @param {number} blocks - The maximum number of blocks of sync lag
+     * @returns {CLIBuilder}
+     */
+    maxSyncLag(blocks) {
+        if (!Number.isInteger(blocks) || blocks < 0) throw new ValidationError('Max sync lag must be an integer >= 0', 'maxSyncLag');
+        this._maxSyncLag = blocks;
+        return this;
+    }
+
+    /**
+     * Automatically check the sync status of all endpoints before a call when the last health check is older than the interval. Disabled by default, see CLI.checkHealth
+     * @method
+     * @param {number} interval - The health check interval in milliseconds
+     * @returns {CLIBuilder}
+     */
+    healthCheckInterval(interval) {
+        if (!Number.isInteger(interval) || interval <= 0) throw new ValidationError('Health check interval must be an integer > 0', 'healthCheckInterval');
+        this._healthCheckInterval = interval;
+        return this;
+    }
+
+    /**
+     * Set how fatd results are checked against the expected result schema of each RPC method for the connected fatd version.
+     * "strict" rejects malformed or unexpected results with an InvalidResponseError, "lenient" reports them to the onValidationWarning handler and returns the result as is, "off" skips validation. Default "lenient"
+     * @method
+     * @param {string} mode - The validation mode. Either "strict", "lenient" or "off"
+     * @returns {CLIBuilder}
+     */
+    responseValidation(mode) {
+        if (!responseValidationModes.includes(mode)) throw new ValidationError('Response validation mode must be one of ' + responseValidationModes.join(', '), 'responseValidation');
+        this._responseValidation = mode;
+        return this;
+    }
+
+    /**
+     * Set the handler that receives results rejected by lenient response validation. fat-js never logs to the console itself, without a handler invalid results are returned silently
+     * @method
+     * @param {function} handler - Called with the InvalidResponseError describing each invalid result
+     * @returns {CLIBuilder}
+     * @example
+     * const cli = new CLIBuilder()
+     * .host('fatnode.mysite.com')
+     * .onValidationWarning(error => logger.warn(error.message, error.method, error.field))
+     * .build();
+     */
+    onValidationWarning(handler) {
+        if (typeof handler !== 'function') throw new ValidationError('Validation warning handler must be a function', 'onValidationWarning');
+        this._onValidationWarning = handler;
+        return this;
+    }
+
+    /**
+     * Cache fatd results that never change once confirmed: issuances, confirmed transactions by entryhash & burned non-fungible tokens.
+     * Pending entries are never cached. Mutable queries like balances & stats are only cached for the TTL configured for their RPC method
+     * @method
+     * @param {object} [options] - The cache options
+     * @param {object} [options.store] - The cache store, implementing async get(key), set(key, value, ttl) & delete(key) with string values. A MemoryCache by default
+     * @param {number} [options.maxEntries=1000] - The size of the default MemoryCache store
+     * @param {object} [options.ttl] - Map of RPC method name to the milliseconds its results are cached for, e.g. {'get-balance': 10000}
+     * @param {string} [options.prefix=fat-js:] - The prefix of all cache keys, to share a store between CLIs connected to different networks
+     * @returns {CLIBuilder}
+     * @example
+     * const cli = new CLIBuilder()
+     * .host('fatnode.mysite.com')
+     * .cache({ttl: {'get-balance': 10000, 'get-stats': 60000}})
+     * .build();
+     */
+    cache(options) {
+        options = options || {};
+        const store = options.store !== undefined ? options.store : new MemoryCache({maxEntries: options.maxEntries});
+        if (typeof store.get !== 'function' || typeof store.set !== 'function' || typeof store.delete !== 'function') throw new ValidationError('Cache store must implement get, set & delete', 'store');
+
+        const ttl = options.ttl || {};
+        Object.keys(ttl).forEach(method => {
+            if (uncacheableMethods.includes(method)) throw new ValidationError('Results of ' + method + ' can not be cached', 'ttl');
+            if (!Number.isInteger(ttl[method]) || ttl[method] <= 0) throw new ValidationError('Cache TTL of ' + method + ' must be an integer > 0', 'ttl');
+        });
+
+        this._cache = {store, ttl, prefix: options.prefix !== undefined ? options.prefix : 'fat-js:'};
+        return this;
+    }
+
+    /**
+     * Add a middleware to the chain every HTTP request to fatd passes through, in the order added. Middleware runs once per attempt, after the endpoint is selected
+     * by the retry & failover logic and after cached results are served, so it can add headers, time requests, log or redact requests & responses and inject faults.
+     * A middleware receives the request {method, params, body, headers, endpoint, attempt} and next, which sends the request on and resolves the response
+     * {status, headers, data, endpoint, duration}. data is the parsed JSON-RPC response holding the result or error. method & params are undefined for batch requests,
+     * whose body is the array of JSON-RPC requests. Network failures reject with a NetworkError, which is retried if its status is 5xx or it has none
+     * @method
+     * @param {function} middleware - async (request, next) => response
+     * @returns {CLIBuilder}
+     * @example
+     * const cli = new CLIBuilder()
+     * .host('fatnode.mysite.com')
+     * .use(async (request, next) => {
+     *     request.headers['X-Request-ID'] = uuid();
+     *     const response = await next(request);
+     *     console.log(request.method, request.endpoint, response.duration + 'ms');
+     *     return response;
+     * })
+     * .build();
+     */
+    use(middleware) {
+        if (typeof middleware !== 'function') throw new ValidationError('Middleware must be a function', 'middleware');
+        this._middleware.push(middleware);
+        return this;
+    }
+
     /**
      * Build the CLI
      * @method
      * @returns {CLI}
      */
     build() {
-        if (this._username && !this._password || this._password && !this._username) throw new Error('You must specify both a username and password for basic authentication');
+        if (this._username && !this._password || this._password && !this._username) throw new ValidationError('You must specify both a username and password for basic authentication', 'password');
+        if (this._endpoints !== undefined && (this._host !== undefined || this._port !== undefined)) throw new ValidationError('Specify either a host & port or a list of endpoints', 'endpoints');
 
         return new CLI(this);
     }
@@ -156,23 +350,46 @@ class CLI {
      * @param {CLIBuilder} builder - A CLIBuilder object
      */
     constructor(builder) {
-        if (!(builder instanceof CLIBuilder)) throw new Error("Must include an cli builder");
-        this._host = builder._host || 'localhost';
-        this._port = builder._port || 8078;
+        if (!(builder instanceof CLIBuilder)) throw new ValidationError("Must include an cli builder", 'builder');
+        const endpoints = builder._endpoints || [{host: builder._host || 'localhost', port: builder._port || 8078, protocol: builder._protocol}];
+        this._host = endpoints[0].host;
+        this._port = endpoints[0].port;
         this._username = builder._username;
         this._password = builder._password;
         this._secure = builder._secure;
-        this._protocol = builder._protocol;
+        this._protocol = endpoints[0].protocol;
 
         this._timeout = builder._timeout || 5000;
         this._pending = builder._pending;
 
-        this._axios = axios.create({
-            baseURL: this._protocol + '://' + this._host + ':' + this._port + '/v1',
-            timeout: this._timeout,
-            auth: (this._username && this._password) ? {username: this._username, password: this._password} : undefined,
-            httpsAgent: this._secure ? undefined : new https.Agent({rejectUnauthorized: false}) //if secure is true use default https agent with full security
-        });
+        this._failover = builder._failover;
+        this._cooldown = builder._cooldown;
+        this._retry = builder._retry;
+        this._maxSyncLag = builder._maxSyncLag;
+        this._healthCheckInterval = builder._healthCheckInterval;
+        this._responseValidation = builder._responseValidation;
+        this._onValidationWarning = builder._onValidationWarning;
+        this._cache = builder._cache;
+        this._next = 0;
+
+        //user middleware wraps each attempt. Caching & retries run before it as built in middleware of the same shape
+        this._send = compose(builder._middleware, request => transport(this, request));
+        this._dispatch = compose([
+            (request, next) => cacheResults(this, request, next),
+            (request, next) => retry(this, request, next)
+        ], this._send);
+
+        this._endpoints = endpoints.map(endpoint => ({
+            url: endpoint.protocol + '://' + endpoint.host + ':' + endpoint.port,
+            unhealthyUntil: 0,
+            lagging: false,
+            axios: axios.create({
+                baseURL: endpoint.protocol + '://' + endpoint.host + ':' + endpoint.port + '/v1',
+                timeout: this._timeout,
+                auth: (this._username && this._password) ? {username: this._username, password: this._password} : undefined,
+                httpsAgent: this._secure ? undefined : new https.Agent({rejectUnauthorized: false}) //if secure is true use default https agent with full security
+            })
+        }));
     }
 
     /**
@@ -185,35 +402,69 @@ class CLI {
      */
     async call(method, params) {
 
+        //methods newer than the oldest fatd version are only called once the node is known to support them
+        if (compatibility.getMethodVersion(method) !== undefined) {
+            const capabilities = await this.getCapabilities();
+            if (capabilities.unsupported[method] !== undefined) throw new UnsupportedMethodError(method, capabilities.version, capabilities.unsupported[method]);
+        }
+
         //If pending entries are enabled, splice in the param for methods that allow it
         if (this._pending && !nonPendingMethods.includes(method)) params.includepending = true;
 
-        const response = await this._axios.post(
-            '/',
-            {
-                jsonrpc: '2.0',
-                id: Math.floor(Math.random() * 10000),
-                method,
-                params
-            },
-            {
-                transformResponse: [data => {
-                    try {
-                        return JSONBig.parse(data)
-                    } catch (e) {
-                        console.error('Invalid Non-JSON API Response: ', data);
-                        return {}
-                    }
-                }]
-            }
-        );
+        const response = await request(this, createRequest(method, params));
+        if (response.cached) return response.data.result;
+        cacheCapabilities(this, response);
 
         const data = response.data;
-        if (data.error !== undefined) throw new Error(JSON.stringify(data.error));
+        if (data.error !== undefined) throw new FatdRpcError(data.error, method);
+
+        return validateResult(this, method, data.result, response.headers['fatd-version']);
+    }
+
+    /**
+     * Create a batch of calls to send to fatd in a single JSON-RPC 2.0 batch request
+     * @method
+     * @returns {Batch}
+     * @example
+     * const results = await cli.batch()
+     * .getBalance('013de826902b7d075f00101649ca4fa7b49b5157cba736b2ca90f67e2ad6e8ec', 'FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM')
+     * .getNFToken('962a18328c83f370113ff212bae21aaf34e5252bc33d59c9db3df2a6bfda966f', 12)
+     * .execute();
+     */
+    batch() {
+        return new Batch(this);
+    }
+
+    /**
+     * Check the sync status of every endpoint, marking endpoints whose fatd lags behind factomd by more than the max sync lag, or that can not be reached, as unhealthy
+     * @method
+     * @async
+     * @returns {Promise<object[]>} - The health of each endpoint. {url, healthy, syncheight, factomheight, error}
+     */
+    checkHealth() {
+        this._lastHealthCheck = Date.now();
+        return Promise.all(this._endpoints.map(endpoint => this._send(createContext(createRequest('get-sync-status'), endpoint.url))
+            .then(response => {
+                if (response.data.error !== undefined) throw new FatdRpcError(response.data.error, 'get-sync-status');
 
-        //check response conforms to expected fatd return
+                const {syncheight, factomheight} = response.data.result;
+                endpoint.lagging = factomheight - syncheight > this._maxSyncLag;
+                if (!endpoint.lagging) endpoint.unhealthyUntil = 0;
+                return {url: endpoint.url, healthy: isHealthy(endpoint), syncheight, factomheight};
+            })
+            .catch(e => {
+                endpoint.unhealthyUntil = Date.now() + this._cooldown;
+                return {url: endpoint.url, healthy: false, error: e.message};
+            })));
+    }
 
-        return data.result;
+    /**
+     * Get the configured fatd endpoints and whether they are currently considered healthy
+     * @method
+     * @returns {object[]} - The endpoints. {url, healthy}
+     */
+    getEndpoints() {
+        return this._endpoints.map(endpoint => ({url: endpoint.url, healthy: isHealthy(endpoint)}));
     }
 
     /**
@@ -234,7 +485,9 @@ class CLI {
             }
             default: {
                 const issuanceEntry = await new BaseTokenCLI(this, tokenChainId).getIssuance();
-                return this.getTokenCLI(tokenChainId, issuanceEntry.issuance.type);
+                const detected = issuanceEntry.issuance.type;
+                if (detected !== constant.FAT0 && detected !== constant.FAT1) throw new CompatibilityError('Token ' + tokenChainId + ' has unsupported type ' + detected);
+                return this.getTokenCLI(tokenChainId, detected);
             }
         }
     }
@@ -256,7 +509,7 @@ class CLI {
                 return new FAT1CLI(this, tokenChainId);
             }
             default: {
-                throw new Error('Invalid FAT type string: ' + type);
+                throw new ValidationError('Invalid FAT type string: ' + type, 'type');
             }
         }
     }
@@ -292,21 +545,46 @@ class CLI {
     }
 
     /**
-     * Get the numeric token balance counts for all tracked tokens for a public Factoid address
+     * Get the numeric token balance counts for all tracked tokens for a public Factoid address.
+     * fatd versions without get-balances are queried with a get-balance call per tracked token instead
      * @method
      * @async
      * @param {string} address - The public Factoid address to get all token balances for
      * @returns {Promise}
      */
     async getBalances(address) {
-        if (!fctAddressUtil.isValidPublicFctAddress(address)) throw new Error('Invalid public Factoid address');
-        const balances = await this.call('get-balances', {address});
+        if (!fctAddressUtil.isValidPublicFctAddress(address)) throw new ValidationError('Invalid public Factoid address', 'address');
+        const balances = await this.call('get-balances', {address}).catch(e => {
+            if (!(e instanceof UnsupportedMethodError)) throw e;
+            return getBalancesPerToken(this, address);
+        });
 
         //force all values in the balance map to bignumber
         Object.keys(balances).forEach((chainId) => balances[chainId] = new BigNumber(balances[chainId]));
         return balances;
     }
 
+    /**
+     * Negotiate the capabilities of the connected fatd node from its fatd-version header. The header of the first response received is cached,
+     * so capabilities are only requested from fatd if no call has been made yet. Version gated methods like get-balances are checked against the capabilities before they are called
+     * @method
+     * @async
+     * @returns {Promise<object>} - The capabilities {version, unsupported}. unsupported maps each RPC method the node does not support to the fatd version that introduced it
+     * @example
+     * const capabilities = await cli.getCapabilities(); // => {version: '0.5.1', unsupported: {'get-balances': '0.6.0'}}
+     */
+    getCapabilities() {
+        if (this._capabilities === undefined) {
+            this._capabilities = request(this, createRequest('get-daemon-properties'))
+                .then(response => compatibility.getCapabilities(response.headers['fatd-version']))
+                .catch(e => {
+                    this._capabilities = undefined; //negotiate again on the next call
+                    throw e;
+                });
+        }
+        return this._capabilities;
+    }
+
     /**
      * Get an array of compatibility warnings for the connected fatd node. Zero elements returned means full compatibility
      * @method
@@ -315,22 +593,211 @@ class CLI {
      */
     async getCompatibility() {
 
-        const response = await this._axios.post(
-            '/',
-            {
-                jsonrpc: '2.0',
-                id: Math.floor(Math.random() * 10000),
-                method: 'get-daemon-properties'
-            }
-        );
+        const response = await request(this, createRequest('get-daemon-properties'));
+        cacheCapabilities(this, response);
 
         const data = response.data;
-        if (data.error !== undefined) throw new Error(JSON.stringify(data.error));
+        if (data.error !== undefined) throw new FatdRpcError(data.error, 'get-daemon-properties');
 
         return compatibility.getVersionCompatibility(response.headers['fatd-version'])
     }
 }
 
+/**
+ * A batch of typed fatd calls sent in a single JSON-RPC 2.0 batch request. Results keep the same conversions as the equivalent CLI methods
+ * (BigNumber balances & stats, typed Issuance & Transaction objects when the token type is given) and errors are reported per call
+ * @class
+ * @public
+ * @example
+ * const results = await cli.batch()
+ * .getBalance('013de826902b7d075f00101649ca4fa7b49b5157cba736b2ca90f67e2ad6e8ec', 'FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM')
+ * .getTransaction('013de826902b7d075f00101649ca4fa7b49b5157cba736b2ca90f67e2ad6e8ec', '68f3ca3a8c9f7a0cb32dc9f2d2e5c2ae2a19dcb0b7ce4a3fc5a1f6a3ed4a5b1e', 'FAT-0')
+ * .getNFToken('962a18328c83f370113ff212bae21aaf34e5252bc33d59c9db3df2a6bfda966f', 12)
+ * .execute();
+ *
+ * // => [{result: BigNumber(150)}, {result: Transaction}, {error: FatdRpcError('{"code":-32803,"message":"Token Not Found"}')}]
+ */
+class Batch {
+
+    /**
+     * @constructor
+     * @param {CLI} cli - The CLI to send the batch with
+     */
+    constructor(cli) {
+        if (!(cli instanceof CLI)) throw new ValidationError("Must include an RPc object of type CLI", 'cli');
+        this._cli = cli;
+        this._items = [];
+    }
+
+    /**
+     * Queue a raw call to the fatd RPC endpoint
+     * @method
+     * @param {string} method - The method name string to call
+     * @param {object} [params] - The params object to submit
+     * @returns {Batch}
+     */
+    call(method, params) {
+        return queue(this, recorder => recorder.call(method, params));
+    }
+
+    /**
+     * Queue a get-issuance call for a token
+     * @method
+     * @param {string} tokenChainId - The Factom chain ID of the token
+     * @param {string} [type] - "FAT-0" or "FAT-1" to get a typed Issuance object instead of the raw response
+     * @returns {Batch}
+     */
+    getIssuance(tokenChainId, type) {
+        return queue(this, recorder => getBatchTokenCLI(recorder, tokenChainId, type).getIssuance());
+    }
+
+    /**
+     * Queue a get-transaction call for a token
+     * @method
+     * @param {string} tokenChainId - The Factom chain ID of the token
+     * @param {string} entryhash - The Factom entryhash of the transaction to get
+     * @param {string} [type] - "FAT-0" or "FAT-1" to get a typed Transaction object instead of the raw response
+     * @returns {Batch}
+     */
+    getTransaction(tokenChainId, entryhash, type) {
+        return queue(this, recorder => getBatchTokenCLI(recorder, tokenChainId, type).getTransaction(entryhash));
+    }
+
+    /**
+     * Queue a get-transactions call for a token. See BaseTokenCLI.getTransactions for the parameters
+     * @method
+     * @param {string} tokenChainId - The Factom chain ID of the token
+     * @param {object} params - Get transaction request parameters
+     * @param {string} [type] - "FAT-0" or "FAT-1" to get typed Transaction objects instead of the raw response
+     * @returns {Batch}
+     */
+    getTransactions(tokenChainId, params, type) {
+        return queue(this, recorder => getBatchTokenCLI(recorder, tokenChainId, type).getTransactions(params));
+    }
+
+    /**
+     * Queue a get-balance call for a token. Resolves to a BigNumber
+     * @method
+     * @param {string} tokenChainId - The Factom chain ID of the token
+     * @param {string} address - The public Factoid address to get the balance of
+     * @returns {Batch}
+     */
+    getBalance(tokenChainId, address) {
+        return queue(this, recorder => getBatchTokenCLI(recorder, tokenChainId).getBalance(address));
+    }
+
+    /**
+     * Queue a get-stats call for a token. Numeric stats resolve to BigNumbers
+     * @method
+     * @param {string} tokenChainId - The Factom chain ID of the token
+     * @returns {Batch}
+     */
+    getStats(tokenChainId) {
+        return queue(this, recorder => getBatchTokenCLI(recorder, tokenChainId).getStats());
+    }
+
+    /**
+     * Queue a get-nf-token call for a FAT-1 token
+     * @method
+     * @param {string} tokenChainId - The Factom chain ID of the token
+     * @param {number} nftokenid - The ID of the non-fungible token
+     * @returns {Batch}
+     */
+    getNFToken(tokenChainId, nftokenid) {
+        return queue(this, recorder => getBatchTokenCLI(recorder, tokenChainId, constant.FAT1).getNFToken(nftokenid));
+    }
+
+    /**
+     * Queue a get-nf-balance call for a FAT-1 token. See CLI1.getNFBalance for the parameters
+     * @method
+     * @param {string} tokenChainId - The Factom chain ID of the token
+     * @param {object} params - Get non-fungible balance request parameters
+     * @returns {Batch}
+     */
+    getNFBalance(tokenChainId, params) {
+        return queue(this, recorder => getBatchTokenCLI(recorder, tokenChainId, constant.FAT1).getNFBalance(params));
+    }
+
+    /**
+     * Queue a get-nf-tokens call for a FAT-1 token. See CLI1.getNFTokens for the parameters
+     * @method
+     * @param {string} tokenChainId - The Factom chain ID of the token
+     * @param {object} [params] - Get non-fungible tokens request parameters
+     * @returns {Batch}
+     */
+    getNFTokens(tokenChainId, params) {
+        return queue(this, recorder => getBatchTokenCLI(recorder, tokenChainId, constant.FAT1).getNFTokens(params));
+    }
+
+    /**
+     * Queue a get-balances call for all tracked tokens of an address. Balances resolve to BigNumbers.
+     * fatd versions without get-balances are queried with a get-balance call per tracked token once the batch has been sent, like CLI.getBalances
+     * @method
+     * @param {string} address - The public Factoid address to get all token balances for
+     * @returns {Batch}
+     */
+    getBalances(address) {
+        return queue(this, recorder => recorder.getBalances(address));
+    }
+
+    /**
+     * Get the number of calls queued in the batch
+     * @method
+     * @returns {number}
+     */
+    size() {
+        return this._items.length;
+    }
+
+    /**
+     * Send all queued calls to fatd in one JSON-RPC batch request. A batch can only be executed once. Version gated methods like get-balances are checked against
+     * the capabilities of fatd first, exactly like single calls. Every call settles on its own: a call the node does not support, a failed capability negotiation
+     * or a failed batch request is reported as the error of the calls it affects and never rejects execute
+     * @method
+     * @async
+     * @returns {Promise<object[]>} - The results in the order the calls were queued. Either {result} or {error} for each call
+     */
+    async execute() {
+        if (this._executed) throw new ValidationError('Batch has already been executed');
+        this._executed = true;
+
+        const items = await getSupportedItems(this._cli, this._items.filter(item => item.request !== undefined));
+        if (items.length > 0) {
+            let response;
+            try {
+                response = await request(this._cli, items.map(item => item.request));
+            } catch (e) {
+                items.forEach(item => item.reject(e));
+                return settle(this);
+            }
+            cacheCapabilities(this._cli, response);
+
+            const data = response.data;
+            const version = response.headers['fatd-version'];
+            if (Array.isArray(data)) {
+                const responses = new Map(data.map(response => [Number(response.id), response]));
+                items.forEach(item => {
+                    const response = responses.get(item.request.id);
+                    if (response === undefined) item.reject(new NetworkError('Missing response for batch request ' + item.request.id));
+                    else if (response.error !== undefined) item.reject(new FatdRpcError(response.error, item.request.method));
+                    else {
+                        try {
+                            item.resolve(validateResult(this._cli, item.request.method, response.result, version));
+                        } catch (e) {
+                            item.reject(e);
+                        }
+                    }
+                });
+            } else { //the whole batch was rejected
+                const error = data.error !== undefined ? new FatdRpcError(data.error) : new NetworkError('Invalid batch response', {status: response.status});
+                items.forEach(item => item.reject(error));
+            }
+        }
+
+        return settle(this);
+    }
+}
+
 const getTransactionsSchema = Joi.object().keys({
     entryhash: Joi.string().length(64),
     addresses: Joi.array().items(Joi.factom().factoidAddress('public')),
@@ -353,10 +820,10 @@ class BaseTokenCLI {
      * @param {string} tokenChainId - The Factom chain ID of the token to get the CLI for
      */
     constructor(cli, tokenChainId) {
-        if (!(cli instanceof CLI)) throw new Error("Must include an RPc object of type CLI");
+        if (!(cli instanceof CLI)) throw new ValidationError("Must include an RPc object of type CLI", 'cli');
         this._cli = cli;
 
-        if (!tokenChainId || tokenChainId.length !== 64) throw new Error("You must include a valid token chain ID to construct BaseTokenCLI");
+        if (!tokenChainId || tokenChainId.length !== 64) throw new ValidationError("You must include a valid token chain ID to construct BaseTokenCLI", 'tokenChainId');
         this._tokenChainId = tokenChainId;
     }
 
@@ -396,7 +863,7 @@ class BaseTokenCLI {
      * @returns {Promise}
      */
     getTransaction(entryhash) {
-        if (entryhash.length !== 64) throw new Error("You must include a valid 32 Byte tx ID (entryhash)");
+        if (entryhash.length !== 64) throw new ValidationError("You must include a valid 32 Byte tx ID (entryhash)", 'entryhash');
         return this._cli.call('get-transaction', generateTokenCLIParams(this, {'entryhash': entryhash}));
     }
 
@@ -413,15 +880,37 @@ class BaseTokenCLI {
      * @returns {Promise}
      */
     getTransactions(params) {
-        const validation = Joi.validate(params, getTransactionsSchema);
-        if (validation.error) throw new Error('Params validation error - ' + validation.error.details[0].message);
-        if (params && params.addresses && !params.addresses.every(fctAddressUtil.isValidPublicFctAddress)) {
-            throw new Error("At least one of the Factoid addresses is invalid.");
-        }
-
+        validateTransactionsParams(params);
         return this._cli.call('get-transactions', generateTokenCLIParams(this, params));
     }
 
+    /**
+     * Iterate over the FAT transactions of the token, fetching pages lazily as the iterator is consumed. FAT-0 & FAT-1 token CLIs yield typed Transaction objects.
+     * Iteration stops after the last page, after max transactions, or when breaking out of the loop
+     * @method
+     * @param {object} [params] - Iteration parameters
+     * @param {string[]} [params.addresses] - The list of public Factoid addresses to iterate transactions for (Address appearing in inputs or outputs)
+     * @param {string} [params.entryhash] - The Factom entryhash of the transaction to start iterating at
+     * @param {string} [params.order=asc] - The time based sort order of transactions. Must be either "asc" or "desc"
+     * @param {number} [params.pageSize=25] - The number of transactions fetched per request
+     * @param {number} [params.max] - The maximum number of transactions to yield
+     * @param {number} [params.page=0] - The page to start iterating at
+     * @returns {AsyncIterator}
+     * @example
+     * for await (const tx of tokenCLI.iterateTransactions({addresses: ['FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM'], pageSize: 100})) {
+     *     console.log(tx.getEntryhash());
+     * }
+     */
+    iterateTransactions(params) {
+        const {query, options} = splitIterationParams(params);
+        validateTransactionsParams(query);
+
+        return paginate(async (page, limit) => {
+            const items = await this.getTransactions(Object.assign({}, query, {page, limit}));
+            return {items, size: items.length};
+        }, options);
+    }
+
     /**
      * Get the numeric balance of a Factoid address on the token. Returned as type BigNumber(https://www.npmjs.com/package/bignumber.js)
      * @method
@@ -430,7 +919,7 @@ class BaseTokenCLI {
      * @returns {Promise}
      */
     async getBalance(address) {
-        if (!fctAddressUtil.isValidPublicFctAddress(address)) throw new Error("You must include a valid public Factoid address");
+        if (!fctAddressUtil.isValidPublicFctAddress(address)) throw new ValidationError("You must include a valid public Factoid address", 'address');
         const balance = await this._cli.call('get-balance', generateTokenCLIParams(this, {address}));
         return new BigNumber(balance);
     }
@@ -472,6 +961,20 @@ class BaseTokenCLI {
     }
 }
 
+/**
+ * Validate the parameters of a get-transactions request
+ * @method
+ * @private
+ * @param {object} [params] - The parameters object for the RPC call
+ */
+function validateTransactionsParams(params) {
+    const validation = Joi.validate(params, getTransactionsSchema);
+    if (validation.error) throw new ValidationError('Params validation error - ' + validation.error.details[0].message, validation.error.details[0].path.join('.'));
+    if (params && params.addresses && !params.addresses.every(fctAddressUtil.isValidPublicFctAddress)) {
+        throw new ValidationError("At least one of the Factoid addresses is invalid.", 'addresses');
+    }
+}
+
 /**
  * Generate token RPC call parameters by including Factom token chain ID
  * @method
@@ -486,6 +989,476 @@ function generateTokenCLIParams(tokenCLI, params) {
     }, params);
 }
 
+/**
+ * Queue a call in a batch. The call is made on a stand-in for the batch's CLI that records the RPC request instead of sending it,
+ * so the result goes through the same conversions as the equivalent CLI method once the batch is executed
+ * @method
+ * @private
+ * @param {Batch} batch - The batch to queue the call in
+ * @param {function} invoke - Makes the call on the recording CLI, returning the Promise of its result
+ * @returns {Batch}
+ */
+function queue(batch, invoke) {
+    if (batch._executed) throw new ValidationError('Batch has already been executed');
+
+    const item = {};
+    const id = batch._items.length;
+    const recorder = Object.create(batch._cli);
+    recorder.call = (method, params) => {
+        //follow up calls made once the batch has been sent, like the per token fallback of getBalances, go to fatd directly
+        if (batch._executed) return batch._cli.call(method, params);
+        if (item.request !== undefined) throw new ValidationError('Batched calls must make a single RPC request');
+
+        //If pending entries are enabled, splice in the param for methods that allow it
+        if (batch._cli._pending && !nonPendingMethods.includes(method)) params = Object.assign({}, params, {includepending: true});
+
+        item.request = createRequest(method, params, id);
+        return new Promise((resolve, reject) => {
+            item.resolve = resolve;
+            item.reject = reject;
+        });
+    };
+
+    item.result = Promise.resolve(invoke(recorder));
+    item.result.catch(() => undefined); //errors are reported per call by execute
+    batch._items.push(item);
+    return batch;
+}
+
+/**
+ * Check the version gated calls of a batch against the capabilities of fatd. Calls the node does not support are rejected with an UnsupportedMethodError
+ * and if the capabilities can not be negotiated all gated calls are rejected with the error
+ * @method
+ * @private
+ * @param {CLI} cli - The CLI the batch is sent with
+ * @param {object[]} items - The queued calls holding a request
+ * @returns {Promise<object[]>} - The calls that can be sent
+ */
+async function getSupportedItems(cli, items) {
+    const gated = items.filter(item => compatibility.getMethodVersion(item.request.method) !== undefined);
+    if (gated.length === 0) return items;
+
+    let capabilities;
+    try {
+        capabilities = await cli.getCapabilities();
+    } catch (e) {
+        gated.forEach(item => item.reject(e));
+        return items.filter(item => !gated.includes(item));
+    }
+
+    return items.filter(item => {
+        const minimumVersion = capabilities.unsupported[item.request.method];
+        if (minimumVersion === undefined) return true;
+        item.reject(new UnsupportedMethodError(item.request.method, capabilities.version, minimumVersion));
+        return false;
+    });
+}
+
+/**
+ * Wait for every queued call of a batch to settle
+ * @method
+ * @private
+ * @param {Batch} batch - The batch
+ * @returns {Promise<object[]>} - Either {result} or {error} for each call, in the order the calls were queued
+ */
+function settle(batch) {
+    return Promise.all(batch._items.map(item => item.result.then(result => ({result}), error => ({error}))));
+}
+
+/**
+ * Get a token CLI bound to a batch's recording CLI
+ * @method
+ * @private
+ * @param {CLI} recorder - The recording CLI
+ * @param {string} tokenChainId - The Factom chain ID of the token
+ * @param {string} [type] - The token type. Untyped calls resolve to the raw fatd response
+ * @returns {BaseTokenCLI}
+ */
+function getBatchTokenCLI(recorder, tokenChainId, type) {
+    return type === undefined ? new BaseTokenCLI(recorder, tokenChainId) : recorder.getTokenCLISync(tokenChainId, type);
+}
+
+/**
+ * Parse an endpoint URL string or {host, port, protocol} object into its parts
+ * @method
+ * @private
+ * @param {(string|object)} endpoint - The endpoint
+ * @returns {object} - {host, port, protocol}
+ */
+function parseEndpoint(endpoint) {
+    if (typeof endpoint === 'string') {
+        const match = endpoint.match(/^(?:(https?):\/\/)?([^:/\s]+)(?::([0-9]+))?\/?$/);
+        if (!match) throw new ValidationError('Invalid endpoint URL: ' + endpoint, 'endpoints');
+        endpoint = {protocol: match[1], host: match[2], port: match[3] !== undefined ? Number.parseInt(match[3]) : undefined};
+    }
+
+    if (typeof endpoint !== 'object' || endpoint === null) throw new ValidationError('Endpoint must be a URL string or an object', 'endpoints');
+    if (typeof endpoint.host !== 'string' || endpoint.host.length === 0) throw new ValidationError('Endpoint host must be a string with length >=1', 'endpoints');
+    if (endpoint.port !== undefined && (!Number.isInteger(endpoint.port) || endpoint.port < 0)) throw new ValidationError('Endpoint port must be an integer >= 0', 'endpoints');
+    if (endpoint.protocol !== undefined && endpoint.protocol !== 'http' && endpoint.protocol !== 'https') throw new ValidationError('Invalid endpoint protocol string', 'endpoints');
+
+    return {host: endpoint.host, port: endpoint.port || 8078, protocol: endpoint.protocol || 'http'};
+}
+
+/**
+ * Check whether an endpoint is neither lagging behind factomd nor cooling down after a failure
+ * @method
+ * @private
+ * @param {object} endpoint - The CLI endpoint
+ * @returns {boolean}
+ */
+function isHealthy(endpoint) {
+    return !endpoint.lagging && endpoint.unhealthyUntil <= Date.now();
+}
+
+/**
+ * Pick the endpoint for the next request according to the CLI's failover strategy. Falls back to all endpoints if none are healthy
+ * @method
+ * @private
+ * @param {CLI} cli - The CLI
+ * @returns {object} - The endpoint
+ */
+function selectEndpoint(cli) {
+    let candidates = cli._endpoints.filter(isHealthy);
+    if (candidates.length === 0) candidates = cli._endpoints;
+
+    if (cli._failover === 'round-robin') return candidates[cli._next++ % candidates.length];
+    return candidates[0];
+}
+
+/**
+ * Check whether a request failed because of the endpoint: a network error or a 5xx response
+ * @method
+ * @private
+ * @param {Error} error - The error the request failed with
+ * @returns {boolean}
+ */
+function isEndpointFailure(error) {
+    return error instanceof NetworkError && (error.status === undefined || error.status >= 500);
+}
+
+/**
+ * Check whether a failed request may be retried. Only network errors are retried. Requests including send-transaction are only retried when the connection could not be established
+ * @method
+ * @private
+ * @param {Error} error - The error the request failed with
+ * @param {(object|object[])} body - The JSON-RPC request or batch that failed
+ * @returns {boolean}
+ */
+function isRetryable(error, body) {
+    if (!isEndpointFailure(error)) return false;
+    const unsafe = [].concat(body).some(request => nonRetryableMethods.includes(request.method));
+    if (error.status !== undefined) return !unsafe;
+    if (unsafe) return error.cause !== undefined && connectionErrorCodes.includes(error.cause.code);
+    return true;
+}
+
+/**
+ * Cache the capabilities of fatd from the fatd-version header of a response, unless they are already known
+ * @method
+ * @private
+ * @param {CLI} cli - The CLI
+ * @param {object} response - The axios response
+ */
+function cacheCapabilities(cli, response) {
+    if (cli._capabilities === undefined) cli._capabilities = Promise.resolve(compatibility.getCapabilities(response.headers['fatd-version']));
+}
+
+/**
+ * Get the balances of an address by calling get-balance for every tracked token, for fatd versions without get-balances
+ * @method
+ * @private
+ * @param {CLI} cli - The CLI
+ * @param {string} address - The public Factoid address
+ * @returns {Promise<object>} - The non-zero balances, keyed by token chain ID
+ */
+async function getBalancesPerToken(cli, address) {
+    const tokens = await cli.getTrackedTokens();
+    const balances = await Promise.all(tokens.map(token => new BaseTokenCLI(cli, token.chainid).getBalance(address)));
+    return tokens.reduce((result, token, i) => {
+        if (!balances[i].isZero()) result[token.chainid] = balances[i];
+        return result;
+    }, {});
+}
+
+/**
+ * Get the cache key of an RPC call
+ * @method
+ * @private
+ * @param {CLI} cli - The CLI
+ * @param {string} method - The RPC method name
+ * @param {object} [params] - The RPC params, including includepending
+ * @returns {string} - The key, or undefined if the CLI has no cache or the method is never cached
+ */
+function getCacheKey(cli, method, params) {
+    if (cli._cache === undefined || uncacheableMethods.includes(method)) return undefined;
+    return cli._cache.prefix + method + ':' + JSONBig.stringify(params !== undefined ? params : {});
+}
+
+/**
+ * Serve single requests from the cache, caching results that pass response validation. The first built in middleware of every CLI
+ * @method
+ * @private
+ * @param {CLI} cli - The CLI
+ * @param {object} request - The middleware request
+ * @param {function} next - Sends the request on
+ * @returns {Promise<object>} - The response. Responses served from the cache have cached set
+ */
+function cacheResults(cli, request, next) {
+    const key = Array.isArray(request.body) ? undefined : getCacheKey(cli, request.method, request.params);
+    if (key === undefined) return next(request);
+
+    return readCache(cli, key).then(result => {
+        if (result !== undefined) return {status: 200, headers: {}, data: {jsonrpc: '2.0', id: request.body.id, result}, cached: true, duration: 0};
+
+        return next(request).then(response => {
+            const data = response.data;
+            if (data.error !== undefined || (cli._responseValidation !== 'off' && checkResult(request.method, data.result, response.headers['fatd-version']) !== undefined)) return response;
+            return writeCache(cli, request.method, key, data.result).then(() => response);
+        });
+    });
+}
+
+/**
+ * Get a cached result. Cache store failures are treated as misses so an unavailable store never fails calls
+ * @method
+ * @private
+ * @param {CLI} cli - The CLI
+ * @param {string} key - The cache key
+ * @returns {Promise<*>} - The cached result, or undefined on a miss
+ */
+function readCache(cli, key) {
+    return Promise.resolve()
+        .then(() => cli._cache.store.get(key))
+        .then(value => typeof value === 'string' ? JSONBig.parse(value) : undefined)
+        .catch(() => undefined);
+}
+
+/**
+ * Check whether a result of an RPC method can never change
+ * @method
+ * @private
+ * @param {string} method - The RPC method name
+ * @param {*} result - The result returned by fatd
+ * @returns {boolean}
+ */
+function isImmutableResult(method, result) {
+    switch (method) {
+        case 'get-issuance':
+        case 'get-transaction':
+            return true;
+        case 'get-nf-token':
+            return result !== null && result.burned === true; //the owner of an unburned token changes with each transfer
+        default:
+            return false;
+    }
+}
+
+/**
+ * Cache a result if it is immutable, or if a TTL is configured for its method. Pending results are never cached
+ * @method
+ * @private
+ * @param {CLI} cli - The CLI
+ * @param {string} method - The RPC method name
+ * @param {string} key - The cache key
+ * @param {*} result - The result returned by fatd
+ * @returns {Promise<*>} - The result, unchanged
+ */
+function writeCache(cli, method, key, result) {
+    const pending = result !== null && typeof result === 'object' && result.pending === true;
+    if (result === undefined || pending) return Promise.resolve(result);
+
+    const ttl = cli._cache.ttl[method];
+    if (ttl === undefined && !isImmutableResult(method, result)) return Promise.resolve(result);
+
+    return Promise.resolve()
+        .then(() => cli._cache.store.set(key, JSONBig.stringify(result), ttl))
+        .catch(() => undefined)
+        .then(() => result);
+}
+
+/**
+ * Check a fatd result against the result schema of its method for the fatd version that returned it. Methods without a known schema are not checked
+ * @method
+ * @private
+ * @param {CLI} cli - The CLI, whose response validation mode & warning handler to apply
+ * @param {string} method - The RPC method name
+ * @param {*} result - The result returned by fatd
+ * @param {string} [version] - The fatd-version header of the response
+ * @returns {*} - The result, unchanged
+ */
+function validateResult(cli, method, result, version) {
+    if (cli._responseValidation === 'off') return result;
+    const invalid = checkResult(method, result, version);
+    if (invalid === undefined) return result;
+
+    const error = new InvalidResponseError(invalid.message, {method, field: invalid.field, version});
+    if (cli._responseValidation === 'strict') throw error;
+    if (cli._onValidationWarning !== undefined) cli._onValidationWarning(error);
+    return result;
+}
+
+/**
+ * Find the first field of a fatd result that does not match the result schema of its method
+ * @method
+ * @private
+ * @param {string} method - The RPC method name
+ * @param {*} result - The result returned by fatd
+ * @param {string} [version] - The fatd-version header of the response
+ * @returns {object} - The invalid field {field, message}, or undefined if the result is valid or the method has no known schema
+ */
+function checkResult(method, result, version) {
+    const schema = compatibility.getResultSchemas(version)[method];
+    if (schema === undefined) return undefined;
+
+    const validation = Joi.validate(result, schema.required(), {convert: false});
+    if (!validation.error) return undefined;
+
+    const detail = validation.error.details[0];
+    const field = detail.path.join('.');
+    return {field, message: 'Invalid ' + method + ' result from fatd' + (version ? ' ' + version : '') + (field ? ' at ' + field : '') + ': ' + detail.message};
+}
+
+/**
+ * Create a JSON-RPC 2.0 request object
+ * @method
+ * @private
+ * @param {string} method - The RPC method name
+ * @param {object} [params] - The RPC params
+ * @param {number} [id] - The request ID. Random if omitted
+ * @returns {object}
+ */
+function createRequest(method, params, id) {
+    return {
+        jsonrpc: '2.0',
+        id: id !== undefined ? id : Math.floor(Math.random() * 10000),
+        method,
+        params
+    };
+}
+
+/**
+ * POST a JSON-RPC request or batch to an endpoint
+ * @method
+ * @private
+ * @param {object} endpoint - The endpoint to send the request to
+ * @param {(object|object[])} body - The JSON-RPC request or batch array
+ * @param {object} [headers] - Additional HTTP headers
+ * @returns {Promise<object>} - The axios response, with the body parsed using JSONBig. Rejects with an InvalidResponseError if the body is not JSON
+ */
+function post(endpoint, body, headers) {
+    return endpoint.axios.post(
+        '/',
+        body,
+        {
+            headers,
+            transformResponse: [data => data]
+        }
+    ).then(response => {
+        try {
+            return Object.assign(response, {data: JSONBig.parse(response.data)});
+        } catch (e) {
+            throw new InvalidResponseError('Invalid non-JSON API response from ' + endpoint.url, {method: Array.isArray(body) ? undefined : body.method});
+        }
+    });
+}
+
+/**
+ * Send a JSON-RPC request or batch through the CLI's middleware chain
+ * @method
+ * @private
+ * @param {CLI} cli - The CLI
+ * @param {(object|object[])} body - The JSON-RPC request or batch array
+ * @returns {Promise<object>} - The response {status, headers, data, endpoint, duration}
+ */
+function request(cli, body) {
+    return cli._dispatch(createContext(body));
+}
+
+/**
+ * Create the request passed through the middleware chain
+ * @method
+ * @private
+ * @param {(object|object[])} body - The JSON-RPC request or batch array
+ * @param {string} [endpoint] - The URL of the endpoint to send the request to. Selected by the retry middleware if omitted
+ * @returns {object} - {method, params, body, headers, endpoint, attempt}
+ */
+function createContext(body, endpoint) {
+    const batch = Array.isArray(body);
+    return {
+        method: batch ? undefined : body.method,
+        params: batch ? undefined : body.params,
+        body,
+        headers: {},
+        endpoint,
+        attempt: 0
+    };
+}
+
+/**
+ * Compose middleware into a single handler. Each middleware is called with the request and the next handler in the chain
+ * @method
+ * @private
+ * @param {function[]} middleware - The middleware, outermost first
+ * @param {function} handler - The innermost handler
+ * @returns {function} - request => Promise<response>
+ */
+function compose(middleware, handler) {
+    return middleware.reduceRight((next, fn) => request => Promise.resolve().then(() => fn(request, next)), handler);
+}
+
+/**
+ * Send a request, retrying with exponential backoff & failing over between endpoints on network errors and 5xx responses. The second built in middleware of every CLI
+ * @method
+ * @private
+ * @param {CLI} cli - The CLI
+ * @param {object} request - The middleware request
+ * @param {function} next - Sends the request to the endpoint it names
+ * @returns {Promise<object>} - The response
+ */
+async function retry(cli, request, next) {
+    if (cli._healthCheckInterval !== undefined && !(Date.now() - cli._lastHealthCheck < cli._healthCheckInterval)) {
+        if (cli._healthCheck === undefined) cli._healthCheck = cli.checkHealth().then(() => cli._healthCheck = undefined);
+        await cli._healthCheck;
+    }
+
+    const options = cli._retry;
+    let attempt = 0;
+    while (attempt <= options.retries) {
+        const endpoint = selectEndpoint(cli);
+        try {
+            return await next(Object.assign({}, request, {endpoint: endpoint.url, headers: Object.assign({}, request.headers), attempt}));
+        } catch (e) {
+            //record the failure before checking the retry budget, so later requests fail over even when this one is not retried
+            if (isEndpointFailure(e)) endpoint.unhealthyUntil = Date.now() + cli._cooldown;
+            if (!isRetryable(e, request.body) || attempt === options.retries) throw e;
+        }
+
+        await util.sleep(Math.min(options.minTimeout * Math.pow(options.factor, attempt), options.maxTimeout));
+        attempt++;
+    }
+}
+
+/**
+ * Send a request over HTTP to the endpoint it names. The innermost handler of the middleware chain
+ * @method
+ * @private
+ * @param {CLI} cli - The CLI
+ * @param {object} request - The middleware request
+ * @returns {Promise<object>} - The response {status, headers, data, endpoint, duration}
+ */
+function transport(cli, request) {
+    const endpoint = cli._endpoints.find(endpoint => endpoint.url === request.endpoint);
+    if (endpoint === undefined) return Promise.reject(new ValidationError('Unknown endpoint ' + request.endpoint, 'endpoint'));
+
+    const start = Date.now();
+    return post(endpoint, request.body, request.headers).then(
+        response => ({status: response.status, headers: response.headers, data: response.data, endpoint: endpoint.url, duration: Date.now() - start}),
+        e => {
+            throw e instanceof InvalidResponseError ? e : fromAxiosError(e, endpoint.url);
+        });
+}
+
 module.exports = {
     CLIBuilder,
     BaseTokenCLI,
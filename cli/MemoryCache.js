@@ -0,0 +1,93 @@
+const {ValidationError} = require('../errors');
+
+/**
+ * In-memory least recently used cache store for fatd responses. The default store of CLIBuilder.cache.
+ * Other stores, like a Redis backend, only need to implement the same async get, set & delete methods. Values are strings
+ * @class
+ * @public
+ * @example
+ * const {MemoryCache} = require('fat-js');
+ *
+ * const cli = new CLIBuilder()
+ * .host('fatnode.mysite.com')
+ * .cache({store: new MemoryCache({maxEntries: 10000})})
+ * .build();
+ *
+ * //a Redis backed store using ioredis
+ * const store = {
+ *     get: key => redis.get(key).then(value => value === null ? undefined : value),
+ *     set: (key, value, ttl) => ttl !== undefined ? redis.set(key, value, 'PX', ttl) : redis.set(key, value),
+ *     delete: key => redis.del(key)
+ * };
+ */
+class MemoryCache {
+
+    /**
+     * @constructor
+     * @param {object} [options] - The cache options
+     * @param {number} [options.maxEntries=1000] - The number of entries kept before the least recently used ones are evicted
+     */
+    constructor(options) {
+        options = options || {};
+        const maxEntries = options.maxEntries !== undefined ? options.maxEntries : 1000;
+        if (!Number.isInteger(maxEntries) || maxEntries <= 0) throw new ValidationError('Max entries must be an integer > 0', 'maxEntries');
+
+        this._maxEntries = maxEntries;
+        this._entries = new Map();
+    }
+
+    /**
+     * Get a cached value
+     * @method
+     * @async
+     * @param {string} key - The cache key
+     * @returns {Promise<string>} - The value, or undefined if the key is not cached or has expired
+     */
+    async get(key) {
+        const entry = this._entries.get(key);
+        if (entry === undefined) return undefined;
+
+        this._entries.delete(key);
+        if (entry.expires !== undefined && entry.expires <= Date.now()) return undefined;
+
+        this._entries.set(key, entry); //mark as most recently used
+        return entry.value;
+    }
+
+    /**
+     * Cache a value, evicting the least recently used entry if the cache is full
+     * @method
+     * @async
+     * @param {string} key - The cache key
+     * @param {string} value - The value to cache
+     * @param {number} [ttl] - Milliseconds until the value expires. Kept until evicted if omitted
+     * @returns {Promise}
+     */
+    async set(key, value, ttl) {
+        this._entries.delete(key);
+        this._entries.set(key, {value, expires: ttl !== undefined ? Date.now() + ttl : undefined});
+        if (this._entries.size > this._maxEntries) this._entries.delete(this._entries.keys().next().value);
+    }
+
+    /**
+     * Remove a cached value
+     * @method
+     * @async
+     * @param {string} key - The cache key
+     * @returns {Promise}
+     */
+    async delete(key) {
+        this._entries.delete(key);
+    }
+
+    /**
+     * Get the number of cached entries, including expired entries that have not been evicted yet
+     * @method
+     * @returns {number}
+     */
+    size() {
+        return this._entries.size;
+    }
+}
+
+module.exports = MemoryCache;
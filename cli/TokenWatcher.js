@@ -0,0 +1,409 @@
+const EventEmitter = require('events');
+const fctAddressUtil = require('factom/src/addresses');
+const BigNumber = require('bignumber.js');
+const {BaseTokenCLI} = require('./CLI');
+const {ValidationError} = require('../errors');
+
+/**
+ * Watches a token chain, or a set of addresses on it, for new transactions by polling fatd.
+ * Pending transactions are reported when the CLI was built in pending mode (CLIBuilder.pending(true)).
+ * The watcher keeps a cursor of what has already been reported, which can be persisted & passed back in to resume watching without repeating events
+ * @class
+ * @public
+ * @fires TokenWatcher#pending
+ * @fires TokenWatcher#confirmed
+ * @fires TokenWatcher#dropped
+ * @fires TokenWatcher#balance
+ * @fires TokenWatcher#cursor
+ * @fires TokenWatcher#error
+ * @example
+ * const {TokenWatcher} = require('fat-js');
+ *
+ * const cli = new CLIBuilder().host('fatnode.mysite.com').pending(true).build();
+ * const tokenCLI = await cli.getTokenCLI('013de826902b7d075f00101649ca4fa7b49b5157cba736b2ca90f67e2ad6e8ec');
+ *
+ * const watcher = new TokenWatcher(tokenCLI, {
+ *     addresses: ['FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM'],
+ *     cursor: JSON.parse(fs.readFileSync('cursor.json')) //optional, resume from a previous run
+ * });
+ *
+ * watcher.on('pending', tx => console.log('Incoming', tx.getEntryhash()));
+ * watcher.on('confirmed', tx => console.log('Confirmed', tx.getEntryhash()));
+ * watcher.on('balance', change => console.log(change.address, change.balance.toString()));
+ * watcher.on('cursor', cursor => fs.writeFileSync('cursor.json', JSON.stringify(cursor)));
+ * watcher.on('error', console.error);
+ *
+ * watcher.start();
+ *
+ * //later
+ * await watcher.stop();
+ */
+class TokenWatcher extends EventEmitter {
+
+    /**
+     * @constructor
+     * @param {BaseTokenCLI} tokenCLI - The token CLI of the token to watch. Use a FAT-0 or FAT-1 token CLI to receive typed Transaction objects
+     * @param {object} [options] - The watch options
+     * @param {string[]} [options.addresses] - The public Factoid addresses to watch. If omitted every transaction on the token chain is reported
+     * @param {object} [options.cursor] - The cursor of a previous watcher on the same token & addresses to resume from. If omitted watching starts at the first transaction of the chain
+     * @param {number} [options.interval=5000] - Milliseconds between polls to fatd
+     * @param {number} [options.pageSize=100] - The number of transactions fetched per request
+     */
+    constructor(tokenCLI, options) {
+        super();
+        if (!(tokenCLI instanceof BaseTokenCLI)) throw new ValidationError('tokenCLI must be an instance of BaseTokenCLI', 'tokenCLI');
+
+        options = options || {};
+        if (options.addresses !== undefined) {
+            if (!Array.isArray(options.addresses) || options.addresses.length === 0) throw new ValidationError('addresses must be a non empty array', 'addresses');
+            if (!options.addresses.every(fctAddressUtil.isValidPublicFctAddress)) throw new ValidationError('At least one of the Factoid addresses is invalid.', 'addresses');
+        }
+        if (options.interval !== undefined && (!Number.isInteger(options.interval) || options.interval < 0)) throw new ValidationError('interval must be an integer >= 0', 'interval');
+        if (options.pageSize !== undefined && (!Number.isInteger(options.pageSize) || options.pageSize < 1)) throw new ValidationError('pageSize must be an integer >= 1', 'pageSize');
+
+        this._tokenCLI = tokenCLI;
+        this._addresses = options.addresses;
+        this._interval = options.interval !== undefined ? options.interval : 5000;
+        this._pageSize = options.pageSize !== undefined ? options.pageSize : 100;
+        this._cursor = parseCursor(options.cursor);
+        this._running = false;
+        this._polling = Promise.resolve();
+    }
+
+    /**
+     * Get the cursor of the watcher. Can be persisted & passed back in to resume watching
+     * @method
+     * @returns {object} - The JSON serializable cursor
+     */
+    getCursor() {
+        return JSON.parse(JSON.stringify(this._cursor));
+    }
+
+    /**
+     * Start polling fatd. The first poll runs immediately
+     * @method
+     * @returns {TokenWatcher}
+     */
+    start() {
+        if (this._running) return this;
+        this._running = true;
+        schedule(this, 0);
+        return this;
+    }
+
+    /**
+     * Stop polling fatd. Resolves once any poll in flight has finished, after which no more events are emitted
+     * @method
+     * @async
+     * @returns {Promise}
+     */
+    stop() {
+        this._running = false;
+        clearTimeout(this._timeout);
+        this._timeout = undefined;
+        return this._polling;
+    }
+
+    /**
+     * Poll fatd once, emitting events for everything that changed since the last poll. Polls never overlap
+     * @method
+     * @async
+     * @returns {Promise} - Rejects if fatd could not be polled
+     */
+    poll() {
+        const result = this._polling.then(() => pollOnce(this));
+        this._polling = result.catch(() => undefined);
+        return result;
+    }
+}
+
+/**
+ * A transaction was seen in fatd's pending entries for the first time
+ * @event TokenWatcher#pending
+ * @type {(Transaction0|Transaction1|object)}
+ */
+
+/**
+ * A transaction was confirmed in a directory block. Also emitted for transactions that were never seen pending
+ * @event TokenWatcher#confirmed
+ * @type {(Transaction0|Transaction1|object)}
+ */
+
+/**
+ * A pending transaction disappeared from fatd without being confirmed, e.x. because it turned out to be invalid
+ * @event TokenWatcher#dropped
+ * @type {string} - The entryhash of the dropped transaction
+ */
+
+/**
+ * The balance of a watched address changed
+ * @event TokenWatcher#balance
+ * @type {object} - {address, balance, previous}. Balances are BigNumbers, previous is undefined for the first balance seen
+ */
+
+/**
+ * The cursor changed. Persist it to resume watching later
+ * @event TokenWatcher#cursor
+ * @type {object}
+ */
+
+/**
+ * A scheduled poll failed. The watcher keeps polling. As with any EventEmitter, an unhandled error event throws
+ * @event TokenWatcher#error
+ * @type {Error}
+ */
+
+/**
+ * Validate & copy a cursor passed in by the user
+ * @method
+ * @private
+ * @param {object} [cursor] - The cursor to resume from
+ * @returns {object} - The cursor
+ */
+function parseCursor(cursor) {
+    if (cursor === undefined) return {entryhash: undefined, confirmed: [], pending: [], balances: {}};
+
+    if (typeof cursor !== 'object') throw new ValidationError('cursor must be an object', 'cursor');
+    if (cursor.entryhash !== undefined && !/^[0-9a-f]{64}$/.test(cursor.entryhash)) throw new ValidationError('Invalid cursor entryhash: ' + cursor.entryhash, 'cursor');
+    return {
+        entryhash: cursor.entryhash,
+        confirmed: (cursor.confirmed || []).slice(),
+        pending: (cursor.pending || []).slice(),
+        balances: Object.assign({}, cursor.balances)
+    };
+}
+
+/**
+ * Schedule the next poll of a running watcher
+ * @method
+ * @private
+ * @param {TokenWatcher} watcher - The watcher
+ * @param {number} delay - Milliseconds until the poll
+ */
+function schedule(watcher, delay) {
+    watcher._timeout = setTimeout(() => {
+        const next = () => {
+            if (watcher._running) schedule(watcher, watcher._interval);
+        };
+        watcher.poll().then(next, e => {
+            next();
+            if (watcher._running) watcher.emit('error', e);
+        });
+    }, delay);
+}
+
+/**
+ * Fetch the transactions since the cursor page by page, emitting the changes & advancing the cursor after each page, then fetch & emit the balances of the watched addresses
+ * @method
+ * @private
+ * @param {TokenWatcher} watcher - The watcher
+ * @returns {Promise}
+ */
+function pollOnce(watcher) {
+    const params = {pageSize: watcher._pageSize};
+    if (watcher._addresses !== undefined) params.addresses = watcher._addresses;
+    if (watcher._cursor.entryhash !== undefined) params.entryhash = watcher._cursor.entryhash;
+
+    const cursor = watcher._cursor;
+    const poll = {
+        cursor,
+        next: {entryhash: cursor.entryhash, confirmed: [], pending: [], balances: cursor.balances},
+        contiguous: true,
+        seen: new Set(),
+        touched: new Set()
+    };
+
+    return applyPages(watcher, watcher._tokenCLI.iterateTransactions(params), poll)
+        .then(() => fetchBalances(watcher, finishPoll(watcher, poll)))
+        .then(balances => {
+            if (balances !== undefined) applyBalances(watcher, balances);
+        });
+}
+
+/**
+ * Take up to a page of items from an async iterator
+ * @method
+ * @private
+ * @param {AsyncIterator} iterator - The iterator
+ * @param {number} size - The maximum number of items to take
+ * @param {Array} items - The array to push items onto
+ * @returns {Promise<Array>} - The items, fewer than size once the iterator is exhausted
+ */
+function nextPage(iterator, size, items) {
+    if (items.length >= size) return Promise.resolve(items);
+    return iterator.next().then(next => {
+        if (next.done) return items;
+        items.push(next.value);
+        return nextPage(iterator, size, items);
+    });
+}
+
+/**
+ * Apply the transactions since the cursor one page at a time until the iterator is exhausted
+ * @method
+ * @private
+ * @param {TokenWatcher} watcher - The watcher
+ * @param {AsyncIterator} iterator - The transactions since the cursor, oldest first
+ * @param {object} poll - The state of the poll in progress
+ * @returns {Promise}
+ */
+function applyPages(watcher, iterator, poll) {
+    return nextPage(iterator, watcher._pageSize, []).then(transactions => {
+        if (transactions.length > 0) applyTransactions(watcher, poll, transactions);
+        if (transactions.length === watcher._pageSize) return applyPages(watcher, iterator, poll);
+    });
+}
+
+/**
+ * Emit events for a page of transactions and advance the cursor past it.
+ * The cursor entryhash only moves past transactions that are confirmed & preceded by confirmed transactions, so pending transactions are fetched again until they confirm.
+ * Until the poll finishes, the cursor keeps the previously reported transactions that were not seen yet so a watcher resumed from it does not report them again
+ * @method
+ * @private
+ * @param {TokenWatcher} watcher - The watcher
+ * @param {object} poll - The state of the poll in progress
+ * @param {Array} transactions - The page of transactions, oldest first
+ */
+function applyTransactions(watcher, poll, transactions) {
+    const cursor = poll.cursor;
+    const next = poll.next;
+
+    const events = [];
+    transactions.forEach(tx => {
+        const entryhash = getEntryhash(tx);
+        poll.seen.add(entryhash);
+        if (entryhash === cursor.entryhash) return; //fatd includes the transaction the list starts at
+
+        const pending = isPending(tx);
+        if (pending) next.pending.push(entryhash);
+
+        let event;
+        if (pending && !cursor.pending.includes(entryhash)) event = 'pending';
+        else if (!pending && !cursor.confirmed.includes(entryhash)) event = 'confirmed';
+        if (event !== undefined) {
+            events.push([event, tx]);
+            getAddresses(tx).forEach(address => poll.touched.add(address));
+        }
+
+        poll.contiguous = poll.contiguous && !pending;
+        if (poll.contiguous) next.entryhash = entryhash;
+        else if (!pending) next.confirmed.push(entryhash);
+    });
+
+    const unseen = entryhash => !poll.seen.has(entryhash);
+    updateCursor(watcher, {
+        entryhash: next.entryhash,
+        confirmed: next.confirmed.concat(cursor.confirmed.filter(unseen)),
+        pending: next.pending.concat(cursor.pending.filter(unseen)),
+        balances: next.balances
+    }, events);
+}
+
+/**
+ * Report the pending transactions that were not seen again as dropped and settle the cursor once every page was applied
+ * @method
+ * @private
+ * @param {TokenWatcher} watcher - The watcher
+ * @param {object} poll - The state of the finished poll
+ * @returns {string[]} - The watched addresses that took part in a new, confirmed or dropped transaction
+ */
+function finishPoll(watcher, poll) {
+    //pending transactions that are neither pending nor confirmed anymore were dropped by fatd. Their addresses are unknown, so recheck every balance
+    const dropped = poll.cursor.pending.filter(entryhash => !poll.seen.has(entryhash));
+    if (dropped.length > 0 && watcher._addresses !== undefined) watcher._addresses.forEach(address => poll.touched.add(address));
+
+    updateCursor(watcher, poll.next, dropped.map(entryhash => ['dropped', entryhash]));
+
+    return watcher._addresses === undefined ? [] : watcher._addresses.filter(address => poll.touched.has(address) || poll.cursor.balances[address] === undefined);
+}
+
+/**
+ * Replace the cursor of a watcher, then emit the pending events and the new cursor if it changed
+ * @method
+ * @private
+ * @param {TokenWatcher} watcher - The watcher
+ * @param {object} cursor - The new cursor
+ * @param {Array[]} events - The [event, value] pairs to emit
+ */
+function updateCursor(watcher, cursor, events) {
+    const previous = JSON.stringify(watcher._cursor);
+    watcher._cursor = cursor;
+    events.forEach(event => watcher.emit(event[0], event[1]));
+    if (JSON.stringify(cursor) !== previous) watcher.emit('cursor', watcher.getCursor());
+}
+
+/**
+ * Fetch the balances of the watched addresses that may have changed
+ * @method
+ * @private
+ * @param {TokenWatcher} watcher - The watcher
+ * @param {string[]} addresses - The addresses to fetch the balances of
+ * @returns {Promise<object>} - Balances by address, or undefined if there was nothing to fetch
+ */
+function fetchBalances(watcher, addresses) {
+    if (addresses.length === 0) return Promise.resolve();
+    return Promise.all(addresses.map(address => watcher._tokenCLI.getBalance(address)))
+        .then(balances => addresses.reduce((byAddress, address, index) => {
+            byAddress[address] = balances[index];
+            return byAddress;
+        }, {}));
+}
+
+/**
+ * Emit balance events for the balances that changed and record them in the cursor
+ * @method
+ * @private
+ * @param {TokenWatcher} watcher - The watcher
+ * @param {object} balances - BigNumber balances by address
+ */
+function applyBalances(watcher, balances) {
+    const changes = Object.keys(balances).filter(address => watcher._cursor.balances[address] !== balances[address].toFixed());
+    if (changes.length === 0) return;
+
+    const previous = Object.assign({}, watcher._cursor.balances);
+    changes.forEach(address => watcher._cursor.balances[address] = balances[address].toFixed());
+
+    changes.forEach(address => watcher.emit('balance', {
+        address,
+        balance: balances[address],
+        previous: previous[address] !== undefined ? new BigNumber(previous[address]) : undefined
+    }));
+    watcher.emit('cursor', watcher.getCursor());
+}
+
+/**
+ * Get the entryhash of a typed or raw transaction
+ * @method
+ * @private
+ * @param {(Transaction0|Transaction1|object)} tx - The transaction
+ * @returns {string}
+ */
+function getEntryhash(tx) {
+    return typeof tx.getEntryhash === 'function' ? tx.getEntryhash() : tx.entryhash;
+}
+
+/**
+ * Get the pending status of a typed or raw transaction
+ * @method
+ * @private
+ * @param {(Transaction0|Transaction1|object)} tx - The transaction
+ * @returns {boolean}
+ */
+function isPending(tx) {
+    return typeof tx.getPending === 'function' ? tx.getPending() : tx.pending === true;
+}
+
+/**
+ * Get the input & output addresses of a typed or raw transaction
+ * @method
+ * @private
+ * @param {(Transaction0|Transaction1|object)} tx - The transaction
+ * @returns {string[]}
+ */
+function getAddresses(tx) {
+    const inputs = typeof tx.getInputs === 'function' ? tx.getInputs() : tx.data.inputs;
+    const outputs = typeof tx.getOutputs === 'function' ? tx.getOutputs() : tx.data.outputs;
+    return Object.keys(inputs).concat(Object.keys(outputs));
+}
+
+module.exports = TokenWatcher;
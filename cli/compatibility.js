@@ -1,14 +1,18 @@
 const semver = require('semver');
+const {createResultSchemas} = require('./schemas');
 
 function getVersionCompatibility(version) {
 
     const issues = [];
 
     //Check for very old versions of fatd, where version headers were not included yet. Outright reject
-    if (!version) issues.push({
-        severity: 'FATAL',
-        message: 'Connected daemon is not fatd or is a deprecated version for this library'
-    });
+    if (!version) {
+        issues.push({
+            severity: 'FATAL',
+            message: 'Connected daemon is not fatd or is a deprecated version for this library'
+        });
+        return issues;
+    }
 
     if (version.includes('!')) issues.push({
         severity: 'WARN',
@@ -33,7 +37,7 @@ function getVersionCompatibility(version) {
     //addition of get-balances method to get a
     if (semver.lt(version, '0.6.0')) issues.push({
         severity: 'WARN',
-        message: 'You are using a version of fatd (' + version.version + ') that does not support the get-balances method yet. Calling the method will result in an error'
+        message: 'You are using a version of fatd (' + version.version + ') that does not support the get-balances method yet. getBalances falls back to a get-balance call per tracked token'
     });
 
     //Check Maximum Version Support
@@ -46,4 +50,63 @@ function getVersionCompatibility(version) {
     return issues;
 }
 
-module.exports.getVersionCompatibility = getVersionCompatibility;
\ No newline at end of file
+module.exports.getVersionCompatibility = getVersionCompatibility;
+//result schemas already created for each fatd version string
+const resultSchemas = new Map();
+
+/**
+ * Get the Joi schemas of fatd's RPC method results for a fatd version, accounting for known version specific behavior.
+ * Unknown or missing versions get the schemas of the latest supported fatd version
+ * @method
+ * @private
+ * @param {string} [version] - The fatd-version header value
+ * @returns {object} - Map of RPC method name to the Joi schema of its result
+ */
+function getResultSchemas(version) {
+    if (!resultSchemas.has(version)) {
+        const coerced = semver.coerce(version);
+        resultSchemas.set(version, createResultSchemas({
+            issuanceEntryhash: !coerced || semver.gt(coerced, '0.5.0')
+        }));
+    }
+    return resultSchemas.get(version);
+}
+
+module.exports.getResultSchemas = getResultSchemas;
+
+//RPC methods added after the oldest fatd version fat-js works with, mapped to the fatd version that introduced them
+const methodVersions = {
+    'get-balances': '0.6.0'
+};
+
+/**
+ * Get the capabilities of a fatd version: the RPC methods it does not support yet and the version each was introduced in.
+ * Unknown or missing versions are assumed to support every method
+ * @method
+ * @private
+ * @param {string} [version] - The fatd-version header value
+ * @returns {object} - {version, unsupported: {method: minimumVersion}}
+ */
+function getCapabilities(version) {
+    const coerced = semver.coerce(version);
+    const unsupported = {};
+    if (coerced) Object.keys(methodVersions)
+        .filter(method => semver.lt(coerced, methodVersions[method]))
+        .forEach(method => unsupported[method] = methodVersions[method]);
+    return {version, unsupported};
+}
+
+module.exports.getCapabilities = getCapabilities;
+
+/**
+ * Get the fatd version that introduced an RPC method
+ * @method
+ * @private
+ * @param {string} method - The RPC method name
+ * @returns {string} - The version, or undefined if every fatd version fat-js works with supports the method
+ */
+function getMethodVersion(method) {
+    return methodVersions[method];
+}
+
+module.exports.getMethodVersion = getMethodVersion;
@@ -0,0 +1,115 @@
+const {ValidationError} = require('../errors');
+
+/**
+ * Create an async iterator over a paginated fatd listing. Pages are fetched lazily as items are consumed, and iteration ends
+ * after the first page holding less than a full page of items, after max items, or when the iterator's return() is called (e.x. by breaking out of for await)
+ * @method
+ * @private
+ * @param {function} fetchPage - Fetches a page: (page, limit) => Promise<{items: Array, size: number}>. size is the number of results counted towards the page limit
+ * @param {object} [options] - The iteration options
+ * @param {number} [options.pageSize=25] - The number of results requested per page
+ * @param {number} [options.max] - The maximum number of items to yield
+ * @param {number} [options.page=0] - The page to start at
+ * @returns {AsyncIterator}
+ */
+function paginate(fetchPage, options) {
+    options = options || {};
+
+    const pageSize = options.pageSize !== undefined ? options.pageSize : 25;
+    if (!Number.isInteger(pageSize) || pageSize < 1) throw new ValidationError('Page size must be an integer >= 1', 'pageSize');
+    if (options.max !== undefined && (!Number.isInteger(options.max) || options.max < 0)) throw new ValidationError('Max must be an integer >= 0', 'max');
+    if (options.page !== undefined && (!Number.isInteger(options.page) || options.page < 0)) throw new ValidationError('Page must be an integer >= 0', 'page');
+
+    const state = {
+        fetchPage,
+        pageSize,
+        max: options.max,
+        page: options.page || 0,
+        buffer: [],
+        count: 0,
+        exhausted: false,
+        done: false
+    };
+
+    //serialize next() calls so pages are fetched in order
+    let pending = Promise.resolve();
+
+    const iterator = {
+        next() {
+            const result = pending.then(() => nextItem(state));
+            pending = result.catch(() => undefined);
+            return result;
+        },
+        return(value) {
+            finish(state);
+            return Promise.resolve({value, done: true});
+        },
+        [Symbol.asyncIterator]() {
+            return iterator;
+        }
+    };
+
+    return iterator;
+}
+
+/**
+ * Yield the next item of a pagination, fetching the next page when the buffered page is consumed
+ * @method
+ * @private
+ * @param {object} state - The pagination state
+ * @returns {Promise<object>} - The iterator result
+ */
+function nextItem(state) {
+    if (state.done || (state.max !== undefined && state.count >= state.max)) return Promise.resolve(finish(state));
+
+    if (state.buffer.length > 0) {
+        state.count++;
+        return Promise.resolve({value: state.buffer.shift(), done: false});
+    }
+    if (state.exhausted) return Promise.resolve(finish(state));
+
+    return Promise.resolve()
+        .then(() => state.fetchPage(state.page, state.pageSize))
+        .then(page => {
+            if (state.done) return finish(state); //cancelled while the page was in flight
+
+            state.page++;
+            state.buffer = page.items.slice();
+            if (page.size < state.pageSize) state.exhausted = true;
+            return nextItem(state);
+        });
+}
+
+/**
+ * End a pagination, dropping any buffered items
+ * @method
+ * @private
+ * @param {object} state - The pagination state
+ * @returns {object} - The final iterator result
+ */
+function finish(state) {
+    state.done = true;
+    state.buffer = [];
+    return {value: undefined, done: true};
+}
+
+/**
+ * Split the parameters of an iterator into the RPC query and the pagination options
+ * @method
+ * @private
+ * @param {object} [params] - The iterator parameters
+ * @returns {object} - {query, options}
+ */
+function splitIterationParams(params) {
+    const query = Object.assign({}, params);
+    if (query.limit !== undefined) throw new ValidationError('Use pageSize to set the number of results fetched per page', 'limit');
+
+    const options = {pageSize: query.pageSize, max: query.max, page: query.page};
+    delete query.pageSize;
+    delete query.max;
+    delete query.page;
+    return {query, options};
+}
+
+module.exports.paginate = paginate;
+module.exports.splitIterationParams = splitIterationParams;
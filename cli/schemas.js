@@ -0,0 +1,134 @@
+const BigNumber = require('bignumber.js');
+const constant = require('../constant');
+
+const Joi = require('joi-browser').extend(joi => ({
+    base: joi.any(),
+    name: 'amount',
+    language: {
+        base: 'must be a number',
+        integer: 'must be an integer',
+        min: 'must be greater than or equal to {{limit}}'
+    },
+    pre(value, state, options) {
+        //json-bigint parses large numbers into BigNumbers
+        if (typeof value === 'number' || BigNumber.isBigNumber(value)) return new BigNumber(value);
+        return this.createError('amount.base', {v: value}, state, options);
+    },
+    rules: [
+        {
+            name: 'integer',
+            validate(params, value, state, options) {
+                if (!value.isInteger()) return this.createError('amount.integer', {v: value}, state, options);
+                return value;
+            }
+        },
+        {
+            name: 'min',
+            params: {limit: joi.number().required()},
+            validate(params, value, state, options) {
+                if (value.isLessThan(params.limit)) return this.createError('amount.min', {v: value, limit: params.limit}, state, options);
+                return value;
+            }
+        }
+    ]
+}));
+
+const hash = Joi.string().regex(/^[0-9a-f]{64}$/);
+const factoidAddress = Joi.string().regex(/^FA[1-9A-HJ-NP-Za-km-z]{50}$/);
+const timestamp = Joi.number().integer().min(0);
+const count = Joi.amount().integer().min(0);
+const idRange = Joi.alternatives().try(
+    Joi.number().integer().min(0),
+    Joi.object().keys({min: Joi.number().integer().min(0).required(), max: Joi.number().integer().min(0).required()})
+);
+const idRanges = Joi.array().items(idRange);
+
+//FAT-0 amounts or FAT-1 token ID ranges
+const holdings = Joi.object().pattern(/^FA[1-9A-HJ-NP-Za-km-z]{50}$/, Joi.alternatives().try(count, idRanges));
+
+const transaction = Joi.object().keys({
+    entryhash: hash.required(),
+    timestamp: timestamp.required(),
+    data: Joi.object().keys({
+        inputs: holdings.required(),
+        outputs: holdings.required(),
+        metadata: Joi.any(),
+        tokenmetadata: Joi.array().items(Joi.object().keys({ids: idRanges.required(), metadata: Joi.any()}))
+    }).required(),
+    pending: Joi.boolean()
+});
+
+const nfToken = Joi.object().keys({
+    id: Joi.number().integer().min(0).required(),
+    owner: factoidAddress,
+    burned: Joi.boolean(),
+    metadata: Joi.any(),
+    creationtx: hash
+});
+
+/**
+ * Create the Joi schemas of the results of every fatd RPC method
+ * @method
+ * @private
+ * @param {object} features - The fatd version specific behavior to expect
+ * @param {boolean} features.issuanceEntryhash - Whether get-issuance returns valid issuance entryhashes. fatd <= 0.5.0 returns invalid ones
+ * @returns {object} - Map of RPC method name to the Joi schema of its result
+ */
+function createResultSchemas(features) {
+    return {
+        'get-daemon-properties': Joi.object().keys({
+            fatdversion: Joi.string().required(),
+            apiversion: Joi.string().required(),
+            flags: Joi.object().unknown()
+        }),
+        'get-sync-status': Joi.object().keys({
+            syncheight: Joi.number().integer().min(0).required(),
+            factomheight: Joi.number().integer().min(0).required()
+        }),
+        'get-daemon-tokens': Joi.array().items(Joi.object().keys({
+            chainid: hash.required(),
+            tokenid: Joi.string().required(),
+            issuerid: hash.required()
+        })),
+        'get-balances': Joi.object().pattern(/^[0-9a-f]{64}$/, count),
+        'get-issuance': Joi.object().keys({
+            chainid: hash.required(),
+            tokenid: Joi.string().required(),
+            issuerid: hash.required(),
+            entryhash: features.issuanceEntryhash ? hash.required() : Joi.string().required(),
+            timestamp: timestamp.required(),
+            issuance: Joi.object().keys({
+                type: Joi.string().valid(constant.FAT0, constant.FAT1).required(),
+                symbol: Joi.string(),
+                supply: Joi.amount().integer().min(-1).required(),
+                precision: Joi.number().integer().min(0).max(18),
+                metadata: Joi.any()
+            }).required()
+        }),
+        'get-transaction': transaction,
+        'get-transactions': Joi.array().items(transaction),
+        'get-balance': count,
+        'get-stats': Joi.object().keys({
+            supply: Joi.amount().integer().min(-1),
+            circulating: count.required(),
+            burned: count.required(),
+            transactions: count.required(),
+            issuancets: timestamp,
+            lasttxts: timestamp,
+            nonzerobalances: count
+        }),
+        'send-transaction': Joi.object().keys({
+            chainid: hash.required(),
+            txid: hash.required(),
+            entryhash: hash.required()
+        }),
+        'get-nf-token': nfToken,
+        'get-nf-balance': idRanges,
+        'get-nf-tokens': Joi.array().items(nfToken)
+    };
+}
+
+module.exports = {
+    Joi,
+    createResultSchemas
+};
@@ -3,5 +3,11 @@ module.exports = {
     FAT1: 'FAT-1',
     RCD_TYPE_1: Buffer.from('01', 'hex'),
     COINBASE_ADDRESS_PUBLIC: 'FA1zT4aFpEvcnPqPCigB3fvGu4Q4mTXY22iiuV69DqE1pNhdF2MC',
-    COINBASE_ADDRESS_PRIVATE: 'Fs1KWJrpLdfucvmYwN2nWrwepLn8ercpMbzXshd1g8zyhKXLVLWj'
+    COINBASE_ADDRESS_PRIVATE: 'Fs1KWJrpLdfucvmYwN2nWrwepLn8ercpMbzXshd1g8zyhKXLVLWj',
+    MAX_TIMESTAMP_DELTA: 12 * 60 * 60, //maximum seconds a transaction timestamp may differ from the time it is recorded/validated at
+    PARTIAL_TRANSACTION_VERSION: 1, //version of the serialized partial transaction format produced by toPartial
+    ENTRY_CREDIT_PAYLOAD_SIZE: 1024, //bytes of entry payload (ExtIDs & content) paid for by each Entry Credit
+    MAX_ENTRY_PAYLOAD_SIZE: 10240, //largest entry payload Factom accepts
+    CHAIN_CREATION_COST: 10, //Entry Credits paid to create a chain, on top of its first entry
+    SIGNED_INPUT_EXTIDS_SIZE: 2 + 33 + 2 + 64 //ExtID bytes added per signed input: length-prefixed RCD & signature
 };
\ No newline at end of file
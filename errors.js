@@ -0,0 +1,259 @@
+/**
+ * @module errors
+ */
+
+//fatd JSON-RPC error codes mapped to stable error code strings
+const rpcErrorCodes = {
+    '-32700': 'PARSE_ERROR',
+    '-32600': 'INVALID_REQUEST',
+    '-32601': 'METHOD_NOT_FOUND',
+    '-32602': 'INVALID_PARAMS',
+    '-32603': 'INTERNAL_ERROR',
+    '-32800': 'TOKEN_NOT_FOUND',
+    '-32801': 'INVALID_TRANSACTION',
+    '-32802': 'TOKEN_SYNCING',
+    '-32803': 'TRANSACTION_NOT_FOUND'
+};
+
+/**
+ * Base class of all errors thrown by fat-js. Every error has a stable code string that can be branched on instead of the message text
+ * @class
+ * @public
+ * @example
+ * const {errors} = require('fat-js');
+ *
+ * try {
+ *     await tokenCLI.getTransaction(entryhash);
+ * } catch (e) {
+ *     if (e instanceof errors.FatError) console.error(e.code); // => 'TRANSACTION_NOT_FOUND'
+ * }
+ */
+class FatError extends Error {
+
+    /**
+     * @constructor
+     * @param {string} message - The error message
+     * @param {string} code - The stable error code string
+     */
+    constructor(message, code) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+    }
+}
+
+/**
+ * An error response returned by fatd's JSON-RPC API. The message is the JSON-RPC error object as a string
+ * @class
+ * @public
+ * @example
+ * try {
+ *     await tokenCLI.getTransaction(entryhash);
+ * } catch (e) {
+ *     if (e instanceof FatdRpcError) console.log(e.code, e.rpcCode, e.data); // => 'TRANSACTION_NOT_FOUND' -32803 'no matching tx-id was found'
+ * }
+ */
+class FatdRpcError extends FatError {
+
+    /**
+     * Codes: PARSE_ERROR, INVALID_REQUEST, METHOD_NOT_FOUND, INVALID_PARAMS, INTERNAL_ERROR, TOKEN_NOT_FOUND, INVALID_TRANSACTION, TOKEN_SYNCING, TRANSACTION_NOT_FOUND or FATD_RPC_ERROR for any other JSON-RPC error code
+     * @constructor
+     * @param {object} error - The JSON-RPC error object {code, message, data}
+     * @param {string} [method] - The RPC method that failed
+     */
+    constructor(error, method) {
+        super(JSON.stringify(error), rpcErrorCodes[error.code] || 'FATD_RPC_ERROR');
+        this.rpcCode = error.code;
+        this.rpcMessage = error.message;
+        this.data = error.data;
+        this.method = method;
+    }
+}
+
+/**
+ * A request to fatd that failed before a JSON-RPC response was received: the connection failed or fatd returned a non JSON-RPC HTTP error
+ * @class
+ * @public
+ */
+class NetworkError extends FatError {
+
+    /**
+     * Code: NETWORK_ERROR
+     * @constructor
+     * @param {string} message - The error message
+     * @param {object} [details] - The failure details
+     * @param {string} [details.url] - The URL of the endpoint the request was sent to
+     * @param {number} [details.status] - The HTTP status code of the response, if one was received
+     * @param {Error} [details.cause] - The underlying error
+     * @param {string} [code=NETWORK_ERROR] - The error code, for subclasses
+     */
+    constructor(message, details, code) {
+        super(message, code || 'NETWORK_ERROR');
+        details = details || {};
+        this.url = details.url;
+        this.status = details.status;
+        this.cause = details.cause;
+    }
+}
+
+/**
+ * A request to fatd that did not complete within its timeout
+ * @class
+ * @public
+ */
+class TimeoutError extends NetworkError {
+
+    /**
+     * Code: TIMEOUT
+     * @constructor
+     * @param {string} message - The error message
+     * @param {object} [details] - The failure details, like NetworkError
+     */
+    constructor(message, details) {
+        super(message, details, 'TIMEOUT');
+    }
+}
+
+/**
+ * Invalid arguments, builder state or transaction/issuance data
+ * @class
+ * @public
+ * @example
+ * try {
+ *     new TransactionBuilder(tokenChainId).output('FA...', 10);
+ * } catch (e) {
+ *     if (e instanceof ValidationError) console.log(e.field); // => 'outputs'
+ * }
+ */
+class ValidationError extends FatError {
+
+    /**
+     * Code: VALIDATION_ERROR
+     * @constructor
+     * @param {string} message - The error message
+     * @param {string} [field] - The path of the invalid field, e.g. 'outputs' or 'signers[1].publickey'
+     */
+    constructor(message, field) {
+        super(message, 'VALIDATION_ERROR');
+        this.field = field;
+    }
+}
+
+/**
+ * A missing, invalid or mismatched transaction signature
+ * @class
+ * @public
+ */
+class SignatureError extends FatError {
+
+    /**
+     * Code: SIGNATURE_ERROR
+     * @constructor
+     * @param {string} message - The error message
+     * @param {number} [index] - The index of the input the signature belongs to. Undefined if the error is not specific to one input
+     */
+    constructor(message, index) {
+        super(message, 'SIGNATURE_ERROR');
+        this.index = index;
+    }
+}
+
+/**
+ * The connected fatd version or token type is not supported by this library
+ * @class
+ * @public
+ */
+class CompatibilityError extends FatError {
+
+    /**
+     * Code: COMPATIBILITY_ERROR
+     * @constructor
+     * @param {string} message - The error message
+     * @param {object[]} [issues] - The compatibility issues found {severity, message}
+     * @param {string} [code=COMPATIBILITY_ERROR] - The error code, for subclasses
+     */
+    constructor(message, issues, code) {
+        super(message, code || 'COMPATIBILITY_ERROR');
+        this.issues = issues || [];
+    }
+}
+
+/**
+ * An RPC method the connected fatd version does not support. Thrown before the method is called
+ * @class
+ * @public
+ * @example
+ * try {
+ *     await cli.call('get-balances', {address});
+ * } catch (e) {
+ *     if (e instanceof UnsupportedMethodError) console.log(e.method, e.version, e.minimumVersion); // => 'get-balances' '0.5.1' '0.6.0'
+ * }
+ */
+class UnsupportedMethodError extends CompatibilityError {
+
+    /**
+     * Code: UNSUPPORTED_METHOD
+     * @constructor
+     * @param {string} method - The unsupported RPC method
+     * @param {string} version - The connected fatd version
+     * @param {string} minimumVersion - The first fatd version supporting the method
+     */
+    constructor(method, version, minimumVersion) {
+        super('fatd ' + version + ' does not support the ' + method + ' method. Please upgrade fatd to version ' + minimumVersion + ' or later', [], 'UNSUPPORTED_METHOD');
+        this.method = method;
+        this.version = version;
+        this.minimumVersion = minimumVersion;
+    }
+}
+
+/**
+ * A fatd result that does not match the expected shape for its method and fatd version. Thrown by CLIs with strict response validation, and by every CLI for responses that are not JSON
+ * @class
+ * @public
+ */
+class InvalidResponseError extends FatError {
+
+    /**
+     * Code: INVALID_RESPONSE
+     * @constructor
+     * @param {string} message - The error message
+     * @param {object} [details] - The failure details
+     * @param {string} [details.method] - The RPC method whose result was invalid
+     * @param {string} [details.field] - The path of the first invalid field in the result, e.g. 'circulating' or '0.data.inputs'
+     * @param {string} [details.version] - The fatd version that returned the result
+     */
+    constructor(message, details) {
+        super(message, 'INVALID_RESPONSE');
+        details = details || {};
+        this.method = details.method;
+        this.field = details.field;
+        this.version = details.version;
+    }
+}
+
+/**
+ * Convert a failed axios request into a NetworkError or TimeoutError
+ * @method
+ * @static
+ * @param {Error} error - The axios error
+ * @param {string} [url] - The URL of the endpoint the request was sent to
+ * @returns {NetworkError}
+ */
+function fromAxiosError(error, url) {
+    const details = {url, cause: error, status: error.response !== undefined ? error.response.status : undefined};
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || /timeout/i.test(error.message)) return new TimeoutError(error.message, details);
+    return new NetworkError(error.message, details);
+}
+
+module.exports = {
+    FatError,
+    FatdRpcError,
+    NetworkError,
+    TimeoutError,
+    ValidationError,
+    SignatureError,
+    CompatibilityError,
+    UnsupportedMethodError,
+    InvalidResponseError,
+    fromAxiosError
+};
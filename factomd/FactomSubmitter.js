@@ -0,0 +1,102 @@
+const {FactomCli} = require('factom');
+const fctAddressUtil = require('factom/src/addresses');
+const constant = require('../constant');
+const Transaction0 = require('../0/Transaction');
+const Transaction1 = require('../1/Transaction');
+const {ValidationError, SignatureError} = require('../errors');
+const {callFactomd, entryExists, waitForFatd} = require('./poll');
+
+/**
+ * Submits signed token transactions straight to factomd, bypassing fatd's send-transaction. The transaction entry is committed & revealed
+ * using an Entry Credit address, so fatd does not need to be reachable or configured to pay for entries. Optionally waits for fatd to index the transaction
+ * @class
+ * @public
+ * @example
+ * const {FactomSubmitter} = require('fat-js');
+ *
+ * const submitter = new FactomSubmitter({
+ *     factom: {factomd: {host: 'localhost', port: 8088}},
+ *     ecAddress: 'Es32PjobTxPTd73dohEFRegMFRLv3X5WZ4FXEwNN8kE2pMDfeMym',
+ *     cli: new CLIBuilder().host('fatnode.mysite.com').build() //optional, wait for fatd to index submitted transactions
+ * });
+ *
+ * const tx = new TransactionBuilder(tokenChainId)
+ * .input("Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ", 150)
+ * .output("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", 150)
+ * .build();
+ *
+ * const result = await submitter.submit(tx); // => {chainid: '013de8...', txid: 'b2b1c5...', entryhash: '68f3ca...'}
+ */
+class FactomSubmitter {
+
+    /**
+     * @constructor
+     * @param {object} options - The submission options
+     * @param {(FactomCli|object)} options.factom - A factom-js FactomCli or its connection options to factomd & walletd
+     * @param {string} options.ecAddress - The Entry Credit address paying for transaction entries. Either private (Es) or public (EC) if the private key is stored in walletd
+     * @param {CLI} [options.cli] - A fat-js CLI to poll until fatd indexes each submitted transaction. If omitted submission completes once the entry is acknowledged by factomd
+     * @param {number} [options.ackTimeout=60] - Seconds to wait for each commit & reveal acknowledgement from factomd
+     * @param {number} [options.indexTimeout=600] - Seconds to wait for fatd to index a transaction
+     * @param {number} [options.pollInterval=5000] - Milliseconds between get-transaction polls to fatd
+     */
+    constructor(options) {
+        options = options || {};
+        if (options.factom === undefined) throw new ValidationError('Submitter requires a factomd connection', 'factom');
+        if (!fctAddressUtil.isValidEcAddress(options.ecAddress)) throw new ValidationError('Submitter requires a valid public or private EC address', 'ecAddress');
+        if (options.cli !== undefined && typeof options.cli.getTokenCLISync !== 'function') throw new ValidationError('cli must be a fat-js CLI', 'cli');
+
+        this._factom = typeof options.factom.add === 'function' ? options.factom : new FactomCli(options.factom);
+        this._ecAddress = options.ecAddress;
+        this._cli = options.cli;
+        this._ackTimeout = options.ackTimeout !== undefined ? options.ackTimeout : 60;
+        this._indexTimeout = options.indexTimeout !== undefined ? options.indexTimeout : 600;
+        this._pollInterval = options.pollInterval !== undefined ? options.pollInterval : 5000;
+    }
+
+    /**
+     * Commit & reveal a signed transaction's entry on its token chain, then wait for fatd to index it if a CLI was supplied.
+     * A transaction whose entry is already on the chain is not paid for again
+     * @method
+     * @async
+     * @param {(Transaction0|Transaction1)} transaction - The fully signed transaction
+     * @returns {Promise<object>} - The submission result {chainid, txid, entryhash}, like BaseTokenCLI.sendTransaction. txid is undefined if the entry already existed.
+     * Rejects with a FatdRpcError or NetworkError if a factomd call fails, with a TimeoutError if fatd does not index the transaction in time,
+     * or right away with any fatd error other than transaction not found
+     */
+    async submit(transaction) {
+        if (!(transaction instanceof Transaction0) && !(transaction instanceof Transaction1)) throw new ValidationError('Argument must be an instance of Transaction', 'transaction');
+        if (transaction.getUnsignedInputs().length > 0) throw new SignatureError('Transaction must be fully signed before it can be submitted');
+
+        const entry = transaction.getEntry();
+        const result = {chainid: entry.chainIdHex, txid: undefined, entryhash: entry.hashHex()};
+
+        if (!(await entryExists(this._factom, result.entryhash))) {
+            const added = await callFactomd(this._factom, 'commit-entry', () => this._factom.add(entry, this._ecAddress, {commitTimeout: this._ackTimeout, revealTimeout: this._ackTimeout}));
+            result.txid = added.txId;
+        }
+
+        if (this._cli !== undefined) await waitForTransaction(this, transaction instanceof Transaction0 ? constant.FAT0 : constant.FAT1, result);
+        return result;
+    }
+}
+
+/**
+ * Poll fatd's get-transaction for a submitted transaction until it is indexed or the index timeout expires
+ * @method
+ * @private
+ * @param {FactomSubmitter} submitter - The submitter whose CLI to poll
+ * @param {string} type - The token type, FAT-0 or FAT-1
+ * @param {object} result - The submission result
+ * @returns {Promise<(Transaction0|Transaction1)>} - The indexed transaction
+ */
+function waitForTransaction(submitter, type, result) {
+    const tokenCLI = submitter._cli.getTokenCLISync(result.chainid, type);
+    return waitForFatd(() => tokenCLI.getTransaction(result.entryhash), {
+        notFoundCodes: ['TRANSACTION_NOT_FOUND'],
+        timeout: submitter._indexTimeout,
+        interval: submitter._pollInterval,
+        message: 'Timed out waiting for fatd to index transaction ' + result.entryhash
+    });
+}
+
+module.exports = FactomSubmitter;
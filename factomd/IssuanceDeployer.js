@@ -0,0 +1,170 @@
+const {FactomCli} = require('factom');
+const fctAddressUtil = require('factom/src/addresses');
+const Issuance0 = require('../0/Issuance');
+const Issuance1 = require('../1/Issuance');
+const {ValidationError, SignatureError} = require('../errors');
+const {callFactomd, entryExists, waitForFatd} = require('./poll');
+
+const STAGES = ['pending', 'chain-created', 'issuance-posted', 'tracked'];
+
+/**
+ * Deploys a signed token issuance to Factom: creates the token chain, posts the issuance entry to it & waits for fatd to start tracking the token.
+ * Progress is recorded after every completed step so an interrupted deployment can be resumed without paying for the chain or issuance entry twice
+ * @class
+ * @public
+ * @example
+ * const {IssuanceDeployer} = require('fat-js');
+ *
+ * const issuance = new IssuanceBuilder("mytoken", "888888d027c59579fc47a6fc6c4a5c0409c7c39bc38a86cb5fc0069978493762", "sk11pz4AG9XgB1eNVkbppYAWsgyg7sftDXqBASsagKJqvVRKYodCU")
+ * .symbol('TTK')
+ * .supply(1000000)
+ * .build();
+ *
+ * const deployer = new IssuanceDeployer(issuance, {
+ *     factom: {factomd: {host: 'localhost', port: 8088}, walletd: {host: 'localhost', port: 8089}},
+ *     ecAddress: 'Es32PjobTxPTd73dohEFRegMFRLv3X5WZ4FXEwNN8kE2pMDfeMym',
+ *     cli: new CLIBuilder().host('fatnode.mysite.com').build(), //optional, wait for fatd to track the token
+ *     onProgress: progress => fs.writeFileSync('deploy.json', JSON.stringify(progress)) //optional, persist progress to resume later
+ * });
+ *
+ * const progress = await deployer.deploy(); // => {stage: 'tracked', chainId: '0cccd100a1801c0cf4aa2104b15dec94fe6f45d0f3347b016ed20d81059494df', ...}
+ *
+ * //resume an interrupted deployment
+ * const resumed = new IssuanceDeployer(issuance, {
+ *     factom: {factomd: {host: 'localhost', port: 8088}},
+ *     ecAddress: 'Es32PjobTxPTd73dohEFRegMFRLv3X5WZ4FXEwNN8kE2pMDfeMym',
+ *     progress: JSON.parse(fs.readFileSync('deploy.json'))
+ * });
+ */
+class IssuanceDeployer {
+
+    /**
+     * @constructor
+     * @param {(Issuance0|Issuance1)} issuance - The signed issuance to deploy. Must have been built using IssuanceBuilder or constructed with its token ID & issuer chain ID
+     * @param {object} options - The deployment options
+     * @param {(FactomCli|object)} options.factom - A factom-js FactomCli or its connection options to factomd & walletd
+     * @param {string} options.ecAddress - The Entry Credit address paying for the chain & issuance entry. Either private (Es) or public (EC) if the private key is stored in walletd
+     * @param {CLI} [options.cli] - A fat-js CLI to poll until fatd tracks the token. If omitted deployment completes once the issuance entry is acknowledged by factomd
+     * @param {object} [options.progress] - The progress of a previous deployment of the same issuance to resume from
+     * @param {function} [options.onProgress] - Called with a copy of the progress after every completed step
+     * @param {number} [options.ackTimeout=60] - Seconds to wait for each commit & reveal acknowledgement from factomd
+     * @param {number} [options.trackTimeout=600] - Seconds to wait for fatd to track the token
+     * @param {number} [options.pollInterval=5000] - Milliseconds between get-issuance polls to fatd
+     */
+    constructor(issuance, options) {
+        if (!(issuance instanceof Issuance0) && !(issuance instanceof Issuance1)) throw new ValidationError('Issuance must be an instance of Issuance', 'issuance');
+        if (issuance.getTokenId() === undefined || issuance.getIssuerChainId() === undefined) throw new ValidationError('Issuance must have a token ID and issuer chain ID to be deployed', 'issuance');
+        if (issuance._extIds === undefined || issuance._extIds.length < 3) throw new SignatureError('Issuance must be signed before it can be deployed');
+
+        options = options || {};
+        if (options.factom === undefined) throw new ValidationError('Deployer requires a factomd connection', 'factom');
+        if (!fctAddressUtil.isValidEcAddress(options.ecAddress)) throw new ValidationError('Deployer requires a valid public or private EC address', 'ecAddress');
+        if (options.cli !== undefined && typeof options.cli.getTokenCLISync !== 'function') throw new ValidationError('cli must be a fat-js CLI', 'cli');
+        if (options.onProgress !== undefined && typeof options.onProgress !== 'function') throw new ValidationError('onProgress must be a function', 'onProgress');
+
+        this._issuance = issuance;
+        this._factom = typeof options.factom.add === 'function' ? options.factom : new FactomCli(options.factom);
+        this._ecAddress = options.ecAddress;
+        this._cli = options.cli;
+        this._onProgress = options.onProgress;
+        this._ackTimeout = options.ackTimeout !== undefined ? options.ackTimeout : 60;
+        this._trackTimeout = options.trackTimeout !== undefined ? options.trackTimeout : 600;
+        this._pollInterval = options.pollInterval !== undefined ? options.pollInterval : 5000;
+
+        if (options.progress !== undefined) {
+            if (options.progress.chainId !== issuance.getChainId()) throw new ValidationError('Progress does not belong to a deployment of this issuance', 'progress');
+            if (!STAGES.includes(options.progress.stage)) throw new ValidationError('Invalid progress stage: ' + options.progress.stage, 'progress');
+            this._progress = Object.assign({}, options.progress);
+        } else {
+            this._progress = {stage: 'pending', chainId: issuance.getChainId()};
+        }
+    }
+
+    /**
+     * Get the progress of the deployment. Can be persisted & passed back in to resume an interrupted deployment
+     * @method
+     * @returns {object} - The progress object. stage is one of "pending", "chain-created", "issuance-posted" or "tracked"
+     */
+    getProgress() {
+        return Object.assign({}, this._progress);
+    }
+
+    /**
+     * Run the remaining deployment steps: create the token chain unless it already exists, post the issuance entry unless it is already on the chain,
+     * and wait for fatd to track the token if a CLI was supplied
+     * @method
+     * @async
+     * @returns {Promise<object>} - The final progress of the deployment. Rejects with a FatdRpcError or NetworkError if a factomd call fails,
+     * with a TimeoutError if fatd does not track the token in time, or right away with any fatd error other than token not found or syncing
+     */
+    async deploy() {
+        if (!stageReached(this, 'chain-created')) {
+            if (await callFactomd(this._factom, 'chain-head', () => this._factom.chainExists(this._progress.chainId))) {
+                updateProgress(this, {stage: 'chain-created'});
+            } else {
+                const chain = await callFactomd(this._factom, 'commit-chain', () => this._factom.add(this._issuance.getChain(), this._ecAddress, {commitTimeout: this._ackTimeout, revealTimeout: this._ackTimeout}));
+                updateProgress(this, {stage: 'chain-created', chainTxId: chain.txId, chainEntryHash: chain.entryHash});
+            }
+        }
+
+        if (!stageReached(this, 'issuance-posted')) {
+            const entry = this._issuance.getEntry();
+            if (await entryExists(this._factom, entry.hashHex())) {
+                updateProgress(this, {stage: 'issuance-posted', entryHash: entry.hashHex()});
+            } else {
+                const posted = await callFactomd(this._factom, 'commit-entry', () => this._factom.add(entry, this._ecAddress, {commitTimeout: this._ackTimeout, revealTimeout: this._ackTimeout}));
+                updateProgress(this, {stage: 'issuance-posted', entryTxId: posted.txId, entryHash: posted.entryHash});
+            }
+        }
+
+        if (!stageReached(this, 'tracked') && this._cli !== undefined) {
+            await waitForIssuance(this);
+            updateProgress(this, {stage: 'tracked'});
+        }
+
+        return this.getProgress();
+    }
+}
+
+/**
+ * Check whether a deployment has completed a stage
+ * @method
+ * @private
+ * @param {IssuanceDeployer} deployer - The deployer to check
+ * @param {string} stage - The stage name
+ * @returns {boolean}
+ */
+function stageReached(deployer, stage) {
+    return STAGES.indexOf(deployer._progress.stage) >= STAGES.indexOf(stage);
+}
+
+/**
+ * Merge completed step data into a deployment's progress and notify the progress listener
+ * @method
+ * @private
+ * @param {IssuanceDeployer} deployer - The deployer to update
+ * @param {object} update - The progress fields to set
+ */
+function updateProgress(deployer, update) {
+    Object.assign(deployer._progress, update);
+    if (deployer._onProgress !== undefined) deployer._onProgress(deployer.getProgress());
+}
+
+/**
+ * Poll fatd's get-issuance for the token until it is tracked or the track timeout expires
+ * @method
+ * @private
+ * @param {IssuanceDeployer} deployer - The deployer whose CLI to poll
+ * @returns {Promise}
+ */
+function waitForIssuance(deployer) {
+    const tokenCLI = deployer._cli.getTokenCLISync(deployer._progress.chainId, deployer._issuance.getType());
+    return waitForFatd(() => tokenCLI.getIssuance(), {
+        notFoundCodes: ['TOKEN_NOT_FOUND', 'TOKEN_SYNCING'],
+        timeout: deployer._trackTimeout,
+        interval: deployer._pollInterval,
+        message: 'Timed out waiting for fatd to track token chain ' + deployer._progress.chainId
+    });
+}
+
+module.exports = IssuanceDeployer;
@@ -0,0 +1,87 @@
+const util = require('../util');
+const {FatError, FatdRpcError, NetworkError, TimeoutError} = require('../errors');
+
+/**
+ * Make a factom-js call to factomd, converting its failures to fat-js errors: JSON-RPC errors rejected by factomd become a FatdRpcError,
+ * any other failure (connection refused, exhausted retries, HTTP errors) a NetworkError
+ * @method
+ * @private
+ * @param {FactomCli} factom - The factom-js FactomCli connected to factomd
+ * @param {string} method - The factomd operation, used in error messages
+ * @param {function} call - Makes the factom-js call, returning a Promise of its result
+ * @returns {Promise<*>} - The result of the call
+ */
+async function callFactomd(factom, method, call) {
+    try {
+        return await call();
+    } catch (e) {
+        if (e instanceof FatError) throw e;
+        if (typeof e.code === 'number') throw new FatdRpcError({code: e.code, message: e.message, data: e.data}, method);
+        throw new NetworkError('factomd ' + method + ' failed: ' + e.message, {url: getFactomdUrl(factom), cause: e});
+    }
+}
+
+/**
+ * Get the URL of the factomd a factom-js FactomCli is connected to
+ * @method
+ * @private
+ * @param {FactomCli} factom - The factom-js FactomCli
+ * @returns {(string|undefined)} - The factomd URL, undefined if the FactomCli is not a factom-js instance
+ */
+function getFactomdUrl(factom) {
+    if (!factom.factomd || !factom.factomd.httpCli) return undefined;
+    return factom.factomd.httpCli.defaults.baseURL + factom.factomd.path;
+}
+
+/**
+ * Check whether factomd knows an entry by its entryhash
+ * @method
+ * @private
+ * @param {FactomCli} factom - The factom-js FactomCli connected to factomd
+ * @param {string} entryHash - The hex entryhash to look up
+ * @returns {Promise<boolean>} - Rejects with a FatdRpcError or NetworkError if factomd could not be queried
+ */
+async function entryExists(factom, entryHash) {
+    try {
+        await callFactomd(factom, 'entry', () => factom.getEntry(entryHash));
+        return true;
+    } catch (e) {
+        if (e.rpcCode === -32008) return false; //Entry not found
+        throw e;
+    }
+}
+
+/**
+ * Repeat a fatd call until it succeeds or the timeout expires. Only fatd errors meaning the record is not indexed yet are retried, any other error is thrown right away
+ * @method
+ * @private
+ * @param {function} fetch - Makes the fatd call, returning a Promise of its result
+ * @param {object} options - The polling options
+ * @param {string[]} options.notFoundCodes - The FatdRpcError codes meaning fatd has not indexed the record yet, e.g. TRANSACTION_NOT_FOUND
+ * @param {number} options.timeout - Seconds to keep polling for
+ * @param {number} options.interval - Milliseconds between calls
+ * @param {string} options.message - The message of the TimeoutError thrown when the timeout expires
+ * @returns {Promise<*>} - The result of the first successful call
+ */
+async function waitForFatd(fetch, options) {
+    const deadline = Date.now() + options.timeout * 1000;
+
+    let error;
+    do {
+        try {
+            return await fetch();
+        } catch (e) {
+            if (!(e instanceof FatdRpcError) || !options.notFoundCodes.includes(e.code)) throw e;
+            error = e;
+        }
+        await util.sleep(options.interval);
+    } while (Date.now() < deadline);
+
+    throw new TimeoutError(options.message + ': ' + error.message, {cause: error});
+}
+
+module.exports = {
+    callFactomd,
+    entryExists,
+    waitForFatd
+};
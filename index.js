@@ -3,6 +3,13 @@ module.exports = Object.assign({},
     {
         util: require('./util'),
         constant: require('./constant'),
+        errors: require('./errors'),
+        TokenState: require('./state/TokenState'),
+        IssuanceDeployer: require('./factomd/IssuanceDeployer'),
+        FactomSubmitter: require('./factomd/FactomSubmitter'),
+        TokenWatcher: require('./cli/TokenWatcher'),
+        MemoryCache: require('./cli/MemoryCache'),
+        signer: Object.assign({MemorySigner: require('./signer/MemorySigner'), Keystore: require('./signer/Keystore')}, require('./signer/RemoteSigner')),
         FAT0: {
             TransactionBuilder: require('./0/TransactionBuilder'),
             Transaction: require('./0/Transaction'),
@@ -0,0 +1,438 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const {promisify} = require('util');
+const nacl = require('tweetnacl/nacl-fast').sign;
+const fctAddressUtil = require('factom/src/addresses');
+const fctIdentityUtil = require('factom-identity-lib/src/validation');
+const fctIdentityCrypto = require('factom-identity-lib/src/crypto');
+const util = require('../util');
+const {ValidationError, SignatureError} = require('../errors');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEYSTORE_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const DEFAULT_KDF = {N: 32768, r: 8, p: 1};
+
+/**
+ * Encrypted file keystore for private Factoid addresses (Fs...) and identity keys (sk1...sk4). Each key is encrypted at rest with
+ * AES-256-GCM under a key derived from a passphrase using scrypt. Public addresses are stored in the clear so they can be listed while the keystore is locked.
+ * Keys are handed out as Signers, which the transaction & issuance builders accept in place of private keys, so the raw secret is never exposed to the caller
+ * @class
+ * @public
+ * @example
+ * const {Keystore} = require('fat-js').signer;
+ *
+ * const keystore = await Keystore.create('keys.json', 'correct horse battery staple');
+ * keystore.addKey("Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ", 'savings'); // => 'FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM'
+ * keystore.lock();
+ *
+ * //later, list the stored addresses without the passphrase
+ * const reopened = Keystore.open('keys.json');
+ * reopened.getAddresses(); // => [{address: 'FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM', type: 'fct', label: 'savings'}]
+ *
+ * await reopened.unlock('correct horse battery staple');
+ *
+ * const tx = await new TransactionBuilder(tokenChainId)
+ * .input(reopened.getSigner('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM'), 150)
+ * .output("FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr", 150)
+ * .buildAsync();
+ */
+class Keystore {
+
+    /**
+     * Use Keystore.create or Keystore.open
+     * @constructor
+     * @param {string} path - The path of the keystore file
+     * @param {object} data - The parsed keystore file
+     */
+    constructor(path, data) {
+        if (!isKeystoreData(data)) throw new ValidationError('Invalid keystore file ' + path, 'path');
+
+        this._path = path;
+        this._data = data;
+        this._key = undefined;
+    }
+
+    /**
+     * Create a new empty keystore file, unlocked with its passphrase. The file is written with owner only permissions
+     * @method
+     * @static
+     * @async
+     * @param {string} path - The path of the keystore file. Must not exist yet
+     * @param {string} passphrase - The passphrase encrypting the keys
+     * @param {object} [options] - The scrypt parameters
+     * @param {number} [options.N=32768] - The scrypt CPU/memory cost. Must be a power of 2
+     * @param {number} [options.r=8] - The scrypt block size
+     * @param {number} [options.p=1] - The scrypt parallelization
+     * @returns {Promise<Keystore>} - The unlocked keystore
+     */
+    static async create(path, passphrase, options) {
+        validatePassphrase(passphrase);
+        if (fs.existsSync(path)) throw new ValidationError('Keystore file ' + path + ' already exists', 'path');
+
+        const kdf = createKdfParams(options);
+        const key = await deriveKey(passphrase, kdf);
+        const keystore = new Keystore(path, {version: KEYSTORE_VERSION, kdf, check: encrypt(key, Buffer.alloc(0), 'check'), keys: []});
+        keystore._key = key;
+
+        save(keystore, 'wx');
+        return keystore;
+    }
+
+    /**
+     * Open an existing keystore file. The keystore is locked until unlocked with its passphrase
+     * @method
+     * @static
+     * @param {string} path - The path of the keystore file
+     * @returns {Keystore} - The locked keystore
+     */
+    static open(path) {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(path, 'utf8'));
+        } catch (e) {
+            throw new ValidationError('Could not read keystore file ' + path + ': ' + e.message, 'path');
+        }
+        return new Keystore(path, data);
+    }
+
+    /**
+     * Unlock the keystore, deriving the encryption key from the passphrase
+     * @method
+     * @async
+     * @param {string} passphrase - The passphrase of the keystore
+     * @returns {Promise<Keystore>} - This keystore. Rejects with a ValidationError if the passphrase is invalid or incorrect
+     */
+    async unlock(passphrase) {
+        validatePassphrase(passphrase);
+        const key = await deriveKey(passphrase, this._data.kdf);
+        try {
+            decrypt(key, this._data.check, 'check');
+        } catch (e) {
+            throw new ValidationError('Incorrect keystore passphrase', 'passphrase');
+        }
+        this._key = key;
+        return this;
+    }
+
+    /**
+     * Lock the keystore, wiping the derived encryption key from memory. Signers handed out by the keystore stop working until it is unlocked again
+     * @method
+     */
+    lock() {
+        if (this._key !== undefined) this._key.fill(0);
+        this._key = undefined;
+    }
+
+    /**
+     * Check whether the keystore is locked
+     * @method
+     * @returns {boolean}
+     */
+    isLocked() {
+        return this._key === undefined;
+    }
+
+    /**
+     * List the public addresses of the stored keys. Available while locked
+     * @method
+     * @returns {object[]} - The stored keys [{address, type, label}]. type is "fct" for Factoid addresses or the identity key level, e.x. "sk1"
+     */
+    getAddresses() {
+        return this._data.keys.map(entry => {
+            const key = {address: entry.address, type: entry.type};
+            if (entry.label !== undefined) key.label = entry.label;
+            return key;
+        });
+    }
+
+    /**
+     * Encrypt a private key and add it to the keystore file
+     * @method
+     * @param {string} privateKey - A private Factoid address (Fs...) or identity key (sk1...sk4)
+     * @param {string} [label] - A label to remember the key by
+     * @returns {string} - The public address of the key, either FA... or id1...id4
+     */
+    addKey(privateKey, label) {
+        requireUnlocked(this);
+        if (label !== undefined && typeof label !== 'string') throw new ValidationError('Label must be a string', 'label');
+
+        const parsed = parseKey(privateKey);
+        const keyPair = nacl.keyPair.fromSeed(parsed.seed);
+        parsed.seed.fill(0);
+        keyPair.secretKey.fill(0);
+
+        const publicKey = Buffer.from(keyPair.publicKey);
+        const address = parsed.type === 'fct' ? fctAddressUtil.keyToPublicFctAddress(publicKey) : util.createPublicIdentityAddr('id' + parsed.type.slice(2), publicKey);
+        if (this._data.keys.some(entry => entry.address === address)) throw new ValidationError('Key for ' + address + ' is already stored', 'privateKey');
+
+        const entry = Object.assign({address, type: parsed.type, publickey: publicKey.toString('hex')}, encrypt(this._key, Buffer.from(privateKey), address));
+        if (label !== undefined) entry.label = label;
+        this._data.keys.push(entry);
+
+        save(this);
+        return address;
+    }
+
+    /**
+     * Remove a key from the keystore file
+     * @method
+     * @param {string} address - The public address of the key
+     */
+    removeKey(address) {
+        requireUnlocked(this);
+        getEntry(this, address);
+
+        this._data.keys = this._data.keys.filter(entry => entry.address !== address);
+        save(this);
+    }
+
+    /**
+     * Get a Signer for a stored key, to pass to the transaction & issuance builders in place of the private key. The key is only decrypted while signing
+     * @method
+     * @param {string} address - The public address of the key, FA... or id1...id4
+     * @returns {Signer} - The signer. Signing fails while the keystore is locked
+     */
+    getSigner(address) {
+        const entry = getEntry(this, address);
+        return new KeystoreSigner(this, entry.address);
+    }
+
+    /**
+     * Re-encrypt every key under a new passphrase
+     * @method
+     * @async
+     * @param {string} passphrase - The new passphrase
+     * @param {object} [options] - New scrypt parameters, see Keystore.create
+     * @returns {Promise<Keystore>} - This keystore. Rejects with a ValidationError if the keystore is locked or the passphrase or scrypt parameters are invalid
+     */
+    async changePassphrase(passphrase, options) {
+        requireUnlocked(this);
+        validatePassphrase(passphrase);
+
+        const kdf = createKdfParams(options || {N: this._data.kdf.N, r: this._data.kdf.r, p: this._data.kdf.p});
+        const secrets = this._data.keys.map(entry => decrypt(this._key, entry, entry.address));
+        let key;
+        try {
+            key = await deriveKey(passphrase, kdf);
+        } catch (e) {
+            secrets.forEach(secret => secret.fill(0));
+            throw e;
+        }
+
+        const keys = this._data.keys.map((entry, i) => Object.assign({}, entry, encrypt(key, secrets[i], entry.address)));
+        secrets.forEach(secret => secret.fill(0));
+        this._data = {version: KEYSTORE_VERSION, kdf, check: encrypt(key, Buffer.alloc(0), 'check'), keys};
+
+        this.lock();
+        this._key = key;
+        save(this);
+        return this;
+    }
+}
+
+/**
+ * Signer backed by a key stored in a Keystore. The private key is decrypted for each signature and wiped right after
+ * @class
+ * @private
+ */
+class KeystoreSigner {
+
+    /**
+     * @constructor
+     * @param {Keystore} keystore - The keystore holding the key
+     * @param {string} address - The public address of the key
+     */
+    constructor(keystore, address) {
+        this._keystore = keystore;
+        this._address = address;
+    }
+
+    /**
+     * Get the ed25519 public key of the signer. Available while the keystore is locked
+     * @method
+     * @returns {Promise<Buffer>} - The 32 byte public key
+     */
+    async getPublicKey() {
+        return Buffer.from(getEntry(this._keystore, this._address).publickey, 'hex');
+    }
+
+    /**
+     * Sign data using the stored key
+     * @method
+     * @param {Buffer} data - The data to sign
+     * @returns {Promise<Buffer>} - The 64 byte detached ed25519 signature
+     */
+    async sign(data) {
+        if (this._keystore.isLocked()) throw new SignatureError('Keystore is locked');
+        const entry = getEntry(this._keystore, this._address);
+
+        const secret = decrypt(this._keystore._key, entry, entry.address);
+        const seed = parseKey(secret.toString()).seed;
+        const keyPair = nacl.keyPair.fromSeed(seed);
+        secret.fill(0);
+        seed.fill(0);
+
+        try {
+            if (Buffer.from(keyPair.publicKey).toString('hex') !== entry.publickey) throw new SignatureError('Stored public key does not match the key of ' + entry.address);
+            return Buffer.from(nacl.detached(data, keyPair.secretKey));
+        } finally {
+            keyPair.secretKey.fill(0);
+        }
+    }
+}
+
+/**
+ * Get the seed and type of a private Factoid address or identity key
+ * @method
+ * @private
+ * @param {string} privateKey - The private key
+ * @returns {object} - {type, seed}
+ */
+function parseKey(privateKey) {
+    if (fctAddressUtil.isValidPrivateFctAddress(privateKey)) return {type: 'fct', seed: fctAddressUtil.addressToKey(privateKey)};
+
+    const level = ['sk1', 'sk2', 'sk3', 'sk4'].find(prefix => typeof privateKey === 'string' && privateKey.startsWith(prefix));
+    const validators = {sk1: fctIdentityUtil.isValidSk1, sk2: fctIdentityUtil.isValidSk2, sk3: fctIdentityUtil.isValidSk3, sk4: fctIdentityUtil.isValidSk4};
+    if (level !== undefined && validators[level](privateKey)) return {type: level, seed: fctIdentityCrypto.extractSecretFromIdentityKey(privateKey)};
+
+    throw new ValidationError('Key must be a private Factoid address or an sk1-sk4 identity key', 'privateKey');
+}
+
+/**
+ * Validate scrypt parameters and generate a new random salt
+ * @method
+ * @private
+ * @param {object} [options] - The scrypt parameters {N, r, p}
+ * @returns {object} - The KDF parameters stored in the keystore file
+ */
+function createKdfParams(options) {
+    const params = Object.assign({}, DEFAULT_KDF, options);
+    if (!Number.isInteger(params.N) || params.N < 2 || (params.N & (params.N - 1)) !== 0) throw new ValidationError('Scrypt N must be a power of 2', 'N');
+    if (!Number.isInteger(params.r) || params.r < 1) throw new ValidationError('Scrypt r must be a positive integer', 'r');
+    if (!Number.isInteger(params.p) || params.p < 1) throw new ValidationError('Scrypt p must be a positive integer', 'p');
+
+    return {name: 'scrypt', salt: crypto.randomBytes(32).toString('hex'), N: params.N, r: params.r, p: params.p};
+}
+
+/**
+ * Derive the 32 byte encryption key from a passphrase
+ * @method
+ * @private
+ * @param {string} passphrase - The passphrase
+ * @param {object} kdf - The KDF parameters stored in the keystore file
+ * @returns {Promise<Buffer>} - The encryption key
+ */
+function deriveKey(passphrase, kdf) {
+    return scrypt(passphrase.normalize('NFKC'), Buffer.from(kdf.salt, 'hex'), 32, {
+        N: kdf.N,
+        r: kdf.r,
+        p: kdf.p,
+        maxmem: 256 * kdf.N * kdf.r + 1024 * 1024
+    });
+}
+
+/**
+ * Encrypt data with AES-256-GCM, authenticating the public address it belongs to
+ * @method
+ * @private
+ * @param {Buffer} key - The encryption key
+ * @param {Buffer} plaintext - The data to encrypt
+ * @param {string} aad - The additional authenticated data
+ * @returns {object} - {iv, ciphertext, tag} as hex strings
+ */
+function encrypt(key, plaintext, aad) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, key, iv);
+    cipher.setAAD(Buffer.from(aad));
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return {iv: iv.toString('hex'), ciphertext: ciphertext.toString('hex'), tag: cipher.getAuthTag().toString('hex')};
+}
+
+/**
+ * Decrypt & authenticate data encrypted with encrypt
+ * @method
+ * @private
+ * @param {Buffer} key - The encryption key
+ * @param {object} encrypted - {iv, ciphertext, tag} as hex strings
+ * @param {string} aad - The additional authenticated data
+ * @returns {Buffer} - The plaintext
+ */
+function decrypt(key, encrypted, aad) {
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(encrypted.iv, 'hex'));
+    decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(Buffer.from(encrypted.tag, 'hex'));
+    try {
+        return Buffer.concat([decipher.update(Buffer.from(encrypted.ciphertext, 'hex')), decipher.final()]);
+    } catch (e) {
+        throw new SignatureError('Keystore entry ' + aad + ' failed authentication. The file may be corrupted or tampered with');
+    }
+}
+
+/**
+ * Write the keystore file atomically with owner only permissions
+ * @method
+ * @private
+ * @param {Keystore} keystore - The keystore
+ * @param {string} [flag=w] - The file system flag of the write. "wx" fails if the file exists
+ */
+function save(keystore, flag) {
+    const json = JSON.stringify(keystore._data, undefined, 2);
+    if (flag === 'wx') return fs.writeFileSync(keystore._path, json, {mode: 0o600, flag});
+
+    const temporary = keystore._path + '.' + crypto.randomBytes(4).toString('hex') + '.tmp';
+    fs.writeFileSync(temporary, json, {mode: 0o600, flag: 'wx'});
+    fs.renameSync(temporary, keystore._path);
+}
+
+/**
+ * Check whether parsed JSON has the structure of a keystore file
+ * @method
+ * @private
+ * @param {*} data - The parsed JSON
+ * @returns {boolean}
+ */
+function isKeystoreData(data) {
+    return data !== null && typeof data === 'object'
+        && data.version === KEYSTORE_VERSION
+        && data.kdf !== null && typeof data.kdf === 'object' && data.kdf.name === 'scrypt'
+        && data.check !== null && typeof data.check === 'object'
+        && Array.isArray(data.keys) && data.keys.every(entry => entry !== null && typeof entry === 'object' && typeof entry.address === 'string' && typeof entry.publickey === 'string');
+}
+
+/**
+ * Validate a passphrase
+ * @method
+ * @private
+ * @param {string} passphrase - The passphrase
+ */
+function validatePassphrase(passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length === 0) throw new ValidationError('Passphrase must be a non empty string', 'passphrase');
+}
+
+/**
+ * Throw unless the keystore is unlocked
+ * @method
+ * @private
+ * @param {Keystore} keystore - The keystore
+ */
+function requireUnlocked(keystore) {
+    if (keystore.isLocked()) throw new ValidationError('Keystore is locked', 'keystore');
+}
+
+/**
+ * Get the stored entry of a key by its public address
+ * @method
+ * @private
+ * @param {Keystore} keystore - The keystore
+ * @param {string} address - The public address
+ * @returns {object} - The stored entry
+ */
+function getEntry(keystore, address) {
+    const entry = keystore._data.keys.find(entry => entry.address === address);
+    if (entry === undefined) throw new ValidationError('No key for ' + address + ' in the keystore', 'address');
+    return entry;
+}
+
+module.exports = Keystore;
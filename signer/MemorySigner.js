@@ -0,0 +1,63 @@
+const nacl = require('tweetnacl/nacl-fast').sign;
+const fctAddressUtil = require('factom/src/addresses');
+const fctIdentityUtil = require('factom-identity-lib/src/validation');
+const fctIdentityCrypto = require('factom-identity-lib/src/crypto');
+
+/**
+ * Reference implementation of the Signer interface, holding an ed25519 key in memory. Signers can be passed to the
+ * transaction & issuance builders in place of private keys, letting hardware wallets, HSMs or remote signing services produce the signatures.
+ * Any object implementing getPublicKey() & sign(data) is accepted
+ * @class
+ * @public
+ * @example
+ * const {MemorySigner} = require('fat-js').signer;
+ *
+ * const signer = new MemorySigner("Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ");
+ *
+ * const tx = await new TransactionBuilder(tokenChainId)
+ * .input(signer, 150)
+ * .output("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", 150)
+ * .buildAsync();
+ */
+class MemorySigner {
+
+    /**
+     * @constructor
+     * @param {(string|Buffer)} key - A private Factoid address (Fs...), an identity private key (sk1...) or a 32 byte ed25519 seed
+     */
+    constructor(key) {
+        let seed;
+        if (fctAddressUtil.isValidPrivateAddress(key)) {
+            seed = fctAddressUtil.addressToKey(key);
+        } else if (fctIdentityUtil.isValidSk1(key)) {
+            seed = fctIdentityCrypto.extractSecretFromIdentityKey(key);
+        } else if (Buffer.isBuffer(key) && key.length === 32) {
+            seed = key;
+        } else {
+            throw new Error('Key must be a private Factoid address, an sk1 key or a 32 byte seed');
+        }
+
+        this._keyPair = nacl.keyPair.fromSeed(seed);
+    }
+
+    /**
+     * Get the ed25519 public key of the signer
+     * @method
+     * @returns {Promise<Buffer>} - The 32 byte public key
+     */
+    async getPublicKey() {
+        return Buffer.from(this._keyPair.publicKey);
+    }
+
+    /**
+     * Sign data using the signer's key
+     * @method
+     * @param {Buffer} data - The data to sign. The builders pass the sha512 hash of the marshalled entry data
+     * @returns {Promise<Buffer>} - The 64 byte detached ed25519 signature
+     */
+    async sign(data) {
+        return Buffer.from(nacl.detached(data, this._keyPair.secretKey));
+    }
+}
+
+module.exports = MemorySigner;
@@ -0,0 +1,238 @@
+const net = require('net');
+const nacl = require('tweetnacl/nacl-fast').sign;
+const util = require('../util');
+const {SignatureError} = require('../errors');
+
+/**
+ * Signer that forwards signing requests to a remote signing service over a TCP or local (unix) socket, for example a signing daemon
+ * in front of an HSM. Requests & responses are newline delimited JSON-RPC 2.0 messages, one request per connection. Private keys never leave the remote service
+ * @class
+ * @public
+ * @example
+ * const {RemoteSigner} = require('fat-js').signer;
+ *
+ * const signer = new RemoteSigner({port: 8095});
+ *
+ * const tx = await new TransactionBuilder(tokenChainId)
+ * .input(signer, 150)
+ * .output("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", 150)
+ * .buildAsync();
+ */
+class RemoteSigner {
+
+    /**
+     * @constructor
+     * @param {object} options - The connection options
+     * @param {number} [options.port] - The TCP port of the signing service
+     * @param {string} [options.host=127.0.0.1] - The host of the signing service
+     * @param {string} [options.path] - The path of a local socket to connect to instead of a TCP port
+     * @param {number} [options.timeout=10000] - The timeout of each request in milliseconds
+     */
+    constructor(options) {
+        options = options || {};
+        if (options.path === undefined && !Number.isInteger(options.port)) throw new Error('Remote signer requires either a port or a socket path');
+
+        this._host = options.host || '127.0.0.1';
+        this._port = options.port;
+        this._path = options.path;
+        this._timeout = options.timeout || 10000;
+    }
+
+    /**
+     * Get the ed25519 public key of the remote signer
+     * @method
+     * @returns {Promise<Buffer>} - The 32 byte public key
+     */
+    async getPublicKey() {
+        return decodeHex(await call(this, 'get-public-key'), 32, 'public key');
+    }
+
+    /**
+     * Request a signature of data from the remote signer. The signature is verified against the signer's public key before it is returned
+     * @method
+     * @param {Buffer} data - The data to sign
+     * @returns {Promise<Buffer>} - The 64 byte detached ed25519 signature
+     */
+    async sign(data) {
+        const publicKey = await this.getPublicKey();
+        const signature = decodeHex(await call(this, 'sign', {data: Buffer.from(data).toString('hex')}), 64, 'signature');
+        if (!nacl.detached.verify(Buffer.from(data), signature, publicKey)) throw new SignatureError('Remote signer returned a signature that does not verify against its public key');
+        return signature;
+    }
+}
+
+/**
+ * Minimal signing service serving a Signer to RemoteSigner clients over a TCP or local socket. Stands in for a signing daemon during tests and development
+ * @class
+ * @public
+ * @example
+ * const {MemorySigner, RemoteSigner, RemoteSignerServer} = require('fat-js').signer;
+ *
+ * const server = new RemoteSignerServer(new MemorySigner("Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ"));
+ * const address = await server.listen({port: 0}); // => {address: '127.0.0.1', family: 'IPv4', port: 39211}
+ *
+ * const signer = new RemoteSigner({port: address.port});
+ *
+ * await server.close();
+ */
+class RemoteSignerServer {
+
+    /**
+     * @constructor
+     * @param {Signer} signer - The signer holding the key to serve
+     */
+    constructor(signer) {
+        if (!util.isSigner(signer)) throw new Error('Argument must implement the Signer interface');
+        this._signer = signer;
+        this._sockets = new Set();
+        this._server = net.createServer(socket => handleConnection(this, socket));
+    }
+
+    /**
+     * Start listening for signing requests
+     * @method
+     * @param {object} [options] - Where to listen
+     * @param {number} [options.port=0] - The TCP port to listen on. 0 picks a random free port
+     * @param {string} [options.host=127.0.0.1] - The host to listen on
+     * @param {string} [options.path] - The path of a local socket to listen on instead of a TCP port
+     * @returns {Promise<(object|string)>} - The bound address
+     */
+    listen(options) {
+        options = options || {};
+        return new Promise((resolve, reject) => {
+            this._server.once('error', reject);
+            const onListening = () => {
+                this._server.removeListener('error', reject);
+                resolve(this._server.address());
+            };
+
+            if (options.path !== undefined) this._server.listen(options.path, onListening);
+            else this._server.listen(options.port || 0, options.host || '127.0.0.1', onListening);
+        });
+    }
+
+    /**
+     * Stop listening and close all open connections
+     * @method
+     * @returns {Promise}
+     */
+    close() {
+        this._sockets.forEach(socket => socket.destroy());
+        return new Promise(resolve => this._server.close(() => resolve()));
+    }
+}
+
+/**
+ * Send a single JSON-RPC request to a remote signer and resolve its result
+ * @method
+ * @private
+ * @param {RemoteSigner} signer - The remote signer to call
+ * @param {string} method - The method name
+ * @param {object} [params] - The method parameters
+ * @returns {Promise<*>} - The result of the call
+ */
+function call(signer, method, params) {
+    return new Promise((resolve, reject) => {
+        const socket = signer._path !== undefined ? net.createConnection(signer._path) : net.createConnection(signer._port, signer._host);
+        let response = '';
+
+        socket.setTimeout(signer._timeout, () => socket.destroy(new Error('Remote signer request timed out after ' + signer._timeout + 'ms')));
+        socket.on('connect', () => socket.write(JSON.stringify({jsonrpc: '2.0', id: 1, method, params}) + '\n'));
+        socket.on('data', data => {
+            response += data.toString();
+            const end = response.indexOf('\n');
+            if (end === -1) return;
+            socket.end();
+
+            let message;
+            try {
+                message = JSON.parse(response.slice(0, end));
+            } catch (e) {
+                return reject(new Error('Invalid response from remote signer'));
+            }
+            if (message.error) return reject(new Error('Remote signer error: ' + message.error.message));
+            resolve(message.result);
+        });
+        socket.on('error', reject);
+        socket.on('close', () => reject(new Error('Remote signer closed the connection without a response')));
+    });
+}
+
+/**
+ * Decode a hex encoded key or signature returned by a remote signer, checking its length
+ * @method
+ * @private
+ * @param {*} result - The result of the call
+ * @param {number} length - The expected length in bytes
+ * @param {string} name - What the result holds, for error messages
+ * @returns {Buffer}
+ */
+function decodeHex(result, length, name) {
+    if (typeof result !== 'string' || !new RegExp('^[0-9a-f]{' + length * 2 + '}$', 'i').test(result)) {
+        throw new SignatureError('Remote signer returned an invalid ' + name + ', expected ' + length + ' hex encoded bytes');
+    }
+    return Buffer.from(result, 'hex');
+}
+
+/**
+ * Serve the JSON-RPC requests received on a connection to a RemoteSignerServer
+ * @method
+ * @private
+ * @param {RemoteSignerServer} server - The server that accepted the connection
+ * @param {net.Socket} socket - The connection
+ */
+function handleConnection(server, socket) {
+    server._sockets.add(socket);
+    socket.on('close', () => server._sockets.delete(socket));
+    socket.on('error', () => socket.destroy());
+
+    let buffer = '';
+    socket.on('data', data => {
+        buffer += data.toString();
+        let end;
+        while ((end = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, end);
+            buffer = buffer.slice(end + 1);
+            handleRequest(server._signer, line).then(response => {
+                if (!socket.destroyed) socket.write(JSON.stringify(response) + '\n');
+            }).catch(() => socket.destroy());
+        }
+    });
+}
+
+/**
+ * Answer a single JSON-RPC request using a Signer
+ * @method
+ * @private
+ * @param {Signer} signer - The signer to use
+ * @param {string} line - The raw JSON request
+ * @returns {Promise<object>} - The JSON-RPC response
+ */
+async function handleRequest(signer, line) {
+    let request;
+    try {
+        request = JSON.parse(line);
+    } catch (e) {
+        return {jsonrpc: '2.0', id: null, error: {code: -32700, message: 'Parse error'}};
+    }
+    if (request === null || typeof request !== 'object') return {jsonrpc: '2.0', id: null, error: {code: -32600, message: 'Invalid Request'}};
+
+    try {
+        switch (request.method) {
+            case 'get-public-key':
+                return {jsonrpc: '2.0', id: request.id, result: (await util.getSignerPublicKey(signer)).toString('hex')};
+            case 'sign':
+                if (!request.params || typeof request.params.data !== 'string') throw new Error('Missing hex data to sign');
+                return {jsonrpc: '2.0', id: request.id, result: Buffer.from(await signer.sign(Buffer.from(request.params.data, 'hex'))).toString('hex')};
+            default:
+                return {jsonrpc: '2.0', id: request.id, error: {code: -32601, message: 'Method not found: ' + request.method}};
+        }
+    } catch (e) {
+        return {jsonrpc: '2.0', id: (request && request.id) || null, error: {code: -32000, message: e.message}};
+    }
+}
+
+module.exports = {
+    RemoteSigner,
+    RemoteSignerServer
+};
@@ -0,0 +1,513 @@
+const constant = require('../constant');
+const util = require('../util');
+const fctAddressUtil = require('factom/src/addresses');
+const BigNumber = require('bignumber.js');
+const JSONBig = require('json-bigint')({strict: true});
+const {FatError, ValidationError, SignatureError} = require('../errors');
+
+const Transaction0 = require('../0/Transaction');
+const Transaction1 = require('../1/Transaction');
+const Issuance0 = require('../0/Issuance');
+const Issuance1 = require('../1/Issuance');
+
+/**
+ * Offline FAT-0/FAT-1 token chain state engine. Replays raw token chain entries under FATIP rules to compute
+ * balances, supply statistics and non-fungible token ownership without relying on fatd.
+ * Only a state created with the issuing identity's keys is authenticated. Without them the issuance and coinbase transactions are checked against
+ * the key embedded in the issuance entry, which whoever wrote the chain chose, so a forged token chain replays as valid. See isAuthenticated
+ * @class
+ * @public
+ * @example
+ * const {FactomCli} = require('factom');
+ * const TokenState = require('fat-js').TokenState;
+ *
+ * const factom = new FactomCli();
+ * const entries = await factom.getAllEntriesOfChain('0cccd100a1801c0cf4aa2104b15dec94fe6f45d0f3347b016ed20d81059494df');
+ *
+ * //entries[0] is the chain establishment entry, entries[1] the issuance
+ * //the current ID1 keys of the issuing identity, e.g. from factom-identity-lib
+ * const identityKeys = ['id12HQxrj9A4ESYVWqKDx7UC1gJfXpUJDVWt6wHem4fjyNyUKVUx2'];
+ *
+ * const state = new TokenState('test', '888888ab72e748840d82c39213c969a11ca6cb026f1d3da39fd82b95b3c1fced', entries[1], identityKeys)
+ * .applyEntries(entries.slice(2));
+ *
+ * state.getBalance('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM'); // => BigNumber
+ * state.getStats(); // => {circulating: BigNumber, burned: BigNumber, transactions: BigNumber, ...}
+ */
+class TokenState {
+
+    /**
+     * @constructor
+     * @param {string} tokenId - The token ID string of the token
+     * @param {string} issuerChainId - The Factom chain ID of the token issuer's identity chain
+     * @param {Entry} issuanceEntry - The factom-js Entry containing the signed token issuance
+     * @param {string[]} [identityKeys] - The current ID1 public keys of the issuing identity. The issuance and all coinbase transactions must be signed by one of them.
+     * If omitted the state is unauthenticated and only checks them against the key embedded in the issuance entry
+     */
+    constructor(tokenId, issuerChainId, issuanceEntry, identityKeys) {
+        if (typeof tokenId !== 'string') throw new ValidationError('Token ID must be a string', 'tokenId');
+        if (!issuerChainId || issuerChainId.length !== 64) throw new ValidationError('You must include a valid issuer identity chain ID', 'issuerChainId');
+
+        this._tokenChainId = util.getTokenChainId(tokenId, issuerChainId);
+        if (!issuanceEntry || issuanceEntry.chainIdHex !== this._tokenChainId) throw new ValidationError('Issuance entry does not belong to the token chain ' + this._tokenChainId, 'issuanceEntry');
+
+        if (identityKeys !== undefined && (!Array.isArray(identityKeys) || identityKeys.length === 0)) throw new ValidationError('Identity keys must be a non-empty array of ID1 keys', 'identityKeys');
+        this._identityKeys = identityKeys;
+
+        try {
+            this._issuance = parseIssuance(issuanceEntry, tokenId, issuerChainId);
+            this._issuance.validateSignature(identityKeys);
+        } catch (e) {
+            throw toEntryError(e, issuanceEntry.hashHex());
+        }
+
+        this._balances = {};
+        this._nfTokens = []; //sorted, non overlapping {min, max, owner, burned, metadata} ranges of issued NF token IDs
+        this._issued = new BigNumber(0);
+        this._burned = new BigNumber(0);
+        this._transactions = [];
+        this._rejected = [];
+        this._unverified = [];
+        this._entryhashes = new Set([this._issuance.getEntryhash()]);
+    }
+
+    /**
+     * Get the typed FAT-0 or FAT-1 issuance object the state was initialized from
+     * @method
+     * @returns {(Issuance0|Issuance1)}
+     */
+    getIssuance() {
+        return this._issuance;
+    }
+
+    /**
+     * Get the type string constant of the token being replayed. Either "FAT-0" or "FAT-1"
+     * @method
+     * @returns {string}
+     */
+    getType() {
+        return this._issuance.getType();
+    }
+
+    /**
+     * Check whether the issuance and coinbase transactions are verified against the issuing identity's keys. An unauthenticated state only proves
+     * the chain is consistent with the key embedded in its own issuance entry, and must not be treated as validated
+     * @method
+     * @returns {boolean} - True if the state was created with identity keys
+     */
+    isAuthenticated() {
+        return this._identityKeys !== undefined;
+    }
+
+    /**
+     * Get the Factom token chain ID of the token being replayed
+     * @method
+     * @returns {string}
+     */
+    getChainId() {
+        return this._tokenChainId;
+    }
+
+    /**
+     * Apply a list of token chain entries in chain order. Invalid entries are skipped and recorded
+     * @method
+     * @param {Entry[]} entries - The ordered factom-js Entry objects following the issuance entry on the token chain
+     * @returns {TokenState}
+     */
+    applyEntries(entries) {
+        if (!Array.isArray(entries)) throw new ValidationError('Entries must be an array', 'entries');
+        entries.forEach(entry => this.applyEntry(entry));
+        return this;
+    }
+
+    /**
+     * Apply a single token chain entry. Invalid entries are skipped and recorded with the reason they were rejected
+     * @method
+     * @param {Entry} entry - The factom-js Entry object to apply
+     * @returns {boolean} - True if the entry was applied to the state. Entries without a known entry timestamp are also listed by getUnverifiedEntries
+     */
+    applyEntry(entry) {
+        const entryhash = entry.hashHex();
+
+        //ignore replays of entries that have already been processed
+        if (this._entryhashes.has(entryhash)) {
+            const error = toEntryError(new ValidationError('Duplicate entryhash', 'entryhash'), entryhash);
+            this._rejected.push({entryhash, reason: error.message, error});
+            return false;
+        }
+        this._entryhashes.add(entryhash);
+
+        try {
+            const transaction = applyTransaction(this, entry);
+            this._transactions.push(transaction);
+            return true;
+        } catch (e) {
+            const error = toEntryError(e, entryhash);
+            this._rejected.push({entryhash, reason: error.message, error});
+            return false;
+        }
+    }
+
+    /**
+     * Get the numeric balance of a Factoid address on the token. For FAT-1 tokens this is the count of owned tokens
+     * @method
+     * @param {string} address - The public Factoid address to get the balance for
+     * @returns {BigNumber}
+     */
+    getBalance(address) {
+        if (!fctAddressUtil.isValidPublicFctAddress(address)) throw new ValidationError('You must include a valid public Factoid address', 'address');
+        return this._balances[address] || new BigNumber(0);
+    }
+
+    /**
+     * Get the balances of every address that has held tokens. Map of address => BigNumber balance
+     * @method
+     * @returns {object}
+     */
+    getBalances() {
+        return Object.assign({}, this._balances);
+    }
+
+    /**
+     * Get statistics for the token in the same shape fatd returns from get-stats
+     * @method
+     * @returns {object}
+     */
+    getStats() {
+        return {
+            circulating: this._issued.minus(this._burned),
+            burned: this._burned,
+            transactions: new BigNumber(this._transactions.length),
+            issuancets: this._issuance.getTimestamp(),
+            lasttxts: this._transactions.length > 0 ? this._transactions[this._transactions.length - 1].getTimestamp() : undefined,
+            nonzerobalances: new BigNumber(Object.values(this._balances).filter(balance => !balance.isZero()).length)
+        };
+    }
+
+    /**
+     * Get the valid transactions that have been applied, in chain order
+     * @method
+     * @returns {(Transaction0[]|Transaction1[])}
+     */
+    getTransactions() {
+        return this._transactions.slice();
+    }
+
+    /**
+     * Get the entries that were rejected during replay and the reason they were rejected
+     * @method
+     * @returns {object[]} - Array of {entryhash, reason, error} objects. error is the ValidationError or SignatureError that rejected the entry, carrying its entryhash
+     */
+    getRejectedEntries() {
+        return this._rejected.slice();
+    }
+
+    /**
+     * Get the applied entries whose transaction timestamp could not be checked because the entry timestamp was unknown, for example entries built locally instead of fetched from Factom.
+     * Their other rules were checked, but they are not verified FAT transactions
+     * @method
+     * @returns {object[]} - Array of {entryhash, reason} objects
+     */
+    getUnverifiedEntries() {
+        return this._unverified.slice();
+    }
+
+    /**
+     * Get the non-fungible token IDs owned by a Factoid address, grouped into ID ranges. FAT-1 only
+     * @method
+     * @param {string} address - The public Factoid address to get the NF balance of
+     * @returns {object[]}
+     */
+    getNFBalance(address) {
+        if (this.getType() !== constant.FAT1) throw new ValidationError('Non-fungible balances are only available for FAT-1 tokens', 'type');
+        if (!fctAddressUtil.isValidPublicFctAddress(address)) throw new ValidationError('You must include a valid public Factoid address', 'address');
+
+        return util.normalizeNFIds(this._nfTokens.filter(range => range.owner === address))
+            .map(range => range.min === range.max ? range.min : range);
+    }
+
+    /**
+     * Get an individual non-fungible token's owner and metadata. FAT-1 only
+     * @method
+     * @param {number} nftokenid - The integer non-fungible token ID
+     * @returns {object} - The {id, owner, burned, metadata} token object, or undefined if the token was never issued
+     */
+    getNFToken(nftokenid) {
+        if (this.getType() !== constant.FAT1) throw new ValidationError('Non-fungible tokens are only available for FAT-1 tokens', 'type');
+        const range = this._nfTokens[findNFRange(this, nftokenid)];
+        if (range === undefined || range.min > nftokenid) return undefined;
+        return {id: nftokenid, owner: range.owner, burned: range.burned, metadata: range.metadata};
+    }
+
+    /**
+     * Get every non-fungible token that has been issued, ordered by ID. FAT-1 only. Lists one object per token ID, use getNFBalance or getNFToken for tokens issued in large ranges
+     * @method
+     * @returns {object[]} - The {id, owner, burned, metadata} token objects
+     */
+    getNFTokens() {
+        if (this.getType() !== constant.FAT1) throw new ValidationError('Non-fungible tokens are only available for FAT-1 tokens', 'type');
+        return this._nfTokens.reduce((tokens, range) => {
+            for (let id = range.min; id <= range.max; id++) tokens.push({id, owner: range.owner, burned: range.burned, metadata: range.metadata});
+            return tokens;
+        }, []);
+    }
+}
+
+/**
+ * Validate a transaction entry against the current state and apply it
+ * @method
+ * @private
+ * @param {TokenState} state - The token state to apply the transaction to
+ * @param {Entry} entry - The factom-js Entry object to apply
+ * @returns {(Transaction0|Transaction1)} - The applied transaction
+ */
+function applyTransaction(state, entry) {
+    const fat1 = state.getType() === constant.FAT1;
+    const transaction = fat1 ? Transaction1.fromEntry(entry) : Transaction0.fromEntry(entry);
+
+    //stateless FATIP rules. Without a known entry timestamp the transaction timestamp can not be checked, so the entry is recorded as unverified
+    const entryTimestamp = getEntryTimestamp(entry);
+    const validation = transaction.validate({
+        issuance: state._issuance,
+        now: entryTimestamp !== undefined ? entryTimestamp : transaction.getTimestamp(),
+        identityKeys: state._identityKeys
+    });
+    if (!validation.valid) {
+        const error = validation.errors[0];
+        if (util.SIGNATURE_ERROR_CODES.concat(['COINBASE_KEY_MISMATCH', 'COINBASE_KEY_UNKNOWN']).includes(error.code)) throw new SignatureError(error.message, error.input);
+        throw new ValidationError(error.message);
+    }
+
+    if (fat1) applyFAT1(state, transaction);
+    else applyFAT0(state, transaction);
+
+    if (entryTimestamp === undefined) state._unverified.push({entryhash: entry.hashHex(), reason: 'Unknown entry timestamp, the transaction timestamp was not checked'});
+
+    return transaction;
+}
+
+/**
+ * Validate a FAT-0 transaction against the current balances and supply, then apply it
+ * @method
+ * @private
+ * @param {TokenState} state - The token state to apply the transaction to
+ * @param {Transaction0} transaction
+ */
+function applyFAT0(state, transaction) {
+    const inputs = transaction.getInputs();
+    const outputs = transaction.getOutputs();
+
+    const inputSum = Object.values(inputs).reduce((sum, amount) => sum.plus(amount), new BigNumber(0));
+
+    if (transaction.isCoinbase()) {
+        const supply = state._issuance.getSupply();
+        if (!supply.isEqualTo(-1) && state._issued.plus(inputSum).isGreaterThan(supply)) throw new ValidationError('Coinbase transaction exceeds the maximum supply', 'inputs');
+    } else {
+        Object.keys(inputs).forEach(address => {
+            if (state.getBalance(address).isLessThan(inputs[address])) throw new ValidationError('Insufficient balance for input address ' + address, 'inputs.' + address);
+        });
+    }
+
+    //all checks passed, mutate the state
+    if (transaction.isCoinbase()) state._issued = state._issued.plus(inputSum);
+    else Object.keys(inputs).forEach(address => state._balances[address] = state.getBalance(address).minus(inputs[address]));
+
+    Object.keys(outputs).forEach(address => {
+        if (address === constant.COINBASE_ADDRESS_PUBLIC) state._burned = state._burned.plus(outputs[address]);
+        else state._balances[address] = state.getBalance(address).plus(outputs[address]);
+    });
+}
+
+/**
+ * Validate a FAT-1 transaction against the current token ownership and supply, then apply it
+ * @method
+ * @private
+ * @param {TokenState} state - The token state to apply the transaction to
+ * @param {Transaction1} transaction
+ */
+function applyFAT1(state, transaction) {
+    const tokenMetadata = transaction.getTokenMetadata();
+    const inputs = transaction.getInputs();
+    const outputs = transaction.getOutputs();
+
+    //ID ranges come from chain data, so ownership is tracked & checked per range and never per ID
+    const inputIds = util.normalizeNFIds(Object.values(inputs).reduce((ids, ranges) => ids.concat(ranges), []));
+    const count = util.countNFIds(inputIds);
+
+    if (transaction.isCoinbase()) {
+        const issued = inputIds.find(range => {
+            const existing = state._nfTokens[findNFRange(state, range.min)];
+            return existing !== undefined && existing.min <= range.max;
+        });
+        if (issued !== undefined) throw new ValidationError('Coinbase transaction issues a token ID that already exists', 'inputs');
+        const supply = state._issuance.getSupply();
+        if (!supply.isEqualTo(-1) && state._issued.plus(count).isGreaterThan(supply)) throw new ValidationError('Coinbase transaction exceeds the maximum supply', 'inputs');
+    } else {
+        Object.keys(inputs).forEach(address => {
+            const missing = util.normalizeNFIds(inputs[address]).find(range => !ownsNFRange(state, address, range));
+            if (missing !== undefined) throw new ValidationError('Input address ' + address + ' does not own all token IDs ' + missing.min + ' - ' + missing.max, 'inputs.' + address);
+        });
+    }
+
+    //all checks passed, mutate the state
+    if (transaction.isCoinbase()) {
+        state._issued = state._issued.plus(count);
+        inputIds.forEach(range => state._nfTokens.splice(findNFRange(state, range.min), 0, {min: range.min, max: range.max, owner: undefined, burned: false, metadata: undefined}));
+        (tokenMetadata || []).forEach(meta => util.normalizeNFIds(meta.ids).forEach(range => sliceNFRanges(state, range).forEach(token => token.metadata = meta.metadata)));
+    } else {
+        Object.keys(inputs).forEach(address => state._balances[address] = state.getBalance(address).minus(util.countNFIds(inputs[address])));
+    }
+
+    Object.keys(outputs).forEach(address => {
+        const burn = address === constant.COINBASE_ADDRESS_PUBLIC;
+        if (burn) state._burned = state._burned.plus(util.countNFIds(outputs[address]));
+        else state._balances[address] = state.getBalance(address).plus(util.countNFIds(outputs[address]));
+
+        util.normalizeNFIds(outputs[address]).forEach(range => sliceNFRanges(state, range).forEach(token => Object.assign(token, {owner: burn ? undefined : address, burned: burn})));
+    });
+
+    compactNFRanges(state);
+}
+
+/**
+ * Find the index of the first issued NF token range ending at or after an ID, using binary search
+ * @method
+ * @private
+ * @param {TokenState} state - The token state
+ * @param {number} id - The NF token ID
+ * @returns {number} - The index. Equal to the number of ranges if every range ends before the ID
+ */
+function findNFRange(state, id) {
+    let low = 0;
+    let high = state._nfTokens.length;
+    while (low < high) {
+        const middle = Math.floor((low + high) / 2);
+        if (state._nfTokens[middle].max < id) low = middle + 1;
+        else high = middle;
+    }
+    return low;
+}
+
+/**
+ * Check whether every ID of a range has been issued and is owned by an address
+ * @method
+ * @private
+ * @param {TokenState} state - The token state
+ * @param {string} address - The public Factoid address
+ * @param {object} range - The {min, max} ID range
+ * @returns {boolean}
+ */
+function ownsNFRange(state, address, range) {
+    let next = range.min;
+    for (let i = findNFRange(state, range.min); i < state._nfTokens.length && next <= range.max; i++) {
+        const token = state._nfTokens[i];
+        if (token.min > next || token.owner !== address) return false;
+        next = token.max + 1;
+    }
+    return next > range.max;
+}
+
+/**
+ * Split the issued NF token ranges at the bounds of an ID range and get the issued ranges within it
+ * @method
+ * @private
+ * @param {TokenState} state - The token state
+ * @param {object} range - The {min, max} ID range
+ * @returns {object[]} - The issued ranges, which can be updated in place
+ */
+function sliceNFRanges(state, range) {
+    [range.min, range.max + 1].forEach(id => {
+        const index = findNFRange(state, id);
+        const token = state._nfTokens[index];
+        if (token === undefined || token.min >= id) return;
+        state._nfTokens.splice(index, 0, Object.assign({}, token, {max: id - 1}));
+        token.min = id;
+    });
+
+    const start = findNFRange(state, range.min);
+    let end = start;
+    while (end < state._nfTokens.length && state._nfTokens[end].max <= range.max) end++;
+    return state._nfTokens.slice(start, end);
+}
+
+/**
+ * Merge adjacent issued NF token ranges with the same owner, burn status & metadata
+ * @method
+ * @private
+ * @param {TokenState} state - The token state
+ */
+function compactNFRanges(state) {
+    state._nfTokens = state._nfTokens.reduce((ranges, token) => {
+        const last = ranges[ranges.length - 1];
+        if (last !== undefined && last.max + 1 === token.min && last.owner === token.owner && last.burned === token.burned && last.metadata === token.metadata) last.max = token.max;
+        else ranges.push(token);
+        return ranges;
+    }, []);
+}
+
+/**
+ * Parse the typed FAT-0 or FAT-1 issuance from an issuance entry and check its supply
+ * @method
+ * @private
+ * @param {Entry} entry - The factom-js Entry containing the issuance
+ * @param {string} tokenId - The token ID string of the token
+ * @param {string} issuerChainId - The Factom chain ID of the token issuer's identity chain
+ * @returns {(Issuance0|Issuance1)}
+ */
+function parseIssuance(entry, tokenId, issuerChainId) {
+    let content;
+    try {
+        content = JSONBig.parse(entry.content.toString());
+    } catch (e) {
+        throw new ValidationError('Issuance entry content must be valid JSON', 'content');
+    }
+
+    let issuance;
+    switch (content.type) {
+        case constant.FAT0: {
+            issuance = Issuance0.fromEntry(entry, tokenId, issuerChainId);
+            break;
+        }
+        case constant.FAT1: {
+            issuance = Issuance1.fromEntry(entry, tokenId, issuerChainId);
+            break;
+        }
+        default: {
+            throw new ValidationError('Invalid FAT type string: ' + content.type, 'type');
+        }
+    }
+
+    if (!issuance.getSupply().isInteger() || issuance.getSupply().isZero() || issuance.getSupply().isLessThan(-1)) {
+        throw new ValidationError('Invalid issuance supply: ' + issuance.getSupply().toString(), 'supply');
+    }
+    return issuance;
+}
+
+/**
+ * Attach the hash of the entry that failed to an error, wrapping errors that are not FatErrors in a ValidationError
+ * @method
+ * @private
+ * @param {Error} error - The error the entry failed with
+ * @param {string} entryhash - The hash of the failing entry
+ * @returns {(ValidationError|SignatureError)} - The typed error, with an entryhash property
+ */
+function toEntryError(error, entryhash) {
+    const typed = error instanceof FatError ? error : new ValidationError(error.message);
+    typed.entryhash = entryhash;
+    return typed;
+}
+
+/**
+ * Get the unix timestamp in seconds an entry was recorded at on Factom, if known
+ * @method
+ * @private
+ * @param {Entry} entry - The factom-js Entry object
+ * @returns {number}
+ */
+function getEntryTimestamp(entry) {
+    if (entry.blockContext && entry.blockContext.entryTimestamp !== undefined) return entry.blockContext.entryTimestamp;
+    if (entry.timestamp !== undefined) return Math.floor(entry.timestamp / 1000);
+    return undefined;
+}
+
+module.exports = TokenState;
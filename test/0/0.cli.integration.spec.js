@@ -2,18 +2,26 @@ const fctUtil = require('factom/src/util');
 const fctAddrUtils = require('factom/src/addresses');
 const nacl = require('tweetnacl/nacl-fast').sign;
 
-const util = require('../../util');
-
 const constant = require('../../constant');
 const assert = require('chai').assert;
 const BigNumber = require('bignumber.js');
 const JSONBig = require('json-bigint')({strict: true});
 
 const TransactionBuilder = require('../../0/TransactionBuilder');
+const IssuanceBuilder = require('../../0/IssuanceBuilder');
 const Transaction = require('../../0/Transaction');
 const Issuance = require('../../0/Issuance');
+const {FatdRpcError} = require('../../errors');
+const {MockFatd} = require('../../testing');
+
+const issuerChainId = '888888d027c59579fc47a6fc6c4a5c0409c7c39bc38a86cb5fc0069978493762';
+const sk1 = 'sk11pz4AG9XgB1eNVkbppYAWsgyg7sftDXqBASsagKJqvVRKYodCU';
 
-const tokenChainId = '0cccd100a1801c0cf4aa2104b15dec94fe6f45d0f3347b016ed20d81059494df';
+const issuance = new IssuanceBuilder('test', issuerChainId, sk1)
+    .symbol('T0')
+    .build();
+const tokenChainId = issuance.getChainId();
+const issuanceEntryhash = issuance.getEntry().hashHex();
 
 describe('FAT-0 CLI Integration', function () {
 
@@ -21,10 +29,45 @@ describe('FAT-0 CLI Integration', function () {
 
     const CLIBuilder = require('../../cli/CLI').CLIBuilder;
 
-    const cli = new CLIBuilder()
-        .host(process.env.fatd || 'localhost')
-        .port(Number.parseInt(process.env.port || 8078))
-        .build();
+    const fatd = new MockFatd();
+    let address;
+    let cli;
+
+    let coinbaseTx;
+    let largeTx;
+
+    before(async function () {
+        fatd.addIssuance(issuance);
+
+        coinbaseTx = new TransactionBuilder(tokenChainId)
+            .coinbaseInput(10)
+            .output('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM', 10)
+            .sk1(sk1)
+            .build();
+        fatd.addTransaction(coinbaseTx);
+
+        largeTx = new TransactionBuilder(tokenChainId)
+            .coinbaseInput(new BigNumber('9007199254740992'))
+            .output('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM', new BigNumber('9007199254740992'))
+            .sk1(sk1)
+            .build();
+        fatd.addTransaction(largeTx);
+
+        fatd.addTransaction(new TransactionBuilder(tokenChainId)
+            .input('Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ', 1)
+            .burnOutput(1)
+            .build());
+
+        address = await fatd.listen();
+        cli = new CLIBuilder()
+            .host(address.address)
+            .port(address.port)
+            .build();
+    });
+
+    after(async function () {
+        await fatd.close();
+    });
 
     describe('CLI Methods', function () {
 
@@ -44,10 +87,10 @@ describe('FAT-0 CLI Integration', function () {
             assert.strictEqual(issuance.getSymbol(), 'T0');
             assert.instanceOf(issuance.getSupply(), BigNumber);
             assert.isTrue(issuance.getSupply().isEqualTo(-1));
-            assert.strictEqual(issuance.getIssuerChainId(), '888888ab72e748840d82c39213c969a11ca6cb026f1d3da39fd82b95b3c1fced');
+            assert.strictEqual(issuance.getIssuerChainId(), issuerChainId);
             assert.strictEqual(issuance.getChainId(), tokenChainId);
-            assert.strictEqual(issuance.getEntryhash(), 'fc0f57ea3a4dc5b8ffc1a9c051f4b6ae0cd7137f9110b98e3c3eb08f132a5e18');
-            assert.strictEqual(issuance.getTimestamp(), 1550612940);
+            assert.strictEqual(issuance.getEntryhash(), issuanceEntryhash);
+            assert.isNumber(issuance.getTimestamp());
         });
 
         it('get-balance', async function () {
@@ -56,13 +99,20 @@ describe('FAT-0 CLI Integration', function () {
             const balance = await tokenCLI.getBalance('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM');
             assert.isDefined(balance);
             assert.instanceOf(balance, BigNumber);
-            assert.isTrue(balance.isGreaterThan(new BigNumber("9007199254743307"))); //test returned balance is over max int limit allowed by JS
+            assert.isTrue(balance.isGreaterThan(Number.MAX_SAFE_INTEGER)); //test returned balance is over max int limit allowed by JS
+        });
+
+        it('get-balance(formatted)', async function () {
+            const tokenCLI = await cli.getTokenCLI(tokenChainId);
+
+            const balance = await tokenCLI.getFormattedBalance('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM');
+            assert.match(balance, /^[0-9]+ T0$/); //test token has no precision
         });
 
         it('get-transaction', async function () {
             const tokenCLI = await cli.getTokenCLI(tokenChainId);
 
-            const transaction = await tokenCLI.getTransaction('68f3ca3a8c9f7a0cb32dc9717347cb179b63096e051a60ce8be9c292d29795af');
+            const transaction = await tokenCLI.getTransaction(coinbaseTx.getEntry().hashHex());
             assert.isDefined(transaction);
             assert.instanceOf(transaction, Transaction);
 
@@ -70,14 +120,14 @@ describe('FAT-0 CLI Integration', function () {
             assert.strictEqual(JSONBig.stringify(transaction.getInputs()), JSONBig.stringify({FA1zT4aFpEvcnPqPCigB3fvGu4Q4mTXY22iiuV69DqE1pNhdF2MC: new BigNumber(10)}));
             assert.strictEqual(JSONBig.stringify(transaction.getOutputs()), JSONBig.stringify({FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM: new BigNumber(10)}));
             assert.isUndefined(transaction.metadata);
-            assert.strictEqual(transaction.getEntryhash(), '68f3ca3a8c9f7a0cb32dc9717347cb179b63096e051a60ce8be9c292d29795af');
-            assert.strictEqual(transaction.getTimestamp(), 1550696040);
+            assert.strictEqual(transaction.getEntryhash(), coinbaseTx.getEntry().hashHex());
+            assert.strictEqual(transaction.getTimestamp(), coinbaseTx.getTimestamp());
         });
 
         it('get-transaction (amount over Number.MAX_SAFE_INTEGER)', async function () {
             const tokenCLI = await cli.getTokenCLI(tokenChainId);
 
-            const transaction = await tokenCLI.getTransaction('a652d4db99ab853b6fb1404411ef36b1b3769c9cc91346807ede4015a3439985');
+            const transaction = await tokenCLI.getTransaction(largeTx.getEntry().hashHex());
             assert.isDefined(transaction);
             assert.instanceOf(transaction, Transaction);
 
@@ -92,6 +142,7 @@ describe('FAT-0 CLI Integration', function () {
             const transactions = await tokenCLI.getTransactions();
             assert.isDefined(transactions);
             assert.isArray(transactions);
+            assert.lengthOf(transactions, 3);
             assert.isTrue(transactions.every(tx => tx instanceof Transaction));
         });
 
@@ -101,7 +152,7 @@ describe('FAT-0 CLI Integration', function () {
             const balance = await tokenCLI.getBalance('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM');
             assert.isDefined(balance);
             assert.instanceOf(balance, BigNumber);
-            assert.isTrue(balance.isGreaterThan(new BigNumber("9007199254743307"))); //test returned balance is over max int limit allowed by JS
+            assert.isTrue(balance.isGreaterThan(Number.MAX_SAFE_INTEGER)); //test returned balance is over max int limit allowed by JS
         });
 
         it('get-stats', async function () {
@@ -164,7 +215,7 @@ describe('FAT-0 CLI Integration', function () {
             let tx = new TransactionBuilder(tokenChainId)
                 .coinbaseInput(100)
                 .output("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", 100)
-                .sk1("sk13Rp3LVmVvWqo8mff82aDJN2yNCzjUs2Zuq3MNQSA5oC5ZwFAuu")
+                .sk1(sk1)
                 .build();
 
             const result = await tokenCLI.sendTransaction(tx);
@@ -191,8 +242,9 @@ describe('FAT-0 CLI Integration', function () {
                 .output("FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr", 0)
                 .build();
 
-            const result = await tokenCLI.sendTransaction(tx);
-            assert.isObject(result);
+            //FATIP-0 amounts must be positive: the transaction fails validate() and send-transaction rejects it
+            assert.deepEqual(tx.validate().errors.map(error => error.code), ['INVALID_AMOUNT']);
+            await assertRejected(tokenCLI.sendTransaction(tx));
         });
 
         it('send-transaction(send to self)', async function () {
@@ -203,8 +255,9 @@ describe('FAT-0 CLI Integration', function () {
                 .output("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", 1)
                 .build();
 
-            const result = await tokenCLI.sendTransaction(tx);
-            assert.isObject(result);
+            //FATIP-0 forbids an address in both the inputs & outputs: the transaction fails validate() and send-transaction rejects it
+            assert.deepEqual(tx.validate().errors.map(error => error.code), ['INVALID_ADDRESS']);
+            await assertRejected(tokenCLI.sendTransaction(tx));
         });
 
         it('send-transaction(externally signed)', async function () {
@@ -231,18 +284,17 @@ describe('FAT-0 CLI Integration', function () {
     });
 
     describe('Pending Entries', function () {
-        this.timeout(60000);
-
-        const pendingCLI = new CLIBuilder()
-            .host(process.env.fatd || 'localhost')
-            .port(Number.parseInt(process.env.port || 8078))
-            .pending(true) //test pending entry support
-            .build();
 
         let pendingTokenCLI;
 
         it('Verify balance change with pending transaction', async function () {
 
+            const pendingCLI = new CLIBuilder()
+                .host(address.address)
+                .port(address.port)
+                .pending(true) //test pending entry support
+                .build();
+
             pendingTokenCLI = await pendingCLI.getTokenCLI(tokenChainId);
 
             const randomAddress = fctAddrUtils.generateRandomFctAddress().public;
@@ -264,10 +316,9 @@ describe('FAT-0 CLI Integration', function () {
             assert.isTrue(preBalance.isEqualTo(0));
 
             //send the transaction
+            //the mock keeps sent transactions pending until confirm() is called
             const result = await pendingTokenCLI.sendTransaction(tx);
 
-            await util.sleep(30000); //wait the default pending tx interval & then a little bit
-
             //get the tx we just sent
             const transaction = await pendingTokenCLI.getTransaction(result.entryhash);
             assert.isDefined(transaction);
@@ -296,7 +347,22 @@ describe('FAT-0 CLI Integration', function () {
             //get the output address balance after the tx
             const postBalance = await pendingTokenCLI.getBalance(randomAddress);
             assert.isTrue(postBalance.isEqualTo(1));
+
+            //once confirmed the tx is no longer pending
+            assert.include(fatd.confirm(), result.entryhash);
+            assert.isFalse((await pendingTokenCLI.getTransaction(result.entryhash)).getPending());
         });
     });
 
 });
+
+async function assertRejected(promise) {
+    try {
+        await promise;
+    } catch (e) {
+        assert.instanceOf(e, FatdRpcError);
+        assert.strictEqual(e.code, 'INVALID_PARAMS');
+        return;
+    }
+    assert.fail('Expected fatd to reject the transaction');
+}
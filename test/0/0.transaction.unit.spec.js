@@ -254,4 +254,352 @@ describe('Transaction Unit', function () {
             .output("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", 150)
             .build());
     });
+
+    it('Transaction From Entry', function () {
+        const Transaction = require('../../0/Transaction');
+
+        const built = new TransactionBuilder(testTokenChainId)
+            .input("Fs1PkAEbmo1XNangSnxmKqi1PN5sVDbQ6zsnXCsMUejT66WaDgkm", new BigNumber('19007199254740991'))
+            .output("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", new BigNumber('19007199254740991'))
+            .metadata({memo: 'from entry'})
+            .build();
+
+        //round trip through the raw entry representation
+        const entry = Entry.builder(built.getEntry().toObject()).build();
+        const tx = Transaction.fromEntry(entry);
+
+        assert.instanceOf(tx, Transaction);
+        assert.strictEqual(tx.getChainId(), testTokenChainId);
+        assert.strictEqual(tx.getTimestamp(), built.getTimestamp());
+        assert.strictEqual(tx.getEntryhash(), entry.hashHex());
+        assert.strictEqual(tx.getInputs()['FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN'].toString(), '19007199254740991');
+        assert.instanceOf(tx.getOutputs()['FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM'], BigNumber);
+        assert.strictEqual(JSON.stringify(tx.getMetadata()), JSON.stringify({memo: 'from entry'}));
+        assert.isFalse(tx.isCoinbase());
+
+        assert.isTrue(tx.validateSignatures());
+        assert.strictEqual(tx.getEntry().hashHex(), entry.hashHex());
+
+        //tampered content fails signature validation
+        const tampered = Entry.builder(entry)
+            .content(entry.content.toString().replace('from entry', 'tampered'), 'utf8')
+            .build();
+        assert.throws(() => Transaction.fromEntry(tampered).validateSignatures());
+
+        //malformed entries
+        assert.throws(() => Transaction.fromEntry({}));
+        assert.throws(() => Transaction.fromEntry(Entry.builder().chainId(testTokenChainId).extId('abc', 'utf8').content('{}', 'utf8').build()));
+        assert.throws(() => Transaction.fromEntry(Entry.builder(entry).content('not json', 'utf8').build()));
+    });
+
+    it('Validate', function () {
+        const Transaction = require('../../0/Transaction');
+        const IssuanceBuilder = require('../../0/IssuanceBuilder');
+
+        const issuance = new IssuanceBuilder("mytoken", "888888d027c59579fc47a6fc6c4a5c0409c7c39bc38a86cb5fc0069978493762", "sk13Rp3LVmVvWqo8mff82aDJN2yNCzjUs2Zuq3MNQSA5oC5ZwFAuu")
+            .symbol('TTK')
+            .supply(100)
+            .build();
+
+        let tx = new TransactionBuilder(issuance.getChainId())
+            .input("Fs1PkAEbmo1XNangSnxmKqi1PN5sVDbQ6zsnXCsMUejT66WaDgkm", 150)
+            .output("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", 150)
+            .build();
+
+        let result = tx.validate({issuance});
+        assert.isTrue(result.valid);
+        assert.lengthOf(result.errors, 0);
+
+        //timestamp window
+        result = tx.validate({issuance, now: tx.getTimestamp() + 13 * 60 * 60});
+        assert.isFalse(result.valid);
+        assert.strictEqual(result.errors[0].code, 'TIMESTAMP_OUT_OF_RANGE');
+
+        //other token chain
+        result = tx.validate({issuance: new IssuanceBuilder("othertoken", "888888d027c59579fc47a6fc6c4a5c0409c7c39bc38a86cb5fc0069978493762", "sk13Rp3LVmVvWqo8mff82aDJN2yNCzjUs2Zuq3MNQSA5oC5ZwFAuu").build()});
+        assert.strictEqual(result.errors[0].code, 'CHAIN_ID_MISMATCH');
+
+        //coinbase signed by the issuance key is valid, over supply is not
+        tx = new TransactionBuilder(issuance.getChainId())
+            .coinbaseInput(101)
+            .output("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", 101)
+            .sk1("sk13Rp3LVmVvWqo8mff82aDJN2yNCzjUs2Zuq3MNQSA5oC5ZwFAuu")
+            .build();
+        result = tx.validate({issuance});
+        assert.deepEqual(result.errors.map(error => error.code), ['SUPPLY_EXCEEDED']);
+
+        //coinbase signed by a key other than the issuer's
+        tx = new TransactionBuilder(issuance.getChainId())
+            .coinbaseInput(10)
+            .output("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", 10)
+            .sk1("sk11pz4AG9XgB1eNVkbppYAWsgyg7sftDXqBASsagKJqvVRKYodCU")
+            .build();
+        result = tx.validate({issuance});
+        assert.deepEqual(result.errors.map(error => error.code), ['COINBASE_KEY_MISMATCH']);
+        assert.strictEqual(result.errors[0].input, 0);
+
+        //the coinbase key can not be checked without the issuer's keys
+        result = tx.validate();
+        assert.isFalse(result.valid);
+        assert.deepEqual(result.errors.map(error => error.code), ['COINBASE_KEY_UNKNOWN']);
+        const id1 = sk1 => util.createPublicIdentityAddr('id1', fctIdentityCrypto.secretToPublicKey(fctIdentityCrypto.extractSecretFromIdentityKey(sk1)));
+        assert.isTrue(tx.validate({identityKeys: [id1("sk11pz4AG9XgB1eNVkbppYAWsgyg7sftDXqBASsagKJqvVRKYodCU")]}).valid);
+        assert.deepEqual(tx.validate({identityKeys: [id1("sk13Rp3LVmVvWqo8mff82aDJN2yNCzjUs2Zuq3MNQSA5oC5ZwFAuu")]}).errors.map(error => error.code), ['COINBASE_KEY_MISMATCH']);
+
+        //unsigned transaction
+        tx = new TransactionBuilder(issuance.getChainId())
+            .input("FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN", 10)
+            .output("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", 10)
+            .build();
+        assert.strictEqual(tx.validate().errors[0].code, 'MISSING_SIGNATURES');
+
+        //multiple errors are collected from a malformed entry: RCD of the wrong input & unbalanced amounts
+        const signed = new TransactionBuilder(issuance.getChainId())
+            .input("Fs1PkAEbmo1XNangSnxmKqi1PN5sVDbQ6zsnXCsMUejT66WaDgkm", 10)
+            .output("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", 10)
+            .build();
+        const entry = signed.getEntry();
+        const content = JSON.stringify({inputs: {FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM: 10}, outputs: {FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN: 11}});
+        tx = Transaction.fromEntry(Entry.builder(entry).content(content, 'utf8').build());
+
+        result = tx.validate({issuance});
+        assert.isFalse(result.valid);
+        assert.deepEqual(result.errors.map(error => error.code), ['RCD_ADDRESS_MISMATCH', 'INVALID_SIGNATURE', 'AMOUNT_SUM_MISMATCH']);
+
+        //an address sending to itself
+        const selfContent = JSON.stringify({inputs: {FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN: 10}, outputs: {FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN: 10}});
+        tx = Transaction.fromEntry(Entry.builder(entry).content(selfContent, 'utf8').build());
+        result = tx.validate({issuance});
+        assert.deepEqual(result.errors.filter(error => error.code !== 'INVALID_SIGNATURE').map(error => error.code), ['INVALID_ADDRESS']);
+        assert.match(result.errors.find(error => error.code === 'INVALID_ADDRESS').message, /both inputs and outputs/);
+
+        //zero amounts
+        const zeroContent = JSON.stringify({inputs: {FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN: 10}, outputs: {FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM: 10, FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr: 0}});
+        tx = Transaction.fromEntry(Entry.builder(entry).content(zeroContent, 'utf8').build());
+        result = tx.validate({issuance});
+        assert.deepEqual(result.errors.filter(error => error.code !== 'INVALID_SIGNATURE').map(error => error.code), ['INVALID_AMOUNT']);
+    });
+
+    it('Validate Signatures', function () {
+        const Transaction = require('../../0/Transaction');
+        const tokenChainId = '013de826902b7d075f00101649ca4fa7b49b5157cba736b2ca90f67e2ad6e8ec';
+
+        //an input address validly signed by a key that does not belong to it
+        const signed = new TransactionBuilder(tokenChainId)
+            .input("Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ", 10)
+            .output("FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN", 10)
+            .build();
+        assert.isTrue(signed.validateSignatures());
+
+        const entry = signed.getEntry();
+        const content = JSON.stringify({inputs: {FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN: 10}, outputs: {FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM: 10}});
+        const key = nacl.keyPair.fromSeed(fctAddrUtils.addressToKey("Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ"));
+        const data = Buffer.concat([Buffer.from('0'), entry.extIds[0], Buffer.from(tokenChainId, 'hex'), Buffer.from(content)]);
+        const signature = Buffer.from(nacl.detached(fctUtil.sha512(data), key.secretKey));
+
+        const forged = Transaction.fromEntry(Entry.builder(entry).extIds([entry.extIds[0], entry.extIds[1], signature]).content(content, 'utf8').build());
+        assert.throws(() => forged.validateSignatures(), /input 0/);
+
+        //externally signed inputs must be signed by the key of the input address
+        const builder = new TransactionBuilder(tokenChainId)
+            .input("FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN", 10)
+            .output("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", 10);
+        assert.throws(() => builder.pkSignature(key.publicKey, signature), /not found in input list/);
+    });
+
+    it('Partial Transaction', function () {
+        const Transaction = require('../../0/Transaction');
+        const tokenChainId = '013de826902b7d075f00101649ca4fa7b49b5157cba736b2ca90f67e2ad6e8ec';
+        const keyPair = nacl.keyPair.fromSeed(fctAddrUtils.addressToKey("Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ"));
+
+        //one input signed locally, one left for an external signer
+        const unsignedTx = new TransactionBuilder(tokenChainId)
+            .input("Fs1PkAEbmo1XNangSnxmKqi1PN5sVDbQ6zsnXCsMUejT66WaDgkm", 100)
+            .input("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", 50)
+            .output("FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr", 150)
+            .build();
+
+        const partial = unsignedTx.toPartial();
+        assert.strictEqual(partial.version, 1);
+        assert.strictEqual(partial.type, 'FAT-0');
+        assert.strictEqual(partial.chainid, tokenChainId);
+        assert.strictEqual(partial.timestamp, unsignedTx.getTimestamp());
+        assert.lengthOf(partial.signers, 2);
+        assert.strictEqual(partial.signers[0].address, 'FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN');
+        assert.isString(partial.signers[0].publickey);
+        assert.isString(partial.signers[0].signature);
+        assert.deepEqual(partial.signers[1], {address: 'FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM', publickey: null, signature: null});
+
+        //move to the signer as JSON
+        const restored = Transaction.fromPartial(JSON.stringify(partial));
+        assert.deepEqual(restored.toPartial(), partial);
+        assert.isTrue(restored.getMarshalDataSig(1).equals(unsignedTx.getMarshalDataSig(1)));
+
+        const signature = nacl.detached(fctUtil.sha512(restored.getMarshalDataSig(1)), keyPair.secretKey);
+        const signedTx = new TransactionBuilder(restored)
+            .pkSignature(keyPair.publicKey, signature)
+            .build();
+        assert.isTrue(signedTx.validateSignatures());
+        assert.strictEqual(signedTx.getTimestamp(), unsignedTx.getTimestamp());
+
+        //fully signed partials restore to a complete entry
+        const complete = Transaction.fromPartial(signedTx.toPartial());
+        assert.strictEqual(complete.getEntry().hashHex(), signedTx.getEntry().hashHex());
+
+        //coinbase signed with an external ID1 key
+        const sk1 = 'sk13Rp3LVmVvWqo8mff82aDJN2yNCzjUs2Zuq3MNQSA5oC5ZwFAuu';
+        const idKeyPair = nacl.keyPair.fromSeed(fctIdentityCrypto.extractSecretFromIdentityKey(sk1));
+        const id1 = util.createPublicIdentityAddr('id1', idKeyPair.publicKey);
+        const coinbase = Transaction.fromPartial(JSON.stringify(new TransactionBuilder(tokenChainId)
+            .coinbaseInput(50)
+            .output("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", 50)
+            .id1(id1)
+            .build()
+            .toPartial()));
+        assert.strictEqual(coinbase.toPartial().signers[0].id1, id1);
+
+        const signedCoinbase = new TransactionBuilder(coinbase)
+            .id1Signature(Buffer.from(idKeyPair.publicKey).toString('hex'), nacl.detached(fctUtil.sha512(coinbase.getMarshalDataSig(0)), idKeyPair.secretKey))
+            .build();
+        assert.isTrue(signedCoinbase.validateSignatures());
+
+        //tampered content invalidates the collected signatures
+        const tampered = Object.assign({}, partial, {content: partial.content.replace('FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr', 'FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN')});
+        assert.throws(() => Transaction.fromPartial(tampered), /Invalid Transaction Signature for input 0/);
+
+        assert.throws(() => Transaction.fromPartial(Object.assign({}, partial, {version: 2})), /Unsupported partial transaction version/);
+        assert.throws(() => Transaction.fromPartial(Object.assign({}, partial, {type: 'FAT-1'})));
+        assert.throws(() => Transaction.fromPartial(Object.assign({}, partial, {signers: partial.signers.slice(1)})));
+        assert.throws(() => new Transaction({data: {inputs: {}, outputs: {}}}).toPartial());
+    });
+
+    it('Precision', function () {
+        const tokenChainId = '013de826902b7d075f00101649ca4fa7b49b5157cba736b2ca90f67e2ad6e8ec';
+
+        const tx = new TransactionBuilder(tokenChainId)
+            .precision(3)
+            .input("Fs1PkAEbmo1XNangSnxmKqi1PN5sVDbQ6zsnXCsMUejT66WaDgkm", "12.345")
+            .output("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", 12.3)
+            .burnOutput("0.045")
+            .build();
+        assert.isTrue(tx.getInputs()['FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN'].isEqualTo(12345));
+        assert.isTrue(tx.getOutputs()['FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM'].isEqualTo(12300));
+        assert.isTrue(tx.validate().valid);
+
+        //too many decimals are rejected rather than rounded
+        assert.throws(() => new TransactionBuilder(tokenChainId).precision(3).input("Fs1PkAEbmo1XNangSnxmKqi1PN5sVDbQ6zsnXCsMUejT66WaDgkm", "0.0001"), /more decimal places/);
+        assert.throws(() => new TransactionBuilder(tokenChainId).precision(2).output("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", 0.1 + 0.2), /more decimal places/);
+
+        //without a precision amounts are integer base units, zero included
+        assert.throws(() => new TransactionBuilder(tokenChainId).output("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", 1.5), /Amount must be a non-negative integer/);
+        assert.throws(() => new TransactionBuilder(tokenChainId).input("Fs1PkAEbmo1XNangSnxmKqi1PN5sVDbQ6zsnXCsMUejT66WaDgkm", -1), /Amount must be a non-negative integer/);
+
+        //amounts followed by another token's symbol are rejected
+        const symbolTx = new TransactionBuilder(tokenChainId)
+            .precision(3, 'MYT')
+            .input("Fs1PkAEbmo1XNangSnxmKqi1PN5sVDbQ6zsnXCsMUejT66WaDgkm", "0.045 MYT")
+            .burnOutput("0.045")
+            .build();
+        assert.isTrue(symbolTx.getInputs()['FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN'].isEqualTo(45));
+        assert.throws(() => new TransactionBuilder(tokenChainId).precision(3, 'MYT').burnOutput("0.045 ABC"), /does not match the token symbol MYT/);
+        assert.throws(() => new TransactionBuilder(tokenChainId).precision(3).burnOutput("0.045 MYT"), /without a token symbol/);
+        assert.throws(() => new TransactionBuilder(tokenChainId).precision(3, 5));
+
+        //precision of a token without one
+        const whole = new TransactionBuilder(tokenChainId)
+            .precision(undefined)
+            .coinbaseInput(10)
+            .output("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", "10")
+            .sk1("sk11pz4AG9XgB1eNVkbppYAWsgyg7sftDXqBASsagKJqvVRKYodCU")
+            .build();
+        assert.isTrue(whole.getOutputs()['FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM'].isEqualTo(10));
+
+        assert.throws(() => new TransactionBuilder(tokenChainId).output("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", 1).precision(2), /before adding/);
+        assert.throws(() => new TransactionBuilder(tokenChainId).precision(19));
+    });
+
+    it('Multi-Party Signing', function () {
+        const Transaction = require('../../0/Transaction');
+        const tokenChainId = '013de826902b7d075f00101649ca4fa7b49b5157cba736b2ca90f67e2ad6e8ec';
+
+        //inputs held by two custodians
+        const unsignedTx = new TransactionBuilder(tokenChainId)
+            .input("FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN", 100)
+            .input("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", 50)
+            .output("FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr", 150)
+            .build();
+        assert.deepEqual(unsignedTx.getUnsignedInputs().map(input => input.index), [0, 1]);
+
+        const json = JSON.stringify(unsignedTx.toPartial());
+
+        //each custodian signs their own input, in any order
+        const sign = (fs, index) => {
+            const keyPair = nacl.keyPair.fromSeed(fctAddrUtils.addressToKey(fs));
+            const tx = Transaction.fromPartial(json);
+            return new TransactionBuilder(tx)
+                .pkSignature(keyPair.publicKey, nacl.detached(fctUtil.sha512(tx.getMarshalDataSig(index)), keyPair.secretKey))
+                .buildPartial()
+                .toPartial();
+        };
+        const second = sign("Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ", 1);
+        const first = sign("Fs1PkAEbmo1XNangSnxmKqi1PN5sVDbQ6zsnXCsMUejT66WaDgkm", 0);
+
+        let combined = Transaction.combinePartials([json, second]);
+        assert.deepEqual(combined.getUnsignedInputs(), [{index: 0, address: 'FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN'}]);
+        assert.throws(() => combined.validateSignatures());
+
+        combined = Transaction.combinePartials([JSON.stringify(second), combined, first]);
+        assert.lengthOf(combined.getUnsignedInputs(), 0);
+        assert.isTrue(combined.validateSignatures());
+        assert.isTrue(combined.validate().valid);
+        assert.lengthOf(combined.getEntry().extIds, 5);
+
+        //partials of another transaction can not be merged
+        const other = new TransactionBuilder(tokenChainId)
+            .input("FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN", 150)
+            .output("FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr", 150)
+            .build();
+        assert.throws(() => Transaction.combinePartials([first, other]), /same transaction/);
+        assert.throws(() => Transaction.combinePartials([]));
+    });
+
+    it('Estimate Entry Credits', function () {
+        const Transaction = require('../../0/Transaction');
+        const tokenChainId = '013de826902b7d075f00101649ca4fa7b49b5157cba736b2ca90f67e2ad6e8ec';
+
+        const tx = new TransactionBuilder(tokenChainId)
+            .input("Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ", 150)
+            .output("FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr", 150)
+            .build();
+        assert.strictEqual(tx.estimateEntryCredits(), 1);
+        assert.strictEqual(tx.estimateEntryCredits(), tx.getEntry().ecCost());
+
+        //unsigned transactions are priced as signed
+        const metadata = 'x'.repeat(1500);
+        const unsigned = new TransactionBuilder(tokenChainId)
+            .input("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", 150)
+            .output("FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr", 150)
+            .metadata(metadata)
+            .build();
+        const signed = new TransactionBuilder(tokenChainId)
+            .input("Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ", 150)
+            .output("FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr", 150)
+            .metadata(metadata)
+            .build();
+        assert.strictEqual(unsigned.estimateEntryCredits(), 2);
+        assert.strictEqual(unsigned.estimateEntryCredits(), signed.getEntry().ecCost());
+        assert.strictEqual(Transaction.fromPartial(unsigned.toPartial()).estimateEntryCredits(), 2);
+        assert.strictEqual(Transaction.fromEntry(signed.getEntry()).estimateEntryCredits(), 2);
+
+        //entries over 10KiB can not be submitted
+        assert.throws(() => new TransactionBuilder(tokenChainId)
+            .input("Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ", 150)
+            .output("FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr", 150)
+            .metadata('x'.repeat(10240))
+            .build()
+            .estimateEntryCredits(), /exceeds the 10240 byte limit/);
+
+        //fatd responses do not carry the exact entry
+        assert.throws(() => new Transaction({entryhash: tx.getEntryhash(), timestamp: tx.getTimestamp(), data: {inputs: {}, outputs: {}}}).estimateEntryCredits());
+    });
 });
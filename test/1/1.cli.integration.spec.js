@@ -8,10 +8,19 @@ const assert = require('chai').assert;
 const BigNumber = require('bignumber.js');
 
 const TransactionBuilder = require('../../1/TransactionBuilder');
+const IssuanceBuilder = require('../../1/IssuanceBuilder');
 const Transaction = require('../../1/Transaction');
 const Issuance = require('../../1/Issuance');
+const {MockFatd} = require('../../testing');
 
-const tokenChainId = '962a18328c83f370113ff212bae21aaf34e5252bc33d59c9db3df2a6bfda966f';
+const issuerChainId = '888888d027c59579fc47a6fc6c4a5c0409c7c39bc38a86cb5fc0069978493762';
+const sk1 = 'sk11pz4AG9XgB1eNVkbppYAWsgyg7sftDXqBASsagKJqvVRKYodCU';
+
+const issuance = new IssuanceBuilder('testnf', issuerChainId, sk1)
+    .symbol('T1')
+    .build();
+const tokenChainId = issuance.getChainId();
+const issuanceEntryhash = issuance.getEntry().hashHex();
 
 describe('FAT-1 CLI Integration', function () {
 
@@ -19,10 +28,33 @@ describe('FAT-1 CLI Integration', function () {
 
     const CLIBuilder = require('../../cli/CLI').CLIBuilder;
 
-    const cli = new CLIBuilder()
-        .host(process.env.fatd || 'localhost')
-        .port(Number.parseInt(process.env.port || 8078))
-        .build();
+    const fatd = new MockFatd();
+    let address;
+    let cli;
+
+    let coinbaseTx;
+
+    before(async function () {
+        fatd.addIssuance(issuance);
+
+        coinbaseTx = new TransactionBuilder(tokenChainId)
+            .coinbaseInput([{min: 0, max: 99}])
+            .output('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM', [{min: 0, max: 99}])
+            .tokenMetadata([{ids: [12], metadata: {type: 'fat-js test run'}}])
+            .sk1(sk1)
+            .build();
+        fatd.addTransaction(coinbaseTx);
+
+        address = await fatd.listen();
+        cli = new CLIBuilder()
+            .host(address.address)
+            .port(address.port)
+            .build();
+    });
+
+    after(async function () {
+        await fatd.close();
+    });
 
     describe('Token CLI Methods', function () {
 
@@ -42,27 +74,26 @@ describe('FAT-1 CLI Integration', function () {
             assert.strictEqual(issuance.getSymbol(), 'T1');
             assert.instanceOf(issuance.getSupply(), BigNumber);
             assert.isTrue(issuance.getSupply().isEqualTo(-1));
-            assert.strictEqual(issuance.getIssuerChainId(), '888888ab72e748840d82c39213c969a11ca6cb026f1d3da39fd82b95b3c1fced');
+            assert.strictEqual(issuance.getIssuerChainId(), issuerChainId);
             assert.strictEqual(issuance.getChainId(), tokenChainId);
-            assert.strictEqual(issuance.getEntryhash(), '80568d0f194a1a65d101d70099d820ea90d08badd94fef3944c53841952a603b');
-            assert.strictEqual(issuance.getTimestamp(), 1550698020);
+            assert.strictEqual(issuance.getEntryhash(), issuanceEntryhash);
+            assert.isNumber(issuance.getTimestamp());
         });
 
         it('get-transaction', async function () {
             const tokenCLI = await cli.getTokenCLI(tokenChainId);
 
-            const transaction = await tokenCLI.getTransaction('abba93b0acfaacffa081c25467ec9e18f0314f77787cbba58ed97491e59db07c');
+            const transaction = await tokenCLI.getTransaction(coinbaseTx.getEntry().hashHex());
             assert.isDefined(transaction);
             assert.instanceOf(transaction, Transaction);
-            assert.strictEqual(transaction.getEntryhash(), 'abba93b0acfaacffa081c25467ec9e18f0314f77787cbba58ed97491e59db07c');
+            assert.strictEqual(transaction.getEntryhash(), coinbaseTx.getEntry().hashHex());
             assert.isNumber(transaction.getTimestamp());
 
             //regression testing
-            assert.strictEqual(JSON.stringify(transaction.getInputs()), JSON.stringify({FA1zT4aFpEvcnPqPCigB3fvGu4Q4mTXY22iiuV69DqE1pNhdF2MC: [34317712]}));
-            assert.strictEqual(JSON.stringify(transaction.getOutputs()), JSON.stringify({FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM: [34317712]}));
+            assert.strictEqual(JSON.stringify(transaction.getInputs()), JSON.stringify({FA1zT4aFpEvcnPqPCigB3fvGu4Q4mTXY22iiuV69DqE1pNhdF2MC: [{min: 0, max: 99}]}));
+            assert.strictEqual(JSON.stringify(transaction.getOutputs()), JSON.stringify({FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM: [{min: 0, max: 99}]}));
             assert.isUndefined(transaction.metadata);
-            assert.strictEqual(transaction.getEntryhash(), 'abba93b0acfaacffa081c25467ec9e18f0314f77787cbba58ed97491e59db07c');
-            assert.strictEqual(transaction.getTimestamp(), 1550698680);
+            assert.strictEqual(transaction.getTimestamp(), coinbaseTx.getTimestamp());
         });
 
         it('get-transactions', async function () {
@@ -100,7 +131,8 @@ describe('FAT-1 CLI Integration', function () {
             assert.isDefined(token);
             assert.isObject(token);
             assert.strictEqual(token.id, 12);
-            assert.isTrue(require('factom/src/addresses').isValidFctAddress(token.owner));
+            assert.strictEqual(token.owner, 'FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM');
+            assert.deepEqual(token.metadata, {type: 'fat-js test run'});
         });
 
         it('get-nf-tokens', async function () {
@@ -115,11 +147,11 @@ describe('FAT-1 CLI Integration', function () {
         it('send-transaction', async function () {
             const tokenCLI = await cli.getTokenCLI(tokenChainId);
 
-            const randomId = getRandomInteger(12, 100000);
+            const tokenId = 20;
 
             const tx = new TransactionBuilder(tokenChainId)
-                .input("Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ", [randomId])
-                .output("FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr", [randomId])
+                .input("Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ", [tokenId])
+                .output("FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr", [tokenId])
                 .build();
 
             const result = await tokenCLI.sendTransaction(tx);
@@ -134,12 +166,12 @@ describe('FAT-1 CLI Integration', function () {
         it('send-transaction(With metadata)', async function () {
             const tokenCLI = await cli.getTokenCLI(tokenChainId);
 
-            const randomId = getRandomInteger(12, 100000);
+            const tokenId = 21;
 
             const tx = new TransactionBuilder(tokenChainId)
-                .input("Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ", [randomId])
-                .output("FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr", [randomId])
-                .metadata({type: 'fat-js test run', timestamp: new Date().getTime()})
+                .input("Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ", [tokenId])
+                .output("FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr", [tokenId])
+                .metadata({type: 'fat-js test run'})
                 .build();
 
             const result = await tokenCLI.sendTransaction(tx);
@@ -149,18 +181,18 @@ describe('FAT-1 CLI Integration', function () {
         it('send-transaction (with NF token metadata)', async function () {
             const tokenCLI = await cli.getTokenCLI(tokenChainId);
 
-            const randomId = getRandomInteger(100001, 99999999);
+            const tokenId = 1000;
 
             const tx = new TransactionBuilder(tokenChainId)
-                .coinbaseInput([randomId])
-                .output("FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr", [randomId])
+                .coinbaseInput([tokenId])
+                .output("FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr", [tokenId])
                 .tokenMetadata([
                     {
-                        ids: [randomId],
-                        metadata: {type: 'fat-js test run', timestamp: new Date().getTime()},
+                        ids: [tokenId],
+                        metadata: {type: 'fat-js test run'},
                     }
                 ])
-                .sk1("sk13Rp3LVmVvWqo8mff82aDJN2yNCzjUs2Zuq3MNQSA5oC5ZwFAuu")
+                .sk1(sk1)
                 .build();
 
             const result = await tokenCLI.sendTransaction(tx);
@@ -170,12 +202,12 @@ describe('FAT-1 CLI Integration', function () {
         it('send-transaction(coinbase)', async function () {
             const tokenCLI = await cli.getTokenCLI(tokenChainId);
 
-            const randomId = getRandomInteger(100001, 99999999);
+            const tokenId = 1001;
 
             const tx = new TransactionBuilder(tokenChainId)
-                .coinbaseInput([randomId])
-                .output("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", [randomId])
-                .sk1("sk13Rp3LVmVvWqo8mff82aDJN2yNCzjUs2Zuq3MNQSA5oC5ZwFAuu")
+                .coinbaseInput([tokenId])
+                .output("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", [tokenId])
+                .sk1(sk1)
                 .build();
 
             const result = await tokenCLI.sendTransaction(tx);
@@ -185,11 +217,11 @@ describe('FAT-1 CLI Integration', function () {
         it('send-transaction(burn)', async function () {
             const tokenCLI = await cli.getTokenCLI(tokenChainId);
 
-            const randomId = getRandomInteger(12, 100000);
+            const tokenId = 22;
 
             const tx = new TransactionBuilder(tokenChainId)
-                .input("Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ", [randomId])
-                .burnOutput([randomId])
+                .input("Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ", [tokenId])
+                .burnOutput([tokenId])
                 .build();
 
             const result = await tokenCLI.sendTransaction(tx);
@@ -203,11 +235,11 @@ describe('FAT-1 CLI Integration', function () {
             let keyPair = nacl.keyPair.fromSeed(fctAddrUtils.addressToKey("Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ"));
             let pubaddr = fctAddrUtils.keyToPublicFctAddress(keyPair.publicKey);
 
-            const randomId = getRandomInteger(12, 100000);
+            const tokenId = 23;
 
             let unsignedTx = new TransactionBuilder(tokenChainId)
-                .input(pubaddr, [randomId])
-                .output("FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr", [randomId])
+                .input(pubaddr, [tokenId])
+                .output("FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr", [tokenId])
                 .build();
 
             let extsig = nacl.detached(fctUtil.sha512(unsignedTx.getMarshalDataSig(0)), keyPair.secretKey);
@@ -222,27 +254,26 @@ describe('FAT-1 CLI Integration', function () {
     });
 
     describe('Pending Entries', function () {
-        this.timeout(60000);
-
-        const pendingCLI = new CLIBuilder()
-            .host(process.env.fatd || 'localhost')
-            .port(Number.parseInt(process.env.port || 8078))
-            .pending(true) //test pending entry support
-            .build();
 
         let pendingTokenCLI;
 
         it('Verify balance change with pending transaction', async function () {
 
+            const pendingCLI = new CLIBuilder()
+                .host(address.address)
+                .port(address.port)
+                .pending(true) //test pending entry support
+                .build();
+
             pendingTokenCLI = await pendingCLI.getTokenCLI(tokenChainId);
 
             const randomAddress = fctAddrUtils.generateRandomFctAddress().public;
 
-            const randomId = getRandomInteger(12, 100000);
+            const tokenId = 24;
 
             const tx = new TransactionBuilder(tokenChainId)
-                .input("Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ", [randomId])
-                .output(randomAddress, [randomId])
+                .input("Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ", [tokenId])
+                .output(randomAddress, [tokenId])
                 .build();
 
             //check the token stats pre-tx
@@ -263,11 +294,9 @@ describe('FAT-1 CLI Integration', function () {
             assert.lengthOf(preNFBalance, 0);
 
             //send the transaction
+            //the mock keeps sent transactions pending until confirm() is called
             const result = await pendingTokenCLI.sendTransaction(tx);
 
-            //wait for the pending tx to get picked up
-            await util.sleep(30000); //wait the default pending tx interval & then a little bit
-
             //get the tx we just sent
             const transaction = await pendingTokenCLI.getTransaction(result.entryhash);
             assert.isDefined(transaction);
@@ -299,16 +328,16 @@ describe('FAT-1 CLI Integration', function () {
 
             //check the address contains the recently sent token by ID
             const postNFBalance = await pendingTokenCLI.getNFBalance({address: randomAddress});
-            assert.include(postNFBalance, randomId);
+            assert.include(postNFBalance, tokenId);
 
             //get the NF token and verify it's owner is the same as where we just sent it
-            const nfToken = await pendingTokenCLI.getNFToken(randomId);
+            const nfToken = await pendingTokenCLI.getNFToken(tokenId);
             assert.strictEqual(nfToken.owner, randomAddress);
+
+            //once confirmed the tx is no longer pending
+            assert.include(fatd.confirm(), result.entryhash);
+            assert.isFalse((await pendingTokenCLI.getTransaction(result.entryhash)).getPending());
         });
     });
 
-});
-
-function getRandomInteger(min, max) {
-    return Math.floor(Math.random() * (max - min)) + min;
-}
\ No newline at end of file
+});
\ No newline at end of file
@@ -1,6 +1,8 @@
+const util = require('../../util');
 const BigNumber = require('bignumber.js');
 
 const constant = require('../../constant');
+const errors = require('../../errors');
 const assert = require('chai').assert;
 const Entry = require('factom/src/entry').Entry;
 const Chain = require('factom/src/chain').Chain;
@@ -58,8 +60,133 @@ describe('Issuance Unit', function () {
         assert.strictEqual(issuance.getEntryhash(), 'd58588edb831afba683c69eb72bb8c825b198ae2ec02206d54926880727d91b1');
         assert.strictEqual(issuance.getTimestamp(), 1548276060);
 
-        assert.instanceOf(issuance.getEntry(), Entry);
+        //issuances from fatd carry no signature, so they can not be submitted
+        assert.throws(() => issuance.getEntry(), errors.SignatureError);
         assert.instanceOf(issuance.getChain(), Chain);
     });
 
-});
\ No newline at end of file
+    it('Externally Signed Issuance', function () {
+        const nacl = require('tweetnacl/nacl-fast').sign;
+        const fctUtil = require('factom/src/util');
+        const fctIdentityCrypto = require('factom-identity-lib/src/crypto');
+        const TokenState = require('../../state/TokenState');
+        let IssuanceBuilder = require('../../1/IssuanceBuilder');
+
+        const id1 = 'id12HQxrj9A4ESYVWqKDx7UC1gJfXpUJDVWt6wHem4fjyNyUKVUx2';
+        const keyPair = nacl.keyPair.fromSeed(fctIdentityCrypto.extractSecretFromIdentityKey('sk11pz4AG9XgB1eNVkbppYAWsgyg7sftDXqBASsagKJqvVRKYodCU'));
+
+        const unsignedIssuance = new IssuanceBuilder("mytoken", "888888d027c59579fc47a6fc6c4a5c0409c7c39bc38a86cb5fc0069978493762")
+            .id1(id1)
+            .symbol('TTK')
+            .supply(1000000)
+            .build();
+        assert.throws(() => unsignedIssuance.getEntry(), errors.SignatureError);
+        assert.isNumber(unsignedIssuance.getTimestamp());
+
+        const signature = nacl.detached(fctUtil.sha512(unsignedIssuance.getMarshalDataSig()), keyPair.secretKey);
+
+        const issuance = new IssuanceBuilder(unsignedIssuance)
+            .id1Signature(id1, signature)
+            .build();
+
+        assert.strictEqual(issuance.getChainId(), unsignedIssuance.getChainId());
+        assert.strictEqual(issuance.getTimestamp(), unsignedIssuance.getTimestamp());
+        assert.strictEqual(issuance.getSymbol(), 'TTK');
+        assert.lengthOf(issuance.getEntry().extIds, 3);
+        assert.doesNotThrow(() => new TokenState('mytoken', '888888d027c59579fc47a6fc6c4a5c0409c7c39bc38a86cb5fc0069978493762', issuance.getEntry(), [id1]));
+
+        //the hex public key is accepted as well
+        assert.doesNotThrow(() => new IssuanceBuilder(unsignedIssuance).id1Signature(Buffer.from(keyPair.publicKey).toString('hex'), signature));
+
+        //signature of another key, or of other data
+        const otherKeyPair = nacl.keyPair.fromSeed(fctIdentityCrypto.extractSecretFromIdentityKey('sk13Rp3LVmVvWqo8mff82aDJN2yNCzjUs2Zuq3MNQSA5oC5ZwFAuu'));
+        assert.throws(() => new IssuanceBuilder(unsignedIssuance).id1Signature(id1, nacl.detached(fctUtil.sha512(unsignedIssuance.getMarshalDataSig()), otherKeyPair.secretKey)), /Invalid issuance signature/);
+        assert.throws(() => new IssuanceBuilder(unsignedIssuance).id1Signature(id1, nacl.detached(fctUtil.sha512(Buffer.from('other')), keyPair.secretKey)), /Invalid issuance signature/);
+        assert.throws(() => new IssuanceBuilder(unsignedIssuance).id1Signature(util.createPublicIdentityAddr('id1', otherKeyPair.publicKey), signature), /not equal/);
+
+        //the issuance can not be changed on the second pass
+        assert.throws(() => new IssuanceBuilder(unsignedIssuance).symbol('ABC'));
+        assert.throws(() => new IssuanceBuilder(unsignedIssuance).id1(id1));
+
+        //an issuance needs either an sk1 key or an ID1 key
+        assert.throws(() => new IssuanceBuilder("mytoken", "888888d027c59579fc47a6fc6c4a5c0409c7c39bc38a86cb5fc0069978493762").symbol('TTK').build());
+        assert.throws(() => new IssuanceBuilder("mytoken", "888888d027c59579fc47a6fc6c4a5c0409c7c39bc38a86cb5fc0069978493762", 'sk11pz4AG9XgB1eNVkbppYAWsgyg7sftDXqBASsagKJqvVRKYodCU').id1(id1));
+        assert.throws(() => new IssuanceBuilder(issuance));
+    });
+
+    it('Issuance From Entry', function () {
+        const Issuance = require('../../1/Issuance');
+        const IssuanceBuilder = require('../../1/IssuanceBuilder');
+        const OtherIssuanceBuilder = require('../../0/IssuanceBuilder');
+        const issuerChainId = '888888d027c59579fc47a6fc6c4a5c0409c7c39bc38a86cb5fc0069978493762';
+        const id1 = 'id12HQxrj9A4ESYVWqKDx7UC1gJfXpUJDVWt6wHem4fjyNyUKVUx2';
+
+        const built = new IssuanceBuilder("mytoken", issuerChainId, "sk11pz4AG9XgB1eNVkbppYAWsgyg7sftDXqBASsagKJqvVRKYodCU")
+            .symbol('TTK')
+            .supply(1000000)
+            .metadata({'abc': 123})
+            .build();
+        assert.isTrue(built.validateSignature([id1]));
+
+        const issuance = Issuance.fromEntry(built.getEntry(), 'mytoken', issuerChainId);
+        assert.strictEqual(issuance.getType(), constant.FAT1);
+        assert.strictEqual(issuance.getSymbol(), 'TTK');
+        assert.isTrue(issuance.getSupply().isEqualTo(1000000));
+        assert.strictEqual(JSON.stringify(issuance.getMetadata()), JSON.stringify({'abc': 123}));
+        assert.strictEqual(issuance.getTokenId(), 'mytoken');
+        assert.strictEqual(issuance.getChainId(), built.getChainId());
+        assert.strictEqual(issuance.getEntryhash(), built.getEntry().hashHex());
+        assert.strictEqual(issuance.getTimestamp().toString(), built.getTimestamp().toString());
+        assert.strictEqual(issuance.getEntry().hashHex(), built.getEntry().hashHex());
+
+        assert.isTrue(issuance.validateSignature([id1]));
+        assert.isTrue(issuance.validateSignature());
+        assert.throws(() => issuance.validateSignature([util.createPublicIdentityAddr('id1', Buffer.alloc(32))]), /not signed by a key of the issuing identity/);
+
+        //token ID & issuer are optional, but must match the entry's chain
+        assert.isUndefined(Issuance.fromEntry(built.getEntry()).getTokenId());
+        assert.throws(() => Issuance.fromEntry(built.getEntry(), 'othertoken', issuerChainId));
+
+        //tampered content
+        const tampered = Issuance.fromEntry(Entry.builder(built.getEntry()).content(built.getEntry().content.toString().replace('TTK', 'ABC'), 'utf8').build());
+        assert.throws(() => tampered.validateSignature([id1]), /Invalid issuance signature/);
+
+        //issuance of the other token type
+        const other = new OtherIssuanceBuilder("mytoken", issuerChainId, "sk11pz4AG9XgB1eNVkbppYAWsgyg7sftDXqBASsagKJqvVRKYodCU").symbol('TTK').build();
+        assert.throws(() => Issuance.fromEntry(other.getEntry()));
+        assert.throws(() => Issuance.fromEntry({}));
+
+        //fatd responses carry no signature data
+        assert.throws(() => new Issuance({tokenid: 'mytoken', issuerid: issuerChainId, issuance: {type: constant.FAT1, symbol: 'TTK', supply: -1}}).validateSignature([id1]));
+    });
+
+    it('Estimate Entry Credits', function () {
+        const Issuance = require('../../1/Issuance');
+        const IssuanceBuilder = require('../../1/IssuanceBuilder');
+        const issuerChainId = '888888d027c59579fc47a6fc6c4a5c0409c7c39bc38a86cb5fc0069978493762';
+
+        const issuance = new IssuanceBuilder("mytoken", issuerChainId, "sk11pz4AG9XgB1eNVkbppYAWsgyg7sftDXqBASsagKJqvVRKYodCU")
+            .symbol('TTK')
+            .supply(1000000)
+            .build();
+
+        //chain creation, the chain's first entry & the issuance entry
+        assert.strictEqual(issuance.estimateEntryCredits(), issuance.getChain().ecCost() + issuance.getEntry().ecCost());
+        assert.strictEqual(issuance.estimateEntryCredits(), 12);
+        assert.strictEqual(issuance.estimateEntryCredits({includeChain: false}), 1);
+
+        //issuances awaiting a signature are priced as signed
+        const unsigned = new IssuanceBuilder("mytoken", issuerChainId)
+            .id1('id12HQxrj9A4ESYVWqKDx7UC1gJfXpUJDVWt6wHem4fjyNyUKVUx2')
+            .symbol('TTK')
+            .metadata({description: 'x'.repeat(1100)})
+            .build();
+        assert.strictEqual(unsigned.estimateEntryCredits(), 13);
+
+        //the chain can only be priced knowing the token ID
+        const parsed = Issuance.fromEntry(issuance.getEntry());
+        assert.strictEqual(parsed.estimateEntryCredits({includeChain: false}), 1);
+        assert.throws(() => parsed.estimateEntryCredits(), /includeChain/);
+        assert.throws(() => new Issuance({tokenid: 'mytoken', issuerid: issuerChainId, issuance: {type: constant.FAT1, symbol: 'TTK', supply: -1}}).estimateEntryCredits());
+    });
+});
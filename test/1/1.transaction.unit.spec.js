@@ -275,5 +275,245 @@ describe('Transaction Unit', function () {
             .build())
     });
 
+    it('Transaction From Entry', function () {
+        const Transaction = require('../../1/Transaction');
 
+        const tokenMeta = [{ids: [{min: 0, max: 3}], metadata: {type: 'fat-js test run'}}];
+
+        const built = new TransactionBuilder(testTokenChainId)
+            .coinbaseInput([{min: 0, max: 3}, 150])
+            .output("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", [{min: 0, max: 3}, 150])
+            .tokenMetadata(tokenMeta)
+            .sk1("sk13Rp3LVmVvWqo8mff82aDJN2yNCzjUs2Zuq3MNQSA5oC5ZwFAuu")
+            .build();
+
+        const entry = Entry.builder(built.getEntry().toObject()).build();
+        const tx = Transaction.fromEntry(entry);
+
+        assert.instanceOf(tx, Transaction);
+        assert.strictEqual(tx.getChainId(), testTokenChainId);
+        assert.strictEqual(tx.getTimestamp(), built.getTimestamp());
+        assert.strictEqual(tx.getEntryhash(), entry.hashHex());
+        assert.strictEqual(JSON.stringify(tx.getOutputs()), JSON.stringify({FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM: [{min: 0, max: 3}, 150]}));
+        assert.strictEqual(JSON.stringify(tx.getTokenMetadata()), JSON.stringify(tokenMeta));
+        assert.isTrue(tx.isCoinbase());
+
+        assert.isTrue(tx.validateSignatures());
+        assert.strictEqual(tx.getEntry().hashHex(), entry.hashHex());
+
+        assert.throws(() => Transaction.fromEntry({}));
+        assert.throws(() => Transaction.fromEntry(Entry.builder(entry).content('{}', 'utf8').build()));
+
+        //content is parsed strictly, like FAT-0 content, so a repeated address can not hide an output
+        const repeated = '{"inputs":{"FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN":[1]},"outputs":{"FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM":[1],"FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM":[2]}}';
+        assert.throws(() => Transaction.fromEntry(Entry.builder(entry).content(repeated, 'utf8').build()));
+    });
+
+    it('Validate', function () {
+        const Transaction = require('../../1/Transaction');
+        const IssuanceBuilder = require('../../1/IssuanceBuilder');
+
+        const issuance = new IssuanceBuilder("mytoken", "888888d027c59579fc47a6fc6c4a5c0409c7c39bc38a86cb5fc0069978493762", "sk13Rp3LVmVvWqo8mff82aDJN2yNCzjUs2Zuq3MNQSA5oC5ZwFAuu")
+            .symbol('TTK')
+            .supply(5)
+            .build();
+
+        let tx = new TransactionBuilder(issuance.getChainId())
+            .input("Fs1PkAEbmo1XNangSnxmKqi1PN5sVDbQ6zsnXCsMUejT66WaDgkm", [{min: 0, max: 3}, 150])
+            .output("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", [{min: 0, max: 3}, 150])
+            .build();
+        assert.isTrue(tx.validate({issuance}).valid);
+
+        //coinbase over the maximum supply
+        tx = new TransactionBuilder(issuance.getChainId())
+            .coinbaseInput([{min: 0, max: 5}])
+            .output("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", [{min: 0, max: 5}])
+            .sk1("sk13Rp3LVmVvWqo8mff82aDJN2yNCzjUs2Zuq3MNQSA5oC5ZwFAuu")
+            .build();
+        assert.deepEqual(tx.validate({issuance}).errors.map(error => error.code), ['SUPPLY_EXCEEDED']);
+
+        //the coinbase key can not be checked without the issuer's keys
+        assert.deepEqual(tx.validate().errors.map(error => error.code), ['COINBASE_KEY_UNKNOWN']);
+
+        //mismatched ID sets from a raw entry
+        const entry = new TransactionBuilder(issuance.getChainId())
+            .input("Fs1PkAEbmo1XNangSnxmKqi1PN5sVDbQ6zsnXCsMUejT66WaDgkm", [1])
+            .output("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", [1])
+            .build()
+            .getEntry();
+        const content = JSON.stringify({inputs: {FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN: [1]}, outputs: {FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM: [2]}, tokenmetadata: [{ids: [1], metadata: 'abc'}]});
+        tx = Transaction.fromEntry(Entry.builder(entry).content(content, 'utf8').build());
+
+        const result = tx.validate({issuance});
+        assert.isFalse(result.valid);
+        assert.deepEqual(result.errors.map(error => error.code), ['INVALID_SIGNATURE', 'ID_SET_MISMATCH', 'INVALID_TOKEN_METADATA']);
+        //huge ID ranges from chain data are compared by their bounds
+        const huge = JSON.stringify({inputs: {FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN: [{min: 0, max: 1e12}]}, outputs: {FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM: [{min: 0, max: 5e11}, {min: 5e11 + 1, max: 1e12}]}});
+        tx = Transaction.fromEntry(Entry.builder(entry).content(huge, 'utf8').build());
+        assert.deepEqual(tx.validate().errors.map(error => error.code), ['INVALID_SIGNATURE']);
+    });
+
+    it('Validate Signatures', function () {
+        const Transaction = require('../../1/Transaction');
+        const tokenChainId = '013de826902b7d075f00101649ca4fa7b49b5157cba736b2ca90f67e2ad6e8ec';
+
+        //an input address validly signed by a key that does not belong to it
+        const signed = new TransactionBuilder(tokenChainId)
+            .input("Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ", [10])
+            .output("FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN", [10])
+            .build();
+        assert.isTrue(signed.validateSignatures());
+
+        const entry = signed.getEntry();
+        const content = JSON.stringify({inputs: {FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN: [10]}, outputs: {FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM: [10]}});
+        const key = nacl.keyPair.fromSeed(fctAddrUtils.addressToKey("Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ"));
+        const data = Buffer.concat([Buffer.from('0'), entry.extIds[0], Buffer.from(tokenChainId, 'hex'), Buffer.from(content)]);
+        const signature = Buffer.from(nacl.detached(fctUtil.sha512(data), key.secretKey));
+
+        const forged = Transaction.fromEntry(Entry.builder(entry).extIds([entry.extIds[0], entry.extIds[1], signature]).content(content, 'utf8').build());
+        assert.throws(() => forged.validateSignatures(), /input 0/);
+
+        //externally signed inputs must be signed by the key of the input address
+        const builder = new TransactionBuilder(tokenChainId)
+            .input("FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN", [10])
+            .output("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", [10]);
+        assert.throws(() => builder.pkSignature(key.publicKey, signature), /not found in input list/);
+    });
+
+    it('Partial Transaction', function () {
+        const Transaction = require('../../1/Transaction');
+        const tokenChainId = '013de826902b7d075f00101649ca4fa7b49b5157cba736b2ca90f67e2ad6e8ec';
+        const keyPair = nacl.keyPair.fromSeed(fctAddrUtils.addressToKey("Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ"));
+
+        //one input signed locally, one left for an external signer
+        const unsignedTx = new TransactionBuilder(tokenChainId)
+            .input("Fs1PkAEbmo1XNangSnxmKqi1PN5sVDbQ6zsnXCsMUejT66WaDgkm", [0, 1])
+            .input("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", [2])
+            .output("FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr", [0, 1, 2])
+            .build();
+
+        const partial = unsignedTx.toPartial();
+        assert.strictEqual(partial.version, 1);
+        assert.strictEqual(partial.type, 'FAT-1');
+        assert.strictEqual(partial.chainid, tokenChainId);
+        assert.strictEqual(partial.timestamp, unsignedTx.getTimestamp());
+        assert.lengthOf(partial.signers, 2);
+        assert.strictEqual(partial.signers[0].address, 'FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN');
+        assert.isString(partial.signers[0].publickey);
+        assert.isString(partial.signers[0].signature);
+        assert.deepEqual(partial.signers[1], {address: 'FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM', publickey: null, signature: null});
+
+        //move to the signer as JSON
+        const restored = Transaction.fromPartial(JSON.stringify(partial));
+        assert.deepEqual(restored.toPartial(), partial);
+        assert.isTrue(restored.getMarshalDataSig(1).equals(unsignedTx.getMarshalDataSig(1)));
+
+        const signature = nacl.detached(fctUtil.sha512(restored.getMarshalDataSig(1)), keyPair.secretKey);
+        const signedTx = new TransactionBuilder(restored)
+            .pkSignature(keyPair.publicKey, signature)
+            .build();
+        assert.isTrue(signedTx.validateSignatures());
+        assert.strictEqual(signedTx.getTimestamp(), unsignedTx.getTimestamp());
+
+        //fully signed partials restore to a complete entry
+        const complete = Transaction.fromPartial(signedTx.toPartial());
+        assert.strictEqual(complete.getEntry().hashHex(), signedTx.getEntry().hashHex());
+
+        //coinbase signed with an external ID1 key
+        const sk1 = 'sk13Rp3LVmVvWqo8mff82aDJN2yNCzjUs2Zuq3MNQSA5oC5ZwFAuu';
+        const idKeyPair = nacl.keyPair.fromSeed(fctIdentityCrypto.extractSecretFromIdentityKey(sk1));
+        const id1 = util.createPublicIdentityAddr('id1', idKeyPair.publicKey);
+        const coinbase = Transaction.fromPartial(JSON.stringify(new TransactionBuilder(tokenChainId)
+            .coinbaseInput([2])
+            .output("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", [2])
+            .id1(id1)
+            .build()
+            .toPartial()));
+        assert.strictEqual(coinbase.toPartial().signers[0].id1, id1);
+
+        const signedCoinbase = new TransactionBuilder(coinbase)
+            .id1Signature(Buffer.from(idKeyPair.publicKey).toString('hex'), nacl.detached(fctUtil.sha512(coinbase.getMarshalDataSig(0)), idKeyPair.secretKey))
+            .build();
+        assert.isTrue(signedCoinbase.validateSignatures());
+
+        //tampered content invalidates the collected signatures
+        const tampered = Object.assign({}, partial, {content: partial.content.replace('FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr', 'FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN')});
+        assert.throws(() => Transaction.fromPartial(tampered), /Invalid Transaction Signature for input 0/);
+
+        assert.throws(() => Transaction.fromPartial(Object.assign({}, partial, {version: 2})), /Unsupported partial transaction version/);
+        assert.throws(() => Transaction.fromPartial(Object.assign({}, partial, {type: 'FAT-0'})));
+        assert.throws(() => Transaction.fromPartial(Object.assign({}, partial, {signers: partial.signers.slice(1)})));
+        assert.throws(() => new Transaction({data: {inputs: {}, outputs: {}}}).toPartial());
+    });
+
+    it('Multi-Party Signing', function () {
+        const Transaction = require('../../1/Transaction');
+        const tokenChainId = '013de826902b7d075f00101649ca4fa7b49b5157cba736b2ca90f67e2ad6e8ec';
+
+        //inputs held by two custodians
+        const unsignedTx = new TransactionBuilder(tokenChainId)
+            .input("FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN", [0, 1])
+            .input("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", [2])
+            .output("FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr", [0, 1, 2])
+            .build();
+        assert.deepEqual(unsignedTx.getUnsignedInputs().map(input => input.index), [0, 1]);
+
+        const json = JSON.stringify(unsignedTx.toPartial());
+
+        //each custodian signs their own input, in any order
+        const sign = (fs, index) => {
+            const keyPair = nacl.keyPair.fromSeed(fctAddrUtils.addressToKey(fs));
+            const tx = Transaction.fromPartial(json);
+            return new TransactionBuilder(tx)
+                .pkSignature(keyPair.publicKey, nacl.detached(fctUtil.sha512(tx.getMarshalDataSig(index)), keyPair.secretKey))
+                .buildPartial()
+                .toPartial();
+        };
+        const second = sign("Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ", 1);
+        const first = sign("Fs1PkAEbmo1XNangSnxmKqi1PN5sVDbQ6zsnXCsMUejT66WaDgkm", 0);
+
+        let combined = Transaction.combinePartials([json, second]);
+        assert.deepEqual(combined.getUnsignedInputs(), [{index: 0, address: 'FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN'}]);
+        assert.throws(() => combined.validateSignatures());
+
+        combined = Transaction.combinePartials([JSON.stringify(second), combined, first]);
+        assert.lengthOf(combined.getUnsignedInputs(), 0);
+        assert.isTrue(combined.validateSignatures());
+        assert.isTrue(combined.validate().valid);
+        assert.lengthOf(combined.getEntry().extIds, 5);
+
+        //partials of another transaction can not be merged
+        const other = new TransactionBuilder(tokenChainId)
+            .input("FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN", [0, 1, 2])
+            .output("FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr", [0, 1, 2])
+            .build();
+        assert.throws(() => Transaction.combinePartials([first, other]), /same transaction/);
+        assert.throws(() => Transaction.combinePartials([]));
+    });
+
+    it('Estimate Entry Credits', function () {
+        const tokenChainId = '013de826902b7d075f00101649ca4fa7b49b5157cba736b2ca90f67e2ad6e8ec';
+
+        //large token metadata payloads are priced per started KiB
+        const tokenMetadata = [];
+        for (let i = 0; i < 100; i++) tokenMetadata.push({ids: [i], metadata: {image: 'https://mysite.com/art/' + i + '.png'}});
+
+        const tx = new TransactionBuilder(tokenChainId)
+            .coinbaseInput([{min: 0, max: 99}])
+            .output("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", [{min: 0, max: 99}])
+            .tokenMetadata(tokenMetadata)
+            .sk1("sk11pz4AG9XgB1eNVkbppYAWsgyg7sftDXqBASsagKJqvVRKYodCU")
+            .build();
+        assert.strictEqual(tx.estimateEntryCredits(), tx.getEntry().ecCost());
+        assert.isAbove(tx.estimateEntryCredits(), 5);
+
+        const unsigned = new TransactionBuilder(tokenChainId)
+            .input("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", [0, 1])
+            .input("FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN", [2])
+            .output("FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr", [0, 1, 2])
+            .build();
+        assert.strictEqual(unsigned.estimateEntryCredits(), 1);
+
+        assert.strictEqual(util.estimateEntryCredits([tx, unsigned]), tx.estimateEntryCredits() + 1);
+    });
 });
@@ -0,0 +1,240 @@
+const assert = require('chai').assert;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {run} = require('../../bin/fat');
+const {MockFatd} = require('../../testing');
+const constant = require('../../constant');
+
+const issuerChainId = '888888d027c59579fc47a6fc6c4a5c0409c7c39bc38a86cb5fc0069978493762';
+const sk1 = 'sk11pz4AG9XgB1eNVkbppYAWsgyg7sftDXqBASsagKJqvVRKYodCU';
+const fs1 = 'Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ';
+const fa1 = 'FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM';
+const fs2 = 'Fs1PkAEbmo1XNangSnxmKqi1PN5sVDbQ6zsnXCsMUejT66WaDgkm';
+const fa2 = 'FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN';
+const fa3 = 'FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr';
+
+describe('Fat Command Line Unit', function () {
+
+    let fatd;
+    let dir;
+    let config;
+    let chainId0;
+    let chainId1;
+
+    beforeEach(async function () {
+        fatd = new MockFatd({autoConfirm: true});
+
+        chainId0 = fatd.addIssuance(new (require('../../0/IssuanceBuilder'))('cli0', issuerChainId, sk1)
+            .symbol('CLI')
+            .supply(100000)
+            .precision(2)
+            .build());
+        fatd.addTransaction(new (require('../../0/TransactionBuilder'))(chainId0)
+            .coinbaseInput(50000)
+            .output(fa1, 50000)
+            .sk1(sk1)
+            .build());
+
+        chainId1 = fatd.addIssuance(new (require('../../1/IssuanceBuilder'))('cli1', issuerChainId, sk1)
+            .symbol('NFC')
+            .build());
+        fatd.addTransaction(new (require('../../1/TransactionBuilder'))(chainId1)
+            .coinbaseInput([{min: 0, max: 4}])
+            .output(fa1, [{min: 0, max: 4}])
+            .sk1(sk1)
+            .build());
+
+        const address = await fatd.listen();
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fat-cli-'));
+        config = path.join(dir, 'config.json');
+        fs.writeFileSync(config, JSON.stringify({host: address.address, port: address.port}));
+    });
+
+    afterEach(async function () {
+        await fatd.close();
+        fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+        fs.rmdirSync(dir);
+    });
+
+    async function fat(argv, env, stdin) {
+        const out = {stdout: '', stderr: ''};
+        out.code = await run(argv, {
+            env: Object.assign({FAT_CONFIG: config}, env),
+            stdout: text => out.stdout += text,
+            stderr: text => out.stderr += text,
+            stdin: () => stdin
+        });
+        return out;
+    }
+
+    it('Query balances, history & stats', async function () {
+        let result = await fat(['balance', fa1, '--output', 'json']);
+        assert.strictEqual(result.code, 0);
+        assert.deepEqual(JSON.parse(result.stdout), [{chainid: chainId0, balance: 50000}, {chainid: chainId1, balance: 5}]);
+
+        result = await fat(['balance', fa1, '--chain', chainId0]);
+        assert.strictEqual(result.code, 0);
+        assert.match(result.stdout, /^key\s+value\n/);
+        assert.match(result.stdout, /balance\s+50000\n/);
+        assert.match(result.stdout, /display\s+500.00 CLI\n/);
+
+        result = await fat(['balance', fa1, '--chain=' + chainId1, '--output=json']);
+        assert.deepEqual(JSON.parse(result.stdout).ids, [{min: 0, max: 4}]);
+
+        result = await fat(['history', chainId0, '--address', fa1, '--output', 'json']);
+        assert.strictEqual(result.code, 0);
+        const history = JSON.parse(result.stdout);
+        assert.lengthOf(history, 1);
+        assert.deepEqual(history[0].outputs, {[fa1]: 50000});
+
+        result = await fat(['history', chainId0]);
+        assert.match(result.stdout.split('\n')[0], /^entryhash\s+timestamp\s+pending\s+inputs\s+outputs$/);
+
+        result = await fat(['stats', chainId0, '--output', 'json']);
+        assert.strictEqual(JSON.parse(result.stdout).circulating, 50000);
+    });
+
+    it('Send, mint & burn', async function () {
+        const keyFile = path.join(dir, 'key');
+        fs.writeFileSync(keyFile, fs1 + '\n');
+
+        let result = await fat(['send', chainId0, '--to', fa3, '--amount', '1.5', '--key-file', keyFile, '--output', 'json']);
+        assert.strictEqual(result.code, 0, result.stderr);
+        assert.strictEqual(JSON.parse(result.stdout).chainid, chainId0);
+        assert.strictEqual((await fat(['balance', fa3, '--chain', chainId0, '--output', 'json'])).stdout.match(/"balance": (\d+)/)[1], '150');
+
+        result = await fat(['send', chainId1, '--to', fa3, '--ids', '[0,1]'], {FAT_PRIVATE_KEY: fs1});
+        assert.strictEqual(result.code, 0, result.stderr);
+
+        result = await fat(['mint', chainId1, '--to', fa2, '--ids', '[{"min":5,"max":6}]', '--token-metadata', '[{"ids":[5],"metadata":"art"}]'], {FAT_SK1: sk1});
+        assert.strictEqual(result.code, 0, result.stderr);
+        result = await fat(['balance', fa2, '--chain', chainId1, '--output', 'json']);
+        assert.deepEqual(JSON.parse(result.stdout).ids, [{min: 5, max: 6}]);
+
+        result = await fat(['burn', chainId0, '--amount', '100'], {FAT_PRIVATE_KEY: fs1});
+        assert.strictEqual(result.code, 0, result.stderr);
+        result = await fat(['stats', chainId0, '--output', 'json']);
+        assert.strictEqual(JSON.parse(result.stdout).burned, 10000);
+
+        //amounts must match the token type
+        result = await fat(['send', chainId1, '--to', fa3, '--amount', '1'], {FAT_PRIVATE_KEY: fs1});
+        assert.strictEqual(result.code, 2);
+        assert.match(result.stderr, /--ids/);
+
+        //rejected transactions exit with an error
+        result = await fat(['send', chainId0, '--to', fa3, '--amount', '1000000'], {FAT_PRIVATE_KEY: fs1});
+        assert.strictEqual(result.code, 1);
+        assert.match(result.stderr, /Insufficient balance/);
+    });
+
+    it('Sign offline & broadcast', async function () {
+        //fund a second address so the transaction needs two signatures
+        await fat(['send', chainId0, '--to', fa2, '--amount', '10'], {FAT_PRIVATE_KEY: fs1});
+
+        let result = await fat(['send', chainId0, '--to', fa3, '--amount', '5', '--from', fa1, '--unsigned', '--output', 'json']);
+        assert.strictEqual(result.code, 0, result.stderr);
+        const unsigned = JSON.parse(result.stdout);
+        assert.strictEqual(unsigned.type, constant.FAT0);
+        assert.deepEqual(unsigned.signers.map(signer => signer.address), [fa1]);
+
+        //combine a two input transaction by hand
+        const tx = new (require('../../0/TransactionBuilder'))(chainId0)
+            .precision(2)
+            .input(fa1, 5)
+            .input(fa2, 5)
+            .output(fa3, 10)
+            .build();
+        const partial = JSON.stringify(tx.toPartial());
+
+        result = await fat(['sign', '-', '--output', 'json'], {FAT_PRIVATE_KEY: fs1}, partial);
+        assert.strictEqual(result.code, 0, result.stderr);
+        const halfSigned = JSON.parse(result.stdout);
+        assert.isNotNull(halfSigned.signers[0].signature);
+        assert.isNull(halfSigned.signers[1].signature);
+
+        //a partially signed transaction cannot be broadcast
+        result = await fat(['broadcast', '-'], {}, result.stdout);
+        assert.strictEqual(result.code, 1);
+        assert.match(result.stderr, /not fully signed/);
+
+        const halfSignedFile = path.join(dir, 'half.json');
+        fs.writeFileSync(halfSignedFile, JSON.stringify(halfSigned));
+        result = await fat(['sign', halfSignedFile, '--output', 'json'], {FAT_PRIVATE_KEY: fs2});
+        assert.strictEqual(result.code, 0, result.stderr);
+        const signed = JSON.parse(result.stdout);
+        assert.strictEqual(signed.chainid, chainId0);
+        assert.lengthOf(signed.extids, 5);
+
+        //keys not part of the transaction cannot sign it
+        result = await fat(['sign', halfSignedFile], {FAT_PRIVATE_KEY: 'Fs321tXS9HYKEKnWs3cpecBe85mBRkE3gLURHM86G515P6V1jqt2'});
+        assert.strictEqual(result.code, 1);
+        assert.match(result.stderr, /not an input/);
+
+        result = await fat(['broadcast', '-', '--output', 'json'], {}, JSON.stringify(signed));
+        assert.strictEqual(result.code, 0, result.stderr);
+        assert.lengthOf(JSON.parse(result.stdout).entryhash, 64);
+        result = await fat(['balance', fa3, '--chain', chainId0, '--output', 'json']);
+        assert.strictEqual(JSON.parse(result.stdout).balance, 1000);
+    });
+
+    it('Issue', async function () {
+        const sk1File = path.join(dir, 'sk1');
+        fs.writeFileSync(sk1File, sk1);
+
+        const result = await fat(['issue', '--token-id', 'new', '--issuer-chain', issuerChainId, '--symbol', 'NEW', '--supply', '-1', '--precision', '4', '--sk1-file', sk1File, '--dry-run', '--output', 'json']);
+        assert.strictEqual(result.code, 0, result.stderr);
+        const issuance = JSON.parse(result.stdout);
+        assert.lengthOf(issuance.chainid, 64);
+        assert.lengthOf(issuance.extids, 3);
+        assert.deepEqual(JSON.parse(Buffer.from(issuance.content, 'hex').toString()), {type: constant.FAT0, symbol: 'NEW', supply: -1, precision: 4});
+
+        //deploying needs factomd
+        const deploy = await fat(['issue', '--token-id', 'new', '--issuer-chain', issuerChainId, '--symbol', 'NEW'], {FAT_SK1: sk1});
+        assert.strictEqual(deploy.code, 1);
+        assert.match(deploy.stderr, /factomd/);
+    });
+
+    it('Compatibility, help & usage errors', async function () {
+        let result = await fat(['compat', '--output', 'json']);
+        assert.strictEqual(result.code, 0);
+        assert.deepEqual(JSON.parse(result.stdout), []);
+        assert.strictEqual((await fat(['compat'])).stdout, 'No results\n');
+
+        result = await fat([]);
+        assert.strictEqual(result.code, 0);
+        assert.match(result.stdout, /Usage: fat <command>/);
+        Object.keys({balance: 0, history: 0, stats: 0, issue: 0, send: 0, mint: 0, burn: 0, sign: 0, broadcast: 0, compat: 0})
+            .forEach(command => assert.include(result.stdout, '  ' + command + ' '));
+        assert.match((await fat(['send', '--help'])).stdout, /^Usage: fat send <chainId>/);
+
+        result = await fat(['unknown']);
+        assert.strictEqual(result.code, 2);
+        assert.match(result.stderr, /Unknown command/);
+
+        result = await fat(['balance', fa1, '--chian', chainId0]);
+        assert.strictEqual(result.code, 2);
+        assert.match(result.stderr, /Unknown option --chian/);
+        assert.match(result.stderr, /Usage: fat balance/);
+
+        result = await fat(['balance']);
+        assert.strictEqual(result.code, 2);
+        assert.match(result.stderr, /Missing <address>/);
+
+        result = await fat(['balance', fa1, '--output', 'xml']);
+        assert.strictEqual(result.code, 2);
+
+        //keys are never accepted as arguments
+        result = await fat(['send', chainId0, '--to', fa3, '--amount', '1', '--key-file', fs1]);
+        assert.strictEqual(result.code, 1);
+        assert.match(result.stderr, /never read from arguments/);
+
+        result = await fat(['burn', chainId0, '--amount', '1']);
+        assert.strictEqual(result.code, 1);
+        assert.match(result.stderr, /FAT_PRIVATE_KEY/);
+
+        result = await fat(['burn', chainId0, '--amount', '1'], {FAT_PRIVATE_KEY: fa1});
+        assert.match(result.stderr, /private Factoid key is invalid/);
+    });
+});
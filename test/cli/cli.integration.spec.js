@@ -2,13 +2,37 @@ const assert = require('chai').assert;
 const BigNumber = require('bignumber.js');
 
 const CLIBuilder = require('../../cli/CLI').CLIBuilder;
+const {MockFatd} = require('../../testing');
+const IssuanceBuilder = require('../../0/IssuanceBuilder');
+const TransactionBuilder = require('../../0/TransactionBuilder');
 
 describe('CLI Integration', function () {
 
-    const cli = new CLIBuilder()
-        .host(process.env.fatd || 'localhost')
-        .port(Number.parseInt(process.env.port || 8078))
-        .build();
+    const fatd = new MockFatd();
+    let cli;
+
+    before(async function () {
+        const issuance = new IssuanceBuilder('test', '888888d027c59579fc47a6fc6c4a5c0409c7c39bc38a86cb5fc0069978493762', 'sk11pz4AG9XgB1eNVkbppYAWsgyg7sftDXqBASsagKJqvVRKYodCU')
+            .symbol('T0')
+            .build();
+        const tokenChainId = fatd.addIssuance(issuance);
+
+        fatd.addTransaction(new TransactionBuilder(tokenChainId)
+            .coinbaseInput(10)
+            .output('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM', 10)
+            .sk1('sk11pz4AG9XgB1eNVkbppYAWsgyg7sftDXqBASsagKJqvVRKYodCU')
+            .build());
+
+        const address = await fatd.listen();
+        cli = new CLIBuilder()
+            .host(address.address)
+            .port(address.port)
+            .build();
+    });
+
+    after(async function () {
+        await fatd.close();
+    });
 
     it('Detect Compatibility Issues', async function () {
         const compatibilityIssues = await cli.getCompatibility();
@@ -44,6 +68,7 @@ describe('CLI Integration', function () {
         it('get-balances', async function () {
             const balances = await cli.getBalances('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM');
             assert.isObject(balances);
+            assert.lengthOf(Object.keys(balances), 1);
             assert.isTrue(Object.values(balances).every(amount => amount instanceof BigNumber));
         });
     });
@@ -2,22 +2,65 @@ const assert = require('chai').assert;
 let CLIBuilder = require('../../cli/CLI').CLIBuilder;
 let FAT0CLI = require('../../0/CLI').CLI;
 let FAT1CLI = require('../../1/CLI').CLI;
+const MemoryCache = require('../../cli/MemoryCache');
+const errors = require('../../errors');
+const {MockFatd} = require('../../testing');
 
 describe('CLI Unit', function () {
 
+    const fatd = new MockFatd();
+    let address;
+
+    before(async function () {
+        address = await fatd.listen();
+    });
+
+    after(async function () {
+        await fatd.close();
+    });
+
     it('CLI Builder', function () {
         let cli = new CLIBuilder()
-            .host(process.env.fatd)
-            .port(1234)
+            .host(address.address)
+            .port(address.port)
             .secure(true)
             .protocol('https')
             .build();
     });
 
+    it('Memory cache', async function () {
+        const cache = new MemoryCache({maxEntries: 2});
+        await cache.set('a', '1');
+        await cache.set('b', '2');
+        assert.strictEqual(await cache.get('a'), '1');
+
+        //b is the least recently used entry
+        await cache.set('c', '3');
+        assert.isUndefined(await cache.get('b'));
+        assert.strictEqual(await cache.get('c'), '3');
+        assert.strictEqual(cache.size(), 2);
+
+        await cache.set('d', '4', 1);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        assert.isUndefined(await cache.get('d'));
+
+        await cache.delete('c');
+        assert.isUndefined(await cache.get('c'));
+
+        assert.throws(() => new MemoryCache({maxEntries: 0}), errors.ValidationError);
+        let error;
+        try {
+            new MemoryCache({maxEntries: 1.5});
+        } catch (e) {
+            error = e;
+        }
+        assert.strictEqual(error.field, 'maxEntries');
+    });
+
     it('Instantiate CLI Sync', function () {
         let cli = new CLIBuilder()
-            .host(process.env.fatd)
-            .port(1234)
+            .host(address.address)
+            .port(address.port)
             .build();
 
         let tokenCLI = cli.getTokenCLISync('0cccd100a1801c0cf4aa2104b15dec94fe6f45d0f3347b016ed20d81059494df', 'FAT-0');
@@ -28,4 +71,745 @@ describe('CLI Unit', function () {
 
         assert.throws(() => cli.getTokenCLISync('962a18328c83f370113ff212bae21aaf34e5252bc33d59c9db3df2a6bfda966f', 'ABC'));
     });
-});
\ No newline at end of file
+});
+describe('CLI Failover Unit', function () {
+    const http = require('http');
+
+    const servers = [];
+
+    //fatd stand-in answering every request using respond(method, callCount) => {status, result, error, version}
+    async function createFatd(respond) {
+        const fatd = {calls: 0, methods: [], headers: []};
+        fatd.server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', data => body += data);
+            req.on('end', () => {
+                const request = JSON.parse(body);
+                fatd.calls++;
+                fatd.methods.push(request.method);
+                fatd.headers.push(req.headers);
+                const {status, result, error, version} = respond(request.method, fatd.calls);
+                res.writeHead(status || 200, {'Content-Type': 'application/json', 'fatd-version': version || '0.6.0'});
+                res.end(JSON.stringify(error !== undefined ? {jsonrpc: '2.0', id: request.id, error} : {jsonrpc: '2.0', id: request.id, result}));
+            });
+        });
+        servers.push(fatd.server);
+        await new Promise(resolve => fatd.server.listen(0, '127.0.0.1', resolve));
+        fatd.url = 'http://127.0.0.1:' + fatd.server.address().port;
+        return fatd;
+    }
+
+    //a local port nothing listens on
+    async function closedPort() {
+        const server = http.createServer();
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const port = server.address().port;
+        await new Promise(resolve => server.close(resolve));
+        return 'http://127.0.0.1:' + port;
+    }
+
+    const synced = () => ({result: {syncheight: 100, factomheight: 100}});
+
+    afterEach(async function () {
+        await Promise.all(servers.splice(0).map(server => new Promise(resolve => server.close(resolve))));
+    });
+
+    it('Fail over on 5xx responses & network errors', async function () {
+        const down = await createFatd(() => ({status: 503}));
+        const up = await createFatd(synced);
+
+        const cli = new CLIBuilder()
+            .endpoints([await closedPort(), down.url, up.url])
+            .retry({minTimeout: 1, maxTimeout: 5})
+            .build();
+
+        const status = await cli.getSyncStatus();
+        assert.strictEqual(status.syncheight, 100);
+        assert.strictEqual(down.calls, 1);
+        assert.deepEqual(cli.getEndpoints().map(endpoint => endpoint.healthy), [false, false, true]);
+
+        //unhealthy endpoints are skipped until their cooldown expires
+        await cli.getSyncStatus();
+        assert.strictEqual(down.calls, 1);
+        assert.strictEqual(up.calls, 2);
+    });
+
+    it('Fail over without retries', async function () {
+        const down = await createFatd(() => ({status: 503}));
+        const up = await createFatd(synced);
+
+        const cli = new CLIBuilder()
+            .endpoints([down.url, up.url])
+            .retry({retries: 0})
+            .build();
+
+        //the failed request is not retried, but the next one moves on to the healthy endpoint
+        let error;
+        await cli.getSyncStatus().catch(e => error = e);
+        assert.instanceOf(error, errors.NetworkError);
+        assert.deepEqual(cli.getEndpoints().map(endpoint => endpoint.healthy), [false, true]);
+
+        assert.strictEqual((await cli.getSyncStatus()).syncheight, 100);
+        assert.strictEqual(down.calls, 1);
+        assert.strictEqual(up.calls, 1);
+    });
+
+    it('Retry with backoff', async function () {
+        const flaky = await createFatd((method, calls) => calls < 3 ? {status: 500} : synced());
+
+        const cli = new CLIBuilder()
+            .endpoints([flaky.url])
+            .retry({retries: 2, minTimeout: 1, maxTimeout: 5})
+            .build();
+        assert.strictEqual((await cli.getSyncStatus()).factomheight, 100);
+        assert.strictEqual(flaky.calls, 3);
+
+        const failing = await createFatd(() => ({status: 500}));
+        const noRetry = new CLIBuilder()
+            .endpoints([failing.url])
+            .retry({retries: 0})
+            .build();
+
+        let error;
+        await noRetry.getSyncStatus().catch(e => error = e);
+        assert.instanceOf(error, Error);
+        assert.strictEqual(failing.calls, 1);
+    });
+
+    it('Never retry send-transaction blindly', async function () {
+        const down = await createFatd(() => ({status: 503}));
+        const up = await createFatd(() => ({result: {entryhash: 'abc'}}));
+
+        const cli = new CLIBuilder()
+            .endpoints([down.url, up.url])
+            .retry({minTimeout: 1, maxTimeout: 5})
+            .build();
+
+        let error;
+        await cli.call('send-transaction', {}).catch(e => error = e);
+        assert.instanceOf(error, Error);
+        assert.strictEqual(down.calls, 1);
+        assert.strictEqual(up.calls, 0);
+
+        //a refused connection never reached fatd so may be sent to the next endpoint
+        const failover = new CLIBuilder()
+            .endpoints([await closedPort(), up.url])
+            .retry({minTimeout: 1, maxTimeout: 5})
+            .build();
+        assert.deepEqual(await failover.call('send-transaction', {}), {entryhash: 'abc'});
+        assert.strictEqual(up.calls, 1);
+    });
+
+    it('Round robin', async function () {
+        const first = await createFatd(synced);
+        const second = await createFatd(synced);
+
+        const cli = new CLIBuilder()
+            .endpoints([first.url, {host: '127.0.0.1', port: second.server.address().port}])
+            .failover('round-robin')
+            .build();
+
+        for (let i = 0; i < 4; i++) await cli.getSyncStatus();
+        assert.strictEqual(first.calls, 2);
+        assert.strictEqual(second.calls, 2);
+    });
+
+    it('Mark lagging endpoints unhealthy', async function () {
+        const lagging = await createFatd(method => method === 'get-sync-status' ? {result: {syncheight: 90, factomheight: 100}} : {result: {}});
+        const current = await createFatd(method => method === 'get-sync-status' ? {result: {syncheight: 99, factomheight: 100}} : {result: {}});
+
+        const cli = new CLIBuilder()
+            .endpoints([lagging.url, current.url])
+            .maxSyncLag(5)
+            .build();
+
+        const health = await cli.checkHealth();
+        assert.deepEqual(health.map(endpoint => endpoint.healthy), [false, true]);
+        assert.strictEqual(health[0].syncheight, 90);
+
+        await cli.getDaemonProperties();
+        assert.deepEqual(lagging.methods, ['get-sync-status']);
+        assert.deepEqual(current.methods, ['get-sync-status', 'get-daemon-properties']);
+
+        //periodic health checks run before calls
+        const periodic = new CLIBuilder()
+            .endpoints([lagging.url, current.url])
+            .healthCheckInterval(60000)
+            .build();
+        await periodic.getDaemonProperties();
+        await periodic.getDaemonProperties();
+        assert.strictEqual(lagging.methods.filter(method => method === 'get-daemon-properties').length, 0);
+        assert.strictEqual(current.methods.filter(method => method === 'get-sync-status').length, 2);
+    });
+
+    it('Typed errors', async function () {
+        const fatd = await createFatd(method => method === 'get-issuance'
+            ? {result: {issuance: {type: 'FAT-2'}}}
+            : {error: {code: -32803, message: 'Transaction Not Found', data: 'no matching tx-id was found'}});
+        const cli = new CLIBuilder().endpoints([fatd.url]).build();
+
+        let error;
+        await cli.call('get-transaction', {chainid: '0cccd100a1801c0cf4aa2104b15dec94fe6f45d0f3347b016ed20d81059494df'}).catch(e => error = e);
+        assert.instanceOf(error, errors.FatdRpcError);
+        assert.instanceOf(error, errors.FatError);
+        assert.strictEqual(error.code, 'TRANSACTION_NOT_FOUND');
+        assert.strictEqual(error.rpcCode, -32803);
+        assert.strictEqual(error.data, 'no matching tx-id was found');
+        assert.strictEqual(error.method, 'get-transaction');
+        assert.match(error.message, /Transaction Not Found/);
+
+        //unsupported token types are reported instead of looked up again
+        await cli.getTokenCLI('0cccd100a1801c0cf4aa2104b15dec94fe6f45d0f3347b016ed20d81059494df').catch(e => error = e);
+        assert.instanceOf(error, errors.CompatibilityError);
+        assert.strictEqual(error.code, 'COMPATIBILITY_ERROR');
+
+        const failing = await createFatd(() => ({status: 500}));
+        await new CLIBuilder().endpoints([failing.url]).retry({retries: 0}).build().getSyncStatus().catch(e => error = e);
+        assert.instanceOf(error, errors.NetworkError);
+        assert.strictEqual(error.code, 'NETWORK_ERROR');
+        assert.strictEqual(error.status, 500);
+        assert.strictEqual(error.url, failing.url);
+
+        const closed = await closedPort();
+        await new CLIBuilder().endpoints([closed]).retry({retries: 0}).build().getSyncStatus().catch(e => error = e);
+        assert.strictEqual(error.code, 'NETWORK_ERROR');
+        assert.strictEqual(error.cause.code, 'ECONNREFUSED');
+
+        const silent = http.createServer(() => undefined);
+        servers.push(silent);
+        await new Promise(resolve => silent.listen(0, '127.0.0.1', resolve));
+        await new CLIBuilder().endpoints(['http://127.0.0.1:' + silent.address().port]).timeout(50).retry({retries: 0}).build().getSyncStatus().catch(e => error = e);
+        assert.instanceOf(error, errors.TimeoutError);
+        assert.instanceOf(error, errors.NetworkError);
+        assert.strictEqual(error.code, 'TIMEOUT');
+
+        assert.throws(() => new CLIBuilder().retry({retries: -1}), errors.ValidationError);
+    });
+
+    it('Response validation', async function () {
+        const chainId = '0cccd100a1801c0cf4aa2104b15dec94fe6f45d0f3347b016ed20d81059494df';
+        const issuance = {chainid: chainId, tokenid: 'test', issuerid: chainId, entryhash: 'invalid', timestamp: 1550696040, issuance: {type: 'FAT-0', supply: -1}};
+        const stats = {circulating: '100', burned: 0, transactions: 1};
+        const fatd = await createFatd((method, calls) => {
+            switch (method) {
+                case 'get-stats':
+                    return {result: stats};
+                case 'get-balance':
+                    return {result: '123'};
+                default:
+                    return {result: {syncheight: 100, factomheight: 100, extra: true}};
+            }
+        });
+
+        const strict = new CLIBuilder().endpoints([fatd.url]).responseValidation('strict').build();
+        const tokenCLI = strict.getTokenCLISync(chainId, 'FAT-0');
+
+        let error;
+        await tokenCLI.getStats().catch(e => error = e);
+        assert.instanceOf(error, errors.InvalidResponseError);
+        assert.strictEqual(error.code, 'INVALID_RESPONSE');
+        assert.strictEqual(error.method, 'get-stats');
+        assert.strictEqual(error.field, 'circulating');
+        assert.strictEqual(error.version, '0.6.0');
+
+        //unexpected fields are rejected
+        await strict.getSyncStatus().catch(e => error = e);
+        assert.strictEqual(error.field, 'extra');
+
+        //numeric strings are not amounts
+        await tokenCLI.getBalance('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM').catch(e => error = e);
+        assert.strictEqual(error.method, 'get-balance');
+
+        //fatd <= 0.5.0 returns invalid issuance entryhashes
+        const legacy = await createFatd((method, calls) => ({result: issuance, version: calls === 1 ? '0.6.0' : '0.5.0'}));
+        const legacyCLI = new CLIBuilder().endpoints([legacy.url]).responseValidation('strict').build().getTokenCLISync(chainId, 'FAT-0');
+        await legacyCLI.getIssuance().catch(e => error = e);
+        assert.strictEqual(error.field, 'entryhash');
+        assert.strictEqual((await legacyCLI.getIssuance()).getEntryhash(), 'invalid');
+
+        //lenient mode reports to the warning handler & returns the result as is
+        const warnings = [];
+        const lenient = new CLIBuilder().endpoints([fatd.url]).onValidationWarning(warning => warnings.push(warning)).build();
+        assert.strictEqual((await lenient.getTokenCLISync(chainId, 'FAT-0').getStats()).circulating.toString(), '100');
+        assert.lengthOf(warnings, 1);
+        assert.instanceOf(warnings[0], errors.InvalidResponseError);
+        assert.strictEqual(warnings[0].method, 'get-stats');
+        assert.strictEqual(warnings[0].field, 'circulating');
+        assert.match(warnings[0].message, /Invalid get-stats result from fatd 0\.6\.0 at circulating/);
+
+        //nothing is logged to the console without a handler
+        const warn = console.warn;
+        console.warn = () => assert.fail('console.warn was called');
+        try {
+            await new CLIBuilder().endpoints([fatd.url]).build().getTokenCLISync(chainId, 'FAT-0').getStats();
+        } finally {
+            console.warn = warn;
+        }
+
+        await new CLIBuilder().endpoints([fatd.url]).responseValidation('off').onValidationWarning(warning => warnings.push(warning)).build().getTokenCLISync(chainId, 'FAT-0').getStats();
+        assert.lengthOf(warnings, 1);
+
+        //non-JSON bodies are rejected instead of logged
+        const html = http.createServer((req, res) => {
+            res.writeHead(200, {'Content-Type': 'text/html'});
+            res.end('<html>Bad Gateway</html>');
+        });
+        servers.push(html);
+        await new Promise(resolve => html.listen(0, '127.0.0.1', resolve));
+        const consoleError = console.error;
+        console.error = () => assert.fail('console.error was called');
+        try {
+            await new CLIBuilder().endpoints(['http://127.0.0.1:' + html.address().port]).build().getSyncStatus().catch(e => error = e);
+        } finally {
+            console.error = consoleError;
+        }
+        assert.instanceOf(error, errors.InvalidResponseError);
+        assert.strictEqual(error.method, 'get-sync-status');
+
+        assert.throws(() => new CLIBuilder().responseValidation('loud'), errors.ValidationError);
+        assert.throws(() => new CLIBuilder().onValidationWarning('console'), errors.ValidationError);
+    });
+
+    it('Cache immutable results', async function () {
+        const chainId = '0cccd100a1801c0cf4aa2104b15dec94fe6f45d0f3347b016ed20d81059494df';
+        const entryhash = '68f3ca3a8c9f7a0cb32dc9f2d2e5c2ae2a19dcb0b7ce4a3fc5a1f6a3ed4a5b1e';
+        const issuance = {chainid: chainId, tokenid: 'test', issuerid: chainId, entryhash, timestamp: 1550696040, issuance: {type: 'FAT-0', supply: -1}};
+        const transaction = {entryhash, timestamp: 1550696040, data: {inputs: {FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM: 10}, outputs: {FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr: 10}}};
+        const fatd = await createFatd((method, calls) => {
+            switch (method) {
+                case 'get-issuance':
+                    return {result: issuance};
+                case 'get-transaction':
+                    return {result: calls === 1 ? Object.assign({pending: true}, transaction) : transaction};
+                case 'get-balance':
+                    return {result: calls};
+                default:
+                    return {result: {id: 12, owner: 'FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM'}};
+            }
+        });
+
+        const cli = new CLIBuilder().endpoints([fatd.url]).cache().build();
+
+        //pending transactions are refetched until confirmed
+        const tokenCLI = cli.getTokenCLISync(chainId, 'FAT-0');
+        assert.isTrue((await tokenCLI.getTransaction(entryhash)).getPending());
+        assert.isFalse((await tokenCLI.getTransaction(entryhash)).getPending());
+        assert.isFalse((await tokenCLI.getTransaction(entryhash)).getPending());
+        assert.deepEqual(fatd.methods, ['get-transaction', 'get-transaction']);
+
+        //type detection & issuances are served from the cache
+        assert.instanceOf(await cli.getTokenCLI(chainId), FAT0CLI);
+        assert.strictEqual((await tokenCLI.getIssuance()).getTokenId(), 'test');
+        assert.strictEqual(fatd.methods.filter(method => method === 'get-issuance').length, 1);
+
+        //mutable results are not cached without a TTL
+        await tokenCLI.getBalance('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM');
+        await tokenCLI.getBalance('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM');
+        const nfCLI = cli.getTokenCLISync(chainId, 'FAT-1');
+        await nfCLI.getNFToken(12);
+        await nfCLI.getNFToken(12);
+        assert.strictEqual(fatd.methods.filter(method => method === 'get-balance' || method === 'get-nf-token').length, 4);
+
+        //unless a TTL is configured for their method
+        const store = new MemoryCache();
+        const ttlCLI = new CLIBuilder().endpoints([fatd.url]).cache({store, ttl: {'get-balance': 60000}}).build().getTokenCLISync(chainId, 'FAT-0');
+        const balance = await ttlCLI.getBalance('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM');
+        assert.isTrue((await ttlCLI.getBalance('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM')).isEqualTo(balance));
+        assert.strictEqual(store.size(), 1);
+
+        //an unavailable store never fails calls
+        const failing = {get: () => Promise.reject(new Error('down')), set: () => Promise.reject(new Error('down')), delete: () => Promise.resolve()};
+        const failingCLI = new CLIBuilder().endpoints([fatd.url]).cache({store: failing}).build().getTokenCLISync(chainId, 'FAT-0');
+        assert.strictEqual((await failingCLI.getIssuance()).getTokenId(), 'test');
+
+        assert.throws(() => new CLIBuilder().cache({store: {}}), errors.ValidationError);
+        assert.throws(() => new CLIBuilder().cache({ttl: {'send-transaction': 1000}}), errors.ValidationError);
+        assert.throws(() => new CLIBuilder().cache({ttl: {'get-balance': 0}}), errors.ValidationError);
+    });
+
+    it('Middleware', async function () {
+        const chainId = '0cccd100a1801c0cf4aa2104b15dec94fe6f45d0f3347b016ed20d81059494df';
+        const fatd = await createFatd(method => method === 'get-balance' ? {result: 10} : synced());
+
+        const log = [];
+        let faults = 1;
+        const cli = new CLIBuilder()
+            .endpoints([fatd.url])
+            .retry({retries: 1, minTimeout: 1})
+            .cache({ttl: {'get-balance': 60000}})
+            .use(async (request, next) => {
+                request.headers['X-Request-ID'] = 'trace-' + log.length;
+                const response = await next(request);
+                log.push({method: request.method, endpoint: request.endpoint, attempt: request.attempt, result: response.data.result, duration: response.duration});
+                return response;
+            })
+            .use(async (request, next) => {
+                if (faults-- > 0) throw new errors.NetworkError('Injected fault', {status: 503});
+                return next(request);
+            })
+            .build();
+
+        //injected faults are retried like network errors
+        assert.strictEqual((await cli.getTokenCLISync(chainId, 'FAT-0').getBalance('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM')).toNumber(), 10);
+        assert.lengthOf(log, 1);
+        assert.strictEqual(log[0].method, 'get-balance');
+        assert.strictEqual(log[0].endpoint, fatd.url);
+        assert.strictEqual(log[0].attempt, 1);
+        assert.strictEqual(log[0].result, 10);
+        assert.isAtLeast(log[0].duration, 0);
+        assert.strictEqual(fatd.headers[0]['x-request-id'], 'trace-0');
+
+        //cached results never reach the middleware
+        await cli.getTokenCLISync(chainId, 'FAT-0').getBalance('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM');
+        assert.lengthOf(log, 1);
+
+        //batches & health checks pass through the middleware too
+        await cli.batch().call('get-sync-status').call('get-sync-status').execute();
+        await cli.checkHealth();
+        assert.lengthOf(log, 3);
+        assert.isUndefined(log[1].method);
+        assert.strictEqual(log[2].method, 'get-sync-status');
+
+        //other errors are not retried
+        const failing = new CLIBuilder().endpoints([fatd.url]).use(() => Promise.reject(new Error('Rejected'))).build();
+        let error;
+        await failing.getSyncStatus().catch(e => error = e);
+        assert.strictEqual(error.message, 'Rejected');
+        assert.strictEqual(fatd.calls, 3);
+
+        assert.throws(() => new CLIBuilder().use('logger'), errors.ValidationError);
+    });
+
+    it('Validate failover options', function () {
+        assert.throws(() => new CLIBuilder().endpoints([]));
+        assert.throws(() => new CLIBuilder().endpoints(['ftp://fatd.mysite.com']));
+        assert.throws(() => new CLIBuilder().endpoints([{host: 'fatd.mysite.com', port: -1}]));
+        assert.throws(() => new CLIBuilder().endpoints(['fatd.mysite.com']).host('localhost').build());
+        assert.throws(() => new CLIBuilder().failover('random'));
+        assert.throws(() => new CLIBuilder().retry({retries: -1}));
+        assert.throws(() => new CLIBuilder().retry({minTimeout: 10, maxTimeout: 5}));
+        assert.throws(() => new CLIBuilder().maxSyncLag(-1));
+
+        const cli = new CLIBuilder().endpoints(['fatd.mysite.com', 'https://fatd2.mysite.com:443/']).build();
+        assert.deepEqual(cli.getEndpoints(), [{url: 'http://fatd.mysite.com:8078', healthy: true}, {url: 'https://fatd2.mysite.com:443', healthy: true}]);
+    });
+});
+
+describe('CLI Batch Unit', function () {
+    const http = require('http');
+    const BigNumber = require('bignumber.js');
+    const Transaction = require('../../0/Transaction');
+    const TransactionBuilder = require('../../0/TransactionBuilder');
+
+    const tokenChainId = '013de826902b7d075f00101649ca4fa7b49b5157cba736b2ca90f67e2ad6e8ec';
+    const nfTokenChainId = '962a18328c83f370113ff212bae21aaf34e5252bc33d59c9db3df2a6bfda966f';
+
+    const tx = new TransactionBuilder(tokenChainId)
+        .input("Fs1PkAEbmo1XNangSnxmKqi1PN5sVDbQ6zsnXCsMUejT66WaDgkm", 150)
+        .output("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", 150)
+        .build();
+
+    const results = {
+        'get-balance': '99999999999999999999',
+        'get-transaction': {
+            entryhash: tx.getEntry().hashHex(),
+            timestamp: tx.getTimestamp(),
+            data: JSON.parse(tx.getEntry().content.toString())
+        },
+        'get-stats': {circulating: 100, burned: 1, transactions: 3, nonzerobalances: 2},
+        'get-balances': {[tokenChainId]: 150},
+        'get-sync-status': {syncheight: -1, factomheight: 100}
+    };
+
+    let server;
+    let requests;
+    let cli;
+
+    before(async function () {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', data => body += data);
+            req.on('end', () => {
+                const batch = JSON.parse(body);
+
+                //capabilities are negotiated before sending batches holding version gated methods
+                if (!Array.isArray(batch)) {
+                    res.writeHead(200, {'Content-Type': 'application/json', 'fatd-version': '0.6.0'});
+                    res.end(JSON.stringify({jsonrpc: '2.0', id: batch.id, result: {fatdversion: '0.6.0', apiversion: '1'}}));
+                    return;
+                }
+                requests.push(batch);
+
+                //answer in reverse order to check responses are mapped back by ID
+                const responses = batch.map(request => request.method in results
+                    ? {jsonrpc: '2.0', id: request.id, result: results[request.method]}
+                    : {jsonrpc: '2.0', id: request.id, error: {code: -32803, message: 'Token Not Found'}}).reverse();
+                res.writeHead(200, {'Content-Type': 'application/json'});
+                res.end(JSON.stringify(responses).replace('"99999999999999999999"', '99999999999999999999'));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        cli = new CLIBuilder().endpoints(['http://127.0.0.1:' + server.address().port]).build();
+    });
+
+    beforeEach(function () {
+        requests = [];
+    });
+
+    after(async function () {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    it('Batch requests', async function () {
+        const batch = cli.batch()
+            .getBalance(tokenChainId, 'FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM')
+            .getTransaction(tokenChainId, tx.getEntry().hashHex(), 'FAT-0')
+            .getTransaction(tokenChainId, tx.getEntry().hashHex())
+            .getStats(tokenChainId)
+            .getNFToken(nfTokenChainId, 12)
+            .getBalances('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM')
+            .call('get-daemon-tokens');
+        assert.strictEqual(batch.size(), 7);
+
+        const results = await batch.execute();
+        assert.lengthOf(requests, 1);
+        assert.deepEqual(requests[0].map(request => request.method), ['get-balance', 'get-transaction', 'get-transaction', 'get-stats', 'get-nf-token', 'get-balances', 'get-daemon-tokens']);
+        assert.deepEqual(requests[0][4].params, {chainid: nfTokenChainId, nftokenid: 12});
+
+        assert.instanceOf(results[0].result, BigNumber);
+        assert.strictEqual(results[0].result.toFixed(), '99999999999999999999');
+        assert.instanceOf(results[1].result, Transaction);
+        assert.strictEqual(results[1].result.getEntryhash(), tx.getEntry().hashHex());
+        assert.strictEqual(results[2].result.entryhash, tx.getEntry().hashHex());
+        assert.instanceOf(results[3].result.circulating, BigNumber);
+        assert.instanceOf(results[4].error, Error);
+        assert.match(results[4].error.message, /Token Not Found/);
+        assert.isTrue(results[5].result[tokenChainId].isEqualTo(150));
+        assert.instanceOf(results[6].error, Error);
+
+        assert.throws(() => batch.getStats(tokenChainId), /already been executed/);
+        let error;
+        await batch.execute().catch(e => error = e);
+        assert.instanceOf(error, Error);
+    });
+
+    it('Per call validation errors', async function () {
+        const batch = cli.batch()
+            .getBalance(tokenChainId, 'FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM')
+            .getBalance(tokenChainId, 'not an address');
+        assert.throws(() => batch.getTransaction(tokenChainId, 'abc'));
+        assert.throws(() => batch.getBalance('abc', 'FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM'));
+
+        const results = await batch.execute();
+        assert.lengthOf(requests[0], 1);
+        assert.isTrue(results[0].result.isEqualTo('99999999999999999999'));
+        assert.match(results[1].error.message, /valid public Factoid address/);
+
+        //pending entries are requested per call
+        const pending = new CLIBuilder().endpoints(['http://127.0.0.1:' + server.address().port]).pending(true).build();
+        await pending.batch().getStats(tokenChainId).call('get-daemon-tokens').execute();
+        assert.isTrue(requests[1][0].params.includepending);
+        assert.isUndefined(requests[1][1].params);
+
+        //empty batches send nothing
+        assert.deepEqual(await cli.batch().execute(), []);
+        assert.lengthOf(requests, 2);
+    });
+
+    it('Validate batch results', async function () {
+        const strict = new CLIBuilder().endpoints(['http://127.0.0.1:' + server.address().port]).responseValidation('strict').build();
+        const results = await strict.batch()
+            .getStats(tokenChainId)
+            .call('get-sync-status')
+            .execute();
+
+        assert.isTrue(results[0].result.circulating.isEqualTo(100));
+        assert.instanceOf(results[1].error, errors.InvalidResponseError);
+        assert.strictEqual(results[1].error.method, 'get-sync-status');
+        assert.strictEqual(results[1].error.field, 'syncheight');
+    });
+
+    it('Batch capability negotiation', async function () {
+        const {MockFatd} = require('../../testing');
+        const IssuanceBuilder = require('../../0/IssuanceBuilder');
+
+        //fatd 0.5.1 has no get-balances
+        const fatd = new MockFatd({version: '0.5.1'});
+        const issuance = new IssuanceBuilder('batch', '888888d027c59579fc47a6fc6c4a5c0409c7c39bc38a86cb5fc0069978493762', 'sk11pz4AG9XgB1eNVkbppYAWsgyg7sftDXqBASsagKJqvVRKYodCU').build();
+        const chainId = fatd.addIssuance(issuance);
+        fatd.addTransaction(new TransactionBuilder(chainId)
+            .coinbaseInput(10)
+            .output('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM', 10)
+            .sk1('sk11pz4AG9XgB1eNVkbppYAWsgyg7sftDXqBASsagKJqvVRKYodCU')
+            .build());
+        const address = await fatd.listen();
+
+        try {
+            const legacy = new CLIBuilder().host(address.address).port(address.port).build();
+            const results = await legacy.batch()
+                .getBalances('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM')
+                .call('get-balances', {address: 'FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM'})
+                .getStats(chainId)
+                .execute();
+
+            //getBalances falls back to a get-balance call per tracked token
+            assert.deepEqual(Object.keys(results[0].result), [chainId]);
+            assert.isTrue(results[0].result[chainId].isEqualTo(10));
+            assert.instanceOf(results[1].error, errors.UnsupportedMethodError);
+            assert.strictEqual(results[1].error.minimumVersion, '0.6.0');
+            assert.isTrue(results[2].result.circulating.isEqualTo(10));
+        } finally {
+            await fatd.close();
+        }
+    });
+
+    it('Batch transport errors', async function () {
+        const closed = http.createServer();
+        await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+        const url = 'http://127.0.0.1:' + closed.address().port;
+        await new Promise(resolve => closed.close(resolve));
+
+        //every call settles with the error of the failed request instead of rejecting execute
+        const unreachable = new CLIBuilder().endpoints([url]).retry({retries: 0}).build();
+        const results = await unreachable.batch()
+            .getStats(tokenChainId)
+            .getBalance(tokenChainId, 'FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM')
+            .getBalances('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM')
+            .execute();
+
+        assert.lengthOf(results, 3);
+        assert.isTrue(results.every(result => result.error instanceof errors.NetworkError));
+    });
+});
+
+describe('CLI Pagination Unit', function () {
+    const http = require('http');
+    const util = require('../../util');
+    const Transaction = require('../../0/Transaction');
+    const TransactionBuilder = require('../../0/TransactionBuilder');
+
+    const tokenChainId = '013de826902b7d075f00101649ca4fa7b49b5157cba736b2ca90f67e2ad6e8ec';
+    const nfTokenChainId = '962a18328c83f370113ff212bae21aaf34e5252bc33d59c9db3df2a6bfda966f';
+
+    const transactions = Array(7).fill(0).map((zero, index) => {
+        const tx = new TransactionBuilder(tokenChainId)
+            .input("Fs1PkAEbmo1XNangSnxmKqi1PN5sVDbQ6zsnXCsMUejT66WaDgkm", index + 1)
+            .output("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", index + 1)
+            .build();
+        return {entryhash: tx.getEntry().hashHex(), timestamp: tx.getTimestamp(), data: JSON.parse(tx.getEntry().content.toString())};
+    });
+    const nfBalance = [{min: 0, max: 3}, 5, {min: 8, max: 9}];
+
+    let server;
+    let requests;
+    let cli;
+
+    before(async function () {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', data => body += data);
+            req.on('end', () => {
+                const request = JSON.parse(body);
+                requests.push(request);
+
+                const start = request.params.page * request.params.limit;
+                let result;
+                switch (request.method) {
+                    case 'get-transactions': {
+                        //the entryhash cursor skips the transactions before it
+                        const offset = request.params.entryhash ? transactions.findIndex(tx => tx.entryhash === request.params.entryhash) : 0;
+                        result = transactions.slice(offset).slice(start, start + request.params.limit);
+                        break;
+                    }
+                    case 'get-nf-balance':
+                        //a misbehaving fatd ignoring the page limit for one address
+                        if (request.params.address === 'FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN') result = [{min: 0, max: 1e12}];
+                        else result = util.reduceNFIds(util.expandNFIds(nfBalance).slice(start, start + request.params.limit));
+                        break;
+                    case 'get-nf-tokens':
+                        result = [0, 1, 2].slice(start, start + request.params.limit).map(id => ({id, owner: 'FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM'}));
+                        break;
+                }
+                res.writeHead(200, {'Content-Type': 'application/json'});
+                res.end(JSON.stringify({jsonrpc: '2.0', id: request.id, result}));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        cli = new CLIBuilder().endpoints(['http://127.0.0.1:' + server.address().port]).build();
+    });
+
+    beforeEach(function () {
+        requests = [];
+    });
+
+    after(async function () {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    async function collect(iterator) {
+        const items = [];
+        for (let next = await iterator.next(); !next.done; next = await iterator.next()) items.push(next.value);
+        return items;
+    }
+
+    it('Iterate transactions', async function () {
+        const tokenCLI = cli.getTokenCLISync(tokenChainId, 'FAT-0');
+
+        const all = await collect(tokenCLI.iterateTransactions({addresses: ['FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM'], pageSize: 3}));
+        assert.lengthOf(all, 7);
+        all.forEach(tx => assert.instanceOf(tx, Transaction));
+        assert.deepEqual(all.map(tx => tx.getEntryhash()), transactions.map(tx => tx.entryhash));
+        assert.deepEqual(requests.map(request => request.params.page), [0, 1, 2]);
+        assert.isTrue(requests.every(request => request.params.limit === 3));
+
+        //a full last page needs one more request to find the end
+        requests = [];
+        assert.lengthOf(await collect(tokenCLI.iterateTransactions({pageSize: 7})), 7);
+        assert.lengthOf(requests, 2);
+
+        //resume from an entryhash cursor
+        const resumed = await collect(tokenCLI.iterateTransactions({entryhash: transactions[4].entryhash}));
+        assert.deepEqual(resumed.map(tx => tx.getEntryhash()), transactions.slice(4).map(tx => tx.entryhash));
+    });
+
+    it('Limit & cancel iteration', async function () {
+        const tokenCLI = cli.getTokenCLISync(tokenChainId, 'FAT-0');
+
+        assert.lengthOf(await collect(tokenCLI.iterateTransactions({pageSize: 2, max: 3})), 3);
+        assert.lengthOf(requests, 2);
+
+        //pages are only fetched as items are consumed
+        requests = [];
+        const iterator = tokenCLI.iterateTransactions({pageSize: 2, page: 1});
+        assert.lengthOf(requests, 0);
+        assert.strictEqual((await iterator.next()).value.getEntryhash(), transactions[2].entryhash);
+        await iterator.next();
+        assert.deepEqual(await iterator.return(), {value: undefined, done: true});
+        assert.isTrue((await iterator.next()).done);
+        assert.lengthOf(requests, 1);
+
+        assert.throws(() => tokenCLI.iterateTransactions({limit: 10}), /pageSize/);
+        assert.throws(() => tokenCLI.iterateTransactions({pageSize: 0}), errors.ValidationError);
+        assert.throws(() => tokenCLI.iterateTransactions({max: -1}), errors.ValidationError);
+        assert.throws(() => tokenCLI.iterateTransactions({page: 1.5}), errors.ValidationError);
+        assert.throws(() => tokenCLI.iterateTransactions({addresses: ['FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBN']}));
+    });
+
+    it('Iterate non-fungible tokens', async function () {
+        const tokenCLI = cli.getTokenCLISync(nfTokenChainId, 'FAT-1');
+
+        const ids = await collect(tokenCLI.iterateNFBalance({address: 'FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM', pageSize: 3}));
+        assert.deepEqual(ids, [0, 1, 2, 3, 5, 8, 9]);
+        assert.lengthOf(requests, 3);
+
+        const tokens = await collect(tokenCLI.iterateNFTokens({pageSize: 2}));
+        assert.deepEqual(tokens.map(token => token.id), [0, 1, 2]);
+
+        //oversized pages are rejected instead of expanded
+        const error = await collect(tokenCLI.iterateNFBalance({address: 'FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN'})).catch(e => e);
+        assert.instanceOf(error, errors.InvalidResponseError);
+
+        assert.throws(() => tokenCLI.iterateNFBalance({}));
+        assert.throws(() => tokenCLI.iterateNFTokens({order: 'sideways'}));
+    });
+});
@@ -0,0 +1,239 @@
+const assert = require('chai').assert;
+const http = require('http');
+
+const {CLIBuilder} = require('../../cli/CLI');
+const TokenWatcher = require('../../cli/TokenWatcher');
+const Transaction = require('../../0/Transaction');
+const TransactionBuilder = require('../../0/TransactionBuilder');
+const errors = require('../../errors');
+
+const tokenChainId = '013de826902b7d075f00101649ca4fa7b49b5157cba736b2ca90f67e2ad6e8ec';
+const watched = 'FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM';
+const other = 'FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr';
+
+describe('Token Watcher Unit', function () {
+
+    let server;
+    let fatd;
+    let cli;
+
+    beforeEach(async function () {
+        fatd = {transactions: [], balances: {}, requests: [], failing: false};
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', data => body += data);
+            req.on('end', () => {
+                const request = JSON.parse(body);
+                fatd.requests.push(request);
+
+                const response = {jsonrpc: '2.0', id: request.id};
+                if (fatd.failing) response.error = {code: -32603, message: 'Internal error'};
+                else response.result = handle(fatd, request.method, request.params);
+
+                res.writeHead(200, {'Content-Type': 'application/json'});
+                res.end(JSON.stringify(response));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        cli = new CLIBuilder()
+            .endpoints(['http://127.0.0.1:' + server.address().port])
+            .retry({retries: 0})
+            .pending(true)
+            .build();
+    });
+
+    afterEach(async function () {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    function record(watcher) {
+        const events = [];
+        ['pending', 'confirmed', 'dropped', 'balance'].forEach(event => watcher.on(event, value => events.push([event, value])));
+        return events;
+    }
+
+    it('Pending, confirmed & balance events', async function () {
+        const watcher = new TokenWatcher(cli.getTokenCLISync(tokenChainId, 'FAT-0'), {addresses: [watched]});
+        const events = record(watcher);
+        const cursors = [];
+        watcher.on('cursor', cursor => cursors.push(cursor));
+
+        //initial balance
+        fatd.balances[watched] = 0;
+        await watcher.poll();
+        assert.deepEqual(events.map(event => event[0]), ['balance']);
+        assert.isTrue(events[0][1].balance.isEqualTo(0));
+        assert.isUndefined(events[0][1].previous);
+
+        //incoming payment seen pending
+        events.length = 0;
+        const tx1 = addTransaction(fatd, 10, true);
+        fatd.balances[watched] = 10;
+        await watcher.poll();
+        assert.deepEqual(events.map(event => event[0]), ['pending', 'balance']);
+        assert.instanceOf(events[0][1], Transaction);
+        assert.strictEqual(events[0][1].getEntryhash(), tx1.entryhash);
+        assert.isTrue(events[0][1].getPending());
+        assert.isTrue(events[1][1].previous.isEqualTo(0));
+        assert.isTrue(events[1][1].balance.isEqualTo(10));
+        assert.isTrue(fatd.requests.some(request => request.method === 'get-transactions' && request.params.includepending));
+
+        //nothing changed
+        events.length = 0;
+        await watcher.poll();
+        assert.lengthOf(events, 0);
+
+        //confirmation & a later confirmed transaction behind a pending one
+        tx1.pending = false;
+        const tx2 = addTransaction(fatd, 20, true);
+        const tx3 = addTransaction(fatd, 30, false);
+        fatd.balances[watched] = 60;
+        await watcher.poll();
+        assert.deepEqual(events.map(event => [event[0], event[1].getEntryhash ? event[1].getEntryhash() : undefined]), [
+            ['confirmed', tx1.entryhash],
+            ['pending', tx2.entryhash],
+            ['confirmed', tx3.entryhash],
+            ['balance', undefined]
+        ]);
+        assert.deepEqual(watcher.getCursor(), {entryhash: tx1.entryhash, confirmed: [tx3.entryhash], pending: [tx2.entryhash], balances: {[watched]: '60'}});
+
+        //each transaction is only confirmed once
+        events.length = 0;
+        tx2.pending = false;
+        await watcher.poll();
+        assert.deepEqual(events.map(event => [event[0], event[1].getEntryhash()]), [['confirmed', tx2.entryhash]]);
+        assert.deepEqual(watcher.getCursor(), {entryhash: tx3.entryhash, confirmed: [], pending: [], balances: {[watched]: '60'}});
+        assert.deepEqual(cursors[cursors.length - 1], watcher.getCursor());
+
+        //other addresses are not reported
+        events.length = 0;
+        addTransaction(fatd, 5, false, other);
+        await watcher.poll();
+        assert.lengthOf(events, 0);
+    });
+
+    it('Resume from cursor', async function () {
+        const tx1 = addTransaction(fatd, 10, false);
+        const tx2 = addTransaction(fatd, 20, true);
+        fatd.balances[watched] = 30;
+
+        const first = new TokenWatcher(cli.getTokenCLISync(tokenChainId, 'FAT-0'), {addresses: [watched]});
+        const firstEvents = record(first);
+        await first.poll();
+        assert.deepEqual(firstEvents.map(event => event[0]), ['confirmed', 'pending', 'balance']);
+
+        //a restarted watcher does not repeat events
+        const cursor = JSON.parse(JSON.stringify(first.getCursor()));
+        const resumed = new TokenWatcher(cli.getTokenCLISync(tokenChainId, 'FAT-0'), {addresses: [watched], cursor});
+        const events = record(resumed);
+        await resumed.poll();
+        assert.lengthOf(events, 0);
+        assert.strictEqual(fatd.requests.filter(request => request.method === 'get-transactions').pop().params.entryhash, tx1.entryhash);
+
+        //a pending transaction disappearing is reported as dropped
+        fatd.transactions = fatd.transactions.filter(tx => tx !== tx2);
+        fatd.balances[watched] = 10;
+        await resumed.poll();
+        assert.deepEqual(events.map(event => event[0]), ['dropped', 'balance']);
+        assert.strictEqual(events[0][1], tx2.entryhash);
+        assert.deepEqual(resumed.getCursor().pending, []);
+
+        assert.throws(() => new TokenWatcher(cli.getTokenCLISync(tokenChainId, 'FAT-0'), {cursor: {entryhash: 'abc'}}));
+    });
+
+    it('Watch a whole token chain', async function () {
+        addTransaction(fatd, 10, false);
+        addTransaction(fatd, 20, false, other);
+
+        //pending transactions are not requested unless the CLI is in pending mode
+        const confirmedOnly = new CLIBuilder().endpoints(['http://127.0.0.1:' + server.address().port]).build();
+        const watcher = new TokenWatcher(confirmedOnly.getTokenCLISync(tokenChainId, 'FAT-0'), {pageSize: 1});
+        const events = record(watcher);
+
+        addTransaction(fatd, 30, true);
+        await watcher.poll();
+        assert.deepEqual(events.map(event => event[0]), ['confirmed', 'confirmed']);
+        assert.isFalse(fatd.requests.some(request => request.method === 'get-balance'));
+        assert.isFalse(fatd.requests.some(request => request.params.includepending));
+    });
+
+    it('Emit page by page', async function () {
+        const txs = [10, 20, 30].map(amount => addTransaction(fatd, amount, false));
+        const watcher = new TokenWatcher(cli.getTokenCLISync(tokenChainId, 'FAT-0'), {pageSize: 1});
+
+        //each page is emitted & the cursor advanced before the next page is fetched
+        const confirmed = [];
+        watcher.on('confirmed', tx => confirmed.push([tx.getEntryhash(), fatd.requests.filter(request => request.method === 'get-transactions').length, watcher.getCursor().entryhash]));
+        await watcher.poll();
+        assert.deepEqual(confirmed, txs.map((tx, i) => [tx.entryhash, i + 1, tx.entryhash]));
+
+        //a poll failing midway keeps the pages already applied
+        const more = [40, 50].map(amount => addTransaction(fatd, amount, false));
+        const interrupted = new TokenWatcher(cli.getTokenCLISync(tokenChainId, 'FAT-0'), {pageSize: 2, cursor: {entryhash: txs[1].entryhash}});
+        interrupted.on('confirmed', () => fatd.failing = true);
+        let error;
+        await interrupted.poll().catch(e => error = e);
+        assert.instanceOf(error, Error);
+        assert.strictEqual(interrupted.getCursor().entryhash, txs[2].entryhash);
+
+        fatd.failing = false;
+        const resumed = new TokenWatcher(cli.getTokenCLISync(tokenChainId, 'FAT-0'), {cursor: interrupted.getCursor()});
+        const events = record(resumed);
+        await resumed.poll();
+        assert.deepEqual(events.map(event => [event[0], event[1].getEntryhash()]), more.map(tx => ['confirmed', tx.entryhash]));
+
+        assert.throws(() => new TokenWatcher(cli.getTokenCLISync(tokenChainId, 'FAT-0'), {pageSize: 0}), errors.ValidationError);
+        assert.throws(() => new TokenWatcher(cli.getTokenCLISync(tokenChainId, 'FAT-0'), {pageSize: 2.5}), errors.ValidationError);
+    });
+
+    it('Start & stop', async function () {
+        const watcher = new TokenWatcher(cli.getTokenCLISync(tokenChainId, 'FAT-0'), {addresses: [watched], interval: 10});
+        fatd.balances[watched] = 10;
+        addTransaction(fatd, 10, false);
+
+        const confirmed = new Promise(resolve => watcher.once('confirmed', resolve));
+        assert.strictEqual(watcher.start(), watcher);
+        await confirmed;
+
+        //failed polls are emitted and polling continues
+        fatd.failing = true;
+        await new Promise(resolve => watcher.once('error', resolve));
+        fatd.failing = false;
+        const recovered = new Promise(resolve => watcher.once('confirmed', resolve));
+        addTransaction(fatd, 20, false);
+        await recovered;
+
+        await watcher.stop();
+        const requests = fatd.requests.length;
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.strictEqual(fatd.requests.length, requests);
+
+        assert.throws(() => new TokenWatcher({}), errors.ValidationError);
+        assert.throws(() => new TokenWatcher(cli.getTokenCLISync(tokenChainId, 'FAT-0'), {addresses: []}));
+        assert.throws(() => new TokenWatcher(cli.getTokenCLISync(tokenChainId, 'FAT-0'), {addresses: ['FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBN']}));
+    });
+});
+
+function addTransaction(fatd, amount, pending, output) {
+    const tx = new TransactionBuilder(tokenChainId)
+        .input("Fs1PkAEbmo1XNangSnxmKqi1PN5sVDbQ6zsnXCsMUejT66WaDgkm", amount)
+        .output(output || watched, amount)
+        .build();
+    const response = {entryhash: tx.getEntry().hashHex(), timestamp: tx.getTimestamp(), data: JSON.parse(tx.getEntry().content.toString()), pending};
+    fatd.transactions.push(response);
+    return response;
+}
+
+function handle(fatd, method, params) {
+    switch (method) {
+        case 'get-transactions': {
+            let transactions = fatd.transactions.filter(tx => params.includepending || !tx.pending);
+            if (params.addresses) transactions = transactions.filter(tx => params.addresses.some(address => address in tx.data.inputs || address in tx.data.outputs));
+            if (params.entryhash) transactions = transactions.slice(transactions.findIndex(tx => tx.entryhash === params.entryhash));
+            const start = params.page * params.limit;
+            return transactions.slice(start, start + params.limit).map(tx => tx.pending ? tx : {entryhash: tx.entryhash, timestamp: tx.timestamp, data: tx.data});
+        }
+        case 'get-balance':
+            return fatd.balances[params.address] || 0;
+    }
+}
@@ -8,5 +8,7 @@ describe('FAT Constants', function () {
         assert.isTrue(constant.RCD_TYPE_1.equals(Buffer.from('01', 'hex')));
         assert.strictEqual(constant.COINBASE_ADDRESS_PUBLIC, 'FA1zT4aFpEvcnPqPCigB3fvGu4Q4mTXY22iiuV69DqE1pNhdF2MC');
         assert.strictEqual(constant.COINBASE_ADDRESS_PRIVATE, 'Fs1KWJrpLdfucvmYwN2nWrwepLn8ercpMbzXshd1g8zyhKXLVLWj');
+        assert.strictEqual(constant.MAX_TIMESTAMP_DELTA, 43200);
+        assert.strictEqual(constant.PARTIAL_TRANSACTION_VERSION, 1);
     });
 });
\ No newline at end of file
@@ -0,0 +1,91 @@
+const assert = require('chai').assert;
+const errors = require('../../errors');
+const compatibility = require('../../cli/compatibility');
+const TransactionBuilder0 = require('../../0/TransactionBuilder');
+const Transaction0 = require('../../0/Transaction');
+const TransactionBuilder1 = require('../../1/TransactionBuilder');
+const IssuanceBuilder0 = require('../../0/IssuanceBuilder');
+const util = require('../../util');
+
+const tokenChainId = '013de826902b7d075f00101649ca4fa7b49b5157cba736b2ca90f67e2ad6e8ec';
+
+describe('Errors Unit', function () {
+
+    it('Error classes', function () {
+        const rpcError = new errors.FatdRpcError({code: -32800, message: 'Token Not Found', data: 'token not yet issued'}, 'get-issuance');
+        assert.instanceOf(rpcError, Error);
+        assert.instanceOf(rpcError, errors.FatError);
+        assert.strictEqual(rpcError.name, 'FatdRpcError');
+        assert.strictEqual(rpcError.code, 'TOKEN_NOT_FOUND');
+        assert.strictEqual(rpcError.rpcCode, -32800);
+        assert.strictEqual(rpcError.rpcMessage, 'Token Not Found');
+        assert.strictEqual(rpcError.method, 'get-issuance');
+        assert.deepEqual(JSON.parse(rpcError.message), {code: -32800, message: 'Token Not Found', data: 'token not yet issued'});
+
+        assert.strictEqual(new errors.FatdRpcError({code: -32601, message: 'Method not found'}).code, 'METHOD_NOT_FOUND');
+        assert.strictEqual(new errors.FatdRpcError({code: -32802, message: 'Token Syncing'}).code, 'TOKEN_SYNCING');
+        assert.strictEqual(new errors.FatdRpcError({code: -1, message: 'Unknown'}).code, 'FATD_RPC_ERROR');
+
+        const timeout = errors.fromAxiosError(Object.assign(new Error('timeout of 50ms exceeded'), {code: 'ECONNABORTED'}), 'http://localhost:8078');
+        assert.instanceOf(timeout, errors.TimeoutError);
+        assert.strictEqual(timeout.code, 'TIMEOUT');
+        assert.strictEqual(timeout.url, 'http://localhost:8078');
+
+        const network = errors.fromAxiosError(Object.assign(new Error('Request failed with status code 502'), {response: {status: 502}}));
+        assert.notInstanceOf(network, errors.TimeoutError);
+        assert.strictEqual(network.code, 'NETWORK_ERROR');
+        assert.strictEqual(network.status, 502);
+
+        assert.deepEqual(new errors.CompatibilityError('Unsupported').issues, []);
+    });
+
+    it('Validation errors', function () {
+        const assertField = (fn, field) => {
+            try {
+                fn();
+            } catch (e) {
+                assert.instanceOf(e, errors.ValidationError);
+                assert.strictEqual(e.code, 'VALIDATION_ERROR');
+                assert.strictEqual(e.field, field);
+                return;
+            }
+            assert.fail('Expected a ValidationError');
+        };
+
+        assertField(() => new TransactionBuilder0('abc'), 'tokenChainId');
+        assertField(() => new TransactionBuilder0(tokenChainId).output('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBL', 10), 'outputs');
+        assertField(() => new TransactionBuilder0(tokenChainId).output('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM', 10).build(), 'inputs');
+        assertField(() => new TransactionBuilder0(tokenChainId).input('Fs1PkAEbmo1XNangSnxmKqi1PN5sVDbQ6zsnXCsMUejT66WaDgkm', 10).output('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM', 11).build(), 'outputs');
+        assertField(() => new TransactionBuilder1(tokenChainId).input('Fs1PkAEbmo1XNangSnxmKqi1PN5sVDbQ6zsnXCsMUejT66WaDgkm', [{min: 1, max: 0}]), 'inputs');
+        assertField(() => new IssuanceBuilder0('test', '888888d027c59579fc47a6fc6c4a5c0409c7c39bc38a86cb5fc0069978493762', 'sk11pz4AG9XgB1eNVkbppYAWsgyg7sftDXqBASsagKJqvVRKYodCU').symbol('TOOLONG'), 'symbol');
+        assertField(() => Transaction0.fromPartial({}), 'partial');
+        assertField(() => util.getEntryCreditCost(20000), 'payloadSize');
+    });
+
+    it('Signature errors', function () {
+        const partial = new TransactionBuilder0(tokenChainId)
+            .input('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM', 50)
+            .input('Fs1PkAEbmo1XNangSnxmKqi1PN5sVDbQ6zsnXCsMUejT66WaDgkm', 100)
+            .output('FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr', 150)
+            .build()
+            .toPartial();
+
+        const tampered = Object.assign({}, partial, {content: partial.content.replace('150', '149')});
+        try {
+            Transaction0.fromPartial(tampered);
+            assert.fail('Expected a SignatureError');
+        } catch (e) {
+            assert.instanceOf(e, errors.SignatureError);
+            assert.strictEqual(e.code, 'SIGNATURE_ERROR');
+            assert.strictEqual(e.index, 1);
+        }
+
+        assert.throws(() => new TransactionBuilder0(Transaction0.fromPartial(partial)).pkSignature(Buffer.alloc(32), Buffer.alloc(64)), errors.SignatureError);
+    });
+
+    it('Compatibility of unknown daemons', function () {
+        const issues = compatibility.getVersionCompatibility(undefined);
+        assert.lengthOf(issues, 1);
+        assert.strictEqual(issues[0].severity, 'FATAL');
+    });
+});
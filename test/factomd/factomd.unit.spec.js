@@ -0,0 +1,380 @@
+const assert = require('chai').assert;
+const http = require('http');
+const crypto = require('crypto');
+const {FactomCli, Entry} = require('factom');
+
+const IssuanceDeployer = require('../../factomd/IssuanceDeployer');
+const FactomSubmitter = require('../../factomd/FactomSubmitter');
+const {CLIBuilder} = require('../../cli/CLI');
+const errors = require('../../errors');
+
+const issuerChainId = '888888d027c59579fc47a6fc6c4a5c0409c7c39bc38a86cb5fc0069978493762';
+const sk1 = 'sk11pz4AG9XgB1eNVkbppYAWsgyg7sftDXqBASsagKJqvVRKYodCU';
+const ecAddress = 'Es32PjobTxPTd73dohEFRegMFRLv3X5WZ4FXEwNN8kE2pMDfeMym';
+const tokenChainId = '013de826902b7d075f00101649ca4fa7b49b5157cba736b2ca90f67e2ad6e8ec';
+
+describe('Factomd Unit', function () {
+    this.timeout(20000);
+
+    const IssuanceBuilder = require('../../0/IssuanceBuilder');
+
+    let mock;
+    let address;
+
+    beforeEach(async function () {
+        mock = new MockFactomd();
+        address = await mock.listen();
+    });
+
+    afterEach(async function () {
+        await mock.close();
+    });
+
+    it('Deploy issuance', async function () {
+        const issuance = new IssuanceBuilder('deploytoken', issuerChainId, sk1)
+            .symbol('DPL')
+            .supply(1000)
+            .build();
+
+        const cli = new CLIBuilder()
+            .host('127.0.0.1')
+            .port(address.port)
+            .build();
+
+        const updates = [];
+        const deployer = new IssuanceDeployer(issuance, {
+            factom: {factomd: {host: '127.0.0.1', port: address.port}},
+            ecAddress,
+            cli,
+            pollInterval: 10,
+            onProgress: progress => updates.push(progress.stage)
+        });
+
+        const progress = await deployer.deploy();
+        assert.strictEqual(progress.stage, 'tracked');
+        assert.strictEqual(progress.chainId, issuance.getChainId());
+        assert.strictEqual(progress.entryHash, issuance.getEntry().hashHex());
+        assert.strictEqual(progress.chainEntryHash, issuance.getChain().firstEntry.hashHex());
+        assert.deepEqual(updates, ['chain-created', 'issuance-posted', 'tracked']);
+
+        assert.deepEqual(mock.entries[issuance.getChainId()], [progress.chainEntryHash, progress.entryHash]);
+        assert.strictEqual(mock.calls['commit-chain'], 1);
+        assert.strictEqual(mock.calls['commit-entry'], 1);
+
+        //deploying again only confirms the existing chain & entry
+        const again = await new IssuanceDeployer(issuance, {factom: new FactomCli({factomd: {host: '127.0.0.1', port: address.port}}), ecAddress}).deploy();
+        assert.strictEqual(again.stage, 'issuance-posted');
+        assert.strictEqual(mock.calls['commit-chain'], 1);
+        assert.strictEqual(mock.calls['commit-entry'], 1);
+    });
+
+    it('Resume deployment', async function () {
+        const issuance = new IssuanceBuilder('resumetoken', issuerChainId, sk1)
+            .symbol('RSM')
+            .build();
+
+        //interrupted after the chain was created
+        mock.failing = 'commit-entry';
+        const deployer = new IssuanceDeployer(issuance, {factom: {factomd: {host: '127.0.0.1', port: address.port}}, ecAddress});
+
+        let error;
+        await deployer.deploy().catch(e => error = e);
+        assert.instanceOf(error, errors.FatdRpcError);
+        assert.strictEqual(error.code, 'INTERNAL_ERROR');
+        assert.strictEqual(error.method, 'commit-entry');
+        assert.strictEqual(deployer.getProgress().stage, 'chain-created');
+
+        mock.failing = undefined;
+        const resumed = new IssuanceDeployer(issuance, {
+            factom: {factomd: {host: '127.0.0.1', port: address.port}},
+            ecAddress,
+            progress: JSON.parse(JSON.stringify(deployer.getProgress()))
+        });
+
+        const progress = await resumed.deploy();
+        assert.strictEqual(progress.stage, 'issuance-posted');
+        assert.strictEqual(mock.calls['commit-chain'], 1);
+        assert.strictEqual(mock.calls['commit-entry'], 2);
+        assert.lengthOf(mock.entries[issuance.getChainId()], 2);
+
+        //progress of another issuance is rejected
+        const other = new IssuanceBuilder('othertoken', issuerChainId, sk1).symbol('OT').build();
+        assert.throws(() => new IssuanceDeployer(other, {factom: {}, ecAddress, progress}), errors.ValidationError, /does not belong/);
+        assert.throws(() => new IssuanceDeployer(issuance, {factom: {}, ecAddress, progress: {chainId: issuance.getChainId(), stage: 'done'}}), errors.ValidationError, /Invalid progress stage/);
+    });
+
+    it('Wait for fatd', async function () {
+        const issuance = new IssuanceBuilder('slowtoken', issuerChainId, sk1)
+            .symbol('SLW')
+            .build();
+
+        mock.tracking = false;
+        const cli = new CLIBuilder().host('127.0.0.1').port(address.port).build();
+        const deployer = new IssuanceDeployer(issuance, {factom: {factomd: {host: '127.0.0.1', port: address.port}}, ecAddress, cli, pollInterval: 10, trackTimeout: 0.2});
+
+        let error;
+        await deployer.deploy().catch(e => error = e);
+        assert.match(error.message, /Timed out waiting for fatd/);
+        assert.strictEqual(deployer.getProgress().stage, 'issuance-posted');
+        assert.isAbove(mock.calls['get-issuance'], 1);
+        assert.instanceOf(error, errors.TimeoutError);
+        assert.strictEqual(error.code, 'TIMEOUT');
+
+        //other fatd errors are not polled through
+        mock.failing = 'get-issuance';
+        const calls = mock.calls['get-issuance'];
+        await deployer.deploy().catch(e => error = e);
+        assert.instanceOf(error, errors.FatdRpcError);
+        assert.strictEqual(error.code, 'INTERNAL_ERROR');
+        assert.strictEqual(mock.calls['get-issuance'], calls + 1);
+        assert.strictEqual(deployer.getProgress().stage, 'issuance-posted');
+    });
+
+    it('Submit transaction', async function () {
+        const TransactionBuilder = require('../../0/TransactionBuilder');
+        const Transaction = require('../../0/Transaction');
+
+        const tx = new TransactionBuilder(tokenChainId)
+            .input("Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ", 150)
+            .output("FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr", 150)
+            .build();
+
+        const submitter = new FactomSubmitter({factom: {factomd: {host: '127.0.0.1', port: address.port}}, ecAddress});
+        const result = await submitter.submit(tx);
+        assert.strictEqual(result.chainid, tokenChainId);
+        assert.strictEqual(result.entryhash, tx.getEntry().hashHex());
+        assert.isString(result.txid);
+        assert.deepEqual(mock.entries[tokenChainId], [result.entryhash]);
+        assert.strictEqual(mock.calls['commit-entry'], 1);
+        assert.strictEqual(Transaction.fromEntry(Entry.builder().chainId(tokenChainId).extIds(mock.extIds(result.entryhash)).content(mock.content(result.entryhash)).build()).getEntryhash(), result.entryhash);
+
+        //submitting again does not pay for the entry twice
+        const again = await submitter.submit(tx);
+        assert.strictEqual(again.entryhash, result.entryhash);
+        assert.isUndefined(again.txid);
+        assert.strictEqual(mock.calls['commit-entry'], 1);
+
+        //factomd errors are passed through
+        mock.failing = 'commit-entry';
+        let error;
+        await submitter.submit(new TransactionBuilder(tokenChainId)
+            .input("Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ", 10)
+            .output("FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr", 10)
+            .build()).catch(e => error = e);
+        assert.instanceOf(error, Error);
+
+        //only fully signed transactions are submitted
+        const unsigned = new TransactionBuilder(tokenChainId)
+            .input("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", 10)
+            .output("FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr", 10)
+            .build();
+        error = undefined;
+        await submitter.submit(unsigned).catch(e => error = e);
+        assert.instanceOf(error, errors.SignatureError);
+        assert.match(error.message, /fully signed/);
+        error = undefined;
+        await submitter.submit({}).catch(e => error = e);
+        assert.instanceOf(error, errors.ValidationError);
+        assert.strictEqual(error.field, 'transaction');
+
+        assert.throws(() => new FactomSubmitter({ecAddress}), errors.ValidationError);
+        assert.throws(() => new FactomSubmitter({factom: {}, ecAddress: 'FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM'}), errors.ValidationError);
+        assert.throws(() => new FactomSubmitter({factom: {}, ecAddress, cli: {}}), errors.ValidationError);
+    });
+
+    it('Wait for fatd to index transaction', async function () {
+        const TransactionBuilder = require('../../1/TransactionBuilder');
+        const Transaction = require('../../1/Transaction');
+
+        const tx = new TransactionBuilder(tokenChainId)
+            .input("Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ", [0])
+            .output("FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr", [0])
+            .build();
+
+        const cli = new CLIBuilder().host('127.0.0.1').port(address.port).build();
+        const factom = new FactomCli({factomd: {host: '127.0.0.1', port: address.port}});
+
+        //fatd indexes the transaction after a few polls
+        mock.tracking = false;
+        const indexing = setInterval(() => mock.tracking = mock.calls['get-transaction'] >= 2, 5);
+        const result = await new FactomSubmitter({factom, ecAddress, cli, pollInterval: 10}).submit(tx).finally(() => clearInterval(indexing));
+        assert.strictEqual(result.entryhash, tx.getEntry().hashHex());
+        assert.isAbove(mock.calls['get-transaction'], 1);
+        assert.instanceOf(await cli.getTokenCLISync(tokenChainId, 'FAT-1').getTransaction(result.entryhash), Transaction);
+
+        //fatd never indexes the transaction
+        mock.tracking = false;
+        let error;
+        await new FactomSubmitter({factom, ecAddress, cli, pollInterval: 10, indexTimeout: 0.1}).submit(new TransactionBuilder(tokenChainId)
+            .input("Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ", [1])
+            .output("FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr", [1])
+            .build()).catch(e => error = e);
+        assert.match(error.message, /Timed out waiting for fatd to index transaction/);
+        assert.instanceOf(error, errors.TimeoutError);
+        assert.strictEqual(error.cause.code, 'TRANSACTION_NOT_FOUND');
+
+        //other fatd errors are not polled through
+        mock.failing = 'get-transaction';
+        const calls = mock.calls['get-transaction'];
+        await new FactomSubmitter({factom, ecAddress, cli, pollInterval: 10}).submit(tx).catch(e => error = e);
+        assert.instanceOf(error, errors.FatdRpcError);
+        assert.strictEqual(error.code, 'INTERNAL_ERROR');
+        assert.strictEqual(mock.calls['get-transaction'], calls + 1);
+    });
+
+    it('Reject invalid deployments', function () {
+        const unsigned = new IssuanceBuilder('unsignedtoken', issuerChainId)
+            .id1('id12HQxrj9A4ESYVWqKDx7UC1gJfXpUJDVWt6wHem4fjyNyUKVUx2')
+            .symbol('UNS')
+            .build();
+        const issuance = new IssuanceBuilder('validtoken', issuerChainId, sk1).symbol('VAL').build();
+
+        assert.throws(() => new IssuanceDeployer({}, {factom: {}, ecAddress}), errors.ValidationError);
+        assert.throws(() => new IssuanceDeployer(unsigned, {factom: {}, ecAddress}), errors.SignatureError, /signed/);
+        assert.throws(() => new IssuanceDeployer(issuance, {ecAddress}), errors.ValidationError);
+        assert.throws(() => new IssuanceDeployer(issuance, {factom: {}, ecAddress: 'FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM'}), errors.ValidationError);
+        assert.throws(() => new IssuanceDeployer(issuance, {factom: {}, ecAddress, cli: {}}), errors.ValidationError);
+        assert.throws(() => new IssuanceDeployer(issuance, {factom: {}, ecAddress, onProgress: 'deploy.json'}), errors.ValidationError);
+    });
+
+    it('Reject unreachable factomd', async function () {
+        const issuance = new IssuanceBuilder('unreachabletoken', issuerChainId, sk1).symbol('UNR').build();
+        const factom = new FactomCli({factomd: {host: '127.0.0.1', port: address.port, retry: {retries: 0}}});
+        await mock.close();
+
+        let error;
+        const deployer = new IssuanceDeployer(issuance, {factom, ecAddress});
+        await deployer.deploy().catch(e => error = e);
+        assert.instanceOf(error, errors.NetworkError);
+        assert.strictEqual(error.url, 'http://127.0.0.1:' + address.port + '/v2');
+        assert.instanceOf(error.cause, Error);
+        assert.strictEqual(deployer.getProgress().stage, 'pending');
+
+        error = undefined;
+        const TransactionBuilder = require('../../0/TransactionBuilder');
+        await new FactomSubmitter({factom, ecAddress}).submit(new TransactionBuilder(tokenChainId)
+            .input("Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ", 10)
+            .output("FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr", 10)
+            .build()).catch(e => error = e);
+        assert.instanceOf(error, errors.NetworkError);
+
+        mock = new MockFactomd();
+        address = await mock.listen();
+    });
+});
+
+/**
+ * Minimal in-memory stand-in for factomd's v2 API & fatd's get-issuance & get-transaction, enough to commit & reveal chains and entries
+ */
+class MockFactomd {
+
+    constructor() {
+        this.entries = {};
+        this.reveals = {};
+        this.calls = {};
+        this.tracking = true;
+        this._server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', data => body += data);
+            req.on('end', () => {
+                const request = JSON.parse(body);
+                this.calls[request.method] = (this.calls[request.method] || 0) + 1;
+
+                let response;
+                try {
+                    response = {jsonrpc: '2.0', id: request.id, result: this.handle(request.method, request.params)};
+                } catch (e) {
+                    response = {jsonrpc: '2.0', id: request.id, error: e};
+                }
+
+                //factomd answers errors with 400 bad request, fatd with 200
+                res.writeHead(response.error && req.url === '/v2' ? 400 : 200, {'Content-Type': 'application/json'});
+                res.end(JSON.stringify(response));
+            });
+        });
+    }
+
+    listen() {
+        return new Promise(resolve => this._server.listen(0, '127.0.0.1', () => resolve(this._server.address())));
+    }
+
+    close() {
+        return new Promise(resolve => this._server.close(() => resolve()));
+    }
+
+    extIds(entryHash) {
+        return parseEntry(this.reveals[entryHash]).extids.map(extId => Buffer.from(extId, 'hex'));
+    }
+
+    content(entryHash) {
+        return Buffer.from(parseEntry(this.reveals[entryHash]).content, 'hex');
+    }
+
+    handle(method, params) {
+        if (method === this.failing) throw {code: -32603, message: 'Internal error'};
+
+        switch (method) {
+            case 'chain-head':
+                if (!this.entries[params.chainid]) throw {code: -32009, message: 'Missing Chain Head'};
+                return {chainhead: '', chaininprocesslist: true};
+            case 'entry-credit-balance':
+                return {balance: 1000};
+            case 'commit-chain':
+            case 'commit-entry':
+                return {message: 'Commit success', txid: crypto.createHash('sha256').update(params.message).digest('hex')};
+            case 'reveal-chain':
+            case 'reveal-entry': {
+                const data = Buffer.from(params.entry, 'hex');
+                const chainId = data.slice(1, 33).toString('hex');
+                const entryHash = crypto.createHash('sha256').update(Buffer.concat([crypto.createHash('sha512').update(data).digest(), data])).digest('hex');
+                this.entries[chainId] = (this.entries[chainId] || []).concat(entryHash);
+                this.reveals[entryHash] = data;
+                return {message: 'Entry Reveal Success', entryhash: entryHash, chainid: chainId};
+            }
+            case 'ack':
+                return {commitdata: {status: 'TransactionACK'}, entrydata: {status: 'TransactionACK'}};
+            case 'entry': {
+                if (!this.reveals[params.hash]) throw {code: -32008, message: 'Entry not found'};
+                return parseEntry(this.reveals[params.hash]);
+            }
+            case 'get-transaction': {
+                const data = this.reveals[params.entryhash];
+                if (!this.tracking || !data) throw {code: -32803, message: 'Transaction Not Found'};
+                const entry = parseEntry(data);
+                return {
+                    entryhash: params.entryhash,
+                    timestamp: Number(Buffer.from(entry.extids[0], 'hex').toString()),
+                    data: JSON.parse(Buffer.from(entry.content, 'hex').toString())
+                };
+            }
+            case 'get-issuance': {
+                const entries = this.entries[params.chainid];
+                if (!this.tracking || !entries || entries.length < 2) throw {code: -32800, message: 'Token Not Found'};
+                const chain = parseEntry(this.reveals[entries[0]]);
+                const entry = parseEntry(this.reveals[entries[1]]);
+                return {
+                    chainid: params.chainid,
+                    tokenid: Buffer.from(chain.extids[1], 'hex').toString(),
+                    issuerid: chain.extids[3],
+                    entryhash: entries[1],
+                    timestamp: Number(Buffer.from(entry.extids[0], 'hex').toString()),
+                    issuance: JSON.parse(Buffer.from(entry.content, 'hex').toString())
+                };
+            }
+            default:
+                throw {code: -32601, message: 'Method not found'};
+        }
+    }
+}
+
+function parseEntry(data) {
+    const extIds = [];
+    let offset = 35;
+    const end = offset + data.readUInt16BE(33);
+    while (offset < end) {
+        const length = data.readUInt16BE(offset);
+        extIds.push(data.slice(offset + 2, offset + 2 + length).toString('hex'));
+        offset += 2 + length;
+    }
+    return {chainid: data.slice(1, 33).toString('hex'), extids: extIds, content: data.slice(end).toString('hex')};
+}
@@ -0,0 +1,285 @@
+const assert = require('chai').assert;
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const nacl = require('tweetnacl/nacl-fast').sign;
+const fctAddrUtils = require('factom/src/addresses');
+const fctUtil = require('factom/src/util');
+const fctIdentityCrypto = require('factom-identity-lib/src/crypto');
+
+const util = require('../../util');
+const MemorySigner = require('../../signer/MemorySigner');
+const Keystore = require('../../signer/Keystore');
+const {RemoteSigner, RemoteSignerServer} = require('../../signer/RemoteSigner');
+const TokenState = require('../../state/TokenState');
+const errors = require('../../errors');
+
+const issuerChainId = '888888d027c59579fc47a6fc6c4a5c0409c7c39bc38a86cb5fc0069978493762';
+const tokenChainId = '013de826902b7d075f00101649ca4fa7b49b5157cba736b2ca90f67e2ad6e8ec';
+const sk1 = 'sk11pz4AG9XgB1eNVkbppYAWsgyg7sftDXqBASsagKJqvVRKYodCU';
+const id1 = util.createPublicIdentityAddr('id1', nacl.keyPair.fromSeed(fctIdentityCrypto.extractSecretFromIdentityKey(sk1)).publicKey);
+
+describe('Signer Unit', function () {
+
+    it('Memory Signer', async function () {
+        const signer = new MemorySigner("Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ");
+        assert.isTrue(util.isSigner(signer));
+
+        const publicKey = await signer.getPublicKey();
+        assert.strictEqual(fctAddrUtils.keyToPublicFctAddress(publicKey), 'FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM');
+
+        const data = fctUtil.sha512(Buffer.from('data'));
+        assert.isTrue(nacl.detached.verify(data, await signer.sign(data), publicKey));
+
+        assert.strictEqual(util.createPublicIdentityAddr('id1', await new MemorySigner(sk1).getPublicKey()), id1);
+        assert.throws(() => new MemorySigner('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM'));
+        assert.isFalse(util.isSigner({getPublicKey: () => undefined}));
+    });
+
+    it('FAT-0 Transaction', async function () {
+        const TransactionBuilder = require('../../0/TransactionBuilder');
+        const IssuanceBuilder = require('../../0/IssuanceBuilder');
+
+        //signer & private key inputs keep their order
+        const builder = new TransactionBuilder(tokenChainId)
+            .input(new MemorySigner("Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ"), 100)
+            .input("Fs1PkAEbmo1XNangSnxmKqi1PN5sVDbQ6zsnXCsMUejT66WaDgkm", 50)
+            .output("FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr", 150);
+        assert.throws(() => builder.build(), /buildAsync/);
+
+        const tx = await builder.buildAsync();
+        assert.deepEqual(Object.keys(tx.getInputs()), ['FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM', 'FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN']);
+        assert.isTrue(tx.getInputs()['FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM'].isEqualTo(100));
+        assert.isTrue(tx.validateSignatures());
+
+        //building does not consume the signers
+        assert.isTrue((await builder.buildAsync()).validateSignatures());
+        assert.throws(() => builder.build(), /buildAsync/);
+
+        //issuance & coinbase signed by the issuer identity's signer
+        const issuance = await new IssuanceBuilder('signertoken0', issuerChainId, new MemorySigner(sk1))
+            .symbol('SIG')
+            .supply(1000)
+            .buildAsync();
+        assert.lengthOf(issuance.getEntry().extIds, 3);
+
+        const coinbaseBuilder = new TransactionBuilder(issuance.getChainId())
+            .coinbaseInput(10, new MemorySigner(sk1))
+            .output("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", 10);
+        const coinbase = await coinbaseBuilder.buildAsync();
+        assert.isTrue(coinbase.validate({issuance}).valid);
+        assert.isTrue((await coinbaseBuilder.buildAsync()).validate({issuance}).valid);
+
+        const state = new TokenState('signertoken0', issuerChainId, issuance.getEntry(), [id1]);
+        assert.isTrue(state.applyEntry(coinbase.getEntry()));
+
+        //transactions without signers build as usual
+        const local = await new TransactionBuilder(tokenChainId)
+            .input("Fs1PkAEbmo1XNangSnxmKqi1PN5sVDbQ6zsnXCsMUejT66WaDgkm", 50)
+            .output("FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr", 50)
+            .buildAsync();
+        assert.isTrue(local.validateSignatures());
+    });
+
+    it('FAT-1 Transaction', async function () {
+        const TransactionBuilder = require('../../1/TransactionBuilder');
+        const IssuanceBuilder = require('../../1/IssuanceBuilder');
+
+        const builder = new TransactionBuilder(tokenChainId)
+            .input(new MemorySigner("Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ"), [0, {min: 3, max: 4}])
+            .output("FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr", [0, {min: 3, max: 4}]);
+        const tx = await builder.buildAsync();
+        assert.deepEqual(Object.keys(tx.getInputs()), ['FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM']);
+        assert.isTrue(tx.validateSignatures());
+        assert.isTrue((await builder.buildAsync()).validateSignatures());
+
+        //a signer for an address that is also an output
+        const circular = new TransactionBuilder(tokenChainId)
+            .input(new MemorySigner("Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ"), [0])
+            .output("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", [0]);
+        let error;
+        await circular.buildAsync().catch(e => error = e);
+        assert.instanceOf(error, Error);
+
+        const issuance = await new IssuanceBuilder('signertoken1', issuerChainId, new MemorySigner(sk1))
+            .symbol('SIG')
+            .buildAsync();
+        assert.doesNotThrow(() => new TokenState('signertoken1', issuerChainId, issuance.getEntry(), [id1]));
+    });
+
+    it('Remote Signer', async function () {
+        const TransactionBuilder = require('../../0/TransactionBuilder');
+
+        const server = new RemoteSignerServer(new MemorySigner("Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ"));
+        const address = await server.listen({port: 0});
+
+        try {
+            const signer = new RemoteSigner({port: address.port});
+
+            const tx = await new TransactionBuilder(tokenChainId)
+                .input(signer, 150)
+                .output("FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr", 150)
+                .buildAsync();
+            assert.deepEqual(Object.keys(tx.getInputs()), ['FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM']);
+            assert.isTrue(tx.validateSignatures());
+        } finally {
+            await server.close();
+        }
+
+        //signer returning bad signatures
+        const faulty = new RemoteSignerServer({
+            getPublicKey: async () => Buffer.alloc(32, 1),
+            sign: async () => Buffer.alloc(64)
+        });
+        const faultyAddress = await faulty.listen({port: 0});
+
+        try {
+            let error;
+            await new TransactionBuilder(tokenChainId)
+                .input(new RemoteSigner({port: faultyAddress.port}), 150)
+                .output("FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr", 150)
+                .buildAsync()
+                .catch(e => error = e);
+            assert.instanceOf(error, errors.SignatureError);
+        } finally {
+            await faulty.close();
+        }
+
+        //service returning malformed keys
+        const malformed = net.createServer(socket => socket.end(JSON.stringify({jsonrpc: '2.0', id: 1, result: 'abcd'}) + '\n', () => socket.destroy()));
+        await new Promise(resolve => malformed.listen(0, '127.0.0.1', resolve));
+
+        try {
+            const error = await new RemoteSigner({port: malformed.address().port}).getPublicKey().catch(e => e);
+            assert.instanceOf(error, errors.SignatureError);
+        } finally {
+            await new Promise(resolve => malformed.close(resolve));
+        }
+
+        //non object requests are answered instead of crashing the server
+        const nullServer = new RemoteSignerServer(new MemorySigner("Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ"));
+        const nullAddress = await nullServer.listen({port: 0});
+
+        try {
+            const response = await new Promise((resolve, reject) => {
+                const socket = net.createConnection(nullAddress.port, '127.0.0.1', () => socket.write('null\n'));
+                socket.on('data', data => {
+                    socket.end();
+                    resolve(JSON.parse(data.toString()));
+                });
+                socket.on('error', reject);
+            });
+            assert.deepEqual(response, {jsonrpc: '2.0', id: null, error: {code: -32600, message: 'Invalid Request'}});
+        } finally {
+            await nullServer.close();
+        }
+
+        //unreachable signer
+        let error;
+        await new RemoteSigner({port: faultyAddress.port}).getPublicKey().catch(e => error = e);
+        assert.instanceOf(error, Error);
+        assert.throws(() => new RemoteSigner({}));
+    });
+
+    it('Keystore', async function () {
+        const TransactionBuilder = require('../../0/TransactionBuilder');
+        const IssuanceBuilder = require('../../0/IssuanceBuilder');
+
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fat-keystore-'));
+        const file = path.join(dir, 'keys.json');
+        const kdf = {N: 1024}; //fast parameters for testing
+
+        try {
+            const keystore = await Keystore.create(file, 'passphrase', kdf);
+            assert.isFalse(keystore.isLocked());
+            assert.strictEqual(keystore.addKey("Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ", 'savings'), 'FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM');
+            assert.strictEqual(keystore.addKey(sk1), id1);
+            assert.throws(() => keystore.addKey(sk1), /already stored/);
+            assert.throws(() => keystore.addKey('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM'), errors.ValidationError);
+            assert.throws(() => keystore.addKey(sk1, 5), errors.ValidationError);
+            keystore.lock();
+
+            //secrets are encrypted at rest & the file is only readable by its owner
+            const contents = fs.readFileSync(file, 'utf8');
+            assert.notInclude(contents, 'Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ');
+            assert.notInclude(contents, sk1);
+            if (process.platform !== 'win32') assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+            await Keystore.create(file, 'passphrase', kdf).then(() => assert.fail(), e => assert.match(e.message, /already exists/));
+
+            //addresses are listed while locked
+            const reopened = Keystore.open(file);
+            assert.isTrue(reopened.isLocked());
+            assert.deepEqual(reopened.getAddresses(), [
+                {address: 'FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM', type: 'fct', label: 'savings'},
+                {address: id1, type: 'sk1'}
+            ]);
+
+            const signer = reopened.getSigner('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM');
+            assert.isTrue(util.isSigner(signer));
+            assert.deepEqual(await signer.getPublicKey(), await new MemorySigner("Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ").getPublicKey());
+            await signer.sign(Buffer.from('data')).then(() => assert.fail(), e => {
+                assert.instanceOf(e, errors.SignatureError);
+                assert.match(e.message, /locked/);
+            });
+            await reopened.unlock('wrong').then(() => assert.fail(), e => {
+                assert.instanceOf(e, errors.ValidationError);
+                assert.strictEqual(e.field, 'passphrase');
+                assert.match(e.message, /Incorrect keystore passphrase/);
+            });
+
+            //invalid arguments come back as rejections
+            const unlocking = reopened.unlock('');
+            assert.instanceOf(unlocking, Promise);
+            await unlocking.then(() => assert.fail(), e => assert.strictEqual(e.field, 'passphrase'));
+            await reopened.changePassphrase('new passphrase').then(() => assert.fail(), e => assert.strictEqual(e.field, 'keystore'));
+
+            assert.strictEqual(await reopened.unlock('passphrase'), reopened);
+
+            //signers are accepted by the builders
+            const tx = await new TransactionBuilder(tokenChainId)
+                .input(signer, 100)
+                .output("FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr", 100)
+                .buildAsync();
+            assert.isTrue(tx.validateSignatures());
+
+            const issuance = await new IssuanceBuilder('keystoretoken', issuerChainId, reopened.getSigner(id1))
+                .symbol('KEY')
+                .supply(1000)
+                .buildAsync();
+            const coinbase = await new TransactionBuilder(issuance.getChainId())
+                .coinbaseInput(10, reopened.getSigner(id1))
+                .output("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", 10)
+                .buildAsync();
+            const state = new TokenState('keystoretoken', issuerChainId, issuance.getEntry(), [id1]);
+            assert.isTrue(state.applyEntry(coinbase.getEntry()));
+
+            //changing the passphrase re-encrypts every key
+            await reopened.changePassphrase('', kdf).then(() => assert.fail(), e => assert.strictEqual(e.field, 'passphrase'));
+            await reopened.changePassphrase('new passphrase', {N: 1000}).then(() => assert.fail(), e => assert.strictEqual(e.field, 'N'));
+            await reopened.changePassphrase('new passphrase', kdf);
+            await Keystore.open(file).unlock('passphrase').then(() => assert.fail(), e => assert.match(e.message, /Incorrect/));
+            const changed = await Keystore.open(file).unlock('new passphrase');
+            assert.isTrue(nacl.detached.verify(Buffer.from('data'), await changed.getSigner(id1).sign(Buffer.from('data')), await changed.getSigner(id1).getPublicKey()));
+
+            changed.removeKey(id1);
+            assert.lengthOf(Keystore.open(file).getAddresses(), 1);
+            assert.throws(() => changed.getSigner(id1), errors.ValidationError, /No key/);
+
+            //tampered entries fail authentication
+            const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+            data.keys[0].address = 'FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr';
+            fs.writeFileSync(file, JSON.stringify(data));
+            const tampered = await Keystore.open(file).unlock('new passphrase');
+            await tampered.getSigner('FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr').sign(Buffer.from('data')).then(() => assert.fail(), e => {
+                assert.instanceOf(e, errors.SignatureError);
+                assert.match(e.message, /failed authentication/);
+            });
+
+            assert.throws(() => Keystore.open(path.join(dir, 'missing.json')), errors.ValidationError, /Could not read/);
+        } finally {
+            fs.readdirSync(dir).forEach(name => fs.unlinkSync(path.join(dir, name)));
+            fs.rmdirSync(dir);
+        }
+    });
+});
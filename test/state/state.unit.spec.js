@@ -0,0 +1,281 @@
+const assert = require('chai').assert;
+const nacl = require('tweetnacl/nacl-fast').sign;
+const fctIdentityCrypto = require('factom-identity-lib/src/crypto');
+const BigNumber = require('bignumber.js');
+const {Entry} = require('factom');
+
+const util = require('../../util');
+const constant = require('../../constant');
+const TokenState = require('../../state/TokenState');
+const errors = require('../../errors');
+
+const issuerChainId = '888888d027c59579fc47a6fc6c4a5c0409c7c39bc38a86cb5fc0069978493762';
+const sk1 = 'sk11pz4AG9XgB1eNVkbppYAWsgyg7sftDXqBASsagKJqvVRKYodCU';
+const id1 = util.createPublicIdentityAddr('id1', nacl.keyPair.fromSeed(fctIdentityCrypto.extractSecretFromIdentityKey(sk1)).publicKey);
+
+describe('Token State Unit', function () {
+
+    describe('FAT-0', function () {
+        const IssuanceBuilder = require('../../0/IssuanceBuilder');
+        const TransactionBuilder = require('../../0/TransactionBuilder');
+
+        const issuance = new IssuanceBuilder('statetoken0', issuerChainId, sk1)
+            .symbol('ST')
+            .supply(1000)
+            .build();
+
+        const tokenChainId = issuance.getChainId();
+
+        it('Replay transactions', function () {
+            const coinbase = new TransactionBuilder(tokenChainId)
+                .coinbaseInput(100)
+                .output('FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN', 100)
+                .sk1(sk1)
+                .build();
+
+            const transfer = new TransactionBuilder(tokenChainId)
+                .input('Fs1PkAEbmo1XNangSnxmKqi1PN5sVDbQ6zsnXCsMUejT66WaDgkm', 60)
+                .output('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM', 60)
+                .build();
+
+            const burn = new TransactionBuilder(tokenChainId)
+                .input('Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ', 10)
+                .burnOutput(10)
+                .build();
+
+            //overspend from the original coinbase recipient
+            const overspend = new TransactionBuilder(tokenChainId)
+                .input('Fs1PkAEbmo1XNangSnxmKqi1PN5sVDbQ6zsnXCsMUejT66WaDgkm', 50)
+                .output('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM', 50)
+                .build();
+
+            const state = new TokenState('statetoken0', issuerChainId, issuance.getEntry(), [id1])
+                .applyEntries([coinbase.getEntry(), transfer.getEntry(), burn.getEntry(), overspend.getEntry(), transfer.getEntry()]);
+
+            assert.strictEqual(state.getType(), constant.FAT0);
+            assert.strictEqual(state.getChainId(), tokenChainId);
+            assert.isTrue(state.isAuthenticated());
+
+            assert.isTrue(state.getBalance('FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN').isEqualTo(40));
+            assert.isTrue(state.getBalance('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM').isEqualTo(50));
+            assert.isTrue(state.getBalance('FA1zT4aFpEvcnPqPCigB3fvGu4Q4mTXY22iiuV69DqE1pNhdF2MC').isEqualTo(0));
+
+            const stats = state.getStats();
+            assert.instanceOf(stats.circulating, BigNumber);
+            assert.isTrue(stats.circulating.isEqualTo(90));
+            assert.isTrue(stats.burned.isEqualTo(10));
+            assert.isTrue(stats.transactions.isEqualTo(3));
+            assert.isTrue(stats.nonzerobalances.isEqualTo(2));
+
+            assert.lengthOf(state.getTransactions(), 3);
+
+            //overspend & duplicate entry are rejected
+            const rejected = state.getRejectedEntries();
+            assert.lengthOf(rejected, 2);
+            assert.strictEqual(rejected[0].entryhash, overspend.getEntry().hashHex());
+            assert.instanceOf(rejected[0].error, errors.ValidationError);
+            assert.strictEqual(rejected[0].error.entryhash, overspend.getEntry().hashHex());
+            assert.strictEqual(rejected[1].reason, 'Duplicate entryhash');
+        });
+
+        it('Reject invalid transactions', function () {
+            const state = new TokenState('statetoken0', issuerChainId, issuance.getEntry());
+
+            //coinbase over max supply
+            const coinbase = new TransactionBuilder(tokenChainId)
+                .coinbaseInput(1001)
+                .output('FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN', 1001)
+                .sk1(sk1)
+                .build();
+            assert.isFalse(state.applyEntry(coinbase.getEntry()));
+
+            //coinbase signed by a key not belonging to the issuer identity
+            const keyedState = new TokenState('statetoken0', issuerChainId, issuance.getEntry(), [id1]);
+            const foreignCoinbase = new TransactionBuilder(tokenChainId)
+                .coinbaseInput(10)
+                .output('FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN', 10)
+                .sk1('sk13Rp3LVmVvWqo8mff82aDJN2yNCzjUs2Zuq3MNQSA5oC5ZwFAuu')
+                .build();
+            assert.isFalse(keyedState.applyEntry(foreignCoinbase.getEntry()));
+            assert.instanceOf(keyedState.getRejectedEntries()[0].error, errors.SignatureError);
+            assert.strictEqual(keyedState.getRejectedEntries()[0].error.entryhash, foreignCoinbase.getEntry().hashHex());
+
+            //transaction for a different token chain
+            const otherChain = new TransactionBuilder('013de826902b7d075f00101649ca4fa7b49b5157cba736b2ca90f67e2ad6e8ec')
+                .coinbaseInput(10)
+                .output('FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN', 10)
+                .sk1(sk1)
+                .build();
+            assert.isFalse(state.applyEntry(otherChain.getEntry()));
+
+            assert.lengthOf(state.getTransactions(), 0);
+            assert.lengthOf(state.getRejectedEntries(), 2);
+        });
+
+        it('Check transaction timestamps', function () {
+            const state = new TokenState('statetoken0', issuerChainId, issuance.getEntry(), [id1]);
+
+            const coinbase = new TransactionBuilder(tokenChainId)
+                .coinbaseInput(10)
+                .output('FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN', 10)
+                .sk1(sk1)
+                .build();
+            const recorded = Entry.builder(coinbase.getEntry()).timestamp(coinbase.getTimestamp() * 1000).build();
+            assert.isTrue(state.applyEntry(recorded));
+
+            //recorded more than 12 hours after the transaction timestamp
+            const late = new TransactionBuilder(tokenChainId)
+                .input('Fs1PkAEbmo1XNangSnxmKqi1PN5sVDbQ6zsnXCsMUejT66WaDgkm', 1)
+                .output('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM', 1)
+                .build();
+            assert.isFalse(state.applyEntry(Entry.builder(late.getEntry()).timestamp((late.getTimestamp() + 13 * 60 * 60) * 1000).build()));
+
+            //without an entry timestamp the transaction is applied but not verified
+            const unknown = new TransactionBuilder(tokenChainId)
+                .input('Fs1PkAEbmo1XNangSnxmKqi1PN5sVDbQ6zsnXCsMUejT66WaDgkm', 2)
+                .output('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM', 2)
+                .build();
+            assert.isTrue(state.applyEntry(unknown.getEntry()));
+
+            assert.deepEqual(state.getUnverifiedEntries().map(unverified => unverified.entryhash), [unknown.getEntry().hashHex()]);
+            assert.deepEqual(state.getRejectedEntries().map(rejected => rejected.entryhash), [late.getEntry().hashHex()]);
+        });
+
+        it('Reject invalid issuance', function () {
+            //issuance entry from another token chain
+            const other = new IssuanceBuilder('othertoken', issuerChainId, sk1).symbol('OT').build();
+            assert.throws(() => new TokenState('statetoken0', issuerChainId, other.getEntry()));
+
+            //issuance not signed by the supplied identity key
+            assert.throws(() => new TokenState('statetoken0', issuerChainId, issuance.getEntry(), [util.createPublicIdentityAddr('id1', Buffer.alloc(32))]));
+            assert.throws(() => new TokenState('statetoken0', issuerChainId, issuance.getEntry(), []));
+
+            //without identity keys any self-signed chain replays, so the state is unauthenticated
+            const forged = new IssuanceBuilder('statetoken0', issuerChainId, 'sk13Rp3LVmVvWqo8mff82aDJN2yNCzjUs2Zuq3MNQSA5oC5ZwFAuu').symbol('ST').build();
+            assert.isFalse(new TokenState('statetoken0', issuerChainId, forged.getEntry()).isAuthenticated());
+            let error;
+            try {
+                new TokenState('statetoken0', issuerChainId, forged.getEntry(), [id1]);
+            } catch (e) {
+                error = e;
+            }
+            assert.instanceOf(error, errors.SignatureError);
+            assert.strictEqual(error.entryhash, forged.getEntry().hashHex());
+            assert.throws(() => new TokenState(1, issuerChainId, forged.getEntry()), errors.ValidationError);
+        });
+    });
+
+    describe('FAT-1', function () {
+        const IssuanceBuilder = require('../../1/IssuanceBuilder');
+        const TransactionBuilder = require('../../1/TransactionBuilder');
+
+        const issuance = new IssuanceBuilder('statetoken1', issuerChainId, sk1)
+            .symbol('ST')
+            .build();
+
+        const tokenChainId = issuance.getChainId();
+
+        it('Replay transactions', function () {
+            const coinbase = new TransactionBuilder(tokenChainId)
+                .coinbaseInput([{min: 0, max: 9}])
+                .output('FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN', [{min: 0, max: 9}])
+                .tokenMetadata([{ids: [0], metadata: {name: 'first'}}])
+                .sk1(sk1)
+                .build();
+
+            const transfer = new TransactionBuilder(tokenChainId)
+                .input('Fs1PkAEbmo1XNangSnxmKqi1PN5sVDbQ6zsnXCsMUejT66WaDgkm', [0, {min: 5, max: 6}])
+                .output('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM', [0, {min: 5, max: 6}])
+                .build();
+
+            const burn = new TransactionBuilder(tokenChainId)
+                .input('Fs1PkAEbmo1XNangSnxmKqi1PN5sVDbQ6zsnXCsMUejT66WaDgkm', [9])
+                .burnOutput([9])
+                .build();
+
+            //spend tokens the input address does not own
+            const theft = new TransactionBuilder(tokenChainId)
+                .input('Fs1PkAEbmo1XNangSnxmKqi1PN5sVDbQ6zsnXCsMUejT66WaDgkm', [5])
+                .output('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM', [5])
+                .build();
+
+            const state = new TokenState('statetoken1', issuerChainId, issuance.getEntry(), [id1])
+                .applyEntries([coinbase.getEntry(), transfer.getEntry(), burn.getEntry(), theft.getEntry()]);
+
+            assert.strictEqual(state.getType(), constant.FAT1);
+            assert.strictEqual(JSON.stringify(state.getNFBalance('FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN')), JSON.stringify([{min: 1, max: 4}, {min: 7, max: 8}]));
+            assert.strictEqual(JSON.stringify(state.getNFBalance('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM')), JSON.stringify([0, {min: 5, max: 6}]));
+            assert.isTrue(state.getBalance('FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN').isEqualTo(6));
+
+            const token = state.getNFToken(0);
+            assert.strictEqual(token.owner, 'FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM');
+            assert.strictEqual(JSON.stringify(token.metadata), JSON.stringify({name: 'first'}));
+            assert.isTrue(state.getNFToken(9).burned);
+            assert.isUndefined(state.getNFToken(10));
+            assert.deepEqual(state.getNFTokens().map(token => token.id), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+
+            const stats = state.getStats();
+            assert.isTrue(stats.circulating.isEqualTo(9));
+            assert.isTrue(stats.burned.isEqualTo(1));
+            assert.isTrue(stats.transactions.isEqualTo(3));
+
+            assert.lengthOf(state.getRejectedEntries(), 1);
+            assert.strictEqual(state.getRejectedEntries()[0].entryhash, theft.getEntry().hashHex());
+        });
+
+        it('Reject reissued token IDs', function () {
+            const state = new TokenState('statetoken1', issuerChainId, issuance.getEntry());
+
+            const coinbase = new TransactionBuilder(tokenChainId)
+                .coinbaseInput([1])
+                .output('FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN', [1])
+                .sk1(sk1)
+                .build();
+
+            const reissue = new TransactionBuilder(tokenChainId)
+                .coinbaseInput([1, 2])
+                .output('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM', [1, 2])
+                .sk1(sk1)
+                .build();
+
+            assert.isTrue(state.applyEntry(coinbase.getEntry()));
+            assert.isFalse(state.applyEntry(reissue.getEntry()));
+            assert.throws(() => state.getNFBalance('FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p'));
+        });
+
+        it('Track huge token ID ranges', function () {
+            const state = new TokenState('statetoken1', issuerChainId, issuance.getEntry());
+
+            const coinbase = new TransactionBuilder(tokenChainId)
+                .coinbaseInput([{min: 0, max: 1e12}])
+                .output('FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN', [{min: 0, max: 1e12}])
+                .tokenMetadata([{ids: [{min: 10, max: 1e11}], metadata: 'abc'}])
+                .sk1(sk1)
+                .build();
+
+            const transfer = new TransactionBuilder(tokenChainId)
+                .input('Fs1PkAEbmo1XNangSnxmKqi1PN5sVDbQ6zsnXCsMUejT66WaDgkm', [{min: 5, max: 5e11}])
+                .output('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM', [{min: 5, max: 5e11}])
+                .build();
+
+            //tokens 5 - 10 moved away in the transfer above
+            const spent = new TransactionBuilder(tokenChainId)
+                .input('Fs1PkAEbmo1XNangSnxmKqi1PN5sVDbQ6zsnXCsMUejT66WaDgkm', [{min: 0, max: 10}])
+                .output('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM', [{min: 0, max: 10}])
+                .build();
+
+            assert.isTrue(state.applyEntry(coinbase.getEntry()));
+            assert.isTrue(state.applyEntry(transfer.getEntry()));
+            assert.isFalse(state.applyEntry(spent.getEntry()));
+
+            assert.strictEqual(JSON.stringify(state.getNFBalance('FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN')), JSON.stringify([{min: 0, max: 4}, {min: 5e11 + 1, max: 1e12}]));
+            assert.strictEqual(JSON.stringify(state.getNFBalance('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM')), JSON.stringify([{min: 5, max: 5e11}]));
+            assert.isTrue(state.getBalance('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM').isEqualTo(5e11 - 4));
+            assert.strictEqual(state.getNFToken(1e11).metadata, 'abc');
+            assert.isUndefined(state.getNFToken(1e11 + 1).metadata);
+            assert.strictEqual(state.getNFToken(1e12).owner, 'FA2Qwmzp4xeXR4jWYrQnbPSXi5wLdVHy8p3ksAVSvyjLEX7jE3pN');
+            assert.isUndefined(state.getNFToken(1e12 + 1));
+            assert.isTrue(state.getStats().circulating.isEqualTo(1e12 + 1));
+        });
+    });
+});
@@ -6,8 +6,13 @@ describe('Util', () => {
     require('./util/util.unit.spec');
 });
 
+describe('Errors', () => {
+    require('./errors/errors.unit.spec');
+});
+
 describe('CLI', () => {
     require('./cli/cli.unit.spec');
+    require('./cli/watcher.unit.spec');
     require('./cli/cli.integration.spec');
 });
 
@@ -22,3 +27,23 @@ describe('FAT-1', () => {
     require('./1/1.issuance.unit.spec');
     require('./1/1.cli.integration.spec');
 });
+
+describe('Factomd', () => {
+    require('./factomd/factomd.unit.spec');
+});
+
+describe('Signer', () => {
+    require('./signer/signer.unit.spec');
+});
+
+describe('Token State', () => {
+    require('./state/state.unit.spec');
+});
+
+describe('Testing', () => {
+    require('./testing/testing.unit.spec');
+});
+
+describe('Command Line', () => {
+    require('./bin/fat.unit.spec');
+});
@@ -0,0 +1,212 @@
+const assert = require('chai').assert;
+
+const {MockFatd} = require('../../testing');
+const {CLIBuilder} = require('../../cli/CLI');
+const constant = require('../../constant');
+const errors = require('../../errors');
+
+const issuerChainId = '888888d027c59579fc47a6fc6c4a5c0409c7c39bc38a86cb5fc0069978493762';
+const sk1 = 'sk11pz4AG9XgB1eNVkbppYAWsgyg7sftDXqBASsagKJqvVRKYodCU';
+const fs1 = 'Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ';
+const fa1 = 'FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM';
+const fa2 = 'FA3umTvVhkcysBewF1sGAMeAeKDdG7kTQBbtf5nwuFUGwrNa5kAr';
+
+describe('Mock Fatd Unit', function () {
+
+    let fatd;
+    let address;
+    let cli;
+    let chainId0;
+    let chainId1;
+
+    beforeEach(async function () {
+        fatd = new MockFatd();
+
+        const issuance0 = new (require('../../0/IssuanceBuilder'))('mock0', issuerChainId, sk1)
+            .symbol('MCK')
+            .supply(1000)
+            .build();
+        chainId0 = fatd.addIssuance(issuance0);
+        fatd.addTransaction(new (require('../../0/TransactionBuilder'))(chainId0)
+            .coinbaseInput(500)
+            .output(fa1, 500)
+            .sk1(sk1)
+            .build());
+
+        const issuance1 = new (require('../../1/IssuanceBuilder'))('mock1', issuerChainId, sk1)
+            .symbol('NFM')
+            .build();
+        chainId1 = fatd.addIssuance(issuance1);
+        fatd.addTransaction(new (require('../../1/TransactionBuilder'))(chainId1)
+            .coinbaseInput([{min: 0, max: 9}])
+            .output(fa1, [{min: 0, max: 9}])
+            .tokenMetadata([{ids: [0], metadata: {name: 'first'}}])
+            .sk1(sk1)
+            .build());
+
+        address = await fatd.listen();
+        cli = new CLIBuilder().host(address.address).port(address.port).build();
+    });
+
+    afterEach(async function () {
+        await fatd.close();
+    });
+
+    it('Daemon methods', async function () {
+        assert.deepEqual(await cli.getCompatibility(), []);
+        assert.strictEqual((await cli.getDaemonProperties()).fatdversion, '0.6.0');
+        assert.deepEqual((await cli.getTrackedTokens()).map(token => token.tokenid), ['mock0', 'mock1']);
+        assert.deepEqual(await cli.getSyncStatus(), {syncheight: 1, factomheight: 1});
+
+        const balances = await cli.getBalances(fa1);
+        assert.isTrue(balances[chainId0].isEqualTo(500));
+        assert.isTrue(balances[chainId1].isEqualTo(10));
+
+        let error;
+        await cli.call('get-unknown').catch(e => error = e);
+        assert.match(error.message, /Method not found/);
+    });
+
+    it('FAT-0 token methods', async function () {
+        const Transaction = require('../../0/Transaction');
+        const TransactionBuilder = require('../../0/TransactionBuilder');
+
+        const tokenCLI = await cli.getTokenCLI(chainId0);
+        assert.strictEqual(tokenCLI.getType(), constant.FAT0);
+
+        const issuance = await tokenCLI.getIssuance();
+        assert.strictEqual(issuance.getSymbol(), 'MCK');
+        assert.strictEqual(issuance.getChainId(), chainId0);
+
+        const tx = new TransactionBuilder(chainId0)
+            .input(fs1, 150)
+            .output(fa2, 150)
+            .build();
+        const result = await tokenCLI.sendTransaction(tx);
+        assert.strictEqual(result.chainid, chainId0);
+        assert.strictEqual(result.entryhash, tx.getEntry().hashHex());
+        assert.isString(result.txid);
+
+        //sent transactions are pending until confirmed
+        assert.isTrue((await tokenCLI.getBalance(fa2)).isEqualTo(0));
+        const pendingCLI = new CLIBuilder().host(address.address).port(address.port).pending(true).build();
+        const pendingTokenCLI = pendingCLI.getTokenCLISync(chainId0, constant.FAT0);
+        assert.isTrue((await pendingTokenCLI.getBalance(fa2)).isEqualTo(150));
+        assert.isTrue((await pendingTokenCLI.getTransaction(result.entryhash)).getPending());
+
+        let error;
+        await tokenCLI.getTransaction(result.entryhash).catch(e => error = e);
+        assert.match(error.message, /Transaction Not Found/);
+
+        assert.deepEqual(fatd.confirm(), [result.entryhash]);
+        const transaction = await tokenCLI.getTransaction(result.entryhash);
+        assert.instanceOf(transaction, Transaction);
+        assert.isFalse(transaction.getPending());
+        assert.isTrue(transaction.getInputs()[fa1].isEqualTo(150));
+        assert.isTrue((await tokenCLI.getBalance(fa1)).isEqualTo(350));
+        assert.isTrue((await tokenCLI.getBalance(fa2)).isEqualTo(150));
+
+        const transactions = await tokenCLI.getTransactions({addresses: [fa2]});
+        assert.deepEqual(transactions.map(tx => tx.getEntryhash()), [result.entryhash]);
+        assert.lengthOf(await tokenCLI.getTransactions({order: 'desc', limit: 1}), 1);
+
+        const stats = await tokenCLI.getStats();
+        assert.isTrue(stats.circulating.isEqualTo(500));
+        assert.isTrue(stats.transactions.isEqualTo(2));
+        assert.isTrue(stats.nonzerobalances.isEqualTo(2));
+
+        //invalid transactions are rejected
+        error = undefined;
+        await tokenCLI.sendTransaction(new TransactionBuilder(chainId0).input(fs1, 1000).output(fa2, 1000).build()).catch(e => error = e);
+        assert.match(error.message, /Insufficient balance/);
+    });
+
+    it('FAT-1 token methods', async function () {
+        const TransactionBuilder = require('../../1/TransactionBuilder');
+
+        const tokenCLI = await cli.getTokenCLI(chainId1);
+        assert.strictEqual(tokenCLI.getType(), constant.FAT1);
+
+        assert.deepEqual(await tokenCLI.getNFBalance({address: fa1, limit: 3, page: 1}), [{min: 3, max: 5}]);
+        assert.deepEqual(await tokenCLI.getNFBalance({address: fa1, limit: 3, page: 1, order: 'desc'}), [6, 5, 4]);
+        assert.deepEqual(await tokenCLI.getNFToken(0), {id: 0, owner: fa1, burned: false, metadata: {name: 'first'}});
+        assert.deepEqual((await tokenCLI.getNFTokens({order: 'desc', limit: 2})).map(token => token.id), [9, 8]);
+
+        fatd.addTransaction(new TransactionBuilder(chainId1)
+            .input(fs1, [0, 1])
+            .output(fa2, [0, 1])
+            .build());
+        assert.strictEqual((await tokenCLI.getNFToken(1)).owner, fa2);
+        assert.isTrue((await tokenCLI.getBalance(fa2)).isEqualTo(2));
+
+        let error;
+        await tokenCLI.getNFToken(100).catch(e => error = e);
+        assert.match(error.message, /Token Not Found/);
+
+        error = undefined;
+        await cli.getTokenCLISync(chainId0, constant.FAT1).getNFToken(0).catch(e => error = e);
+        assert.instanceOf(error, Error);
+    });
+
+    it('Fixtures', async function () {
+        const TransactionBuilder = require('../../0/TransactionBuilder');
+
+        const pending = fatd.addTransaction(new TransactionBuilder(chainId0).input(fs1, 1).output(fa2, 1).build(), {pending: true});
+        const fixtures = JSON.parse(JSON.stringify(fatd.getFixtures()));
+        assert.lengthOf(fixtures, 2);
+        assert.deepEqual(fixtures[0].entries.map(entry => entry.pending), [false, true]);
+
+        //a mock seeded from fixtures serves the same token data
+        const seeded = new MockFatd({fixtures, version: '0.5.0'});
+        const seededAddress = await seeded.listen();
+        try {
+            const seededCLI = new CLIBuilder().host(seededAddress.address).port(seededAddress.port).pending(true).build();
+            assert.isTrue((await seededCLI.getTokenCLISync(chainId0, constant.FAT0).getBalance(fa2)).isEqualTo(1));
+            assert.isTrue((await seededCLI.getTokenCLISync(chainId0, constant.FAT0).getTransaction(pending)).getPending());
+            assert.deepEqual(await seededCLI.getTokenCLISync(chainId1, constant.FAT1).getNFBalance({address: fa1}), [{min: 0, max: 9}]);
+            assert.isNotEmpty(await seededCLI.getCompatibility());
+        } finally {
+            await seeded.close();
+        }
+
+        assert.throws(() => new MockFatd({fixtures: fixtures.concat(fixtures[0])}), /already tracked/);
+        assert.throws(() => fatd.addTransaction(new TransactionBuilder(chainId0).input(fs1, 1000).output(fa2, 1000).build()), /Insufficient balance/);
+    });
+
+    it('Negotiate capabilities of older fatd versions', async function () {
+        assert.deepEqual(await cli.getCapabilities(), {version: '0.6.0', unsupported: {}});
+
+        const legacy = new MockFatd({fixtures: fatd.getFixtures(), version: '0.5.1'});
+        const legacyAddress = await legacy.listen();
+        try {
+            const legacyCLI = new CLIBuilder().host(legacyAddress.address).port(legacyAddress.port).build();
+            const capabilities = legacyCLI.getCapabilities();
+            assert.strictEqual(legacyCLI.getCapabilities(), capabilities);
+            assert.deepEqual(await capabilities, {version: '0.5.1', unsupported: {'get-balances': '0.6.0'}});
+
+            let error;
+            await legacyCLI.call('get-balances', {address: fa1}).catch(e => error = e);
+            assert.instanceOf(error, errors.UnsupportedMethodError);
+            assert.instanceOf(error, errors.CompatibilityError);
+            assert.strictEqual(error.code, 'UNSUPPORTED_METHOD');
+            assert.strictEqual(error.minimumVersion, '0.6.0');
+
+            //get-balances is emulated using get-balance for every tracked token
+            const balances = await legacyCLI.getBalances(fa1);
+            assert.deepEqual(Object.keys(balances), [chainId0, chainId1]);
+            assert.isTrue(balances[chainId0].isEqualTo(500));
+            assert.isTrue(balances[chainId1].isEqualTo(10));
+            assert.deepEqual(await legacyCLI.getBalances(fa2), {});
+
+            //batches are checked against the capabilities too
+            const batched = await legacyCLI.batch().getBalances(fa1).execute();
+            assert.isTrue(batched[0].result[chainId0].isEqualTo(500));
+
+            //the mock answers like the old fatd version
+            const response = await require('axios').post('http://' + legacyAddress.address + ':' + legacyAddress.port, [{jsonrpc: '2.0', id: 0, method: 'get-balances', params: {address: fa1}}]);
+            assert.strictEqual(response.data[0].error.code, -32601);
+        } finally {
+            await legacy.close();
+        }
+    });
+});
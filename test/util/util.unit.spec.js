@@ -1,5 +1,6 @@
 const assert = require('chai').assert;
 const util = require('../../util');
+const errors = require('../../errors');
 
 describe('FATIP-100', function () {
     it('Calculate Chain IDs', function () {
@@ -36,4 +37,92 @@ describe('FAT-1', function () {
         assert.isFalse(util.validateNFIds([0, 1, 2, {min: 2, max: 3}, {min: 4, max: 100}]));
         assert.isFalse(util.validateNFIds([0, 1, 2, {min: 3, max: 3}, {min: 3, max: 4}]));
     });
-});
\ No newline at end of file
+});
+
+describe('Amounts', function () {
+    it('Convert display amounts to base units', function () {
+        assert.strictEqual(util.toBaseUnits("12.345", 3).toFixed(), '12345');
+        assert.strictEqual(util.toBaseUnits(0.1, 1).toFixed(), '1');
+        assert.strictEqual(util.toBaseUnits("123456789.123456789123456789", 18).toFixed(), '123456789123456789123456789');
+        assert.strictEqual(util.toBaseUnits(150).toFixed(), '150');
+        assert.throws(() => util.toBaseUnits("12.3456", 3), /more decimal places/);
+        assert.throws(() => util.toBaseUnits(0.1 + 0.2, 2), /more decimal places/);
+        assert.throws(() => util.toBaseUnits("1.5"));
+        assert.throws(() => util.toBaseUnits("-1", 2));
+        assert.throws(() => util.toBaseUnits("MYT", 2));
+        assert.throws(() => util.toBaseUnits(1, 19));
+
+        //zero is a valid amount
+        assert.strictEqual(util.toBaseUnits("0", 3).toFixed(), '0');
+        assert.throws(() => util.toBaseUnits("-1", 2), /non-negative/);
+
+        //a trailing symbol must match the token symbol when one is given
+        assert.strictEqual(util.toBaseUnits("12.345 MYT", 3, 'MYT').toFixed(), '12345');
+        assert.strictEqual(util.toBaseUnits("12.345", 3, 'MYT').toFixed(), '12345');
+        assert.throws(() => util.toBaseUnits("12.345 ABC", 3, 'MYT'), errors.ValidationError, /does not match the token symbol MYT/);
+        assert.throws(() => util.toBaseUnits("12.345 MYT MYT", 3, 'MYT'), errors.ValidationError);
+        assert.throws(() => util.toBaseUnits("12.345 MYT", 3), errors.ValidationError, /without a token symbol/);
+    });
+
+    it('Convert & format base units', function () {
+        assert.strictEqual(util.fromBaseUnits(12345, 3).toFixed(), '12.345');
+        assert.strictEqual(util.fromBaseUnits("123456789123456789123456789", 18).toFixed(), '123456789.123456789123456789');
+        assert.strictEqual(util.formatAmount(12340, 3, 'MYT'), '12.340 MYT');
+        assert.strictEqual(util.formatAmount(5, 2), '0.05');
+        assert.strictEqual(util.formatAmount(5), '5');
+        assert.throws(() => util.fromBaseUnits(1.5, 2));
+    });
+});
+
+describe('Entries', function () {
+    it('Parse the external IDs of a signed entry', function () {
+        const Entry = require('factom/src/entry').Entry;
+        const TransactionBuilder = require('../../0/TransactionBuilder');
+
+        const tx = new TransactionBuilder('013de826902b7d075f00101649ca4fa7b49b5157cba736b2ca90f67e2ad6e8ec')
+            .input("Fs1PkAEbmo1XNangSnxmKqi1PN5sVDbQ6zsnXCsMUejT66WaDgkm", 150)
+            .output("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", 150)
+            .build();
+
+        const signed = util.parseSignedEntry(tx.getEntry());
+        assert.strictEqual(signed.timestamp, tx.getTimestamp());
+        assert.lengthOf(signed.rcds, 1);
+        assert.lengthOf(signed.signatures, 1);
+        assert.strictEqual(signed.content, tx.getEntry().content.toString());
+
+        assert.throws(() => util.parseSignedEntry(Entry.builder().extId('abc', 'utf8').build()));
+        assert.throws(() => util.parseSignedEntry(Entry.builder(tx.getEntry()).extIds(['6162', '01', '02']).build()));
+    });
+});
+
+describe('Entry Credits', function () {
+    it('Entry credit cost of a payload', function () {
+        assert.strictEqual(util.getEntryCreditCost(0), 1);
+        assert.strictEqual(util.getEntryCreditCost(1024), 1);
+        assert.strictEqual(util.getEntryCreditCost(1025), 2);
+        assert.strictEqual(util.getEntryCreditCost(10240), 10);
+        assert.throws(() => util.getEntryCreditCost(10241), /exceeds/);
+        assert.throws(() => util.getEntryCreditCost(-1));
+    });
+
+    it('Estimate a batch of transactions & issuances', function () {
+        const {Entry, Chain} = require('factom');
+        const TransactionBuilder = require('../../0/TransactionBuilder');
+        const IssuanceBuilder = require('../../0/IssuanceBuilder');
+
+        const issuance = new IssuanceBuilder("mytoken", "888888d027c59579fc47a6fc6c4a5c0409c7c39bc38a86cb5fc0069978493762", "sk11pz4AG9XgB1eNVkbppYAWsgyg7sftDXqBASsagKJqvVRKYodCU")
+            .symbol('TTK')
+            .build();
+        const tx = new TransactionBuilder(issuance.getChainId())
+            .input("Fs1PkAEbmo1XNangSnxmKqi1PN5sVDbQ6zsnXCsMUejT66WaDgkm", 150)
+            .output("FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM", 150)
+            .build();
+        const entry = Entry.builder().chainId(issuance.getChainId()).content('x'.repeat(2000), 'utf8').build();
+
+        assert.strictEqual(util.estimateEntryCredits([]), 0);
+        assert.strictEqual(util.estimateEntryCredits([issuance, tx, tx, entry]), 12 + 1 + 1 + 2);
+        assert.strictEqual(util.estimateEntryCredits([new Chain(entry)]), 12);
+        assert.throws(() => util.estimateEntryCredits([tx, {}]), /Item 1/);
+        assert.throws(() => util.estimateEntryCredits(tx));
+    });
+});
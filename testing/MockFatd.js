@@ -0,0 +1,461 @@
+const http = require('http');
+const crypto = require('crypto');
+const {Entry} = require('factom');
+const JSONBig = require('json-bigint')({strict: true});
+const constant = require('../constant');
+const util = require('../util');
+const TokenState = require('../state/TokenState');
+const compatibility = require('../cli/compatibility');
+
+const daemonMethods = ['get-daemon-properties', 'get-sync-status', 'get-daemon-tokens', 'get-balances'];
+const tokenMethods = ['get-issuance', 'get-transaction', 'get-transactions', 'get-balance', 'get-stats', 'send-transaction', 'get-nf-token', 'get-nf-balance', 'get-nf-tokens'];
+
+/**
+ * In-process mock of fatd's JSON-RPC API for offline development & testing. Token chains are replayed using TokenState,
+ * so balances, stats and non-fungible token ownership follow the same FATIP rules as the library. Tokens are seeded from raw entry fixtures
+ * or from issuances & transactions built with the library's own builders. Sent transactions stay pending until confirm() is called
+ * @class
+ * @public
+ * @example
+ * const {MockFatd} = require('@fat-token/fat-js/testing');
+ *
+ * const fatd = new MockFatd();
+ *
+ * const issuance = new IssuanceBuilder('mytoken', '888888d027c59579fc47a6fc6c4a5c0409c7c39bc38a86cb5fc0069978493762', 'sk11pz4AG9XgB1eNVkbppYAWsgyg7sftDXqBASsagKJqvVRKYodCU')
+ * .symbol('MYT')
+ * .build();
+ * fatd.addIssuance(issuance);
+ *
+ * fatd.addTransaction(new TransactionBuilder(issuance.getChainId())
+ * .coinbaseInput(100)
+ * .output('FA3aECpw3gEZ7CMQvRNxEtKBGKAos3922oqYLcHQ9NqXHudC6YBM', 100)
+ * .sk1('sk11pz4AG9XgB1eNVkbppYAWsgyg7sftDXqBASsagKJqvVRKYodCU')
+ * .build());
+ *
+ * const address = await fatd.listen(); // => {address: '127.0.0.1', family: 'IPv4', port: 39211}
+ * const cli = new CLIBuilder().host(address.address).port(address.port).build();
+ *
+ * await fatd.close();
+ */
+class MockFatd {
+
+    /**
+     * @constructor
+     * @param {object} [options] - The mock options
+     * @param {string} [options.version=0.6.0] - The fatd version sent in the fatd-version header & get-daemon-properties. Methods introduced in later fatd versions answer Method not found
+     * @param {number} [options.height=1] - The Factom block height reported by get-sync-status. Incremented by every confirm()
+     * @param {object[]} [options.fixtures] - Token fixtures to load, in the format returned by getFixtures
+     * @param {boolean} [options.autoConfirm=false] - Confirm transactions received through send-transaction immediately instead of keeping them pending
+     */
+    constructor(options) {
+        options = options || {};
+
+        this._version = options.version !== undefined ? options.version : '0.6.0';
+        this._height = options.height !== undefined ? options.height : 1;
+        this._autoConfirm = options.autoConfirm || false;
+        this._tokens = new Map();
+
+        this._sockets = new Set();
+        this._server = http.createServer((req, res) => handleHttp(this, req, res));
+        this._server.on('connection', socket => {
+            this._sockets.add(socket);
+            socket.on('close', () => this._sockets.delete(socket));
+        });
+
+        (options.fixtures || []).forEach(fixture => this.loadFixture(fixture));
+    }
+
+    /**
+     * Start serving the mock API
+     * @method
+     * @param {object} [options] - The listen options
+     * @param {number} [options.port=0] - The TCP port to listen on. 0 picks a free port
+     * @param {string} [options.host=127.0.0.1] - The host to bind to
+     * @returns {Promise<object>} - The bound address of the server
+     */
+    listen(options) {
+        options = options || {};
+        return new Promise((resolve, reject) => {
+            this._server.once('error', reject);
+            this._server.listen(options.port || 0, options.host || '127.0.0.1', () => {
+                this._server.removeListener('error', reject);
+                resolve(this._server.address());
+            });
+        });
+    }
+
+    /**
+     * Stop listening and close all open connections
+     * @method
+     * @returns {Promise}
+     */
+    close() {
+        this._sockets.forEach(socket => socket.destroy());
+        return new Promise(resolve => this._server.close(() => resolve()));
+    }
+
+    /**
+     * Start tracking a token from its signed issuance
+     * @method
+     * @param {(Issuance0|Issuance1)} issuance - The signed issuance. Must have been built using IssuanceBuilder or parsed using fromEntry
+     * @returns {string} - The token chain ID
+     */
+    addIssuance(issuance) {
+        return addToken(this, issuance.getTokenId(), issuance.getIssuerChainId(), issuance.getEntry());
+    }
+
+    /**
+     * Add a transaction to a tracked token. The transaction is validated against the token state, including pending transactions if it is pending itself
+     * @method
+     * @param {(Transaction0|Transaction1|Entry)} transaction - The signed transaction or its factom-js Entry
+     * @param {object} [options] - The transaction options
+     * @param {boolean} [options.pending=false] - Add the transaction as pending, to be confirmed by confirm()
+     * @returns {string} - The entryhash of the transaction
+     */
+    addTransaction(transaction, options) {
+        const entry = transaction instanceof Entry ? transaction : transaction.getEntry();
+        const token = getToken(this, entry.chainIdHex);
+        const pending = (options || {}).pending || false;
+
+        const state = getState(token, pending);
+        if (!state.applyEntry(entry)) throw new Error('Invalid transaction: ' + state.getRejectedEntries().pop().reason);
+
+        if (pending) token.pending.push(entry);
+        else token.confirmed.push(entry);
+        return entry.hashHex();
+    }
+
+    /**
+     * Confirm all pending transactions, as if a new directory block was created. Pending transactions that became invalid are dropped
+     * @method
+     * @returns {string[]} - The entryhashes of the confirmed transactions
+     */
+    confirm() {
+        const confirmed = [];
+        this._tokens.forEach(token => {
+            const state = getState(token, false);
+            token.pending.forEach(entry => {
+                if (!state.applyEntry(entry)) return;
+                token.confirmed.push(entry);
+                confirmed.push(entry.hashHex());
+            });
+            token.pending = [];
+        });
+        this._height++;
+        return confirmed;
+    }
+
+    /**
+     * Load a token from a fixture, in the format returned by getFixtures
+     * @method
+     * @param {object} fixture - The token fixture
+     * @returns {string} - The token chain ID
+     */
+    loadFixture(fixture) {
+        const chainId = util.getTokenChainId(fixture.tokenId, fixture.issuerChainId);
+        addToken(this, fixture.tokenId, fixture.issuerChainId, fromFixtureEntry(chainId, fixture.issuance));
+        (fixture.entries || []).forEach(entry => this.addTransaction(fromFixtureEntry(chainId, entry), {pending: entry.pending}));
+        return chainId;
+    }
+
+    /**
+     * Export all tracked tokens as JSON serializable fixtures holding the raw issuance & transaction entries
+     * @method
+     * @returns {object[]} - The fixtures. [{tokenId, issuerChainId, issuance: {extIds, content}, entries: [{extIds, content, pending}]}]
+     */
+    getFixtures() {
+        return Array.from(this._tokens.values()).map(token => ({
+            tokenId: token.tokenId,
+            issuerChainId: token.issuerChainId,
+            issuance: toFixtureEntry(token.issuanceEntry),
+            entries: token.confirmed.map(entry => toFixtureEntry(entry, false)).concat(token.pending.map(entry => toFixtureEntry(entry, true)))
+        }));
+    }
+}
+
+/**
+ * Track a new token chain
+ * @method
+ * @private
+ * @param {MockFatd} fatd - The mock
+ * @param {string} tokenId - The token ID string
+ * @param {string} issuerChainId - The issuer identity chain ID
+ * @param {Entry} issuanceEntry - The signed issuance entry
+ * @returns {string} - The token chain ID
+ */
+function addToken(fatd, tokenId, issuerChainId, issuanceEntry) {
+    const state = new TokenState(tokenId, issuerChainId, issuanceEntry);
+    if (fatd._tokens.has(state.getChainId())) throw new Error('Token chain ' + state.getChainId() + ' is already tracked');
+
+    fatd._tokens.set(state.getChainId(), {tokenId, issuerChainId, issuanceEntry, confirmed: [], pending: []});
+    return state.getChainId();
+}
+
+/**
+ * Get a tracked token by chain ID
+ * @method
+ * @private
+ * @param {MockFatd} fatd - The mock
+ * @param {string} chainId - The token chain ID
+ * @returns {object} - The token
+ */
+function getToken(fatd, chainId) {
+    const token = fatd._tokens.get(chainId);
+    if (token === undefined) throw new Error('Token chain ' + chainId + ' is not tracked');
+    return token;
+}
+
+/**
+ * Replay the state of a token
+ * @method
+ * @private
+ * @param {object} token - The tracked token
+ * @param {boolean} includePending - Whether to apply the pending transactions on top of the confirmed ones
+ * @returns {TokenState}
+ */
+function getState(token, includePending) {
+    return new TokenState(token.tokenId, token.issuerChainId, token.issuanceEntry)
+        .applyEntries(includePending ? token.confirmed.concat(token.pending) : token.confirmed);
+}
+
+/**
+ * Build a factom-js Entry from a fixture entry
+ * @method
+ * @private
+ * @param {string} chainId - The token chain ID
+ * @param {object} fixture - The {extIds, content} fixture entry, in hex
+ * @returns {Entry}
+ */
+function fromFixtureEntry(chainId, fixture) {
+    return Entry.builder()
+        .chainId(chainId)
+        .extIds(fixture.extIds.map(extId => Buffer.from(extId, 'hex')))
+        .content(Buffer.from(fixture.content, 'hex'))
+        .build();
+}
+
+/**
+ * Convert a factom-js Entry to a fixture entry
+ * @method
+ * @private
+ * @param {Entry} entry - The entry
+ * @param {boolean} [pending] - Whether the entry is pending
+ * @returns {object} - The {extIds, content, pending} fixture entry, in hex
+ */
+function toFixtureEntry(entry, pending) {
+    return {extIds: entry.extIdsHex, content: entry.content.toString('hex'), pending};
+}
+
+/**
+ * Answer a single or batch JSON-RPC request. Every response carries the fatd-version header
+ * @method
+ * @private
+ * @param {MockFatd} fatd - The mock
+ * @param {IncomingMessage} req - The HTTP request
+ * @param {ServerResponse} res - The HTTP response
+ */
+function handleHttp(fatd, req, res) {
+    let body = '';
+    req.on('data', data => body += data);
+    req.on('end', () => {
+        let response;
+        try {
+            const request = JSON.parse(body);
+            response = Array.isArray(request) ? request.map(call => handleCall(fatd, call)) : handleCall(fatd, request);
+        } catch (e) {
+            response = {jsonrpc: '2.0', id: null, error: {code: -32700, message: 'Parse error'}};
+        }
+
+        res.writeHead(200, {'Content-Type': 'application/json', 'fatd-version': fatd._version});
+        res.end(JSONBig.stringify(response));
+    });
+}
+
+/**
+ * Answer a single JSON-RPC call
+ * @method
+ * @private
+ * @param {MockFatd} fatd - The mock
+ * @param {object} request - The JSON-RPC request object
+ * @returns {object} - The JSON-RPC response object
+ */
+function handleCall(fatd, request) {
+    try {
+        return {jsonrpc: '2.0', id: request.id, result: dispatch(fatd, request.method, request.params || {})};
+    } catch (e) {
+        const error = e.code !== undefined ? e : {code: -32603, message: 'Internal error', data: e.message};
+        return {jsonrpc: '2.0', id: request.id, error};
+    }
+}
+
+/**
+ * Create a JSON-RPC error object to throw from a method handler
+ * @method
+ * @private
+ * @param {number} code - The JSON-RPC error code
+ * @param {string} message - The error message
+ * @param {string} [data] - Details about the error
+ * @returns {object}
+ */
+function rpcError(code, message, data) {
+    return {code, message, data};
+}
+
+/**
+ * Run a fatd API method
+ * @method
+ * @private
+ * @param {MockFatd} fatd - The mock
+ * @param {string} method - The method name
+ * @param {object} params - The method params
+ * @returns {*} - The method result
+ */
+function dispatch(fatd, method, params) {
+    if (!daemonMethods.includes(method) && !tokenMethods.includes(method)) throw rpcError(-32601, 'Method not found');
+    if (compatibility.getCapabilities(fatd._version).unsupported[method] !== undefined) throw rpcError(-32601, 'Method not found');
+
+    switch (method) {
+        case 'get-daemon-properties':
+            return {fatdversion: fatd._version, apiversion: '1'};
+        case 'get-sync-status':
+            return {syncheight: fatd._height, factomheight: fatd._height};
+        case 'get-daemon-tokens':
+            return Array.from(fatd._tokens.keys()).map(chainid => ({chainid, tokenid: fatd._tokens.get(chainid).tokenId, issuerid: fatd._tokens.get(chainid).issuerChainId}));
+        case 'get-balances': {
+            const balances = {};
+            fatd._tokens.forEach((token, chainId) => {
+                const balance = getState(token, params.includepending).getBalance(params.address);
+                if (!balance.isZero()) balances[chainId] = balance;
+            });
+            return balances;
+        }
+    }
+
+    const token = fatd._tokens.get(params.chainid);
+    if (token === undefined) throw rpcError(-32800, 'Token Not Found', 'token not yet issued or not tracked by this instance of fatd');
+    const state = getState(token, params.includepending);
+
+    switch (method) {
+        case 'get-issuance': {
+            const issuance = state.getIssuance();
+            return {
+                chainid: params.chainid,
+                tokenid: token.tokenId,
+                issuerid: token.issuerChainId,
+                entryhash: issuance.getEntryhash(),
+                timestamp: issuance.getTimestamp(),
+                issuance: JSONBig.parse(token.issuanceEntry.content.toString())
+            };
+        }
+        case 'get-transaction': {
+            const transaction = listTransactions(token, params.includepending).find(tx => tx.entryhash === params.entryhash);
+            if (transaction === undefined) throw rpcError(-32803, 'Transaction Not Found', 'no matching tx-id was found');
+            return transaction;
+        }
+        case 'get-transactions': {
+            let transactions = listTransactions(token, params.includepending);
+            if (params.addresses !== undefined) {
+                transactions = transactions.filter(tx => params.addresses.some(address => address in tx.data.inputs || address in tx.data.outputs));
+            }
+            if (params.order === 'desc') transactions.reverse();
+            if (params.entryhash !== undefined) {
+                const start = transactions.findIndex(tx => tx.entryhash === params.entryhash);
+                if (start === -1) throw rpcError(-32803, 'Transaction Not Found', 'no matching tx-id was found');
+                transactions = transactions.slice(start);
+            }
+            return paginate(transactions, params);
+        }
+        case 'get-balance':
+            return state.getBalance(params.address);
+        case 'get-stats':
+            return state.getStats();
+        case 'send-transaction': {
+            const entry = Entry.builder()
+                .chainId(params.chainid)
+                .extIds((params.extids || []).map(extId => Buffer.from(extId, 'hex')))
+                .content(Buffer.from(params.content || '', 'hex'))
+                .build();
+            try {
+                fatd.addTransaction(entry, {pending: !fatd._autoConfirm});
+            } catch (e) {
+                throw rpcError(-32602, 'Invalid params', e.message);
+            }
+            return {chainid: params.chainid, txid: crypto.createHash('sha256').update(entry.hash()).digest('hex'), entryhash: entry.hashHex()};
+        }
+    }
+
+    if (state.getType() !== constant.FAT1) throw rpcError(-32602, 'Invalid params', 'not a FAT-1 token chain');
+
+    switch (method) {
+        case 'get-nf-token': {
+            const nfToken = state.getNFToken(params.nftokenid);
+            if (nfToken === undefined) throw rpcError(-32800, 'Token Not Found', 'no such NF token has been issued');
+            return nfToken;
+        }
+        case 'get-nf-balance':
+            return util.reduceNFIds(paginateNFIds(state.getNFBalance(params.address), params));
+        case 'get-nf-tokens': {
+            const nfTokens = state.getNFTokens();
+            if (params.order === 'desc') nfTokens.reverse();
+            return paginate(nfTokens, params);
+        }
+    }
+}
+
+/**
+ * List the transactions of a token in chain order as fatd returns them
+ * @method
+ * @private
+ * @param {object} token - The tracked token
+ * @param {boolean} includePending - Whether to include the pending transactions, after the confirmed ones
+ * @returns {object[]}
+ */
+function listTransactions(token, includePending) {
+    const toResponse = (entry, pending) => {
+        const transaction = {entryhash: entry.hashHex(), timestamp: Number(entry.extIds[0].toString()), data: JSONBig.parse(entry.content.toString())};
+        if (pending) transaction.pending = true;
+        return transaction;
+    };
+    const transactions = token.confirmed.map(entry => toResponse(entry, false));
+    return includePending ? transactions.concat(token.pending.map(entry => toResponse(entry, true))) : transactions;
+}
+
+/**
+ * Select a page of token IDs using fatd's page, limit & order params, without expanding the ID ranges outside the page
+ * @method
+ * @private
+ * @param {Array} ids - All token IDs & ID ranges
+ * @param {object} params - The request params
+ * @returns {number[]} - The integer token IDs of the page, in order
+ */
+function paginateNFIds(ids, params) {
+    const limit = params.limit !== undefined ? params.limit : 25;
+    const descending = params.order === 'desc';
+    const ranges = util.normalizeNFIds(ids);
+    if (descending) ranges.reverse();
+
+    const page = [];
+    let skip = (params.page || 0) * limit;
+    for (let i = 0; i < ranges.length && page.length < limit; i++) {
+        const count = ranges[i].max - ranges[i].min + 1;
+        for (let offset = skip; offset < count && page.length < limit; offset++) page.push(descending ? ranges[i].max - offset : ranges[i].min + offset);
+        skip = Math.max(0, skip - count);
+    }
+    return page;
+}
+
+/**
+ * Select a page of results using fatd's page & limit params
+ * @method
+ * @private
+ * @param {Array} items - All results
+ * @param {object} params - The request params
+ * @returns {Array} - The page
+ */
+function paginate(items, params) {
+    const limit = params.limit !== undefined ? params.limit : 25;
+    const start = (params.page || 0) * limit;
+    return items.slice(start, start + limit);
+}
+
+module.exports = MockFatd;
@@ -4,6 +4,12 @@ const base58 = require('base-58');
 const { sha256d } = require('factom-identity-lib/src/crypto');
 const { IDENTITY_KEY_HEX_PREFIX_MAP } = require('factom-identity-lib/src/constant');
 const fctIdentityCrypto = require('factom-identity-lib/src/crypto');
+const fctUtil = require('factom/src/util');
+const BigNumber = require('bignumber.js');
+const nacl = require('tweetnacl/nacl-fast').sign;
+const fctAddressUtil = require('factom/src/addresses');
+const constant = require('./constant');
+const {ValidationError, SignatureError} = require('./errors');
 
 /**
  * @module util
@@ -126,6 +132,40 @@ module.exports.countNFIds = function (ids) {
         typeof id === 'object' ? count + (id.max - id.min) + 1 : count + 1, 0);
 };
 
+/**
+ * Sort and merge NF token IDs & ID ranges into the fewest non overlapping {min, max} ranges. Ranges are compared by their bounds and never expanded,
+ * so ID ranges read from chain data can be handled safely. Overlapping IDs are merged, use validateNFIds to reject them
+ * @method
+ * @static
+ * @param {Array} ids - The NF token IDs & ID ranges
+ * @returns {object[]} - The sorted {min, max} ranges
+ * @example
+ * util.normalizeNFIds([9, {min: 0, max: 3}, 4, 5]); // => [{min: 0, max: 5}, {min: 9, max: 9}]
+ */
+module.exports.normalizeNFIds = function (ids) {
+    return toNFRanges(ids).reduce((merged, range) => {
+        const last = merged[merged.length - 1];
+        if (last !== undefined && range.min <= last.max + 1) last.max = Math.max(last.max, range.max);
+        else merged.push({min: range.min, max: range.max});
+        return merged;
+    }, []);
+};
+
+/**
+ * Check whether every NF token ID of a subset is one of the given IDs, without expanding the ranges
+ * @method
+ * @static
+ * @param {Array} ids - The NF token IDs & ID ranges
+ * @param {Array} subset - The NF token IDs & ID ranges to look for
+ * @returns {boolean}
+ * @example
+ * util.containsNFIds([{min: 0, max: 3}, 4, 9], [{min: 2, max: 4}]); // => true
+ */
+module.exports.containsNFIds = function (ids, subset) {
+    const ranges = module.exports.normalizeNFIds(ids);
+    return toNFRanges(subset).every(range => ranges.some(container => container.min <= range.min && range.max <= container.max));
+};
+
 /**
  * Take an array of integers representing NF token IDs and group them into ID ranges
  * @method
@@ -164,7 +204,7 @@ module.exports.createPublicIdentityAddr = function (prefix, idpk)
     let addr = Buffer.concat([Buffer.from(IDENTITY_KEY_HEX_PREFIX_MAP[prefix],'hex'),Buffer.from(idpk,'hex')]);
 
     if (addr.length !== 35) {
-        throw Error("Invalid public key provided");
+        throw new ValidationError("Invalid public key provided", 'publicKey');
     }
 
     return base58.encode(Buffer.concat([addr, fctIdentityCrypto.sha256d(addr).slice(0, 4)]));
@@ -178,7 +218,7 @@ module.exports.createPublicIdentityAddr = function (prefix, idpk)
  */
 module.exports.extractIdentityPublicKey = function (id1) {
     if (!isValidId1(id1)) {
-        throw new Error("You must include a valid ID1 Key to map to an external signature");
+        throw new ValidationError("You must include a valid ID1 Key to map to an external signature", 'id1');
     }
 
     //extract the identity public
@@ -188,7 +228,7 @@ module.exports.extractIdentityPublicKey = function (id1) {
     if (id1.slice(0, 2) === 'id') {
         hexKey = Buffer.from(base58.decode(id1));
     } else {
-        hexKey = Buffer.from(key, 'hex');
+        hexKey = Buffer.from(id1, 'hex');
     }
 
     //return the public key
@@ -201,7 +241,7 @@ module.exports.extractIdentityPublicKey = function (id1) {
  * @returns {bool} returs true if key is a valid public key
  */
 function isValidId1(key) {
-    prefix = 'id1'
+    const prefix = 'id1';
     if (typeof key !== 'string') {
         return false;
     }
@@ -227,13 +267,398 @@ function isValidId1(key) {
     return false;
 }
 
+/**
+ * Decode the timestamp, RCD/signature pairs and content of a signed FAT entry (transaction or issuance)
+ * @method
+ * @static
+ * @param {Entry} entry - The factom-js Entry object to decode
+ * @returns {object} - The decoded entry. {timestamp: number, rcds: Buffer[], signatures: Buffer[], content: string}
+ * @example
+ * const signed = util.parseSignedEntry(tx.getEntry());
+ *
+ * signed.timestamp; // => 1550696040
+ * signed.rcds.length; // => 1
+ */
+module.exports.parseSignedEntry = function (entry) {
+    const extIds = entry.extIds;
+    if (!Array.isArray(extIds) || extIds.length < 3 || extIds.length % 2 !== 1) throw new ValidationError('Entry must have a timestamp followed by RCD/signature pairs as external IDs', 'extIds');
+
+    const timestamp = extIds[0].toString();
+    if (!/^[0-9]+$/.test(timestamp)) throw new ValidationError('Invalid timestamp external ID: ' + timestamp, 'extIds[0]');
+
+    const rcds = [];
+    const signatures = [];
+    for (let i = 1; i < extIds.length; i += 2) {
+        if (extIds[i].length !== 33 || extIds[i][0] !== constant.RCD_TYPE_1[0]) throw new SignatureError('Invalid RCD external ID at index ' + i, (i - 1) / 2);
+        if (extIds[i + 1].length !== 64) throw new SignatureError('Invalid signature external ID at index ' + (i + 1), (i - 1) / 2);
+        rcds.push(Buffer.from(extIds[i]));
+        signatures.push(Buffer.from(extIds[i + 1]));
+    }
+
+    return {
+        timestamp: Number.parseInt(timestamp),
+        rcds,
+        signatures,
+        content: entry.content.toString()
+    };
+};
+
+/**
+ * The validate() error codes that mean the signatures of a transaction do not authorize its inputs
+ * @static
+ * @type {string[]}
+ */
+module.exports.SIGNATURE_ERROR_CODES = ['MISSING_SIGNATURES', 'RCD_COUNT_MISMATCH', 'RCD_ADDRESS_MISMATCH', 'INVALID_SIGNATURE'];
+
+/**
+ * Collect the violations of the stateless rules shared by FAT-0 and FAT-1 transactions: structure, token chain, timestamp window, RCD count, RCD to input address binding, coinbase signing key and signatures
+ * @method
+ * @static
+ * @param tx {Transaction} - The transaction to validate
+ * @param options {object} - The validation options passed to validate()
+ * @returns {object[]} - Array of {code, message, input} error objects
+ */
+module.exports.validateSigning = function (tx, options) {
+    const errors = [];
+    const inputAddresses = Object.keys(tx._inputs);
+
+    if (inputAddresses.length === 0 || Object.keys(tx._outputs).length === 0) {
+        errors.push({code: 'MISSING_INPUTS_OUTPUTS', message: 'Transaction must have at least one input and one output'});
+    }
+    if (tx.isCoinbase() && inputAddresses.length > 1) {
+        errors.push({code: 'INVALID_COINBASE', message: 'Coinbase transactions may only have a single input'});
+    }
+
+    if (options.issuance !== undefined && tx._tokenChainId !== undefined && options.issuance.getChainId() !== tx._tokenChainId) {
+        errors.push({code: 'CHAIN_ID_MISMATCH', message: 'Transaction token chain ID does not match the issuance chain ID'});
+    }
+
+    const now = options.now !== undefined ? options.now : Math.round(new Date().getTime() / 1000);
+    if (Math.abs(now - tx._timestamp) > constant.MAX_TIMESTAMP_DELTA) {
+        errors.push({code: 'TIMESTAMP_OUT_OF_RANGE', message: 'Transaction timestamp ' + tx._timestamp + ' is more than 12 hours from ' + now});
+    }
+
+    if (tx._rcds === undefined || tx._signatures === undefined || tx._signatures.some(signature => signature === undefined)) {
+        errors.push({code: 'MISSING_SIGNATURES', message: 'Transaction is not fully signed'});
+        return errors;
+    }
+
+    if (tx._rcds.length !== inputAddresses.length || tx._signatures.length !== inputAddresses.length) {
+        errors.push({code: 'RCD_COUNT_MISMATCH', message: 'Number of RCD/signature pairs (' + tx._rcds.length + ') does not match the number of inputs (' + inputAddresses.length + ')'});
+        return errors;
+    }
+
+    const coinbase = tx.isCoinbase();
+    if (coinbase) {
+        const keys = options.identityKeys !== undefined ? options.identityKeys.map(module.exports.extractIdentityPublicKey) : getIssuanceKeys(options.issuance);
+        if (keys === undefined) {
+            errors.push({code: 'COINBASE_KEY_UNKNOWN', message: 'Coinbase signing key can not be checked without the issuer\'s identity keys or a signed issuance', input: 0});
+        } else if (!keys.some(key => key.equals(Buffer.from(tx._rcds[0]).slice(1)))) {
+            errors.push({code: 'COINBASE_KEY_MISMATCH', message: 'Coinbase transaction was not signed by the issuer\'s current key', input: 0});
+        }
+    }
+
+    for (let i = 0; i < inputAddresses.length; i++) {
+        const rcd = Buffer.from(tx._rcds[i]);
+        if (!coinbase && fctAddressUtil.rcdHashToPublicFctAddress(fctUtil.sha256d(rcd)) !== inputAddresses[i]) {
+            errors.push({code: 'RCD_ADDRESS_MISMATCH', message: 'RCD for input ' + i + ' does not hash to input address ' + inputAddresses[i], input: i});
+        }
+        if (tx._signatures[i].length !== 64 || !nacl.detached.verify(fctUtil.sha512(tx.getMarshalDataSig(i)), Buffer.from(tx._signatures[i]), rcd.slice(1))) {
+            errors.push({code: 'INVALID_SIGNATURE', message: 'Invalid transaction signature for input ' + i, input: i});
+        }
+    }
+
+    return errors;
+};
+
+
+/**
+ * Get the public keys that signed an issuance, if the issuance carries its signature data
+ * @method
+ * @private
+ * @param issuance {Issuance} - The issuance to get the signing key of
+ * @returns {Buffer[]} - Array of raw ed25519 public keys, undefined if unknown
+ */
+function getIssuanceKeys(issuance) {
+    if (issuance === undefined || issuance._extIds === undefined) return undefined;
+    return [Buffer.from(issuance._extIds[1]).slice(1)];
+}
+
+/**
+ * Get the signer list of a partial transaction: one entry per input with its address, public key (ID1 key for coinbase transactions) and signature, hex encoded or null if unknown
+ * @method
+ * @static
+ * @param tx {Transaction} - The transaction to get the signers of
+ * @returns {object[]}
+ */
+module.exports.getPartialSigners = function (tx) {
+    const coinbase = tx.isCoinbase();
+    return Object.keys(tx._inputs).map((address, i) => {
+        let publicKey;
+        if (tx._rcds !== undefined) publicKey = tx._rcds[i].slice(1);
+        else if (coinbase) publicKey = tx._id1;
+        else publicKey = tx._keys[i].publicKey;
+
+        const signer = {address};
+        if (coinbase) signer.id1 = publicKey !== undefined ? module.exports.createPublicIdentityAddr('id1', Buffer.from(publicKey)) : null;
+        else signer.publickey = publicKey !== undefined ? Buffer.from(publicKey).toString('hex') : null;
+        signer.signature = tx._signatures !== undefined && tx._signatures[i] !== undefined ? Buffer.from(tx._signatures[i]).toString('hex') : null;
+        return signer;
+    });
+};
+
+
+/**
+ * Restore the signing state of a transaction from the signers of a partial transaction. Public keys must belong to their input and signatures present must be valid.
+ * Fully signed transactions get their RCDs & ExtIDs, others keep the keys needed for a second signing pass through TransactionBuilder
+ * @method
+ * @static
+ * @param tx {Transaction} - The transaction under construction, with its inputs, content, timestamp and token chain ID set
+ * @param signers {object[]} - The signers of the partial transaction
+ */
+module.exports.restorePartialSigning = function (tx, signers) {
+    const addresses = Object.keys(tx._inputs);
+    const coinbase = tx.isCoinbase();
+    if (signers.length !== addresses.length) throw new ValidationError("Partial transaction must include exactly one signer per input", 'signers');
+
+    const publicKeys = signers.map((signer, i) => {
+        if (signer === null || typeof signer !== 'object' || signer.address !== addresses[i]) throw new ValidationError("Signer " + i + " does not match input address " + addresses[i], 'signers[' + i + ']');
+
+        if (coinbase) {
+            if (!signer.id1) throw new ValidationError("Coinbase partial transactions must include the ID1 key of the issuing identity", 'signers[' + i + '].id1');
+            return module.exports.extractIdentityPublicKey(signer.id1);
+        }
+
+        if (!signer.publickey) return undefined;
+        const publicKey = Buffer.from(signer.publickey, 'hex');
+        if (publicKey.length !== 32 || fctAddressUtil.keyToPublicFctAddress(publicKey) !== addresses[i]) {
+            throw new SignatureError("Public key for input " + i + " does not match input address " + addresses[i], i);
+        }
+        return publicKey;
+    });
+
+    const signatures = signers.map((signer, i) => {
+        if (!signer.signature) return undefined;
+        const signature = Buffer.from(signer.signature, 'hex');
+        if (publicKeys[i] === undefined) throw new SignatureError("Signature for input " + i + " requires its public key", i);
+        if (signature.length !== 64 || !nacl.detached.verify(fctUtil.sha512(tx.getMarshalDataSig(i)), signature, publicKeys[i])) {
+            throw new SignatureError("Invalid Transaction Signature for input " + i, i);
+        }
+        return signature;
+    });
+
+    tx._signatures = signatures;
+    tx._extIds = [tx._timestamp.toString()];
+
+    if (signatures.every(signature => signature !== undefined)) {
+        tx._rcds = publicKeys.map(publicKey => Buffer.concat([constant.RCD_TYPE_1, publicKey]));
+        for (let i = 0; i < tx._rcds.length; i++) {
+            tx._extIds.push(tx._rcds[i]);
+            tx._extIds.push(tx._signatures[i]);
+        }
+    } else if (coinbase) {
+        tx._id1 = publicKeys[0];
+    } else {
+        tx._keys = addresses.map((address, i) => ({pubaddr: address, publicKey: publicKeys[i]}));
+    }
+};
+
+
+/**
+ * Check whether an object is a serialized partial transaction created by toPartial
+ * @method
+ * @static
+ * @param {*} partial - The object to check
+ * @returns {boolean}
+ */
+module.exports.isPartial = function (partial) {
+    return partial !== null && typeof partial === 'object' && partial.version !== undefined && Array.isArray(partial.signers);
+};
+
+
+/**
+ * Get the payload size of the transaction entry once signed: the timestamp ExtID, an RCD & signature ExtID per input and the content
+ * @method
+ * @static
+ * @param {Transaction} tx - The transaction
+ * @returns {number} - The payload size in bytes
+ */
+module.exports.getSignedPayloadSize = function (tx) {
+    return 2 + Buffer.byteLength(tx._timestamp.toString()) + Object.keys(tx._inputs).length * constant.SIGNED_INPUT_EXTIDS_SIZE + Buffer.byteLength(tx._content);
+};
+
+
+/**
+ * Check whether an object is a factom-js Entry. Duck typed so entries from other factom-js versions are accepted
+ * @method
+ * @static
+ * @param {*} entry - The object to check
+ * @returns {boolean}
+ */
+module.exports.isEntry = function (entry) {
+    return entry !== null && typeof entry === 'object' && Array.isArray(entry.extIds) && Buffer.isBuffer(entry.content) && typeof entry.hashHex === 'function';
+};
+
+/**
+ * Convert a FAT-0 display amount (e.x. "12.345" or "12.345 MYT") into integer base units using the token's decimal precision.
+ * Rejects amounts with more decimal places than the precision allows instead of rounding them. Zero is a valid amount
+ * @method
+ * @static
+ * @param {(number|string|BigNumber)} amount - The display amount. Strings may be followed by the token symbol
+ * @param {number} [precision=0] - The decimal precision of the token, see Issuance.getPrecision()
+ * @param {string} [symbol] - The token symbol. Amounts followed by a different symbol, or by any symbol when omitted, are rejected
+ * @returns {BigNumber} - The amount in base units
+ * @example
+ * util.toBaseUnits("12.345 MYT", 3, 'MYT').toString(); // => "12345"
+ *
+ * util.toBaseUnits("12.3456", 3); // => Error: Amount 12.3456 has more decimal places than the token precision of 3
+ *
+ * util.toBaseUnits("12.345 ABC", 3, 'MYT'); // => Error: Amount symbol ABC does not match the token symbol MYT
+ *
+ * util.toBaseUnits("12.345 ABC", 3); // => Error: Amount symbol ABC given without a token symbol to check it against
+ */
+module.exports.toBaseUnits = function (amount, precision, symbol) {
+    precision = validatePrecision(precision);
+    if (typeof amount === 'string') {
+        const parts = amount.trim().split(/\s+/);
+        if (parts.length > 2) throw new ValidationError('Amount must be a number optionally followed by the token symbol', 'amount');
+        if (parts.length === 2 && symbol === undefined) throw new ValidationError('Amount symbol ' + parts[1] + ' given without a token symbol to check it against', 'amount');
+        if (parts.length === 2 && parts[1] !== symbol) throw new ValidationError('Amount symbol ' + parts[1] + ' does not match the token symbol ' + symbol, 'amount');
+        amount = parts[0];
+    }
+
+    amount = new BigNumber(amount);
+    if (!amount.isFinite() || amount.isNegative()) throw new ValidationError('Amount must be a non-negative number', 'amount');
+    if (amount.decimalPlaces() > precision) throw new ValidationError('Amount ' + amount.toFixed() + ' has more decimal places than the token precision of ' + precision, 'amount');
+    return amount.shiftedBy(precision);
+};
+
+/**
+ * Convert an integer amount of FAT-0 base units into display units using the token's decimal precision
+ * @method
+ * @static
+ * @param {(number|string|BigNumber)} amount - The integer amount of base units
+ * @param {number} [precision=0] - The decimal precision of the token, see Issuance.getPrecision()
+ * @returns {BigNumber} - The amount in display units
+ * @example
+ * util.fromBaseUnits(12345, 3).toString(); // => "12.345"
+ */
+module.exports.fromBaseUnits = function (amount, precision) {
+    precision = validatePrecision(precision);
+
+    amount = new BigNumber(amount);
+    if (!amount.isInteger()) throw new ValidationError('Base unit amount must be an integer', 'amount');
+    return amount.shiftedBy(-precision);
+};
+
+/**
+ * Format an integer amount of FAT-0 base units as a display string with all decimal places of the token's precision
+ * @method
+ * @static
+ * @param {(number|string|BigNumber)} amount - The integer amount of base units
+ * @param {number} [precision=0] - The decimal precision of the token, see Issuance.getPrecision()
+ * @param {string} [symbol] - The token symbol to append
+ * @returns {string} - The formatted amount
+ * @example
+ * util.formatAmount(12340, 3, 'MYT'); // => "12.340 MYT"
+ */
+module.exports.formatAmount = function (amount, precision, symbol) {
+    const display = module.exports.fromBaseUnits(amount, precision).toFixed(precision || 0);
+    return symbol ? display + ' ' + symbol : display;
+};
+
+/**
+ * Check whether an object implements the Signer interface: async getPublicKey() resolving the 32 byte ed25519 public key,
+ * and async sign(data) resolving the 64 byte ed25519 signature of data. Accepted by the transaction & issuance builders in place of private keys
+ * @method
+ * @static
+ * @param {*} signer - The object to check
+ * @returns {boolean}
+ * @example
+ * util.isSigner(new MemorySigner('Fs1q7FHcW4Ti9tngdGAbA3CxMjhyXtNyB1BSdc8uR46jVUVCWtbJ')); // => true
+ */
+module.exports.isSigner = function (signer) {
+    return signer !== null && typeof signer === 'object' && typeof signer.getPublicKey === 'function' && typeof signer.sign === 'function';
+};
+
+/**
+ * Get the public key of a Signer, checking it is a valid ed25519 public key
+ * @method
+ * @static
+ * @param {Signer} signer - The signer
+ * @returns {Promise<Buffer>} - The 32 byte public key
+ */
+module.exports.getSignerPublicKey = async function (signer) {
+    const publicKey = Buffer.from(await signer.getPublicKey(), 'hex');
+    if (publicKey.length !== 32) throw new SignatureError('Signer returned an invalid public key');
+    return publicKey;
+};
+
+/**
+ * Sign the marshalled data of a FAT entry (see Transaction.getMarshalDataSig) using a Signer. The signer is given the sha512 hash of the data
+ * @method
+ * @static
+ * @param {Signer} signer - The signer
+ * @param {Buffer} data - The marshalled data to sign
+ * @returns {Promise<Buffer>} - The 64 byte signature
+ */
+module.exports.signWithSigner = async function (signer, data) {
+    const signature = Buffer.from(await signer.sign(fctUtil.sha512(data)), 'hex');
+    if (signature.length !== 64) throw new SignatureError('Signer returned an invalid signature');
+    return signature;
+};
+
+/**
+ * Get the Entry Credit cost of an entry from its payload size. Factom charges 1 EC per started KiB of ExtIDs & content, with 2 bytes of overhead per ExtID
+ * @method
+ * @static
+ * @param {number} payloadSize - The size in bytes of the entry's ExtIDs (including their 2 byte length prefixes) & content
+ * @returns {number} - The EC cost of the entry
+ * @example
+ * util.getEntryCreditCost(1500); // => 2
+ */
+module.exports.getEntryCreditCost = function (payloadSize) {
+    if (!Number.isInteger(payloadSize) || payloadSize < 0) throw new ValidationError('Payload size must be a non negative integer', 'payloadSize');
+    if (payloadSize > constant.MAX_ENTRY_PAYLOAD_SIZE) throw new ValidationError('Entry payload of ' + payloadSize + ' bytes exceeds the ' + constant.MAX_ENTRY_PAYLOAD_SIZE + ' byte limit', 'payloadSize');
+    return Math.max(1, Math.ceil(payloadSize / constant.ENTRY_CREDIT_PAYLOAD_SIZE));
+};
+
+/**
+ * Estimate the total Entry Credit cost of submitting a list of transactions & issuances to Factom, e.x. to fund an EC address before a batch of submissions.
+ * Unsigned & partially signed transactions are priced as fully signed. Issuances include the cost of creating their token chain
+ * @method
+ * @static
+ * @param {Array<(Transaction0|Transaction1|Issuance0|Issuance1|Entry|Chain)>} items - The transactions & issuances to submit. factom-js Entry & Chain objects are priced using their ecCost()
+ * @returns {number} - The total EC cost
+ * @example
+ * util.estimateEntryCredits([tx1, tx2, issuance]); // => 13
+ */
+module.exports.estimateEntryCredits = function (items) {
+    if (!Array.isArray(items)) throw new ValidationError('Items must be an array of transactions & issuances', 'items');
+
+    return items.reduce((total, item, index) => {
+        if (item !== null && typeof item === 'object' && typeof item.estimateEntryCredits === 'function') return total + item.estimateEntryCredits();
+        if (item !== null && typeof item === 'object' && typeof item.ecCost === 'function') return total + item.ecCost();
+        throw new ValidationError('Item ' + index + ' is not a transaction, issuance or factom-js Entry or Chain', 'items[' + index + ']');
+    }, 0);
+};
+
+function validatePrecision(precision) {
+    if (precision === undefined) return 0;
+    if (!Number.isInteger(precision) || precision < 0 || precision > 18) throw new ValidationError('Precision must be an integer between 0 and 18', 'precision');
+    return precision;
+}
+
 function isValidNFIdRepresentation(id) {
     return Number.isInteger(id) || (typeof id === 'object' && Number.isInteger(id.min) && Number.isInteger(id.max) && id.max >= id.min && Object.keys(id).length === 2)
 }
 
 function hasNoDuplicatedNFId(ids) {
-    const expanded = module.exports.expandNFIds(ids);
-    return new Set(expanded).size === expanded.length;
+    return toNFRanges(ids).every((range, i, ranges) => i === 0 || range.min > ranges[i - 1].max);
+}
+
+function toNFRanges(ids) {
+    return ids.map(id => typeof id === 'object' ? {min: id.min, max: id.max} : {min: id, max: id}).sort((a, b) => a.min - b.min);
 }
 
 module.exports.sleep = function (ms) {
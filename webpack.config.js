@@ -24,4 +24,8 @@ module.exports = {
             }
         }]
     },
+    node: {
+        net: 'empty', //RemoteSigner sockets are not available in browsers
+        fs: 'empty' //neither are Keystore files
+    }
 };
\ No newline at end of file